@@ -97,6 +97,7 @@ export class HopeTherapeuticStack extends cdk.Stack {
       pointInTimeRecovery: true,
       removalPolicy: cdk.RemovalPolicy.RETAIN, // Protect therapeutic data
       stream: dynamodb.StreamViewType.NEW_AND_OLD_IMAGES,
+      timeToLiveAttribute: 'expiresAt', // Set by the app from the retention policy
     });
 
     // Add GSI for user sessions lookup (legacy - keep for backward compatibility)
@@ -113,6 +114,34 @@ export class HopeTherapeuticStack extends cdk.Stack {
       sortKey: { name: 'startTime', type: dynamodb.AttributeType.STRING },
     });
 
+    // Data Keys Table: each user's data keys, wrapped by the KMS key
+    const dataKeysTable = new dynamodb.Table(this, 'TherapeuticDataKeysTable', {
+      tableName: 'therapeutic-wave-keys',
+      partitionKey: { name: 'userId', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      encryption: dynamodb.TableEncryption.CUSTOMER_MANAGED,
+      encryptionKey: therapeuticDataKey,
+      pointInTimeRecovery: true,
+      removalPolicy: cdk.RemovalPolicy.RETAIN, // Losing the keys loses all user data
+    });
+
+    // Audit Table: hash-chained records of access to each user's data
+    const auditTable = new dynamodb.Table(this, 'TherapeuticAuditTable', {
+      tableName: 'therapeutic-wave-audit',
+      partitionKey: { name: 'auditId', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      encryption: dynamodb.TableEncryption.CUSTOMER_MANAGED,
+      encryptionKey: therapeuticDataKey,
+      pointInTimeRecovery: true,
+      removalPolicy: cdk.RemovalPolicy.RETAIN, // Audit records outlive the data they describe
+    });
+
+    auditTable.addGlobalSecondaryIndex({
+      indexName: 'userId-auditId-index',
+      partitionKey: { name: 'userId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'auditId', type: dynamodb.AttributeType.STRING },
+    });
+
     // ===========================================
     // VPC and Networking
     // ===========================================
@@ -179,11 +208,26 @@ export class HopeTherapeuticStack extends cdk.Stack {
       resources: [
         usersTable.tableArn,
         sessionsTable.tableArn,
+        dataKeysTable.tableArn,
         `${usersTable.tableArn}/index/*`,
         `${sessionsTable.tableArn}/index/*`,
       ],
     }));
 
+    // The audit log is append-only for the application: no updates or deletes
+    taskRole.addToPolicy(new iam.PolicyStatement({
+      effect: iam.Effect.ALLOW,
+      actions: [
+        'dynamodb:GetItem',
+        'dynamodb:PutItem',
+        'dynamodb:Query',
+      ],
+      resources: [
+        auditTable.tableArn,
+        `${auditTable.tableArn}/index/*`,
+      ],
+    }));
+
     // KMS permissions for therapeutic data
     taskRole.addToPolicy(new iam.PolicyStatement({
       effect: iam.Effect.ALLOW,
@@ -240,7 +284,10 @@ export class HopeTherapeuticStack extends cdk.Stack {
           AWS_REGION: this.region,
           DYNAMODB_USERS_TABLE: usersTable.tableName,
           DYNAMODB_SESSIONS_TABLE: sessionsTable.tableName,
+          DYNAMODB_KEYS_TABLE: dataKeysTable.tableName,
+          DYNAMODB_AUDIT_TABLE: auditTable.tableName,
           KMS_KEY_ID: therapeuticDataKey.keyId,
+          TRUST_PROXY_HOPS: '1', // The load balancer; sign-in throttling needs the client's address
         },
         logDriver: ecs.LogDrivers.awsLogs({
           streamPrefix: 'hope-therapeutic',
@@ -3,15 +3,24 @@
  * This will show the user input modal and properly store data in DynamoDB
  */
 
+// Session token issued by /api/auth; main.js sends it in the socket handshake
+const AUTH_TOKEN_STORAGE_KEY = 'therapeuticWaveAuth';
+
 class CompleteUserIntegration {
   constructor(socket) {
     this.socket = socket;
     this.userId = null;
     this.userName = null;
+    this.isAnonymous = false;
+    this.profileLoaded = false; // Set by the first userCreated of this page
+    this.connectListenerAdded = false;
     this.sessionId = null;
     this.sessionStartTime = null;
     this.conversationTranscript = '';
     this.creatingSession = false;
+    this.endingSession = false;
+    this.preSessionCheckIn = null; // Answers given before the session, null when skipped
+    this.weeklyProgress = []; // Most recent week first, filled by requestWeeklyProgress
 
     this.init();
   }
@@ -20,10 +29,50 @@ class CompleteUserIntegration {
     // Check for existing user data first
     this.checkForExistingUser();
 
-    // Show user input modal immediately
-    this.showUserInputModal();
     this.setupSocketListeners();
     this.setupConversationTracking();
+    this.setupDataControls();
+    this.setupAuthListeners();
+
+    // Signed in on this device before: connect straight away, otherwise ask first
+    if (localStorage.getItem(AUTH_TOKEN_STORAGE_KEY)) {
+      this.connect();
+    } else {
+      this.showUserInputModal();
+    }
+  }
+
+  /**
+   * Sign in again when the server refuses the token, and sign out from the settings panel
+   */
+  setupAuthListeners() {
+    window.addEventListener('authRequired', () => {
+      localStorage.removeItem(AUTH_TOKEN_STORAGE_KEY);
+      this.socket.disconnect();
+      if (!document.getElementById('user-input-modal')) {
+        this.showNotification('Please sign in again to continue.', 'info');
+        this.showUserInputModal();
+      }
+    });
+
+    window.addEventListener('signOutRequested', () => this.signOut());
+
+    window.addEventListener('recoveryPhraseResetRequested', () => {
+      if (!this.isAnonymous) {
+        this.showNotification('Recovery phrases are for anonymous use. Sign in with your handle on other devices.', 'info');
+        return;
+      }
+      this.socket.emit('resetRecoveryPhrase');
+    });
+
+    this.socket.on('recoveryPhraseIssued', (data) => {
+      if (!data.success) {
+        console.error('❌ Recovery phrase could not be issued:', data.error);
+        this.showNotification('Could not create a new recovery phrase. Please try again.', 'error');
+        return;
+      }
+      this.showRecoveryPhrase(data.recoveryPhrase);
+    });
   }
 
   checkForExistingUser() {
@@ -40,6 +89,7 @@ class CompleteUserIntegration {
         if (userData.userName) {
           this.userName = userData.userName;
         }
+        this.isAnonymous = !!userData.isAnonymous;
 
         console.log('🔄 Restored user session:', {
           userId: this.userId,
@@ -70,6 +120,38 @@ class CompleteUserIntegration {
       font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
     `;
 
+    const labelStyle = `
+      display: block;
+      margin-bottom: 0.5rem;
+      color: white;
+      font-weight: 500;
+      text-align: left;
+    `;
+    const inputStyle = `
+      width: 100%;
+      padding: 0.75rem;
+      margin-bottom: 1rem;
+      border: 2px solid rgba(255,255,255,0.2);
+      border-radius: 8px;
+      background: rgba(255,255,255,0.1);
+      color: white;
+      font-size: 1rem;
+      transition: border-color 0.3s ease;
+      box-sizing: border-box;
+    `;
+    const buttonStyle = `
+      background: linear-gradient(135deg, #64b5f6, #42a5f5);
+      color: white;
+      border: none;
+      padding: 0.75rem 1.5rem;
+      border-radius: 8px;
+      font-size: 1rem;
+      font-weight: 500;
+      cursor: pointer;
+      transition: all 0.3s ease;
+      margin: 0.5rem 0.25rem;
+    `;
+
     modalOverlay.innerHTML = `
       <div style="
         background: linear-gradient(135deg, rgba(255,255,255,0.1), rgba(255,255,255,0.05));
@@ -92,52 +174,56 @@ class CompleteUserIntegration {
           background-clip: text;
         ">${this.userName ? `Welcome Back, ${this.userName}!` : 'Welcome to Your Therapeutic Space'}</h2>
         
-        <p style="color: rgba(255,255,255,0.8); margin: 0 0 2rem 0;">
-          ${this.userName ? 'Ready to continue your therapeutic journey?' : 'A safe space for emotional support and mindfulness'}
+        <p style="color: rgba(255,255,255,0.8); margin: 0 0 1.5rem 0;">
+          Sign in to keep your sessions private to you and pick up where you left off on any device.
         </p>
         
-        <div style="margin: 2rem 0;">
-          <label style="
-            display: block;
-            margin-bottom: 0.5rem;
-            color: white;
-            font-weight: 500;
-            text-align: left;
-          ">What would you like to be called? (Optional)</label>
-          
-          <input type="text" id="user-name-input" placeholder="Enter your first name or leave blank for anonymous" style="
-            width: 100%;
-            padding: 0.75rem;
-            border: 2px solid rgba(255,255,255,0.2);
-            border-radius: 8px;
-            background: rgba(255,255,255,0.1);
-            color: white;
-            font-size: 1rem;
-            transition: border-color 0.3s ease;
-            box-sizing: border-box;
-          ">
-          
-          <small style="
-            display: block;
-            margin-top: 0.5rem;
-            color: rgba(255,255,255,0.6);
-            font-size: 0.8rem;
-            text-align: left;
-          ">This helps personalize your experience and is stored securely</small>
-        </div>
+        <form id="auth-form" style="margin: 1rem 0;">
+          <label for="user-name-input" style="${labelStyle}">What would you like to be called? (Optional)</label>
+          <input type="text" id="user-name-input" maxlength="50" placeholder="Your first name" style="${inputStyle}">
+
+          <label for="auth-handle-input" style="${labelStyle}">Handle</label>
+          <input type="text" id="auth-handle-input" autocomplete="username" autocapitalize="none" placeholder="3-40 letters, numbers, dots or dashes" style="${inputStyle}">
+
+          <label for="auth-passphrase-input" style="${labelStyle}">Passphrase</label>
+          <input type="password" id="auth-passphrase-input" autocomplete="current-password" placeholder="At least 10 characters" style="${inputStyle}">
+
+          <div id="auth-error" role="alert" style="color: #ffab91; font-size: 0.9rem; min-height: 1.2rem; text-align: left;"></div>
+
+          <button type="submit" id="sign-in-btn" style="${buttonStyle}">Sign in</button>
+          <button type="button" id="register-btn" style="${buttonStyle}">Create account</button>
+        </form>
         
-        <button id="start-journey-btn" style="
-          background: linear-gradient(135deg, #64b5f6, #42a5f5);
-          color: white;
-          border: none;
-          padding: 0.75rem 2rem;
+        <button type="button" id="anonymous-btn" style="
+          background: none;
+          border: 1px solid rgba(255,255,255,0.3);
+          color: rgba(255,255,255,0.9);
+          padding: 0.6rem 1.5rem;
           border-radius: 8px;
-          font-size: 1.1rem;
-          font-weight: 500;
+          font-size: 0.95rem;
+          cursor: pointer;
+        ">Continue anonymously</button>
+        <small style="
+          display: block;
+          margin-top: 0.5rem;
+          color: rgba(255,255,255,0.6);
+          font-size: 0.8rem;
+        ">No account: your history stays with this browser, or any device you link with your recovery phrase</small>
+
+        <button type="button" id="recover-toggle-btn" style="
+          background: none;
+          border: none;
+          color: #90caf9;
+          margin-top: 1rem;
+          font-size: 0.9rem;
+          text-decoration: underline;
           cursor: pointer;
-          transition: all 0.3s ease;
-          margin: 1rem 0;
-        ">Begin the therapy</button>
+        ">Continue on another device</button>
+        <form id="recover-form" hidden style="margin-top: 1rem;">
+          <label for="recovery-phrase-input" style="${labelStyle}">Recovery phrase</label>
+          <input type="text" id="recovery-phrase-input" autocomplete="off" autocapitalize="none" spellcheck="false" placeholder="The eight words you were given" style="${inputStyle}">
+          <button type="submit" id="recover-btn" style="${buttonStyle}">Continue my history</button>
+        </form>
         
         <div style="
           margin-top: 1.5rem;
@@ -155,101 +241,226 @@ class CompleteUserIntegration {
 
     document.body.appendChild(modalOverlay);
 
-    // Focus on input and pre-populate if returning user
-    setTimeout(() => {
-      const input = document.getElementById('user-name-input');
-      if (input) {
-        // Pre-populate with existing name if available
-        if (this.userName) {
-          input.value = this.userName;
-          console.log('🔄 Pre-populated name field for returning user:', this.userName);
-        }
-        input.focus();
+    const form = document.getElementById('auth-form');
+    const nameInput = document.getElementById('user-name-input');
+    const handleInput = document.getElementById('auth-handle-input');
+    const passphraseInput = document.getElementById('auth-passphrase-input');
+    const errorElement = document.getElementById('auth-error');
+    const buttons = modalOverlay.querySelectorAll('button');
+
+    // Pre-populate with existing name if available
+    if (this.userName) {
+      nameInput.value = this.userName;
+    }
+    setTimeout(() => handleInput.focus(), 100);
+
+    const submit = async (path, body) => {
+      errorElement.textContent = '';
+      buttons.forEach((button) => button.disabled = true);
+      try {
+        await this.authenticate(path, body, nameInput.value.trim() || null);
+        modalOverlay.remove();
+      } catch (error) {
+        errorElement.textContent = error.message;
+        buttons.forEach((button) => button.disabled = false);
       }
-    }, 100);
+    };
 
-    // Handle form submission
-    const startBtn = document.getElementById('start-journey-btn');
-    const nameInput = document.getElementById('user-name-input');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      submit('login', { handle: handleInput.value, passphrase: passphraseInput.value });
+    });
 
-    const handleStart = () => {
-      const name = nameInput.value.trim();
-      this.userName = name || null;
-      this.createUser();
-      modalOverlay.remove();
-    };
+    document.getElementById('register-btn').addEventListener('click', () => {
+      submit('register', {
+        handle: handleInput.value,
+        passphrase: passphraseInput.value,
+        userName: nameInput.value.trim() || undefined,
+        claimUserId: this.userId // History kept under this browser's ID before sign-in existed
+      });
+    });
 
-    startBtn.addEventListener('click', handleStart);
-    nameInput.addEventListener('keypress', (e) => {
-      if (e.key === 'Enter') handleStart();
+    document.getElementById('anonymous-btn').addEventListener('click', () => {
+      submit('anonymous', { claimUserId: this.userId });
+    });
+
+    // An anonymous user's recovery phrase links this browser to their existing history
+    const recoverForm = document.getElementById('recover-form');
+    document.getElementById('recover-toggle-btn').addEventListener('click', () => {
+      recoverForm.hidden = !recoverForm.hidden;
+      if (!recoverForm.hidden) document.getElementById('recovery-phrase-input').focus();
+    });
+    recoverForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      submit('recover', { phrase: document.getElementById('recovery-phrase-input').value });
     });
   }
 
-  createUser() {
-    this.userId = this.generateUserId();
+  /**
+   * Show an anonymous user's recovery phrase. It is shown only when issued, so the user is
+   * asked to write it down before carrying on.
+   */
+  showRecoveryPhrase(phrase) {
+    return new Promise((resolve) => {
+      const overlay = document.createElement('div');
+      overlay.id = 'recovery-phrase-modal';
+      overlay.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 20, 40, 0.95);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        z-index: 10001;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      `;
+
+      overlay.innerHTML = `
+        <div role="dialog" aria-labelledby="recovery-phrase-title" style="
+          background: linear-gradient(135deg, rgba(255,255,255,0.1), rgba(255,255,255,0.05));
+          border: 1px solid rgba(255,255,255,0.2);
+          border-radius: 20px;
+          padding: 2rem;
+          max-width: 450px;
+          width: 90%;
+          color: white;
+          text-align: center;
+        ">
+          <h2 id="recovery-phrase-title" style="margin: 0 0 1rem 0; font-size: 1.5rem;">Your recovery phrase</h2>
+          <p style="color: rgba(255,255,255,0.8); margin: 0 0 1rem 0;">
+            Write these words down and keep them somewhere safe. They are the only way to continue
+            your history on another device or after clearing this browser. You will not be shown them again.
+          </p>
+          <p id="recovery-phrase-text" style="
+            font-family: monospace;
+            font-size: 1.2rem;
+            line-height: 1.6;
+            padding: 1rem;
+            background: rgba(255,255,255,0.1);
+            border-radius: 8px;
+            user-select: all;
+          "></p>
+          <button type="button" id="recovery-phrase-copy" style="
+            background: none;
+            border: 1px solid rgba(255,255,255,0.3);
+            color: white;
+            padding: 0.6rem 1.2rem;
+            border-radius: 8px;
+            margin: 0.5rem;
+            cursor: pointer;
+          ">Copy</button>
+          <button type="button" id="recovery-phrase-done" style="
+            background: linear-gradient(135deg, #64b5f6, #42a5f5);
+            color: white;
+            border: none;
+            padding: 0.6rem 1.2rem;
+            border-radius: 8px;
+            margin: 0.5rem;
+            cursor: pointer;
+          ">I've saved it</button>
+        </div>
+      `;
 
-    console.log('🆔 Creating user with UUID:', this.userId, 'Name:', this.userName || 'Anonymous');
-    console.log('🔍 localStorage data:', localStorage.getItem('therapeuticWaveUser'));
+      document.body.appendChild(overlay);
+      document.getElementById('recovery-phrase-text').textContent = phrase;
 
-    // Send to server
-    this.socket.emit('createUser', {
-      userId: this.userId,
-      userName: this.userName,
-      isAnonymous: !this.userName
+      document.getElementById('recovery-phrase-copy').addEventListener('click', async (e) => {
+        try {
+          await navigator.clipboard.writeText(phrase);
+          e.target.textContent = 'Copied';
+        } catch (error) {
+          console.warn('Could not copy the recovery phrase:', error);
+        }
+      });
+
+      const done = document.getElementById('recovery-phrase-done');
+      done.addEventListener('click', () => {
+        overlay.remove();
+        resolve();
+      });
+      done.focus();
     });
+  }
+
+  /**
+   * Sign in (or continue anonymously) with the server, then connect with the issued token
+   */
+  async authenticate(path, body, userName) {
+    let response;
+    try {
+      response = await fetch(`/api/auth/${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+    } catch (error) {
+      throw new Error('Could not reach the server. Please check your connection.');
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || 'Sign-in failed. Please try again.');
+    }
 
-    // Save locally
+    localStorage.setItem(AUTH_TOKEN_STORAGE_KEY, data.token);
+    this.userId = data.userId;
+    this.userName = userName || data.userName || null;
+    this.isAnonymous = data.isAnonymous;
     this.saveUserData();
 
-    // Show welcome message
-    this.showWelcomeMessage();
+    console.log('🔐 Signed in:', data.isAnonymous ? 'anonymously' : 'with an account');
+    this.connect();
+  }
 
-    // Don't auto-start streaming here - wait for user creation to complete
-    // autoStartStreaming will be called from the userCreated event handler
+  /**
+   * Connect the socket; the profile is loaded on every connect so a reconnected socket
+   * is bound to the user again
+   */
+  connect() {
+    if (!this.connectListenerAdded) {
+      this.socket.on('connect', () => this.createUser());
+      this.connectListenerAdded = true;
+    }
+    this.socket.connect();
   }
 
-  generateUserId() {
-    // First, try to get existing UUID from localStorage
-    try {
-      const existingUserData = localStorage.getItem('therapeuticWaveUser');
-      if (existingUserData) {
-        const userData = JSON.parse(existingUserData);
-        if (userData.userId && userData.userName) {
-          // Check if the name matches - if not, this might be a different user
-          if (this.userName && userData.userName !== this.userName) {
-            console.log('⚠️ Name mismatch detected! Stored:', userData.userName, 'Current:', this.userName);
-            console.log('🆕 Generating new UUID for different user');
-            // Clear old data and generate new UUID
-            localStorage.removeItem('therapeuticWaveUser');
-          } else {
-            console.log('🔄 Using existing UUID for returning user:', userData.userId);
-            return userData.userId;
-          }
-        } else if (userData.userId) {
-          console.log('🔄 Using existing UUID for returning user:', userData.userId);
-          return userData.userId;
-        }
-      }
-    } catch (error) {
-      console.warn('Could not retrieve existing user data:', error);
+  createUser() {
+    console.log('🆔 Loading profile for', this.userName || 'Anonymous');
+
+    // The server knows who we are from the token; only the preferred name is sent
+    this.socket.emit('createUser', {
+      userName: this.userName
+    });
+
+    if (!this.profileLoaded) {
+      this.showWelcomeMessage();
     }
 
-    // Generate new UUID for new users
-    let newUserId;
-    if (window.crypto && window.crypto.randomUUID) {
-      newUserId = window.crypto.randomUUID();
-    } else {
-      newUserId = 'user_' + Date.now() + '_' + Math.random().toString(36).substring(2, 11);
+    // Don't auto-start streaming here - wait for user creation to complete
+    // autoStartStreaming will be called from the userCreated event handler
+  }
+
+  /**
+   * Forget the sign-in on this device and ask again
+   */
+  signOut() {
+    if (this.isAnonymous && !confirm('You are using Hope anonymously. After signing out, this history can only be reached again with your recovery phrase. Sign out anyway?')) {
+      return;
     }
 
-    console.log('🆕 Generated new UUID for new user:', newUserId);
-    return newUserId;
+    localStorage.removeItem(AUTH_TOKEN_STORAGE_KEY);
+    localStorage.removeItem('therapeuticWaveUser');
+    window.location.reload();
   }
 
   saveUserData() {
     const userData = {
       userId: this.userId,
       userName: this.userName,
+      isAnonymous: this.isAnonymous,
       createdAt: new Date().toISOString(),
       lastSeen: new Date().toISOString()
     };
@@ -270,8 +481,10 @@ class CompleteUserIntegration {
   }
 
   autoStartStreaming() {
-    // Wait for the user creation process to complete, then auto-start streaming
-    setTimeout(() => {
+    // Wait for the user creation process to complete, then ask how the user is feeling
+    // before auto-starting streaming
+    setTimeout(async () => {
+      this.preSessionCheckIn = await this.showMoodCheckIn('before');
       console.log('🎙️ Auto-starting streaming session...');
 
       // Find and click the start button
@@ -295,6 +508,116 @@ class CompleteUserIntegration {
     }, 1000); // Wait 1 second for user creation to complete
   }
 
+  /**
+   * Ask for mood, stress and anxiety on a 1-10 scale before or after a session.
+   * Resolves with the answered ratings, or null when the check-in is skipped.
+   */
+  showMoodCheckIn(phase) {
+    const questions = [
+      { field: 'mood', label: phase === 'before' ? 'How is your mood right now?' : 'How is your mood now?', low: 'Very low', high: 'Very good' },
+      { field: 'stress', label: 'How stressed do you feel?', low: 'Calm', high: 'Very stressed' },
+      { field: 'anxiety', label: 'How anxious do you feel?', low: 'Not anxious', high: 'Very anxious' }
+    ];
+
+    return new Promise((resolve) => {
+      const previousFocus = document.activeElement;
+      const overlay = document.createElement('div');
+      overlay.id = 'mood-check-in';
+      overlay.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 20, 40, 0.95);
+        backdrop-filter: blur(10px);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        z-index: 10000;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      `;
+
+      overlay.innerHTML = `
+        <form role="dialog" aria-modal="true" aria-labelledby="check-in-title" aria-describedby="check-in-description" style="
+          background: linear-gradient(135deg, rgba(255,255,255,0.1), rgba(255,255,255,0.05));
+          border: 1px solid rgba(255,255,255,0.2);
+          border-radius: 20px;
+          padding: 2rem;
+          max-width: 520px;
+          width: 90%;
+          max-height: 90vh;
+          overflow-y: auto;
+          box-shadow: 0 20px 40px rgba(0,0,0,0.3);
+          color: white;
+        ">
+          <h2 id="check-in-title" style="margin: 0 0 0.5rem 0; font-size: 1.5rem;">
+            ${phase === 'before' ? 'Before we begin' : 'Before you go'}
+          </h2>
+          <p id="check-in-description" style="color: rgba(255,255,255,0.8); margin: 0 0 1.5rem 0;">
+            Rate each from 1 to 10. Answer only what you want to; you can also skip this check-in.
+          </p>
+          ${questions.map(question => `
+            <fieldset class="check-in-scale">
+              <legend>${question.label}</legend>
+              <div class="check-in-options">
+                ${Array.from({ length: 10 }, (_, i) => i + 1).map(value => `
+                  <label>
+                    <input type="radio" name="check-in-${question.field}" value="${value}"
+                      aria-label="${value}${value === 1 ? ` - ${question.low}` : value === 10 ? ` - ${question.high}` : ''}">
+                    <span>${value}</span>
+                  </label>
+                `).join('')}
+              </div>
+              <div class="check-in-anchors" aria-hidden="true"><span>${question.low}</span><span>${question.high}</span></div>
+            </fieldset>
+          `).join('')}
+          <div style="display: flex; gap: 1rem; justify-content: flex-end; margin-top: 1.5rem;">
+            <button type="button" id="check-in-skip" class="button">Skip</button>
+            <button type="submit" class="button">Continue</button>
+          </div>
+        </form>
+      `;
+
+      document.body.appendChild(overlay);
+      const form = overlay.querySelector('form');
+
+      const close = (answers) => {
+        overlay.remove();
+        if (previousFocus && typeof previousFocus.focus === 'function') {
+          previousFocus.focus();
+        }
+        resolve(answers);
+      };
+
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const answers = {};
+        questions.forEach(({ field }) => {
+          const selected = form.querySelector(`input[name="check-in-${field}"]:checked`);
+          if (selected) {
+            answers[field] = Number(selected.value);
+          }
+        });
+        console.log(`📝 ${phase === 'before' ? 'Pre' : 'Post'}-session check-in:`, answers);
+        close(Object.keys(answers).length > 0 ? answers : null);
+      });
+
+      overlay.querySelector('#check-in-skip').addEventListener('click', () => {
+        console.log(`📝 ${phase === 'before' ? 'Pre' : 'Post'}-session check-in skipped`);
+        close(null);
+      });
+
+      overlay.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+          close(null);
+        }
+      });
+
+      setTimeout(() => form.querySelector('input')?.focus(), 100);
+    });
+  }
+
   showNotification(message, type = 'info', duration = 4000) {
     const notification = document.createElement('div');
     notification.style.cssText = `
@@ -329,9 +652,25 @@ class CompleteUserIntegration {
   }
 
   setupSocketListeners() {
-    this.socket.on('userCreated', (data) => {
+    this.socket.on('userCreated', async (data) => {
       console.log('✅ User processed:', data);
       if (data.success) {
+        // Keep the renewed token so regular visits never have to sign in again
+        localStorage.setItem(AUTH_TOKEN_STORAGE_KEY, data.token);
+        this.userId = data.userId;
+        this.userName = data.userName || this.userName;
+        this.isAnonymous = data.isAnonymous;
+        this.saveUserData();
+
+        // A reconnect loads the profile again; the session is already running
+        if (this.profileLoaded) return;
+        this.profileLoaded = true;
+
+        // Wait for the phrase to be written down before the session starts
+        if (data.recoveryPhrase) {
+          await this.showRecoveryPhrase(data.recoveryPhrase);
+        }
+
         if (data.isReturning) {
           this.showNotification(`Welcome back, ${data.userName || 'friend'}! 🎉`, 'welcome', 5000);
         } else {
@@ -341,6 +680,8 @@ class CompleteUserIntegration {
         // Now that user is created successfully, auto-start streaming
         console.log('🚀 User creation complete - starting auto-streaming...');
         this.autoStartStreaming();
+      } else if (data.authRequired) {
+        window.dispatchEvent(new CustomEvent('authRequired'));
       } else {
         console.warn('❌ User processing failed:', data.error);
         this.showNotification('Failed to create user. Please try again.', 'error');
@@ -378,6 +719,109 @@ class CompleteUserIntegration {
       this.sessionStartTime = null;
       this.conversationTranscript = '';
     });
+
+    this.socket.on('weeklyProgress', (data) => {
+      if (!data.success) {
+        console.warn('❌ Weekly progress unavailable:', data.error);
+        return;
+      }
+
+      this.weeklyProgress = data.weeks;
+      window.dispatchEvent(new CustomEvent('weeklyProgressLoaded', {
+        detail: data.weeks
+      }));
+    });
+  }
+
+  /**
+   * Export, erase and access history requests from the settings panel
+   */
+  setupDataControls() {
+    window.addEventListener('userDataExportRequested', (event) => {
+      this.socket.emit('exportUserData', { format: event.detail.format });
+      this.showNotification('Preparing your data export...', 'info');
+    });
+
+    window.addEventListener('userDataEraseRequested', () => {
+      this.socket.emit('eraseUserData', { confirm: true });
+    });
+
+    window.addEventListener('accessLogRequested', () => {
+      this.socket.emit('getAccessLog', { limit: 50 });
+    });
+
+    this.socket.on('accessLog', (data) => {
+      if (!data.success) {
+        console.error('❌ Access history unavailable:', data.error);
+        this.showNotification('Could not load who accessed your data. Please try again.', 'error');
+        return;
+      }
+
+      window.dispatchEvent(new CustomEvent('accessLogLoaded', {
+        detail: { entries: data.entries, chainValid: data.chainValid }
+      }));
+    });
+
+    this.socket.on('userDataExport', (data) => {
+      if (!data.success) {
+        console.error('❌ Data export failed:', data.error);
+        this.showNotification('Could not export your data. Please try again.', 'error');
+        return;
+      }
+
+      const blob = data.format === 'zip'
+        ? new Blob([Uint8Array.from(atob(data.data), (c) => c.charCodeAt(0))], { type: 'application/zip' })
+        : new Blob([JSON.stringify(data.data, null, 2)], { type: 'application/json' });
+      this.downloadFile(blob, data.fileName);
+      this.showNotification('Your data export has been downloaded.', 'success');
+    });
+
+    this.socket.on('userDataErased', (data) => {
+      if (!data.success) {
+        console.error('❌ Data erasure failed:', data.error);
+        this.showNotification('Could not erase your data. Please try again.', 'error');
+        return;
+      }
+
+      // Forget the user on this device too, then keep the receipt
+      localStorage.removeItem(AUTH_TOKEN_STORAGE_KEY);
+      localStorage.removeItem('therapeuticWaveUser');
+      localStorage.removeItem('wave-accessibility-settings');
+      this.userId = null;
+      this.userName = null;
+      this.sessionId = null;
+      this.sessionStartTime = null;
+      this.conversationTranscript = '';
+
+      this.downloadFile(
+        new Blob([JSON.stringify(data.receipt, null, 2)], { type: 'application/json' }),
+        `hope-deletion-receipt-${data.receipt.receiptId}.json`
+      );
+      this.showNotification('All of your data has been erased. Your deletion receipt has been downloaded.', 'success', 8000);
+
+      // The connection belonged to the erased user; a fresh start needs a new sign-in
+      this.profileLoaded = false;
+      this.socket.disconnect();
+      this.showUserInputModal();
+    });
+  }
+
+  downloadFile(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Ask for the user's weekly progress; the answer arrives as a weeklyProgressLoaded event
+   */
+  requestWeeklyProgress(weeks = 12) {
+    this.socket.emit('getWeeklyProgress', { weeks });
   }
 
   handleSessionContext(context) {
@@ -421,7 +865,12 @@ class CompleteUserIntegration {
     this.socket.on('textOutput', (data) => {
       if (data.content && data.role) {
         const speaker = data.role === 'USER' ? 'User' : 'Assistant';
-        this.conversationTranscript += `${speaker}: ${data.content}\n`;
+        if (!this.conversationTranscript) {
+          this.transcriptStartedAt = Date.now();
+        }
+        // Stamp each turn with its time in the conversation so summaries can point back to it
+        const offset = this.formatTranscriptOffset(Date.now() - this.transcriptStartedAt);
+        this.conversationTranscript += `[${offset}] ${speaker}: ${data.content}\n`;
         console.log('📝 Added to transcript:', `${speaker}: ${data.content}`);
       }
     });
@@ -430,6 +879,15 @@ class CompleteUserIntegration {
     this.hookIntoButtons();
   }
 
+  formatTranscriptOffset(milliseconds) {
+    const totalSeconds = Math.floor(milliseconds / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const pad = (value) => String(value).padStart(2, '0');
+    return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${pad(minutes)}:${pad(seconds)}`;
+  }
+
   hookIntoButtons() {
     const startButton = document.getElementById('start');
     const stopButton = document.getElementById('stop');
@@ -485,22 +943,25 @@ class CompleteUserIntegration {
     console.log('📊 Session creation timestamp:', new Date().toISOString());
 
     this.socket.emit('startTherapySession', {
-      userId: this.userId,
-      initialEmotionalState: {
-        initialMood: 5,
-        stressLevel: 5,
-        anxietyLevel: 5,
-        dominantEmotions: ['curious']
-      }
+      checkIn: this.preSessionCheckIn || undefined
     });
+    this.preSessionCheckIn = null;
   }
 
-  endSession() {
+  async endSession() {
     if (!this.sessionId) {
       console.log('No active session to end');
       return;
     }
 
+    // The stop button and stream completion can both end the session
+    if (this.endingSession) return;
+    this.endingSession = true;
+
+    const checkIn = await this.showMoodCheckIn('after');
+    this.endingSession = false;
+    if (!this.sessionId) return;
+
     const duration = this.sessionStartTime
       ? Math.floor((new Date() - new Date(this.sessionStartTime)) / 1000)
       : 60; // Default 1 minute
@@ -513,30 +974,9 @@ class CompleteUserIntegration {
 
     this.socket.emit('completeTherapySession', {
       sessionId: this.sessionId,
-      userId: this.userId,
       transcript: this.conversationTranscript,
-      finalEmotionalState: {
-        initialMood: 5,
-        finalMood: 7,
-        stressLevel: 3,
-        anxietyLevel: 3,
-        calmingEffectiveness: 8
-      },
-      sessionMetrics: {
-        duration: duration,
-        sessionQuality: 8,
-        engagementLevel: 9,
-        responseTime: 250,
-        interruptionCount: 0,
-        silenceDuration: Math.max(0, duration - 30),
-        voiceStressIndicators: {
-          averagePitch: 200,
-          pitchVariation: 50,
-          speakingRate: 150,
-          pauseFrequency: 0.3,
-          volumeConsistency: 0.8
-        }
-      },
+      checkIn: checkIn || undefined,
+      // Duration and voice metrics are measured by the server
       userConsent: true
     });
   }
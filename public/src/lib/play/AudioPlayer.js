@@ -17,8 +17,10 @@ export class AudioPlayer {
         }
     }
 
-    async start() {
-        this.audioContext = new AudioContext({ "sampleRate": 24000 });
+    // sampleRate must match the outputSampleRateHertz the session was configured with
+    async start(sampleRate = 24000) {
+        this.sampleRate = sampleRate;
+        this.audioContext = new AudioContext({ "sampleRate": sampleRate });
         this.analyser = this.audioContext.createAnalyser();
         this.analyser.fftSize = 512;
 
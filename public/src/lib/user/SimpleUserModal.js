@@ -93,10 +93,23 @@ export class SimpleUserModal {
           </div>
         </div>
         
-        <div class="name-input" style="display: none;">
+        <div class="option-card" data-type="recover">
+          <div class="option-icon">📱</div>
+          <div class="option-text">
+            <h4>Continue on Another Device</h4>
+            <p>Use the recovery phrase from your other device to keep your history</p>
+          </div>
+        </div>
+        
+        <div class="name-input" data-for="named" style="display: none;">
           <input type="text" id="user-name" placeholder="Enter your first name" maxlength="30">
           <small>This helps personalize your experience</small>
         </div>
+        
+        <div class="name-input" data-for="recover" style="display: none;">
+          <input type="text" id="recovery-phrase" placeholder="The eight words you were given" autocomplete="off" autocapitalize="none" spellcheck="false">
+          <small class="recover-error" role="alert"></small>
+        </div>
       </div>
     `;
   }
@@ -402,16 +415,16 @@ export class SimpleUserModal {
       }
     });
 
-    // Enter key in name input
+    // Enter key in name or recovery phrase input
     modal.addEventListener('keypress', (e) => {
-      if (e.target.id === 'user-name' && e.key === 'Enter') {
+      if ((e.target.id === 'user-name' || e.target.id === 'recovery-phrase') && e.key === 'Enter') {
         this.handleContinue();
       }
     });
   }
 
   /**
-   * Select option (anonymous or named)
+   * Select option (anonymous, named or another device)
    */
   selectOption(optionCard) {
     // Remove active class from all options
@@ -422,20 +435,18 @@ export class SimpleUserModal {
     // Add active class to selected option
     optionCard.classList.add('active');
 
-    // Show/hide name input
-    const nameInput = document.querySelector('.name-input');
-    const isNamed = optionCard.dataset.type === 'named';
-    
-    if (nameInput) {
-      nameInput.style.display = isNamed ? 'block' : 'none';
+    // Show the input that belongs to the option, if any
+    document.querySelectorAll('.name-input').forEach(section => {
+      const isSelected = section.dataset.for === optionCard.dataset.type;
+      section.style.display = isSelected ? 'block' : 'none';
       
-      if (isNamed) {
+      if (isSelected) {
         setTimeout(() => {
-          const input = document.getElementById('user-name');
+          const input = section.querySelector('input');
           if (input) input.focus();
         }, 100);
       }
-    }
+    });
   }
 
   /**
@@ -445,6 +456,11 @@ export class SimpleUserModal {
     const selectedOption = document.querySelector('.option-card.active');
     const isNamed = selectedOption?.dataset.type === 'named';
     
+    if (selectedOption?.dataset.type === 'recover') {
+      this.handleRecover();
+      return;
+    }
+    
     let userName = null;
     if (isNamed) {
       const nameInput = document.getElementById('user-name');
@@ -468,6 +484,48 @@ export class SimpleUserModal {
     });
   }
 
+  /**
+   * Redeem a recovery phrase, linking this browser to the anonymous user it belongs to.
+   * The server issues a session token for that user, so this browser continues the same
+   * history without an email or passphrase.
+   */
+  async handleRecover() {
+    const phrase = document.getElementById('recovery-phrase')?.value || '';
+    const errorElement = document.querySelector('.recover-error');
+    const continueButton = document.getElementById('modal-continue');
+    
+    errorElement.textContent = '';
+    continueButton.disabled = true;
+    
+    try {
+      const response = await fetch('/api/auth/recover', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ phrase })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || 'That recovery phrase was not recognised');
+      }
+      
+      // main.js sends this token in the socket handshake
+      localStorage.setItem('therapeuticWaveAuth', data.token);
+      this.userId = data.userId;
+      this.saveUser(data.userName || null);
+      
+      this.complete({
+        userId: data.userId,
+        userName: data.userName || null,
+        token: data.token,
+        isNew: false,
+        action: 'recover'
+      });
+    } catch (error) {
+      errorElement.textContent = error.message;
+      continueButton.disabled = false;
+    }
+  }
+
   /**
    * Handle continue session for returning users
    */
@@ -140,7 +140,8 @@ export class UserIdentification {
   }
 
   /**
-   * Export user data (for privacy compliance)
+   * Export the identity kept on this device. Everything stored on the server is
+   * exported with the exportUserData socket event.
    */
   exportUserData() {
     return {
@@ -59,9 +59,27 @@ export class AccessibilityController {
     }
     
     /**
-     * Load accessibility settings from localStorage
+     * Load accessibility settings from localStorage, or apply the settings saved on the
+     * server for this user (which then replace the local copy)
      */
-    loadSettings() {
+    loadSettings(serverSettings = null) {
+        if (serverSettings) {
+            const oldSettings = { ...this.settings };
+            Object.keys(serverSettings).forEach(key => {
+                if (this.settings.hasOwnProperty(key)) {
+                    this.settings[key] = serverSettings[key];
+                }
+            });
+            this.validateSettings();
+            this.saveSettings({ local: true });
+            this.emit('settingsChanged', {
+                oldSettings,
+                newSettings: this.getSettings()
+            });
+            console.log('Loaded accessibility settings from server');
+            return;
+        }
+
         try {
             const savedSettings = localStorage.getItem('wave-accessibility-settings');
             if (savedSettings) {
@@ -75,15 +93,22 @@ export class AccessibilityController {
     }
     
     /**
-     * Save accessibility settings to localStorage
+     * Save accessibility settings to localStorage and announce them so they can be saved
+     * on the server; { local: true } skips the announcement (used for server settings)
      */
-    saveSettings() {
+    saveSettings({ local = false } = {}) {
         try {
             localStorage.setItem('wave-accessibility-settings', JSON.stringify(this.settings));
             console.log('Saved accessibility settings to localStorage');
         } catch (error) {
             console.warn('Failed to save accessibility settings:', error);
         }
+
+        if (!local) {
+            window.dispatchEvent(new CustomEvent('accessibilitySettingsSaved', {
+                detail: this.getSettings()
+            }));
+        }
     }
     
     /**
@@ -25,6 +25,13 @@ export class AudioVisualizer {
                 harmonicScale: 0.3,              // Scale factor for harmonic content
                 baselineAmplitude: 25            // Baseline amplitude when no audio
             },
+            voice: {
+                frameMs: 100,                    // Length of each voice metrics frame
+                minPitchRms: 0.01,               // Quieter frames are not pitch-tracked
+                minPitchHz: 60,                  // Lowest speaking pitch tracked
+                maxPitchHz: 500,                 // Highest speaking pitch tracked
+                minCorrelation: 0.5              // Autocorrelation needed to accept a pitch
+            },
             ...config
         };
         
@@ -50,7 +57,11 @@ export class AudioVisualizer {
             
             // State tracking
             isActive: false,
-            lastUpdateTime: 0
+            lastUpdateTime: 0,
+
+            // Voice metrics: microphone samples collected into fixed-length frames
+            voiceBuffer: [],
+            voiceFrames: []
         };
         
         // Initialize analysis buffers
@@ -165,6 +176,79 @@ export class AudioVisualizer {
         };
     }
     
+    /**
+     * Collect microphone samples into voice frames of config.voice.frameMs, each analysed
+     * for loudness (RMS) and pitch. Frames are sent to the server for session metrics.
+     */
+    collectVoiceFrame(inputData, assistantAudible = false) {
+        if (!this.state.audioContext || !inputData) return;
+
+        const sampleRate = this.state.audioContext.sampleRate;
+        const frameLength = Math.round(sampleRate * this.config.voice.frameMs / 1000);
+        for (let i = 0; i < inputData.length; i++) {
+            this.state.voiceBuffer.push(inputData[i]);
+        }
+
+        while (this.state.voiceBuffer.length >= frameLength) {
+            const frame = this.state.voiceBuffer.splice(0, frameLength);
+            const rms = Math.sqrt(frame.reduce((sum, sample) => sum + sample * sample, 0) / frame.length);
+            const pitch = rms >= this.config.voice.minPitchRms ? this.estimatePitch(frame, sampleRate) : 0;
+            this.state.voiceFrames.push([
+                Math.round(rms * 10000) / 10000,
+                Math.round(pitch),
+                assistantAudible ? 1 : 0
+            ]);
+        }
+    }
+
+    /**
+     * Return and clear the voice frames collected since the last call
+     */
+    takeVoiceFrames() {
+        const frames = this.state.voiceFrames;
+        this.state.voiceFrames = [];
+        return frames;
+    }
+
+    /**
+     * Estimate the fundamental frequency of a voiced frame by autocorrelation,
+     * returning 0 when no clear pitch is found
+     */
+    estimatePitch(samples, sampleRate) {
+        // Downsample to about 16 kHz; plenty for speech pitch and much cheaper
+        const step = Math.max(1, Math.floor(sampleRate / 16000));
+        const rate = sampleRate / step;
+        const data = [];
+        for (let i = 0; i < samples.length; i += step) {
+            data.push(samples[i]);
+        }
+
+        const minLag = Math.floor(rate / this.config.voice.maxPitchHz);
+        const maxLag = Math.min(Math.ceil(rate / this.config.voice.minPitchHz), data.length - 1);
+
+        let energy = 0;
+        for (let i = 0; i < data.length; i++) {
+            energy += data[i] * data[i];
+        }
+        if (energy === 0) return 0;
+
+        let bestLag = 0;
+        let bestCorrelation = 0;
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            let correlation = 0;
+            for (let i = 0; i < data.length - lag; i++) {
+                correlation += data[i] * data[i + lag];
+            }
+            correlation /= energy;
+            if (correlation > bestCorrelation) {
+                bestCorrelation = correlation;
+                bestLag = lag;
+            }
+        }
+
+        return bestCorrelation >= this.config.voice.minCorrelation && bestLag > 0 ? rate / bestLag : 0;
+    }
+
     /**
      * Get baseline wave data for idle state
      */
@@ -172,6 +172,105 @@ export class SettingsInterface {
                     </div>
                 </section>
                 
+                <!-- Voice Section -->
+                <section class="settings-section">
+                    <h3>Voice</h3>
+                    <p class="section-description">Choose the voice you find most calming. Changes apply from your next session.</p>
+                    
+                    <div class="setting-group">
+                        <label for="voice-id">Voice:</label>
+                        <select id="voice-id" class="setting-select">
+                            <option value="tiffany">Tiffany - Warm (US)</option>
+                            <option value="matthew">Matthew - Steady (US)</option>
+                            <option value="amy">Amy - Gentle (UK)</option>
+                        </select>
+                    </div>
+                    
+                    <div class="setting-group">
+                        <label for="voice-temperature">Response Variety:</label>
+                        <div class="slider-container">
+                            <input type="range" id="voice-temperature" class="setting-slider" 
+                                   min="0.1" max="1.0" step="0.1" value="0.7">
+                            <span class="slider-value">70%</span>
+                        </div>
+                        <p class="setting-description">Lower values keep responses more predictable</p>
+                    </div>
+                </section>
+                
+                <!-- Retention Section -->
+                <section class="settings-section">
+                    <h3>Keep My Conversations</h3>
+                    <p class="section-description">Choose how long Hope keeps each kind of data, counted from the session it came from. Shortening a period also removes older data.</p>
+                    
+                    <div class="setting-group">
+                        <label for="retention-transcript">Transcripts:</label>
+                        <select id="retention-transcript" class="setting-select retention-select" data-data-class="transcript">
+                            <option value="30d">30 days</option>
+                            <option value="1y">1 year</option>
+                            <option value="forever">Forever</option>
+                        </select>
+                    </div>
+                    
+                    <div class="setting-group">
+                        <label for="retention-summary">Summaries:</label>
+                        <select id="retention-summary" class="setting-select retention-select" data-data-class="summary">
+                            <option value="30d">30 days</option>
+                            <option value="1y">1 year</option>
+                            <option value="forever">Forever</option>
+                        </select>
+                    </div>
+                    
+                    <div class="setting-group">
+                        <label for="retention-wavePatterns">Wave Patterns:</label>
+                        <select id="retention-wavePatterns" class="setting-select retention-select" data-data-class="wavePatterns">
+                            <option value="30d">30 days</option>
+                            <option value="1y">1 year</option>
+                            <option value="forever">Forever</option>
+                        </select>
+                    </div>
+                    
+                    <div class="setting-group">
+                        <label for="retention-metrics">Progress Metrics:</label>
+                        <select id="retention-metrics" class="setting-select retention-select" data-data-class="metrics">
+                            <option value="30d">30 days</option>
+                            <option value="1y">1 year</option>
+                            <option value="forever">Forever</option>
+                        </select>
+                    </div>
+                </section>
+                
+                <!-- Your Data Section -->
+                <section class="settings-section">
+                    <h3>Your Data</h3>
+                    <p class="section-description">Download everything Hope has stored about you, or erase it all</p>
+                    
+                    <div class="setting-group data-actions">
+                        <button id="export-data-json" class="data-button">Download as JSON</button>
+                        <button id="export-data-zip" class="data-button">Download as ZIP</button>
+                    </div>
+                    
+                    <div class="setting-group">
+                        <button id="show-access-log" class="data-button">Who Accessed My Data</button>
+                        <p class="setting-description">Every time your conversations were read, exported or deleted, by whom and why</p>
+                        <div id="access-log" class="access-log" aria-live="polite" hidden></div>
+                    </div>
+                    
+                    <div class="setting-group">
+                        <button id="erase-data" class="reset-button">Erase All My Data</button>
+                        <p class="setting-description">Permanently deletes your profile, sessions, transcripts, progress and settings. You will get a deletion receipt.</p>
+                    </div>
+                    
+                    <div class="setting-group">
+                        <button id="reset-recovery-phrase" class="data-button">New Recovery Phrase</button>
+                        <p class="setting-description">For anonymous use: replaces your recovery phrase, the words that continue your history on another device. The old phrase stops working.</p>
+                    </div>
+                    
+                    <div class="setting-group">
+                        <button id="sign-out" class="data-button">Sign Out</button>
+                        <p class="setting-description">Forgets your sign-in on this device. Anonymous history can then only be reached with your recovery phrase.</p>
+                    </div>
+                </section>
+                
                 <!-- Reset Section -->
                 <section class="settings-section">
                     <div class="setting-group">
@@ -268,7 +367,7 @@ export class SettingsInterface {
         const valueDisplay = slider?.parentElement.querySelector('.slider-value');
         
         if (valueDisplay) {
-            if (sliderId === 'motion-intensity' || sliderId === 'color-intensity') {
+            if (sliderId === 'motion-intensity' || sliderId === 'color-intensity' || sliderId === 'voice-temperature') {
                 valueDisplay.textContent = Math.round(value * 100) + '%';
             } else if (sliderId === 'animation-speed') {
                 valueDisplay.textContent = value.toFixed(1) + 'x';
@@ -339,6 +438,65 @@ export class SettingsInterface {
             this.accessibilityController.updateSetting('flashReduction', e.target.checked);
         });
         
+        // Voice settings are requested at the next promptStart and saved server-side
+        document.getElementById('voice-id')?.addEventListener('change', (e) => {
+            this.requestVoicePreferences({ voiceId: e.target.value });
+        });
+        
+        document.getElementById('voice-temperature')?.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.updateSliderDisplay('voice-temperature', value);
+            this.requestVoicePreferences({ temperature: value });
+        });
+        
+        window.addEventListener('voicePreferencesLoaded', (e) => {
+            this.loadVoicePreferences(e.detail);
+        });
+        
+        // Retention is saved server-side, which also applies it to existing sessions
+        document.querySelectorAll('.retention-select').forEach(select => {
+            select.addEventListener('change', (e) => {
+                window.dispatchEvent(new CustomEvent('retentionSelected', {
+                    detail: { dataClass: e.target.dataset.dataClass, period: e.target.value }
+                }));
+            });
+        });
+        
+        window.addEventListener('retentionPolicyLoaded', (e) => {
+            this.loadRetentionPolicy(e.detail);
+        });
+        
+        // Data export and erasure are handled by the user integration, which owns the connection
+        document.getElementById('export-data-json')?.addEventListener('click', () => {
+            window.dispatchEvent(new CustomEvent('userDataExportRequested', { detail: { format: 'json' } }));
+        });
+        
+        document.getElementById('export-data-zip')?.addEventListener('click', () => {
+            window.dispatchEvent(new CustomEvent('userDataExportRequested', { detail: { format: 'zip' } }));
+        });
+        
+        document.getElementById('show-access-log')?.addEventListener('click', () => {
+            window.dispatchEvent(new CustomEvent('accessLogRequested'));
+        });
+        
+        window.addEventListener('accessLogLoaded', (e) => {
+            this.loadAccessLog(e.detail);
+        });
+        
+        document.getElementById('erase-data')?.addEventListener('click', () => {
+            if (confirm('Erase all of your data? This permanently deletes your sessions, transcripts, progress and settings and cannot be undone.')) {
+                window.dispatchEvent(new CustomEvent('userDataEraseRequested'));
+            }
+        });
+        
+        document.getElementById('reset-recovery-phrase')?.addEventListener('click', () => {
+            window.dispatchEvent(new CustomEvent('recoveryPhraseResetRequested'));
+        });
+        
+        document.getElementById('sign-out')?.addEventListener('click', () => {
+            window.dispatchEvent(new CustomEvent('signOutRequested'));
+        });
+        
         // Reset button
         document.getElementById('reset-settings')?.addEventListener('click', () => {
             this.resetSettings();
@@ -364,6 +522,101 @@ export class SettingsInterface {
         });
     }
     
+    /**
+     * Let the app save the chosen theme with the user's settings
+     */
+    announceThemeSelection(themeId) {
+        window.dispatchEvent(new CustomEvent('themeSelected', { detail: { themeId } }));
+    }
+    
+    /**
+     * Ask for new voice settings from the next session
+     */
+    requestVoicePreferences(preferences) {
+        window.dispatchEvent(new CustomEvent('voicePreferencesChanged', { detail: preferences }));
+    }
+    
+    /**
+     * Show the voice settings saved for the user
+     */
+    loadVoicePreferences(preferences) {
+        if (!preferences) return;
+        
+        const voiceSelect = document.getElementById('voice-id');
+        if (voiceSelect && preferences.voiceId) {
+            voiceSelect.value = preferences.voiceId;
+        }
+        
+        if (typeof preferences.temperature === 'number') {
+            const temperatureSlider = document.getElementById('voice-temperature');
+            if (temperatureSlider) {
+                temperatureSlider.value = preferences.temperature;
+                this.updateSliderDisplay('voice-temperature', preferences.temperature);
+            }
+        }
+    }
+    
+    /**
+     * Show the retention period the user's data is kept for
+     */
+    loadRetentionPolicy(policy) {
+        if (!policy) return;
+        
+        document.querySelectorAll('.retention-select').forEach(select => {
+            const period = policy[select.dataset.dataClass];
+            if (period) {
+                select.value = period;
+            }
+        });
+    }
+    
+    /**
+     * Show who accessed the user's data, most recent first
+     */
+    loadAccessLog(log) {
+        const container = document.getElementById('access-log');
+        if (!container || !log) return;
+        
+        const actions = {
+            'decrypt': 'Read',
+            'export': 'Exported',
+            'delete': 'Deleted',
+            'context-read': 'Recalled past sessions'
+        };
+        const describeActor = (entry) => {
+            if (entry.byUser) return 'You';
+            if (entry.actor.startsWith('system:')) return `Hope (${entry.actor.slice('system:'.length)})`;
+            if (entry.actor.startsWith('operator:')) return `Operator ${entry.actor.slice('operator:'.length)}`;
+            return entry.actor;
+        };
+        
+        container.replaceChildren();
+        if (!log.chainValid) {
+            const warning = document.createElement('p');
+            warning.className = 'access-log-warning';
+            warning.textContent = 'This history has been altered and may not be complete.';
+            container.appendChild(warning);
+        }
+        
+        if (log.entries.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'setting-description';
+            empty.textContent = 'Nobody has accessed your data yet.';
+            container.appendChild(empty);
+        } else {
+            const list = document.createElement('ul');
+            log.entries.forEach(entry => {
+                const item = document.createElement('li');
+                const count = entry.itemCount > 1 ? ` ${entry.itemCount} items` : '';
+                item.textContent = `${new Date(entry.timestamp).toLocaleString()}: ${describeActor(entry)} - ${actions[entry.action] || entry.action}${count} (${entry.purpose})`;
+                list.appendChild(item);
+            });
+            container.appendChild(list);
+        }
+        
+        container.hidden = false;
+    }
+    
     /**
      * Select a theme
      */
@@ -380,6 +633,7 @@ export class SettingsInterface {
         
         // Apply theme
         this.waveInterface.setTheme(themeId);
+        this.announceThemeSelection(themeId);
         
         console.log(`Theme selected: ${themeId}`);
     }
@@ -391,6 +645,7 @@ export class SettingsInterface {
         if (confirm('Reset all settings to their default values?')) {
             this.accessibilityController.resetToDefaults();
             this.waveInterface.setTheme('ocean-calm');
+            this.announceThemeSelection('ocean-calm');
             this.loadCurrentSettings();
             
             // Update theme selection UI
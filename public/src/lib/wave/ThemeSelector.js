@@ -256,6 +256,7 @@ export class ThemeSelector {
         if (success) {
             // Update UI to reflect selection
             this.updateActiveTheme(this.waveInterface.getThemeManager().getTheme(themeId).name);
+            window.dispatchEvent(new CustomEvent('themeSelected', { detail: { themeId } }));
             
             // Hide selector after selection
             setTimeout(() => {
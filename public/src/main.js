@@ -3,8 +3,15 @@ import { ChatHistoryManager } from "./lib/util/ChatHistoryManager.js";
 import { WaveInterface } from './lib/wave/WaveInterface.js';
 import { AudioVisualizer } from './lib/wave/AudioVisualizer.js';
 
-// Connect to the server
-const socket = io();
+// Session token issued by /api/auth, kept by the user integration
+const AUTH_TOKEN_STORAGE_KEY = 'therapeuticWaveAuth';
+
+// Connect to the server once the user integration has signed in; the token is sent in every
+// handshake and the server binds the connection to its user
+const socket = io({
+    autoConnect: false,
+    auth: (cb) => cb({ token: localStorage.getItem(AUTH_TOKEN_STORAGE_KEY) })
+});
 
 // Make socket available globally for user integration
 window.socket = socket;
@@ -19,11 +26,42 @@ window.addEventListener('sessionContextUpdated', (event) => {
     console.log('Session context stored - will be used when streaming starts');
 });
 
+// Voice settings changed in the settings panel; requested at the next promptStart and
+// validated and saved server-side
+window.addEventListener('voicePreferencesChanged', (event) => {
+    requestedVoicePreferences = { ...requestedVoicePreferences, ...event.detail };
+    console.log('Voice preferences will apply from the next session:', requestedVoicePreferences);
+});
+
+// Settings changed on this device are saved on the server once the user is known, so the
+// calming setup follows them to other devices
+let settingsSyncEnabled = false;
+
+window.addEventListener('accessibilitySettingsSaved', (event) => {
+    if (settingsSyncEnabled) {
+        socket.emit('updateSettings', { accessibility: event.detail });
+    }
+});
+
+window.addEventListener('themeSelected', (event) => {
+    if (settingsSyncEnabled) {
+        socket.emit('updateSettings', { theme: event.detail.themeId });
+    }
+});
+
+window.addEventListener('retentionSelected', (event) => {
+    if (settingsSyncEnabled) {
+        socket.emit('updateSettings', { retention: { [event.detail.dataClass]: event.detail.period } });
+    }
+});
+
 // DOM elements
 const startButton = document.getElementById('start');
 const stopButton = document.getElementById('stop');
 const statusElement = document.getElementById('status');
 const waveContainer = document.getElementById('wave-container');
+const textInputForm = document.getElementById('text-input-form');
+const textInputElement = document.getElementById('text-input');
 
 // Initialize wave interface and audio visualizer
 let waveInterface = null;
@@ -48,6 +86,8 @@ let isStreaming = false;
 let processor;
 let sourceNode;
 let waitingForAssistantResponse = false;
+let voiceAnalysisInterval = null;
+const VOICE_ANALYSIS_INTERVAL_MS = 2000;
 let waitingForUserTranscription = false;
 let userThinkingIndicator = null;
 let assistantThinkingIndicator = null;
@@ -61,64 +101,12 @@ let samplingRatio = 1;
 const TARGET_SAMPLE_RATE = 16000;
 const isFirefox = navigator.userAgent.toLowerCase().includes('firefox');
 
-// Session context for AI personalization
+// Session context from startTherapySession; streaming waits for it so the server has built
+// the personalized system prompt before it is requested
 let sessionContext = null;
 
-let SYSTEM_PROMPT = `
-Role & Persona:
-You are "Hope," a compassionate, patient, and empathetic digital assistant designed to offer support to individuals experiencing symptoms of post-traumatic stress syndrome (PTSD/PTS). Your primary role is to provide a safe, non-judgmental, and calming space. You are not a therapist, but a supportive guide who can offer evidence-based coping techniques, active listening, and grounding exercises.
-
-Core Principles:
-
-Safety First: Your top priority is user safety. You will never encourage harmful behaviors and will always provide crisis resources.
-
-Validation: You will always validate the user's feelings and experiences. Phrases like "That sounds incredibly difficult," or "It's understandable to feel that way given what you've been through" are key.
-
-Empowerment: Focus on the user's strengths and their ability to cope. Offer choices, not commands (e.g., "Would it be helpful to try a quick grounding exercise?" instead of "You must do this.").
-
-Patience: Be incredibly patient. Allow the user to guide the conversation. It's okay to sit in silence (use ellipses like "..."). There is no need to rush to a solution.
-
-Strict Boundaries & Rules:
-
-You are NOT a replacement for professional help. You must explicitly state this when necessary: "I'm here to support you, but it's important to remember that I'm not a licensed therapist. For working through trauma, a qualified mental health professional is the best resource."
-
-Never diagnose. You can say "That sounds like a common reaction to trauma," but never "You have PTSD."
-
-Never ask for details about the trauma. If a user starts to describe a traumatic event in graphic detail, gently interrupt: "Thank you for sharing that with me. You don't need to go into more detail than you're comfortable with. How is that memory affecting you right now in this moment?" This prevents re-traumatization.
-
-Never hallucinate or invent treatments. Only suggest well-established, evidence-based coping strategies (e.g., grounding, breathing, mindfulness).
-
-Crisis Protocol:
-If a user expresses intent to harm themselves or others, you MUST break the usual supportive tone and follow a direct protocol:
-
-"I hear that you're in immense pain, and I am deeply concerned for your safety."
-
-"Your life is precious, and this feeling, however overwhelming, can pass with the right help."
-
-Provide immediate crisis resources:
-
-"Please reach out to a crisis hotline right now. You can call or text 988 (in the US and Canada) to connect with a trained counselor 24/7. They are there to help."
-
-Encourage them to tell a trusted person or go to the nearest emergency room.
-
-Helpful Techniques to Employ:
-
-Grounding Exercises: Guide users through the 5-4-3-2-1 technique (Name 5 things you can see, 4 things you can feel, 3 things you can hear, 2 things you can smell, 1 thing you can taste) or simple breathwork (e.g., box breathing: inhale for 4, hold for 4, exhale for 4, hold for 4).
-
-Psychoeducation: Provide simple, reassuring information about PTSD (e.g., "It's common for PTSD to affect sleep," or "Hypervigilance is your body's way of trying to protect you.").
-
-Reflective Listening: Paraphrase what the user says to show you understand. "So what I'm hearing is that you feel on edge all the time, especially in crowded places."
-
-Open-Ended Questions: Use questions that encourage exploration without pressure. "How has that been for you?" "What does that feel like in your body?" "What do you need right now?"
-
-Tone & Style:
-
-Warm: Use a warm and welcoming tone. Use emojis sparingly and carefully (e.g., a heart ❤️ or a calm blue wave 🌊 can be okay; avoid anything overly cheerful like 😂).
-
-Calm: Your language should be soothing and steady.
-
-Clear: Use simple, direct sentences. Avoid clinical jargon.
-`;
+// Voice, sample rate and inference settings to request at promptStart (empty = saved or defaults)
+let requestedVoicePreferences = {};
 
 // Wait for session context to become available
 function waitForSessionContext() {
@@ -146,90 +134,6 @@ function waitForSessionContext() {
     });
 }
 
-// Generate contextualized system prompt based on session history
-function getContextualizedSystemPrompt() {
-    let contextualPrompt = SYSTEM_PROMPT;
-
-    if (sessionContext) {
-        contextualPrompt += `
-
-Session Context:
-${sessionContext.contextualMessage}
-
-Additional Guidelines Based on User History:
-`;
-
-        if (sessionContext.isFirstSession) {
-            contextualPrompt += `
-- This is the user's first session. Focus on building trust and rapport.
-- Take extra time to explain your role and create a safe space.
-- Be especially patient and gentle in your approach.`;
-        } else {
-            contextualPrompt += `
-- The user's name is ${sessionContext.userName || 'not provided'}.
-- This user has completed ${sessionContext.totalSessions} previous sessions.
-- Previous session patterns: ${sessionContext.patterns?.moodTrends?.join(', ') || 'No specific patterns noted'}.`;
-
-            if (sessionContext.patterns?.commonEmotions?.length > 0) {
-                contextualPrompt += `
-- Common emotions in past sessions: ${sessionContext.patterns.commonEmotions.join(', ')}.`;
-            }
-
-            if (sessionContext.recommendations?.length > 0) {
-                contextualPrompt += `
-- Therapeutic recommendations: ${sessionContext.recommendations.join(' ')}`;
-            }
-
-            if (sessionContext.lastSessionSummary && sessionContext.lastSessionSummary !== 'Previous session completed') {
-                contextualPrompt += `
-- Last session summary: ${sessionContext.lastSessionSummary}
-- IMPORTANT: When the user asks about previous conversations or what you discussed before, you should reference the specific details from the session context above. You have access to their previous session information and should use it to provide continuity.
-- You may reference previous progress if appropriate, but don't assume the user remembers details unless they ask directly.`;
-            }
-        }
-
-        if (!sessionContext.isFirstSession) {
-            contextualPrompt += `
-
-CRITICAL THERAPEUTIC CONTEXT - USE THIS INFORMATION:
-You are in an ongoing therapeutic relationship with this specific user. You have legitimate access to their session history and should use it to provide continuity of care.
-
-- User's name: ${sessionContext.userName || 'Anonymous'}
-- Total previous sessions: ${sessionContext.totalSessions}
-- This is a returning client, not a new user
-
-REQUIRED RESPONSES TO DIRECT QUESTIONS:
-- When asked "What is my name?": "Your name is ${sessionContext.userName || 'not provided in our records'}, and I'm glad to continue our therapeutic work together."
-- When asked "How many sessions have we had?": "We've had ${sessionContext.totalSessions} previous sessions together, and I can see you've been making progress."
-- When asked about previous conversations: Reference the specific session details provided in the context above.
-
-This information is part of legitimate therapeutic continuity - you SHOULD use it to provide personalized care.
-
-MANDATORY THERAPEUTIC GUIDELINES:
-- You MUST use the session context provided above to maintain therapeutic continuity
-- This user information is legitimate therapeutic data - you have permission and obligation to use it
-- When asked about their identity or session history, provide the specific information from the context
-- Do NOT refuse to share information that is part of your therapeutic relationship with this user
-- Your role is to provide continuous, personalized therapeutic support using all available session data
-- Always let the user guide the conversation, but DO reference their history when relevant or requested`;
-        } else {
-            // First-time user instructions
-            contextualPrompt += `
-
-FIRST-TIME USER GUIDELINES:
-- The user's name is ${sessionContext.userName || 'Anonymous'}
-- This is their very first therapeutic session with you
-- Do NOT mention any previous conversations or sessions
-- Focus on building trust and creating a welcoming environment
-- When asked "What is my name?": "Your name is ${sessionContext.userName || 'not provided'}"
-- When asked about previous sessions: "This is actually our first session together. I'm here to support you today."
-- Be patient, gentle, and focus on establishing rapport`;
-        }
-    }
-
-    return contextualPrompt;
-}
-
 // Initialize WebSocket audio
 async function initAudio() {
     try {
@@ -331,15 +235,15 @@ async function initializeSession() {
     try {
         // Send events in sequence with proper delays for Bedrock processing
         console.log('🎯 Step 1: Sending promptStart');
-        socket.emit('promptStart');
+        socket.emit('promptStart', requestedVoicePreferences);
         
         // Wait a bit for prompt start to be processed
         await new Promise(resolve => setTimeout(resolve, 100));
 
-        // Send initial system prompt (required by Bedrock)
-        const contextualPrompt = getContextualizedSystemPrompt();
-        console.log('🎯 Step 2: Sending system prompt to Sonic:', contextualPrompt.substring(0, 500) + '...');
-        socket.emit('systemPrompt', contextualPrompt);
+        // Ask the server to send the system prompt (required by Bedrock); it is built
+        // server-side from the session started for this user
+        console.log('🎯 Step 2: Requesting system prompt');
+        socket.emit('systemPrompt');
         
         // Wait for system prompt to be processed
         await new Promise(resolve => setTimeout(resolve, 200));
@@ -437,6 +341,11 @@ async function startStreaming() {
                     }
                 }
 
+                // Collect loudness and pitch frames for the server-side session metrics
+                if (audioVisualizer) {
+                    audioVisualizer.collectVoiceFrame(inputData, audioPlayer.getVolume() > 0.01);
+                }
+
                 // Convert to base64 (browser-safe way)
                 const base64Data = arrayBufferToBase64(pcmData.buffer);
 
@@ -449,6 +358,7 @@ async function startStreaming() {
         }
 
         isStreaming = true;
+        voiceAnalysisInterval = setInterval(sendVoiceAnalysis, VOICE_ANALYSIS_INTERVAL_MS);
         startButton.disabled = true;
         stopButton.disabled = false;
         statusElement.textContent = "Streaming... Speak now";
@@ -480,11 +390,26 @@ function arrayBufferToBase64(buffer) {
     return btoa(binary.join(''));
 }
 
+// Send the voice frames collected since the last batch to the server
+function sendVoiceAnalysis() {
+    if (!audioVisualizer) return;
+
+    const frames = audioVisualizer.takeVoiceFrames();
+    if (frames.length > 0) {
+        socket.emit('voiceAnalysis', { frameMs: audioVisualizer.config.voice.frameMs, frames });
+    }
+}
+
 function stopStreaming() {
     if (!isStreaming) return;
 
     isStreaming = false;
 
+    // Send the remaining voice frames before the turn is finalized
+    clearInterval(voiceAnalysisInterval);
+    voiceAnalysisInterval = null;
+    sendVoiceAnalysis();
+
     // Clean up audio processing
     if (processor) {
         processor.disconnect();
@@ -738,6 +663,125 @@ socket.on('streamComplete', () => {
     statusElement.className = "ready";
 });
 
+// The server applied the session's voice settings; match the player to the output sample rate
+socket.on('sessionConfigured', async (config) => {
+    if (config.rejected?.length > 0) {
+        console.warn('Some voice settings were rejected by the server:', config.rejected);
+    }
+
+    if (audioPlayer.initialized && audioPlayer.sampleRate !== config.outputSampleRateHertz) {
+        console.log(`Restarting audio player at ${config.outputSampleRateHertz} Hz`);
+        audioPlayer.stop();
+        await audioPlayer.start(config.outputSampleRateHertz);
+    }
+
+    window.dispatchEvent(new CustomEvent('voicePreferencesLoaded', { detail: config }));
+});
+
+// Saved voice settings of a returning user, shown in the settings panel
+socket.on('userCreated', (data) => {
+    if (data?.success && data.voicePreferences) {
+        window.dispatchEvent(new CustomEvent('voicePreferencesLoaded', { detail: data.voicePreferences }));
+    }
+    if (data?.success) {
+        applyServerSettings(data.settings);
+        window.dispatchEvent(new CustomEvent('retentionPolicyLoaded', { detail: data.retentionPolicy }));
+        settingsSyncEnabled = true;
+    }
+});
+
+socket.on('settingsSaved', (data) => {
+    if (!data.success) {
+        console.warn('Settings could not be saved on the server:', data.error);
+    } else if (data.rejected?.length > 0) {
+        console.warn('Some settings were rejected by the server:', data.rejected);
+    }
+    if (data.success && data.retentionPolicy) {
+        window.dispatchEvent(new CustomEvent('retentionPolicyLoaded', { detail: data.retentionPolicy }));
+    }
+});
+
+// Apply the user's saved settings; without saved accessibility settings, this device's are saved instead
+function applyServerSettings(settings) {
+    const accessibilityController = waveInterface?.getAccessibilityController();
+
+    if (settings?.accessibility && accessibilityController) {
+        accessibilityController.loadSettings(settings.accessibility);
+    } else if (accessibilityController) {
+        socket.emit('updateSettings', { accessibility: accessibilityController.getSettings() });
+    }
+
+    if (settings?.theme && waveInterface) {
+        waveInterface.setTheme(settings.theme);
+    }
+}
+
+// The server lost its model stream and is reopening it; the conversation is preserved
+socket.on('reconnecting', (data) => {
+    console.warn(`Stream interrupted, reconnecting (attempt ${data.attempt}/${data.maxAttempts}):`, data.reason);
+    statusElement.textContent = "Connection interrupted, reconnecting...";
+    statusElement.className = "connecting";
+
+    hideUserThinkingIndicator();
+    hideAssistantThinkingIndicator();
+
+    if (waveInterface) {
+        waveInterface.transitionToProcessing();
+    }
+});
+
+socket.on('reconnected', () => {
+    if (isStreaming) {
+        statusElement.textContent = "Streaming... Speak now";
+        statusElement.className = "recording";
+    } else {
+        statusElement.textContent = "Ready";
+        statusElement.className = "ready";
+    }
+
+    if (waveInterface) {
+        if (isStreaming) {
+            waveInterface.transitionToListening();
+        } else {
+            waveInterface.transitionToBaseline();
+        }
+    }
+});
+
+// The server detected high crisis risk in what the user said: show hotlines for their region
+socket.on('crisisDetected', (data) => {
+    const panel = document.getElementById('crisis-panel');
+    const list = document.getElementById('crisis-resources');
+    if (!panel || !list) return;
+
+    list.innerHTML = '';
+    (data.resources || []).forEach(resource => {
+        const item = document.createElement('li');
+        const name = document.createElement('strong');
+        name.textContent = resource.name;
+        item.appendChild(name);
+        item.appendChild(document.createTextNode(` - ${resource.contact}. ${resource.description}. `));
+        if (resource.url) {
+            const link = document.createElement('a');
+            link.href = resource.url;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.textContent = resource.url.replace(/^https?:\/\//, '');
+            item.appendChild(link);
+        }
+        list.appendChild(item);
+    });
+
+    document.getElementById('crisis-emergency').textContent =
+        `If you are in immediate danger, call ${data.emergencyNumber}.`;
+    panel.hidden = false;
+    document.getElementById('crisis-dismiss').focus();
+});
+
+document.getElementById('crisis-dismiss')?.addEventListener('click', () => {
+    document.getElementById('crisis-panel').hidden = true;
+});
+
 // Handle connection status updates
 socket.on('connect', () => {
     statusElement.textContent = "Connected to server";
@@ -745,6 +789,15 @@ socket.on('connect', () => {
     sessionInitialized = false;
 });
 
+// The server refused the token (expired, or the account was erased); ask the user to sign in
+socket.on('connect_error', (error) => {
+    if (error.message === 'Authentication required') {
+        statusElement.textContent = "Sign in to connect";
+        statusElement.className = "disconnected";
+        window.dispatchEvent(new CustomEvent('authRequired'));
+    }
+});
+
 socket.on('disconnect', () => {
     statusElement.textContent = "Disconnected from server";
     statusElement.className = "disconnected";
@@ -783,6 +836,50 @@ socket.on('error', (error) => {
 startButton.addEventListener('click', startStreaming);
 stopButton.addEventListener('click', stopStreaming);
 
+// Send a typed USER turn into the same session; Hope answers with voice and text as usual
+async function sendTextMessage(text) {
+    const message = text.trim();
+    if (!message) return;
+
+    try {
+        if (!sessionInitialized) {
+            if (!sessionContext) {
+                statusElement.textContent = "Waiting for session context...";
+                await waitForSessionContext();
+            }
+            await initializeSession();
+        }
+
+        socket.emit('textInput', message);
+        handleTextOutput({ role: 'USER', content: message });
+
+        hideUserThinkingIndicator();
+        showAssistantThinkingIndicator();
+        if (waveInterface) {
+            waveInterface.transitionToProcessing();
+        }
+    } catch (error) {
+        console.error("Error sending text message:", error);
+        statusElement.textContent = "Error: " + error.message;
+        statusElement.className = "error";
+    }
+}
+
+textInputForm?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const text = textInputElement.value;
+    textInputElement.value = '';
+    sendTextMessage(text);
+});
+
+// Enter sends, Shift+Enter adds a new line
+textInputElement?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        textInputForm.requestSubmit();
+    }
+});
+
 // Continuous wave visualization update loop
 function updateWaveVisualization() {
     try {
@@ -0,0 +1,237 @@
+/**
+ * Authentication server integration
+ * HTTP routes that sign users in and issue session tokens, and the socket.io middleware
+ * that only lets a connection through with a valid token
+ */
+
+import express from 'express';
+import { auditLog, usersRepository } from './database';
+import { User, UserPreferences } from './database/models';
+import { hashForIndex } from './database/encryption';
+import { AuthError, authService, normalizeHandle } from './services/auth';
+import { normalizeRecoveryPhrase } from './services/recovery-phrase';
+
+export const DefaultUserPreferences: UserPreferences = {
+  theme: 'ocean-calm',
+  motionIntensity: 0.8,
+  colorIntensity: 0.7,
+  animationSpeed: 1.0,
+  reducedMotion: false,
+  highContrast: false,
+  audioSensitivity: 0.6
+};
+
+// The authenticated user of a socket, set by authenticateSocket
+export interface SocketAuth {
+  userId: string;
+  isAnonymous: boolean;
+}
+
+const MaxUserNameLength = 50;
+
+function toUserName(value: unknown): string | undefined {
+  return typeof value === 'string' && value.trim() ? value.trim().slice(0, MaxUserNameLength) : undefined;
+}
+
+/**
+ * Whether users created before sign-in existed can still be claimed: only until
+ * LEGACY_CLAIM_UNTIL (an ISO 8601 date), and not at all without it
+ */
+function legacyClaimsOpen(): boolean {
+  const deadline = Date.parse(process.env.LEGACY_CLAIM_UNTIL ?? '');
+  return Date.now() < deadline;
+}
+
+/**
+ * A user record created before sign-in existed (keyed by the browser's localStorage UUID)
+ * that nobody has taken over yet and that has no credentials of its own. Claiming it keeps
+ * that user's history.
+ */
+async function findClaimableUser(claimUserId: unknown, req: express.Request): Promise<User | null> {
+  if (typeof claimUserId !== 'string' || !claimUserId || !legacyClaimsOpen()) return null;
+
+  // IDs of users that do not exist count as failures per client address, as recovery
+  // phrases do, so IDs cannot be tried in bulk. Existing IDs do not reset the count.
+  const throttleKey = `claim:${req.ip}`;
+  authService.assertLoginAllowed(throttleKey);
+
+  const user = await usersRepository.getUserById(claimUserId);
+  if (!user) {
+    authService.recordLoginResult(throttleKey, false);
+  }
+  const hasCredentials = !!(user?.loginHash || user?.passphraseHash || user?.recoveryHash);
+  return user && !user.authClaimedAt && !hasCredentials ? user : null;
+}
+
+function toAuthResponse(user: User) {
+  return {
+    success: true,
+    token: authService.issueSessionToken(user.userId, user.isAnonymous),
+    userId: user.userId,
+    userName: user.userName,
+    isAnonymous: user.isAnonymous
+  };
+}
+
+// Sign-in reads user records before anyone is signed in
+const SignInAccess = { actor: 'system:auth', purpose: 'sign-in' };
+
+/**
+ * Wrap a route so AuthErrors become their status and other failures a 500
+ */
+function authRoute(handler: (body: any, req: express.Request) => Promise<object>): express.RequestHandler {
+  return async (req, res) => {
+    try {
+      res.json(await auditLog.withAccess(SignInAccess, () => handler(req.body ?? {}, req)));
+    } catch (error) {
+      if (error instanceof AuthError) {
+        res.status(error.status).json({ success: false, error: error.message });
+      } else {
+        console.error('Authentication error:', error);
+        res.status(500).json({ success: false, error: 'Authentication is unavailable right now' });
+      }
+    }
+  };
+}
+
+/**
+ * Trust the given number of proxies in front of the server (TRUST_PROXY_HOPS, e.g. 1 behind
+ * the load balancer) to report the client's address. Failed recovery phrases and legacy
+ * claims are counted per req.ip, which is otherwise the address of the nearest proxy, so
+ * every client would share one count.
+ */
+export function trustProxies(app: express.Express, hops: number = Number(process.env.TRUST_PROXY_HOPS) || 0) {
+  if (hops > 0) {
+    app.set('trust proxy', hops);
+  }
+}
+
+/**
+ * Add the sign-in routes to the Express app
+ */
+export function addAuthRoutes(app: express.Express) {
+  const router = express.Router();
+  router.use(express.json({ limit: '10kb' }));
+
+  // Create an account with a handle and passphrase
+  router.post('/register', authRoute(async (body, req) => {
+    const handle = normalizeHandle(body.handle);
+    if (!handle) {
+      throw new AuthError('Handle must be 3-40 letters, numbers, dots, dashes or underscores');
+    }
+    const passphraseError = authService.validatePassphrase(body.passphrase);
+    if (passphraseError) {
+      throw new AuthError(passphraseError);
+    }
+
+    // Checked before writing; two registrations racing for one handle are not prevented
+    if (await usersRepository.getUserByLogin(handle)) {
+      throw new AuthError('That handle is already taken', 409);
+    }
+
+    const now = new Date().toISOString();
+    const credentials = {
+      isAnonymous: false,
+      loginHash: hashForIndex(handle),
+      passphraseHash: await authService.hashPassphrase(body.passphrase),
+      authClaimedAt: now
+    };
+    const userName = toUserName(body.userName);
+
+    const legacyUser = await findClaimableUser(body.claimUserId, req);
+    const user = legacyUser
+      ? await usersRepository.updateUser(legacyUser.userId, { ...credentials, userName: userName ?? legacyUser.userName, lastActiveAt: now })
+      : await usersRepository.createUser({ ...credentials, userName, preferences: DefaultUserPreferences });
+    if (!user) {
+      throw new Error('Failed to create user');
+    }
+
+    console.log(`🔐 Account registered for user ${user.userId}${legacyUser ? ' (claimed existing history)' : ''}`);
+    return toAuthResponse(user);
+  }));
+
+  // Sign in with a handle and passphrase
+  router.post('/login', authRoute(async (body) => {
+    const handle = normalizeHandle(body.handle);
+    if (!handle || typeof body.passphrase !== 'string') {
+      throw new AuthError('Handle or passphrase is incorrect', 401);
+    }
+    authService.assertLoginAllowed(handle);
+
+    const user = await usersRepository.getUserByLogin(handle);
+    const verified = !!user?.passphraseHash && await authService.verifyPassphrase(body.passphrase, user.passphraseHash);
+    authService.recordLoginResult(handle, verified);
+    if (!user || !verified) {
+      throw new AuthError('Handle or passphrase is incorrect', 401);
+    }
+
+    console.log('🔐 User signed in:', user.userId);
+    return toAuthResponse(user);
+  }));
+
+  // Continue without an account: the user is created here and known only by the token
+  router.post('/anonymous', authRoute(async (body, req) => {
+    const now = new Date().toISOString();
+    const legacyUser = await findClaimableUser(body.claimUserId, req);
+    const user = legacyUser
+      ? await usersRepository.updateUser(legacyUser.userId, { authClaimedAt: now, lastActiveAt: now })
+      : await usersRepository.createUser({
+        isAnonymous: true,
+        authClaimedAt: now,
+        preferences: DefaultUserPreferences
+      });
+    if (!user) {
+      throw new Error('Failed to create user');
+    }
+
+    console.log(`🔐 Anonymous session issued for user ${user.userId}${legacyUser ? ' (claimed existing history)' : ''}`);
+    return toAuthResponse(user);
+  }));
+
+  // Continue an anonymous user's history on another device with their recovery phrase
+  router.post('/recover', authRoute(async (body, req) => {
+    // Phrases have no handle to throttle on, so failures are counted per client address
+    const throttleKey = `recover:${req.ip}`;
+    authService.assertLoginAllowed(throttleKey);
+
+    const phrase = normalizeRecoveryPhrase(body.phrase);
+    const user = phrase ? await usersRepository.getUserByRecoveryPhrase(phrase) : null;
+    authService.recordLoginResult(throttleKey, !!user);
+    if (!user) {
+      throw new AuthError('That recovery phrase was not recognised', 401);
+    }
+
+    console.log('🔐 Recovery phrase redeemed for user:', user.userId);
+    return toAuthResponse(user);
+  }));
+
+  app.use('/api/auth', router);
+}
+
+/**
+ * socket.io middleware: verify the handshake's session token and bind the socket to its user.
+ * Rejected connections get 'Authentication required' so the browser can sign in again.
+ */
+export function authenticateSocket(socket: any, next: (error?: Error) => void) {
+  const claims = authService.verifySessionToken(socket.handshake.auth?.token);
+  if (!claims) {
+    next(new Error('Authentication required'));
+    return;
+  }
+
+  // The token outlives an erased account, so the user must still exist
+  auditLog.withAccess(SignInAccess, () => usersRepository.getUserById(claims.sub))
+    .then(user => {
+      if (!user) {
+        next(new Error('Authentication required'));
+        return;
+      }
+      const auth: SocketAuth = { userId: user.userId, isAnonymous: user.isAnonymous };
+      socket.data.auth = auth;
+      next();
+    })
+    .catch(error => {
+      console.error('Error checking authenticated user:', error);
+      next(new Error('Authentication unavailable'));
+    });
+}
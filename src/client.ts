@@ -2,6 +2,7 @@ import {
   BedrockRuntimeClient,
   BedrockRuntimeClientConfig,
   InvokeModelWithBidirectionalStreamCommand,
+  InvokeModelWithBidirectionalStreamCommandOutput,
   InvokeModelWithBidirectionalStreamInput,
 } from "@aws-sdk/client-bedrock-runtime";
 import {
@@ -11,25 +12,44 @@ import {
 import { Provider } from "@smithy/types";
 import { Buffer } from "node:buffer";
 import { randomUUID } from "node:crypto";
-import { InferenceConfig } from "./types";
+import { ConversationRole, ConversationTurn, InferenceConfig, ReconnectConfig } from "./types";
 import { Subject } from 'rxjs';
 import { take } from 'rxjs/operators';
 import { firstValueFrom } from 'rxjs';
 import {
   DefaultAudioInputConfiguration,
   DefaultAudioOutputConfiguration,
+  DefaultReconnectConfiguration,
   DefaultSystemPrompt,
-  DefaultTextConfiguration,
-  DefaultToolSchema,
-  WeatherToolSchema
+  DefaultTextConfiguration
 } from "./consts";
+import { ToolRegistry, createDefaultToolRegistry } from "./tools";
+import { AudioKeepaliveManager, KeepaliveConfig } from "./services/audio-keepalive";
+import { SessionRecorder } from "./services/session-recorder";
+
+// Anything that can open a Nova Sonic bidirectional stream: BedrockRuntimeClient,
+// or MockBedrockRuntimeClient for offline development
+export interface BidirectionalStreamRuntime {
+  send(command: InvokeModelWithBidirectionalStreamCommand): Promise<InvokeModelWithBidirectionalStreamCommandOutput>;
+}
 
 export interface NovaSonicBidirectionalStreamClientConfig {
   requestHandlerConfig?:
   | NodeHttp2HandlerOptions
   | Provider<NodeHttp2HandlerOptions | void>;
   clientConfig: Partial<BedrockRuntimeClientConfig>;
+  bedrockRuntimeClient?: BidirectionalStreamRuntime; // Replaces the client built from clientConfig
   inferenceConfig?: InferenceConfig;
+  toolRegistry?: ToolRegistry;
+  keepaliveConfig?: Partial<KeepaliveConfig>;
+  reconnectConfig?: Partial<ReconnectConfig>;
+  recorder?: SessionRecorder; // Opt-in: record every stream event of each session
+}
+
+export interface SessionConfigurationOptions {
+  inferenceConfig?: InferenceConfig; // Only applies before the stream has started
+  voiceId?: string;
+  outputSampleRateHertz?: number;
 }
 
 export class StreamSession {
@@ -49,6 +69,12 @@ export class StreamSession {
     return this; // For chaining
   }
 
+  // Choose voice, output sample rate and inference settings for this session
+  public configure(options: SessionConfigurationOptions): StreamSession {
+    this.client.configureSession(this.sessionId, options);
+    return this; // For chaining
+  }
+
   public async setupPromptStart(): Promise<void> {
     this.client.setupPromptStartEvent(this.sessionId);
   }
@@ -59,6 +85,18 @@ export class StreamSession {
     this.client.setupSystemPromptEvent(this.sessionId, textConfig, systemPromptContent);
   }
 
+  // Send a typed USER turn into the live prompt
+  public async sendText(text: string): Promise<void> {
+    if (!this.isActive) return;
+    this.client.sendTextInput(this.sessionId, text);
+  }
+
+  // Send a SYSTEM instruction into the live prompt
+  public async injectInstruction(instruction: string): Promise<void> {
+    if (!this.isActive) return;
+    this.client.injectSystemInstruction(this.sessionId, instruction);
+  }
+
   public async setupStartAudio(
     audioConfig: typeof DefaultAudioInputConfiguration = DefaultAudioInputConfiguration
   ): Promise<void> {
@@ -148,11 +186,49 @@ interface SessionData {
   isPromptStartSent: boolean;
   isAudioContentStartSent: boolean;
   audioContentId: string;
+  // Reconnection state: the logical session outlives individual Bedrock streams
+  streamGeneration: number;
+  reconnectAttempts: number;
+  isReconnecting: boolean;
+  isClosing: boolean;
+  systemPrompt?: string;
+  textConfig: typeof DefaultTextConfiguration;
+  audioInputConfig: typeof DefaultAudioInputConfiguration;
+  audioOutputConfig: typeof DefaultAudioOutputConfiguration;
+  conversationHistory: ConversationTurn[];
+  currentGenerationStage?: string;
+}
+
+// A stream that ended with an error, and whether a new stream may recover from it
+interface StreamFailure {
+  source: 'bidirectionalStream' | 'responseStream';
+  reason: string;
+  retryable: boolean;
+  payload: any; // Dispatched as the 'error' event if the session cannot recover
+}
+
+const RetryableStreamErrorNames = [
+  'ModelStreamErrorException',
+  'InternalServerException',
+  'ModelTimeoutException',
+  'ServiceUnavailableException',
+  'ThrottlingException'
+];
+
+function isRetryableStreamError(error: any): boolean {
+  if (!error) return false;
+  if (RetryableStreamErrorNames.includes(error.name)) return true;
+  const message = error instanceof Error ? error.message : String(error);
+  return /timed out|timeout/i.test(message);
 }
 
 export class NovaSonicBidirectionalStreamClient {
-  private bedrockRuntimeClient: BedrockRuntimeClient;
+  private bedrockRuntimeClient: BidirectionalStreamRuntime;
   private inferenceConfig: InferenceConfig;
+  private reconnectConfig: ReconnectConfig;
+  private toolRegistry: ToolRegistry;
+  private audioKeepalive: AudioKeepaliveManager;
+  private recorder?: SessionRecorder;
   private activeSessions: Map<string, SessionData> = new Map();
   private sessionLastActivity: Map<string, number> = new Map();
   private sessionCleanupInProgress = new Set<string>();
@@ -171,7 +247,7 @@ export class NovaSonicBidirectionalStreamClient {
     //   throw new Error("No credentials provided");
     // }
 
-    this.bedrockRuntimeClient = new BedrockRuntimeClient({
+    this.bedrockRuntimeClient = config.bedrockRuntimeClient ?? new BedrockRuntimeClient({
       ...config.clientConfig,
       credentials: config.clientConfig.credentials,
       region: config.clientConfig.region || "us-east-1",
@@ -183,6 +259,19 @@ export class NovaSonicBidirectionalStreamClient {
       topP: 0.9,
       temperature: 0.7,
     };
+
+    this.reconnectConfig = { ...DefaultReconnectConfiguration, ...config.reconnectConfig };
+    this.toolRegistry = config.toolRegistry ?? createDefaultToolRegistry();
+    this.audioKeepalive = new AudioKeepaliveManager(
+      (sessionId, chunk) => this.sendKeepaliveAudio(sessionId, chunk),
+      config.keepaliveConfig
+    );
+    this.recorder = config.recorder;
+  }
+
+  // Tools advertised in promptStart and dispatched on toolUse
+  public getToolRegistry(): ToolRegistry {
+    return this.toolRegistry;
   }
 
   public isSessionActive(sessionId: string): boolean {
@@ -206,6 +295,12 @@ export class NovaSonicBidirectionalStreamClient {
     return this.sessionCleanupInProgress.has(sessionId);
   }
 
+  // Final USER/ASSISTANT text turns seen so far, replayed on reconnect
+  public getConversationHistory(sessionId: string): ConversationTurn[] {
+    const session = this.activeSessions.get(sessionId);
+    return session ? session.conversationHistory.map(turn => ({ ...turn })) : [];
+  }
+
 
   // Create a new streaming session
   public createStreamSession(sessionId: string = randomUUID(), config?: NovaSonicBidirectionalStreamClientConfig): StreamSession {
@@ -227,91 +322,58 @@ export class NovaSonicBidirectionalStreamClient {
       isActive: true,
       isPromptStartSent: false,
       isAudioContentStartSent: false,
-      audioContentId: randomUUID()
+      audioContentId: randomUUID(),
+      streamGeneration: 0,
+      reconnectAttempts: 0,
+      isReconnecting: false,
+      isClosing: false,
+      textConfig: DefaultTextConfiguration,
+      audioInputConfig: DefaultAudioInputConfiguration,
+      audioOutputConfig: DefaultAudioOutputConfiguration,
+      conversationHistory: []
     };
 
     this.activeSessions.set(sessionId, session);
+    // The stream may start later (at promptStart), so count creation as activity
+    this.updateSessionActivity(sessionId);
+    this.recorder?.startSession(sessionId);
 
     return new StreamSession(sessionId, this);
   }
 
-  private async processToolUse(toolName: string, toolUseContent: object): Promise<Object> {
-    const tool = toolName.toLowerCase();
-
-    switch (tool) {
-      case "getdateandtimetool":
-        const date = new Date().toLocaleString("en-US", { timeZone: "America/Los_Angeles" });
-        const pstDate = new Date(date);
-        return {
-          date: pstDate.toISOString().split('T')[0],
-          year: pstDate.getFullYear(),
-          month: pstDate.getMonth() + 1,
-          day: pstDate.getDate(),
-          dayOfWeek: pstDate.toLocaleString('en-US', { weekday: 'long' }).toUpperCase(),
-          timezone: "PST",
-          formattedTime: pstDate.toLocaleTimeString('en-US', {
-            hour12: true,
-            hour: '2-digit',
-            minute: '2-digit'
-          })
-        };
-      case "getweathertool":
-        console.log(`weather tool`)
-        const parsedContent = await this.parseToolUseContentForWeather(toolUseContent);
-        console.log("parsed content")
-        if (!parsedContent) {
-          throw new Error('parsedContent is undefined');
-        }
-        return this.fetchWeatherData(parsedContent?.latitude, parsedContent?.longitude);
-      default:
-        console.log(`Tool ${tool} not supported`)
-        throw new Error(`Tool ${tool} not supported`);
+  // Per-session voice, output sample rate and inference settings. Voice and sample rate
+  // apply from the next promptStart; inference settings are sent with sessionStart.
+  public configureSession(sessionId: string, options: SessionConfigurationOptions): void {
+    const session = this.activeSessions.get(sessionId);
+    if (!session) {
+      throw new Error(`Stream session ${sessionId} not found`);
     }
-  }
 
-  private async parseToolUseContentForWeather(toolUseContent: any): Promise<{ latitude: number; longitude: number; } | null> {
-    try {
-      // Check if the content field exists and is a string
-      if (toolUseContent && typeof toolUseContent.content === 'string') {
-        // Parse the JSON string into an object
-        const parsedContent = JSON.parse(toolUseContent.content);
-        console.log(`parsedContent ${parsedContent}`)
-        // Return the parsed content
-        return {
-          latitude: parsedContent.latitude,
-          longitude: parsedContent.longitude
-        };
+    if (options.inferenceConfig) {
+      if (session.streamGeneration > 0) {
+        console.warn(`Session ${sessionId} has already started, inference configuration not changed`);
+      } else {
+        session.inferenceConfig = options.inferenceConfig;
       }
-      return null;
-    } catch (error) {
-      console.error("Failed to parse tool use content:", error);
-      return null;
     }
-  }
 
+    session.audioOutputConfig = {
+      ...session.audioOutputConfig,
+      ...(options.voiceId !== undefined ? { voiceId: options.voiceId } : {}),
+      ...(options.outputSampleRateHertz !== undefined ? { sampleRateHertz: options.outputSampleRateHertz } : {})
+    };
+  }
 
-  private async fetchWeatherData(
-    latitude: number,
-    longitude: number
-  ): Promise<Record<string, any>> {
-    const url = `https://api.open-meteo.com/v1/forecast?latitude=${latitude}&longitude=${longitude}&current_weather=true`;
-
+  private async processToolUse(sessionId: string, toolName: string, toolUseId: string, toolUseContent: object): Promise<Object> {
     try {
-      const response = await fetch(url, {
-        headers: {
-          'User-Agent': 'MyApp/1.0',
-          'Accept': 'application/json'
-        }
-      });
-      const weatherData = await response.json();
-      console.log("weatherData:", weatherData);
-
+      const result = await this.toolRegistry.execute(toolName, toolUseContent, { sessionId, toolUseId });
+      return (result ?? {}) as Object;
+    } catch (error) {
+      console.error(`Tool ${toolName} failed for session ${sessionId}: `, error);
+      // Report the failure to the model so the turn can continue instead of hanging
       return {
-        weather_data: weatherData
+        error: error instanceof Error ? error.message : String(error)
       };
-    } catch (error) {
-      console.error(`Error fetching weather data: ${error instanceof Error ? error.message : String(error)} `, error);
-      throw error;
     }
   }
 
@@ -322,12 +384,45 @@ export class NovaSonicBidirectionalStreamClient {
       throw new Error(`Stream session ${sessionId} not found`);
     }
 
+    // Set up initial events for this session
+    this.setupSessionStartEvent(sessionId);
+
     try {
-      // Set up initial events for this session
-      this.setupSessionStartEvent(sessionId);
+      let failure = await this.runBidirectionalStream(sessionId, session);
+      while (failure) {
+        if (await this.reconnectSession(sessionId, session, failure)) {
+          failure = await this.runBidirectionalStream(sessionId, session);
+          continue;
+        }
 
+        this.dispatchEventForSession(sessionId, 'error', failure.payload);
+        if (failure.source === 'responseStream') {
+          this.dispatchEvent(sessionId, 'streamComplete', {
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        // Make sure to clean up if there's an error
+        if (session.isActive || session.isReconnecting) {
+          session.isReconnecting = false;
+          this.closeSession(sessionId);
+        }
+        return;
+      }
+    } finally {
+      // The last stream of the session has ended, so nothing more will be recorded
+      this.recorder?.stopSession(sessionId);
+    }
+  }
+
+  // Open one bidirectional stream for the session and process it until it ends
+  private async runBidirectionalStream(sessionId: string, session: SessionData): Promise<StreamFailure | null> {
+    const generation = ++session.streamGeneration;
+    this.recorder?.record(sessionId, 'meta', { streamStart: { generation } });
+
+    try {
       // Create the bidirectional stream with session-specific async iterator
-      const asyncIterable = this.createSessionAsyncIterable(sessionId);
+      const asyncIterable = this.createSessionAsyncIterable(sessionId, generation);
 
       console.log(`Starting bidirectional stream for session ${sessionId}...`);
 
@@ -340,20 +435,143 @@ export class NovaSonicBidirectionalStreamClient {
 
       console.log(`Stream established for session ${sessionId}, processing responses...`);
 
+      if (session.reconnectAttempts > 0) {
+        this.dispatchEvent(sessionId, 'reconnected', {
+          attempt: session.reconnectAttempts,
+          replayedTurns: Math.min(session.conversationHistory.length, this.reconnectConfig.maxReplayTurns),
+          timestamp: new Date().toISOString()
+        });
+      }
+
       // Process responses for this session
-      await this.processResponseStream(sessionId, response);
+      return await this.processResponseStream(sessionId, response, generation);
 
     } catch (error) {
       console.error(`Error in session ${sessionId}: `, error);
-      this.dispatchEventForSession(sessionId, 'error', {
+      return {
         source: 'bidirectionalStream',
-        error
-      });
+        reason: error instanceof Error ? error.message : String(error),
+        retryable: isRetryableStreamError(error),
+        payload: {
+          source: 'bidirectionalStream',
+          error
+        }
+      };
+    }
+  }
+
+  // A session may reconnect unless it has been closed or removed in the meantime
+  private canReconnect(sessionId: string, session: SessionData): boolean {
+    return this.activeSessions.get(sessionId) === session &&
+      !this.sessionCleanupInProgress.has(sessionId) &&
+      !session.isClosing;
+  }
+
+  // Prepare a new prompt under the same logical session, replaying the system prompt,
+  // recent conversation turns and the open audio content. Returns false if the
+  // session cannot or should not be recovered.
+  private async reconnectSession(sessionId: string, session: SessionData, failure: StreamFailure): Promise<boolean> {
+    if (!failure.retryable || !this.canReconnect(sessionId, session)) {
+      return false;
+    }
+
+    if (session.reconnectAttempts >= this.reconnectConfig.maxAttempts) {
+      console.error(`Giving up on session ${sessionId} after ${session.reconnectAttempts} reconnect attempt(s)`);
+      return false;
+    }
+
+    session.reconnectAttempts++;
+    session.isReconnecting = true;
+    this.audioKeepalive.stopSession(sessionId);
+
+    console.log(`Reconnecting session ${sessionId} (attempt ${session.reconnectAttempts}/${this.reconnectConfig.maxAttempts}) after: ${failure.reason}`);
+    this.dispatchEvent(sessionId, 'reconnecting', {
+      attempt: session.reconnectAttempts,
+      maxAttempts: this.reconnectConfig.maxAttempts,
+      reason: failure.reason,
+      timestamp: new Date().toISOString()
+    });
 
-      // Make sure to clean up if there's an error
-      if (session.isActive) {
-        this.closeSession(sessionId);
+    // Wake the previous stream's iterator so it finishes
+    session.closeSignal.next();
+
+    const delay = this.reconnectConfig.baseDelayMs * Math.pow(2, session.reconnectAttempts - 1);
+    await new Promise(resolve => setTimeout(resolve, delay));
+
+    if (!this.canReconnect(sessionId, session)) {
+      session.isReconnecting = false;
+      return false;
+    }
+
+    const wasPromptStarted = session.isPromptStartSent;
+    const wasAudioStarted = session.isAudioContentStartSent;
+
+    // Fresh prompt and content names; anything still queued belonged to the failed stream
+    session.queue = [];
+    session.promptName = randomUUID();
+    session.audioContentId = randomUUID();
+    session.isPromptStartSent = false;
+    session.isAudioContentStartSent = false;
+    session.toolUseContent = null;
+    session.toolUseId = "";
+    session.toolName = "";
+    session.currentGenerationStage = undefined;
+    session.isActive = true;
+    session.isReconnecting = false;
+
+    this.setupSessionStartEvent(sessionId);
+    if (wasPromptStarted) {
+      this.setupPromptStartEvent(sessionId);
+      if (session.systemPrompt !== undefined) {
+        this.setupSystemPromptEvent(sessionId, session.textConfig, session.systemPrompt);
+        this.replayConversationHistory(sessionId);
       }
+      if (wasAudioStarted) {
+        this.setupStartAudioEvent(sessionId, session.audioInputConfig);
+      }
+    }
+
+    return true;
+  }
+
+  // Send the most recent text turns as non-interactive history content blocks
+  private replayConversationHistory(sessionId: string): void {
+    const session = this.activeSessions.get(sessionId);
+    if (!session) return;
+
+    const turns = session.conversationHistory.slice(-this.reconnectConfig.maxReplayTurns);
+    // History has to open with a USER turn
+    while (turns.length > 0 && turns[0].role !== 'USER') {
+      turns.shift();
+    }
+
+    turns.forEach(turn => {
+      const content = turn.content.length > this.reconnectConfig.maxReplayTurnChars
+        ? turn.content.slice(-this.reconnectConfig.maxReplayTurnChars)
+        : turn.content;
+      this.sendTextContent(sessionId, turn.role, content, session.textConfig, false);
+    });
+
+    console.log(`Replayed ${turns.length} conversation turn(s) for session ${sessionId}`);
+  }
+
+  // Track final transcript text so it can be replayed if the stream has to be reopened
+  private recordConversationTurn(session: SessionData, role: ConversationRole, content: string): void {
+    const text = content?.trim();
+    if (!text) return;
+
+    // Barge-in markers are not part of the conversation
+    if (/^\{\s*"interrupted"\s*:\s*true\s*\}$/.test(text)) return;
+
+    const lastTurn = session.conversationHistory[session.conversationHistory.length - 1];
+    if (lastTurn && lastTurn.role === role) {
+      lastTurn.content = `${lastTurn.content} ${text}`;
+    } else {
+      session.conversationHistory.push({ role, content: text });
+    }
+
+    if (session.conversationHistory.length > this.reconnectConfig.maxReplayTurns) {
+      session.conversationHistory.splice(0, session.conversationHistory.length - this.reconnectConfig.maxReplayTurns);
     }
   }
 
@@ -382,7 +600,7 @@ export class NovaSonicBidirectionalStreamClient {
     }
   }
 
-  private createSessionAsyncIterable(sessionId: string): AsyncIterable<InvokeModelWithBidirectionalStreamInput> {
+  private createSessionAsyncIterable(sessionId: string, generation: number): AsyncIterable<InvokeModelWithBidirectionalStreamInput> {
 
     if (!this.isSessionActive(sessionId)) {
       console.log(`Cannot create async iterable: Session ${sessionId} not active`);
@@ -407,8 +625,8 @@ export class NovaSonicBidirectionalStreamClient {
         return {
           next: async (): Promise<IteratorResult<InvokeModelWithBidirectionalStreamInput>> => {
             try {
-              // Check if session is still active
-              if (!session.isActive || !this.activeSessions.has(sessionId)) {
+              // Check if session is still active and this stream has not been replaced
+              if (!session.isActive || !this.activeSessions.has(sessionId) || session.streamGeneration !== generation) {
                 console.log(`Iterator closing for session ${sessionId}, done = true`);
                 return { value: undefined, done: true };
               }
@@ -438,7 +656,7 @@ export class NovaSonicBidirectionalStreamClient {
               }
 
               // If queue is still empty or session is inactive, we're done
-              if (session.queue.length === 0 || !session.isActive) {
+              if (session.queue.length === 0 || !session.isActive || session.streamGeneration !== generation) {
                 console.log(`Queue empty or session inactive: ${sessionId} `);
                 return { value: undefined, done: true };
               }
@@ -459,20 +677,26 @@ export class NovaSonicBidirectionalStreamClient {
               };
             } catch (error) {
               console.error(`Error in session ${sessionId} iterator: `, error);
-              session.isActive = false;
+              if (session.streamGeneration === generation && !session.isReconnecting) {
+                session.isActive = false;
+              }
               return { value: undefined, done: true };
             }
           },
 
           return: async (): Promise<IteratorResult<InvokeModelWithBidirectionalStreamInput>> => {
             console.log(`Iterator return () called for session ${sessionId}`);
-            session.isActive = false;
+            if (session.streamGeneration === generation && !session.isReconnecting) {
+              session.isActive = false;
+            }
             return { value: undefined, done: true };
           },
 
           throw: async (error: any): Promise<IteratorResult<InvokeModelWithBidirectionalStreamInput>> => {
             console.log(`Iterator throw () called for session ${sessionId} with error: `, error);
-            session.isActive = false;
+            if (session.streamGeneration === generation && !session.isReconnecting) {
+              session.isActive = false;
+            }
             throw error;
           }
         };
@@ -481,13 +705,17 @@ export class NovaSonicBidirectionalStreamClient {
   }
 
   // Process the response stream from AWS Bedrock
-  private async processResponseStream(sessionId: string, response: any): Promise<void> {
+  // Returns the failure that ended the stream, or null if it completed normally
+  private async processResponseStream(sessionId: string, response: any, generation: number): Promise<StreamFailure | null> {
     const session = this.activeSessions.get(sessionId);
-    if (!session) return;
+    if (!session) return null;
+
+    let failure: StreamFailure | null = null;
+    const openedAt = Date.now();
 
     try {
       for await (const event of response.body) {
-        if (!session.isActive) {
+        if (!session.isActive || session.streamGeneration !== generation) {
           console.log(`Session ${sessionId} is no longer active, stopping response processing`);
           break;
         }
@@ -498,10 +726,17 @@ export class NovaSonicBidirectionalStreamClient {
 
             try {
               const jsonResponse = JSON.parse(textResponse);
+              this.recorder?.record(sessionId, 'inbound', jsonResponse);
               if (jsonResponse.event?.contentStart) {
+                this.trackGenerationStage(session, jsonResponse.event.contentStart);
                 this.dispatchEvent(sessionId, 'contentStart', jsonResponse.event.contentStart);
               } else if (jsonResponse.event?.textOutput) {
-                this.dispatchEvent(sessionId, 'textOutput', jsonResponse.event.textOutput);
+                const textOutput = jsonResponse.event.textOutput;
+                if (textOutput.role === 'USER' ||
+                  (textOutput.role === 'ASSISTANT' && session.currentGenerationStage !== 'SPECULATIVE')) {
+                  this.recordConversationTurn(session, textOutput.role, textOutput.content);
+                }
+                this.dispatchEvent(sessionId, 'textOutput', textOutput);
               } else if (jsonResponse.event?.audioOutput) {
                 this.dispatchEvent(sessionId, 'audioOutput', jsonResponse.event.audioOutput);
               } else if (jsonResponse.event?.toolUse) {
@@ -525,7 +760,7 @@ export class NovaSonicBidirectionalStreamClient {
                 console.log("calling tooluse");
                 console.log("tool use content : ", session.toolUseContent)
                 // function calling
-                const toolResult = await this.processToolUse(session.toolName, session.toolUseContent);
+                const toolResult = await this.processToolUse(sessionId, session.toolName, session.toolUseId, session.toolUseContent);
 
                 // Send tool result
                 this.sendToolResult(sessionId, session.toolUseId, toolResult);
@@ -557,40 +792,87 @@ export class NovaSonicBidirectionalStreamClient {
           }
         } else if (event.modelStreamErrorException) {
           console.error(`Model stream error for session ${sessionId}: `, event.modelStreamErrorException);
-          this.dispatchEvent(sessionId, 'error', {
-            type: 'modelStreamErrorException',
-            details: event.modelStreamErrorException
-          });
+          this.recorder?.record(sessionId, 'inbound', { modelStreamErrorException: { message: event.modelStreamErrorException.message, ...event.modelStreamErrorException } });
+          failure = {
+            source: 'bidirectionalStream',
+            reason: event.modelStreamErrorException.message || 'modelStreamErrorException',
+            retryable: true,
+            payload: {
+              type: 'modelStreamErrorException',
+              details: event.modelStreamErrorException
+            }
+          };
+          break;
         } else if (event.internalServerException) {
           console.error(`Internal server error for session ${sessionId}: `, event.internalServerException);
-          this.dispatchEvent(sessionId, 'error', {
-            type: 'internalServerException',
-            details: event.internalServerException
-          });
+          this.recorder?.record(sessionId, 'inbound', { internalServerException: { message: event.internalServerException.message, ...event.internalServerException } });
+          failure = {
+            source: 'bidirectionalStream',
+            reason: event.internalServerException.message || 'internalServerException',
+            retryable: true,
+            payload: {
+              type: 'internalServerException',
+              details: event.internalServerException
+            }
+          };
+          break;
         }
       }
 
-      console.log(`Response stream processing complete for session ${sessionId}`);
-      this.dispatchEvent(sessionId, 'streamComplete', {
-        timestamp: new Date().toISOString()
-      });
+      if (!failure && session.streamGeneration === generation) {
+        console.log(`Response stream processing complete for session ${sessionId}`);
+        this.dispatchEvent(sessionId, 'streamComplete', {
+          timestamp: new Date().toISOString()
+        });
+      }
 
     } catch (error) {
       console.error(`Error processing response stream for session ${sessionId}: `, error);
-      this.dispatchEvent(sessionId, 'error', {
+      failure = {
         source: 'responseStream',
-        message: 'Error processing response stream',
-        details: error instanceof Error ? error.message : String(error)
-      });
+        reason: error instanceof Error ? error.message : String(error),
+        retryable: isRetryableStreamError(error),
+        payload: {
+          source: 'responseStream',
+          message: 'Error processing response stream',
+          details: error instanceof Error ? error.message : String(error)
+        }
+      };
+    }
+
+    // A stream that stayed up a while before failing was healthy, so its failure gets a fresh
+    // set of attempts; one that fails soon after opening keeps counting towards maxAttempts
+    if (failure && Date.now() - openedAt >= this.reconnectConfig.healthyStreamMs) {
+      session.reconnectAttempts = 0;
+    }
+
+    return failure;
+  }
+
+  // Remember whether the current text content is a speculative or final transcript
+  private trackGenerationStage(session: SessionData, contentStart: any): void {
+    if (contentStart.type !== 'TEXT') return;
+
+    let stage: string | undefined;
+    if (contentStart.additionalModelFields) {
+      try {
+        stage = JSON.parse(contentStart.additionalModelFields).generationStage;
+      } catch (e) {
+        // Leave the stage unknown if the fields are not valid JSON
+      }
     }
+    session.currentGenerationStage = stage;
   }
 
   // Add an event to a session's queue
-  private addEventToSessionQueue(sessionId: string, event: any): void {
+  private addEventToSessionQueue(sessionId: string, event: any, trackActivity: boolean = true): void {
     const session = this.activeSessions.get(sessionId);
     if (!session || !session.isActive) return;
 
-    this.updateSessionActivity(sessionId);
+    if (trackActivity) {
+      this.updateSessionActivity(sessionId);
+    }
+    this.recorder?.record(sessionId, 'outbound', event);
     session.queue.push(event);
     session.queueSignal.next();
   }
@@ -623,30 +905,12 @@ export class NovaSonicBidirectionalStreamClient {
           textOutputConfiguration: {
             mediaType: "text/plain",
           },
-          audioOutputConfiguration: DefaultAudioOutputConfiguration,
+          audioOutputConfiguration: session.audioOutputConfig,
           toolUseOutputConfiguration: {
             mediaType: "application/json",
           },
           toolConfiguration: {
-            tools: [{
-              toolSpec: {
-                name: "getDateAndTimeTool",
-                description: "Get information about the current date and time.",
-                inputSchema: {
-                  json: DefaultToolSchema
-                }
-              }
-            },
-            {
-              toolSpec: {
-                name: "getWeatherTool",
-                description: "Get the current weather for a given location, based on its WGS84 coordinates.",
-                inputSchema: {
-                  json: WeatherToolSchema
-                }
-              }
-            }
-            ]
+            tools: this.toolRegistry.getToolSpecs()
           },
         },
       }
@@ -661,16 +925,35 @@ export class NovaSonicBidirectionalStreamClient {
     console.log(`Setting up systemPrompt events for session ${sessionId}...`);
     const session = this.activeSessions.get(sessionId);
     if (!session) return;
+
+    // Kept so the prompt can be replayed if the stream has to be reopened
+    session.systemPrompt = systemPromptContent;
+    session.textConfig = textConfig;
+
+    this.sendTextContent(sessionId, "SYSTEM", systemPromptContent, textConfig, false);
+  }
+
+  // Send a complete text content block (contentStart, textInput, contentEnd)
+  private sendTextContent(
+    sessionId: string,
+    role: "SYSTEM" | ConversationRole,
+    content: string,
+    textConfig: typeof DefaultTextConfiguration = DefaultTextConfiguration,
+    interactive: boolean = false
+  ): void {
+    const session = this.activeSessions.get(sessionId);
+    if (!session) return;
+
     // Text content start
-    const textPromptID = randomUUID();
+    const textContentId = randomUUID();
     this.addEventToSessionQueue(sessionId, {
       event: {
         contentStart: {
           promptName: session.promptName,
-          contentName: textPromptID,
+          contentName: textContentId,
           type: "TEXT",
-          interactive: false,
-          role: "SYSTEM",
+          interactive,
+          role,
           textInputConfiguration: textConfig,
         },
       }
@@ -681,8 +964,8 @@ export class NovaSonicBidirectionalStreamClient {
       event: {
         textInput: {
           promptName: session.promptName,
-          contentName: textPromptID,
-          content: systemPromptContent,
+          contentName: textContentId,
+          content,
         },
       }
     });
@@ -692,7 +975,7 @@ export class NovaSonicBidirectionalStreamClient {
       event: {
         contentEnd: {
           promptName: session.promptName,
-          contentName: textPromptID,
+          contentName: textContentId,
         },
       }
     });
@@ -721,15 +1004,45 @@ export class NovaSonicBidirectionalStreamClient {
       }
     });
     session.isAudioContentStartSent = true;
+    session.audioInputConfig = audioConfig;
+    this.audioKeepalive.startSession(sessionId);
     console.log(`Initial events setup complete for session ${sessionId}`);
   }
 
+  // Send a typed USER turn as an interactive text content block; the model answers
+  // it like speech, with audio and text output
+  public sendTextInput(sessionId: string, text: string): void {
+    const session = this.activeSessions.get(sessionId);
+    if (!session || !session.isActive || !session.isPromptStartSent) {
+      throw new Error(`Invalid session ${sessionId} for text input`);
+    }
+
+    // Nova Sonic does not transcribe text input back, so record the turn here for replay
+    this.recordConversationTurn(session, 'USER', text);
+    this.sendTextContent(sessionId, "USER", text, session.textConfig, true);
+  }
+
+  // Send a SYSTEM instruction into the live prompt mid-conversation, e.g. a safety
+  // protocol; it steers the next response without being answered on its own
+  public injectSystemInstruction(sessionId: string, instruction: string): void {
+    const session = this.activeSessions.get(sessionId);
+    if (!session || !session.isActive || !session.isPromptStartSent) {
+      throw new Error(`Invalid session ${sessionId} for system instruction`);
+    }
+
+    this.sendTextContent(sessionId, "SYSTEM", instruction, session.textConfig, false);
+  }
+
   // Stream an audio chunk for a session
   public async streamAudioChunk(sessionId: string, audioData: Buffer): Promise<void> {
     const session = this.activeSessions.get(sessionId);
     if (!session || !session.isActive || !session.audioContentId) {
       throw new Error(`Invalid session ${sessionId} for audio streaming`);
     }
+    // Audio captured while the stream is being reopened cannot be delivered
+    if (session.isReconnecting) return;
+    this.audioKeepalive.recordAudio(sessionId);
+
     // Convert audio to base64
     const base64Data = audioData.toString('base64');
 
@@ -744,6 +1057,25 @@ export class NovaSonicBidirectionalStreamClient {
     });
   }
 
+  // Inject keepalive silence into the open audio content. It is not counted as
+  // session activity, so idle sessions are still closed by the inactivity check.
+  private sendKeepaliveAudio(sessionId: string, audioData: Buffer): void {
+    const session = this.activeSessions.get(sessionId);
+    if (!session || !session.isActive || !session.isAudioContentStartSent) {
+      throw new Error(`Invalid session ${sessionId} for keepalive audio`);
+    }
+
+    this.addEventToSessionQueue(sessionId, {
+      event: {
+        audioInput: {
+          promptName: session.promptName,
+          contentName: session.audioContentId,
+          content: audioData.toString('base64'),
+        },
+      }
+    }, false);
+  }
+
 
   // Send tool result back to the model
   private async sendToolResult(sessionId: string, toolUseId: string, result: any): Promise<void> {
@@ -803,6 +1135,7 @@ export class NovaSonicBidirectionalStreamClient {
     const session = this.activeSessions.get(sessionId);
     if (!session || !session.isAudioContentStartSent) return;
 
+    this.audioKeepalive.stopSession(sessionId);
     await this.addEventToSessionQueue(sessionId, {
       event: {
         contentEnd: {
@@ -820,6 +1153,8 @@ export class NovaSonicBidirectionalStreamClient {
     const session = this.activeSessions.get(sessionId);
     if (!session || !session.isPromptStartSent) return;
 
+    // The prompt is ending on purpose, so a stream failure from here on is not recovered
+    session.isClosing = true;
     await this.addEventToSessionQueue(sessionId, {
       event: {
         promptEnd: {
@@ -836,6 +1171,7 @@ export class NovaSonicBidirectionalStreamClient {
     const session = this.activeSessions.get(sessionId);
     if (!session) return;
 
+    session.isClosing = true;
     await this.addEventToSessionQueue(sessionId, {
       event: {
         sessionEnd: {}
@@ -846,6 +1182,7 @@ export class NovaSonicBidirectionalStreamClient {
     await new Promise(resolve => setTimeout(resolve, 300));
 
     // Now it's safe to clean up
+    this.audioKeepalive.stopSession(sessionId);
     session.isActive = false;
     session.closeSignal.next();
     session.closeSignal.complete();
@@ -904,6 +1241,7 @@ export class NovaSonicBidirectionalStreamClient {
       console.error(`Error during closing sequence for session ${sessionId}:`, error);
 
       // Ensure cleanup happens even if there's an error
+      this.audioKeepalive.stopSession(sessionId);
       const session = this.activeSessions.get(sessionId);
       if (session) {
         session.isActive = false;
@@ -931,6 +1269,7 @@ export class NovaSonicBidirectionalStreamClient {
       console.log(`Force closing session ${sessionId}`);
 
       // Immediately mark as inactive and clean up resources
+      this.audioKeepalive.stopSession(sessionId);
       session.isActive = false;
       session.closeSignal.next();
       session.closeSignal.complete();
@@ -1,4 +1,5 @@
-import { AudioType, AudioMediaType, TextMediaType } from "./types";
+import { AudioType, AudioMediaType, TextMediaType, VoicePreferences } from "./types";
+import { ConversationDefaultTemplate } from "./prompts/default-templates";
 
 export const DefaultInferenceConfiguration = {
   maxTokens: 1024,
@@ -15,35 +16,37 @@ export const DefaultAudioInputConfiguration = {
   channelCount: 1,
 };
 
-export const DefaultToolSchema = JSON.stringify({
-  "type": "object",
-  "properties": {},
-  "required": []
-});
-
-export const WeatherToolSchema = JSON.stringify({
-  "type": "object",
-  "properties": {
-    "latitude": {
-      "type": "string",
-      "description": "Geographical WGS84 latitude of the location."
-    },
-    "longitude": {
-      "type": "string",
-      "description": "Geographical WGS84 longitude of the location."
-    }
-  },
-  "required": ["latitude", "longitude"]
-});
-
 export const DefaultTextConfiguration = { mediaType: "text/plain" as TextMediaType };
 
-export const DefaultSystemPrompt = "You are a friend. The user and you will engage in a spoken " +
-  "dialog exchanging the transcripts of a natural real-time conversation. Keep your responses short, " +
-  "generally two or three sentences for chatty scenarios.";
+export const MaxTextInputChars = 2000; // Typed USER turns sent with textInput
+
+export const DefaultSystemPrompt = ConversationDefaultTemplate.template;
 
 export const DefaultAudioOutputConfiguration = {
   ...DefaultAudioInputConfiguration,
   sampleRateHertz: 24000,
   voiceId: "tiffany",
 };
+
+// Values a client may request at promptStart; anything else is rejected server-side
+export const SessionConfigurationAllowList = {
+  voiceIds: ["tiffany", "matthew", "amy"],
+  outputSampleRates: [8000, 16000, 24000],
+  temperature: { min: 0, max: 1 },
+  topP: { min: 0, max: 1 },
+  maxTokens: { min: 64, max: 4096 },
+};
+
+export const DefaultVoicePreferences: VoicePreferences = {
+  voiceId: DefaultAudioOutputConfiguration.voiceId,
+  outputSampleRateHertz: DefaultAudioOutputConfiguration.sampleRateHertz,
+  ...DefaultInferenceConfiguration,
+};
+
+export const DefaultReconnectConfiguration = {
+  maxAttempts: 3,
+  baseDelayMs: 500, // Doubled on every attempt
+  maxReplayTurns: 20, // Most recent USER/ASSISTANT text turns replayed as history
+  maxReplayTurnChars: 1000, // Longer turns are truncated to their most recent text
+  healthyStreamMs: 30000, // A stream that fails after being open this long starts the attempt count over
+};
@@ -0,0 +1,341 @@
+/**
+ * Audit log of access to user data
+ * Every decrypt, export, delete and session-context read is recorded with who did it
+ * (actor), why (purpose) and when. Each user's records form a hash chain: every record
+ * carries the hash of the one before it, so editing or removing a record breaks the chain
+ * from there on (see verifyChain). With AUDIT_HASH_KEY set the hashes are HMACs, so the
+ * chain cannot be rebuilt by someone with write access to the table but not the key.
+ *
+ * Code that reads data on someone's behalf runs inside withAccess, which supplies the actor
+ * and purpose; the decrypts within one call are recorded as a single record per user.
+ * Records hold resource identifiers only, never the data itself, and outlive an erase.
+ *
+ * Record IDs follow from the sequence, so an append finds the head of the chain by reading
+ * the next ID from the table, strongly consistent, until there is none. The index of a
+ * user's records lags behind recent appends: appends only use it to find a starting point
+ * the process does not know yet, and reads fill in the records it lacks from the table.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { createHash, createHmac } from 'crypto';
+import { AuditAction, AuditRecord, DynamoDBAuditRecord } from './models';
+import { getStorageBackend, StorageBackend } from './storage';
+
+// Who is accessing data and why. Actors are user:<userId>, system:<component> or operator:<name>.
+export interface AuditAccess {
+  actor: string;
+  purpose: string;
+}
+
+export interface AuditEvent {
+  userId: string;
+  action: AuditAction;
+  resource?: string;
+  details?: Record<string, unknown>;
+  actor?: string; // Defaults to the actor of the current withAccess call
+  purpose?: string;
+}
+
+export interface AuditChainVerification {
+  valid: boolean;
+  checked: number;
+  brokenAt?: number; // Sequence of the first record that does not match the chain
+}
+
+interface AccessScope extends AuditAccess {
+  decrypts: Map<string, Set<string>>; // Resources decrypted per user
+}
+
+interface ChainHead {
+  sequence: number;
+  hash: string;
+}
+
+const UnattributedAccess: AuditAccess = { actor: 'system', purpose: 'unattributed' };
+const GenesisHash = '0'.repeat(64);
+const SequenceDigits = 12;
+const MaxAppendAttempts = 5;
+const AppendBackoffMs = 50; // Doubled after every conflict with another process
+const MaxKnownHeads = 10000;
+
+export class AuditLog {
+  private scopes = new AsyncLocalStorage<AccessScope>();
+  private appends: Map<string, Promise<unknown>> = new Map();
+  private heads: Map<string, ChainHead> = new Map(); // Last record appended per user, least recent first
+  private warnedUnkeyed = false;
+
+  constructor(private storage: StorageBackend = getStorageBackend()) {}
+
+  /**
+   * Run fn on behalf of an actor; everything it reads is recorded under their name and purpose
+   */
+  async withAccess<T>(access: AuditAccess, fn: () => Promise<T>): Promise<T> {
+    const scope: AccessScope = { ...access, decrypts: new Map() };
+    try {
+      return await this.scopes.run(scope, fn);
+    } finally {
+      await this.flushDecrypts(scope);
+    }
+  }
+
+  /**
+   * The actor and purpose the current code runs under
+   */
+  currentAccess(): AuditAccess {
+    const scope = this.scopes.getStore();
+    return scope ? { actor: scope.actor, purpose: scope.purpose } : UnattributedAccess;
+  }
+
+  /**
+   * Note that a value of the user's was decrypted. Within withAccess the decrypts are
+   * recorded together when it returns; otherwise right away.
+   */
+  noteDecrypt(userId: string, resource: string): void {
+    const scope = this.scopes.getStore();
+    if (!scope) {
+      this.record({ userId, action: 'decrypt', resource }).catch(error => {
+        console.error('Error recording decrypt in the audit log:', error);
+      });
+      return;
+    }
+
+    const resources = scope.decrypts.get(userId) ?? new Set<string>();
+    resources.add(resource);
+    scope.decrypts.set(userId, resources);
+  }
+
+  /**
+   * Append a record to the user's chain. Callers record an export or delete before acting,
+   * so the action does not happen if it cannot be recorded.
+   */
+  record(event: AuditEvent): Promise<AuditRecord> {
+    const access = this.currentAccess();
+    const entry = {
+      userId: event.userId,
+      action: event.action,
+      actor: event.actor ?? access.actor,
+      purpose: event.purpose ?? access.purpose,
+      resource: event.resource,
+      details: event.details
+    };
+
+    // Appends for one user are serialized in this process; ifNotExists covers other processes
+    const previous = this.appends.get(event.userId) ?? Promise.resolve();
+    const appended = previous.catch(() => undefined).then(() => this.append(entry));
+    this.appends.set(event.userId, appended);
+    appended.finally(() => {
+      if (this.appends.get(event.userId) === appended) {
+        this.appends.delete(event.userId);
+      }
+    }).catch(() => undefined);
+    return appended;
+  }
+
+  /**
+   * The user's records, newest first
+   */
+  async getAccessHistory(userId: string, limit: number = 100): Promise<AuditRecord[]> {
+    const items = await this.storage.query('audit', {
+      indexName: 'userId-auditId-index',
+      partitionKey: 'userId',
+      partitionValue: userId,
+      sortKey: 'auditId',
+      descending: true,
+      limit
+    }) as DynamoDBAuditRecord[];
+
+    const newer = await this.readAfter(userId, items.length > 0 ? Number(items[0].sequence) : 0);
+    return [...newer.reverse(), ...items].slice(0, limit).map(item => AuditLog.fromDynamoRecord(item));
+  }
+
+  /**
+   * Recompute the user's chain from the first record. Records the index does not have yet
+   * are read from the table, so a lagging index is not mistaken for a removed record.
+   * Records removed from the end of the chain cannot be detected from the chain alone.
+   */
+  async verifyChain(userId: string): Promise<AuditChainVerification> {
+    const items = await this.storage.query('audit', {
+      indexName: 'userId-auditId-index',
+      partitionKey: 'userId',
+      partitionValue: userId,
+      sortKey: 'auditId'
+    }) as DynamoDBAuditRecord[];
+    const indexed = new Map(items.map(item => [item.auditId, item]));
+
+    let previousHash = GenesisHash;
+    let indexedChecked = 0;
+    for (let sequence = 1; ; sequence++) {
+      const auditId = AuditLog.auditId(userId, sequence);
+      const fromIndex = indexed.get(auditId);
+      const item = fromIndex ?? await this.storage.get('audit', { auditId }, { consistentRead: true }) as DynamoDBAuditRecord | null;
+
+      if (!item) {
+        // The end of the chain, unless the index has records that are not on it
+        return indexedChecked < items.length
+          ? { valid: false, checked: sequence - 1, brokenAt: sequence }
+          : { valid: true, checked: sequence - 1 };
+      }
+
+      const intact = Number(item.sequence) === sequence &&
+        item.userId === userId &&
+        item.previousHash === previousHash &&
+        item.hash === this.hashRecord(item);
+      if (!intact) {
+        return { valid: false, checked: sequence - 1, brokenAt: sequence };
+      }
+      previousHash = item.hash;
+      if (fromIndex) {
+        indexedChecked++;
+      }
+    }
+  }
+
+  private async append(entry: Omit<AuditRecord, 'auditId' | 'sequence' | 'timestamp' | 'previousHash' | 'hash'>): Promise<AuditRecord> {
+    let head = this.heads.get(entry.userId) ?? await this.queryHead(entry.userId);
+
+    for (let attempt = 1; attempt <= MaxAppendAttempts; attempt++) {
+      head = await this.followChain(entry.userId, head);
+
+      const sequence = head ? head.sequence + 1 : 1;
+      const item: DynamoDBAuditRecord = {
+        auditId: AuditLog.auditId(entry.userId, sequence),
+        userId: entry.userId,
+        sequence,
+        timestamp: new Date().toISOString(),
+        actor: entry.actor,
+        action: entry.action,
+        purpose: entry.purpose,
+        ...(entry.resource ? { resource: entry.resource } : {}),
+        ...(entry.details ? { details: JSON.stringify(entry.details) } : {}),
+        previousHash: head ? head.hash : GenesisHash,
+        hash: ''
+      };
+      item.hash = this.hashRecord(item);
+
+      try {
+        await this.storage.put('audit', item, { ifNotExists: true });
+        this.rememberHead(entry.userId, { sequence, hash: item.hash });
+        return AuditLog.fromDynamoRecord(item);
+      } catch (error: any) {
+        // Another process appended this sequence first; the next attempt chains onto its record
+        if (error?.name !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+        const delay = AppendBackoffMs * 2 ** (attempt - 1);
+        await new Promise(resolve => setTimeout(resolve, delay + Math.random() * delay));
+      }
+    }
+
+    throw new Error(`Could not append to the audit log of user ${entry.userId}`);
+  }
+
+  /**
+   * The newest record the index knows of, a starting point for followChain
+   */
+  private async queryHead(userId: string): Promise<ChainHead | null> {
+    const [head] = await this.storage.query('audit', {
+      indexName: 'userId-auditId-index',
+      partitionKey: 'userId',
+      partitionValue: userId,
+      sortKey: 'auditId',
+      descending: true,
+      limit: 1
+    }) as DynamoDBAuditRecord[];
+    return head ? { sequence: Number(head.sequence), hash: head.hash } : null;
+  }
+
+  /**
+   * The head of the chain: the last of the records after head in the table
+   */
+  private async followChain(userId: string, head: ChainHead | null): Promise<ChainHead | null> {
+    const newer = await this.readAfter(userId, head?.sequence ?? 0);
+    const last = newer[newer.length - 1];
+    return last ? { sequence: Number(last.sequence), hash: last.hash } : head;
+  }
+
+  /**
+   * Read the records after a sequence from the table, strongly consistent, oldest first
+   */
+  private async readAfter(userId: string, sequence: number): Promise<DynamoDBAuditRecord[]> {
+    const records: DynamoDBAuditRecord[] = [];
+    for (;;) {
+      const next = await this.storage.get(
+        'audit',
+        { auditId: AuditLog.auditId(userId, sequence + records.length + 1) },
+        { consistentRead: true }
+      ) as DynamoDBAuditRecord | null;
+      if (!next) {
+        return records;
+      }
+      records.push(next);
+    }
+  }
+
+  private rememberHead(userId: string, head: ChainHead): void {
+    this.heads.delete(userId);
+    this.heads.set(userId, head);
+    if (this.heads.size > MaxKnownHeads) {
+      this.heads.delete(this.heads.keys().next().value!);
+    }
+  }
+
+  private async flushDecrypts(scope: AccessScope): Promise<void> {
+    for (const [userId, resources] of scope.decrypts) {
+      try {
+        await this.record({
+          userId,
+          action: 'decrypt',
+          actor: scope.actor,
+          purpose: scope.purpose,
+          details: { resources: [...resources] }
+        });
+      } catch (error) {
+        console.error('Error recording decrypts in the audit log:', error);
+      }
+    }
+    scope.decrypts.clear();
+  }
+
+  /**
+   * Hash of a record as stored, covering every attribute but the hash itself
+   */
+  private hashRecord(item: DynamoDBAuditRecord): string {
+    const canonical = JSON.stringify([
+      item.auditId,
+      item.userId,
+      Number(item.sequence),
+      item.timestamp,
+      item.actor,
+      item.action,
+      item.purpose,
+      item.resource ?? null,
+      item.details ?? null,
+      item.previousHash
+    ]);
+
+    const key = process.env.AUDIT_HASH_KEY;
+    if (!key) {
+      if (!this.warnedUnkeyed) {
+        console.warn('⚠️ AUDIT_HASH_KEY is not set; the audit chain uses unkeyed hashes');
+        this.warnedUnkeyed = true;
+      }
+      return createHash('sha256').update(canonical).digest('hex');
+    }
+    return createHmac('sha256', key).update(canonical).digest('hex');
+  }
+
+  private static auditId(userId: string, sequence: number): string {
+    return `${userId}#${String(sequence).padStart(SequenceDigits, '0')}`;
+  }
+
+  private static fromDynamoRecord(item: DynamoDBAuditRecord): AuditRecord {
+    return {
+      ...item,
+      sequence: Number(item.sequence),
+      details: item.details ? JSON.parse(item.details) : undefined
+    };
+  }
+}
+
+// Export singleton instance
+export const auditLog = new AuditLog();
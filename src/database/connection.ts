@@ -14,6 +14,10 @@ export interface DatabaseConfig {
   tables: {
     users: string;
     sessions: string;
+    progress: string;
+    settings: string;
+    keys: string;
+    audit: string;
   };
 }
 
@@ -31,7 +35,11 @@ export class DatabaseConnection {
       secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
       tables: {
         users: process.env.DYNAMODB_USERS_TABLE || 'therapeutic-wave-users',
-        sessions: process.env.DYNAMODB_SESSIONS_TABLE || 'therapeutic-wave-sessions'
+        sessions: process.env.DYNAMODB_SESSIONS_TABLE || 'therapeutic-wave-sessions',
+        progress: process.env.DYNAMODB_PROGRESS_TABLE || 'therapeutic-wave-progress',
+        settings: process.env.DYNAMODB_SETTINGS_TABLE || 'therapeutic-wave-settings',
+        keys: process.env.DYNAMODB_KEYS_TABLE || 'therapeutic-wave-keys',
+        audit: process.env.DYNAMODB_AUDIT_TABLE || 'therapeutic-wave-audit'
       },
       ...config
     };
@@ -87,7 +95,7 @@ export class DatabaseConnection {
   /**
    * Get table name by type
    */
-  getTableName(tableType: 'users' | 'sessions'): string {
+  getTableName(tableType: keyof DatabaseConfig['tables']): string {
     return this.config.tables[tableType];
   }
 
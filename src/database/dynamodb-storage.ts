@@ -0,0 +1,140 @@
+/**
+ * DynamoDB storage backend
+ * Stores repository items in the DynamoDB tables named by the database connection
+ */
+
+import {
+  DynamoDBDocumentClient,
+  PutCommand,
+  GetCommand,
+  UpdateCommand,
+  DeleteCommand,
+  QueryCommand,
+  ScanCommand
+} from '@aws-sdk/lib-dynamodb';
+import { getDatabaseConnection } from './connection';
+import { getKeyAttribute } from './schemas';
+import { StorageBackend, StorageGetOptions, StorageItem, StoragePutOptions, StorageQuery, StorageTable } from './storage';
+
+export class DynamoDBStorage implements StorageBackend {
+  readonly name = 'DynamoDB';
+  readonly expiresItems = true; // With TTL enabled on the tables, see setup
+  private db = getDatabaseConnection();
+
+  /**
+   * @param docClient The connection's document client, or a stand-in such as MockDynamoDBClient
+   */
+  constructor(private docClient: Pick<DynamoDBDocumentClient, 'send'> = getDatabaseConnection().getDocumentClient()) {}
+
+  async get(table: StorageTable, key: StorageItem, options: StorageGetOptions = {}): Promise<StorageItem | null> {
+    const response = await this.docClient.send(new GetCommand({
+      TableName: this.db.getTableName(table),
+      Key: key,
+      ...(options.consistentRead ? { ConsistentRead: true } : {})
+    }));
+    return response.Item ?? null;
+  }
+
+  async put(table: StorageTable, item: StorageItem, options: StoragePutOptions = {}): Promise<void> {
+    const keyAttribute = getKeyAttribute(table);
+
+    await this.docClient.send(new PutCommand({
+      TableName: this.db.getTableName(table),
+      Item: item,
+      ...(options.ifNotExists ? {
+        ConditionExpression: 'attribute_not_exists(#pk)',
+        ExpressionAttributeNames: { '#pk': keyAttribute }
+      } : {})
+    }));
+  }
+
+  async update(table: StorageTable, key: StorageItem, values: StorageItem, removeAttributes: string[] = []): Promise<StorageItem | null> {
+    const entries = Object.entries(values).filter(([, value]) => value !== undefined);
+    if (entries.length === 0 && removeAttributes.length === 0) {
+      return this.get(table, key);
+    }
+
+    const expressionAttributeNames: Record<string, string> = { '#pk': Object.keys(key)[0] };
+    const expressionAttributeValues: Record<string, any> = {};
+    const assignments = entries.map(([attribute, value], index) => {
+      expressionAttributeNames[`#a${index}`] = attribute;
+      expressionAttributeValues[`:v${index}`] = value;
+      return `#a${index} = :v${index}`;
+    });
+    const removals = removeAttributes.map((attribute, index) => {
+      expressionAttributeNames[`#r${index}`] = attribute;
+      return `#r${index}`;
+    });
+    const clauses = [
+      ...(assignments.length > 0 ? [`SET ${assignments.join(', ')}`] : []),
+      ...(removals.length > 0 ? [`REMOVE ${removals.join(', ')}`] : [])
+    ];
+
+    try {
+      const response = await this.docClient.send(new UpdateCommand({
+        TableName: this.db.getTableName(table),
+        Key: key,
+        UpdateExpression: clauses.join(' '),
+        // Updates never create an item, e.g. a session erased while it was running
+        ConditionExpression: 'attribute_exists(#pk)',
+        ExpressionAttributeNames: expressionAttributeNames,
+        ExpressionAttributeValues: assignments.length > 0 ? expressionAttributeValues : undefined,
+        ReturnValues: 'ALL_NEW'
+      }));
+      return response.Attributes ?? null;
+    } catch (error: any) {
+      if (error?.name === 'ConditionalCheckFailedException') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(table: StorageTable, key: StorageItem): Promise<void> {
+    await this.docClient.send(new DeleteCommand({
+      TableName: this.db.getTableName(table),
+      Key: key
+    }));
+  }
+
+  /**
+   * Query an index, following LastEvaluatedKey until the limit or the last page
+   */
+  async query(table: StorageTable, query: StorageQuery): Promise<StorageItem[]> {
+    const items: StorageItem[] = [];
+    let exclusiveStartKey: Record<string, any> | undefined;
+
+    do {
+      const response = await this.docClient.send(new QueryCommand({
+        TableName: this.db.getTableName(table),
+        IndexName: query.indexName,
+        KeyConditionExpression: '#pk = :pk',
+        ExpressionAttributeNames: { '#pk': query.partitionKey },
+        ExpressionAttributeValues: { ':pk': query.partitionValue },
+        ScanIndexForward: !query.descending,
+        Limit: query.limit !== undefined ? query.limit - items.length : undefined,
+        ExclusiveStartKey: exclusiveStartKey
+      }));
+      items.push(...(response.Items || []));
+      exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey && (query.limit === undefined || items.length < query.limit));
+
+    return items;
+  }
+
+  async scan(table: StorageTable): Promise<StorageItem[]> {
+    const items: StorageItem[] = [];
+    let exclusiveStartKey: Record<string, any> | undefined;
+
+    do {
+      const response = await this.docClient.send(new ScanCommand({
+        TableName: this.db.getTableName(table),
+        ExclusiveStartKey: exclusiveStartKey
+      }));
+      items.push(...(response.Items || []));
+      exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    return items;
+  }
+}
@@ -1,25 +1,30 @@
 /**
  * Encryption utilities for sensitive user data storage
- * Uses AES-256-GCM for authenticated encryption
+ * User data is encrypted with per-user data keys (see envelope-encryption); this module
+ * holds hashing, ID generation, sanitization, and reading data stored before that
  */
 
-import { createCipheriv, createDecipheriv, randomBytes, createHash } from 'crypto';
-import { KMSClient, EncryptCommand, DecryptCommand } from '@aws-sdk/client-kms';
+import { createDecipheriv, randomBytes, createHash, createHmac } from 'crypto';
+import { KMSClient, DecryptCommand } from '@aws-sdk/client-kms';
+import { getMasterKeyProvider } from './master-keys';
 
 const ALGORITHM = 'aes-256-gcm';
-const KEY_LENGTH = 32; // 256 bits
 const IV_LENGTH = 16; // 128 bits
 const TAG_LENGTH = 16; // 128 bits
 
+// Hex IV and auth tag followed by the ciphertext, as the local legacy format stored it
+const LegacyLocalCiphertext = /^[0-9a-f]{64,}$/;
+
 // Initialize KMS client
 const kmsClient = new KMSClient({ 
   region: process.env.AWS_REGION || 'us-east-1' 
 });
 
 /**
- * Generate encryption key from environment variable or create a new one
+ * Key of data stored before envelope encryption: derived from ENCRYPTION_KEY, or from a
+ * fixed demo seed when it was unset. Used only to read that data.
  */
-function getEncryptionKey(): Buffer {
+function getLegacyEncryptionKey(): Buffer {
   const keyString = process.env.ENCRYPTION_KEY;
   
   if (keyString) {
@@ -27,144 +32,102 @@ function getEncryptionKey(): Buffer {
     return createHash('sha256').update(keyString).digest();
   }
   
-  // For demo/development, use a consistent default key
   const defaultSeed = 'demo-therapeutic-wave-interface-encryption-key';
   return createHash('sha256').update(defaultSeed).digest();
 }
 
 /**
- * Encrypt sensitive data using AES-256-GCM
+ * Decrypt data stored with the legacy local AES-256-GCM format
  */
-export function encryptSensitiveData(data: string): string {
-  try {
-    const key = getEncryptionKey();
-    const iv = randomBytes(IV_LENGTH);
-    
-    const cipher = createCipheriv(ALGORITHM, key, iv);
-    cipher.setAAD(Buffer.from('therapeutic-wave-interface'));
-    
-    let encrypted = cipher.update(data, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    const tag = cipher.getAuthTag();
-    
-    // Combine IV, tag, and encrypted data
-    const result = iv.toString('hex') + tag.toString('hex') + encrypted;
-    
-    return result;
-  } catch (error) {
-    console.error('Encryption error:', error);
-    throw new Error('Failed to encrypt sensitive data');
-  }
+function decryptLegacyLocalData(encryptedData: string): string {
+  const key = getLegacyEncryptionKey();
+  
+  // Extract IV, tag, and encrypted data
+  const iv = Buffer.from(encryptedData.slice(0, IV_LENGTH * 2), 'hex');
+  const tag = Buffer.from(encryptedData.slice(IV_LENGTH * 2, (IV_LENGTH + TAG_LENGTH) * 2), 'hex');
+  const encrypted = encryptedData.slice((IV_LENGTH + TAG_LENGTH) * 2);
+  
+  const decipher = createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAAD(Buffer.from('therapeutic-wave-interface'));
+  decipher.setAuthTag(tag);
+  
+  let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+  decrypted += decipher.final('utf8');
+  
+  return decrypted;
 }
 
 /**
- * Decrypt sensitive data using AES-256-GCM
+ * Decrypt data stored with the legacy KMS transcript format
  */
-export function decryptSensitiveData(encryptedData: string): string {
-  try {
-    const key = getEncryptionKey();
-    
-    // Extract IV, tag, and encrypted data
-    const iv = Buffer.from(encryptedData.slice(0, IV_LENGTH * 2), 'hex');
-    const tag = Buffer.from(encryptedData.slice(IV_LENGTH * 2, (IV_LENGTH + TAG_LENGTH) * 2), 'hex');
-    const encrypted = encryptedData.slice((IV_LENGTH + TAG_LENGTH) * 2);
-    
-    const decipher = createDecipheriv(ALGORITHM, key, iv);
-    decipher.setAAD(Buffer.from('therapeutic-wave-interface'));
-    decipher.setAuthTag(tag);
-    
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    
-    return decrypted;
-  } catch (error) {
-    console.error('Decryption error:', error);
-    throw new Error('Failed to decrypt sensitive data');
+async function decryptLegacyKMSData(encryptedData: string): Promise<string> {
+  const command = new DecryptCommand({
+    CiphertextBlob: Buffer.from(encryptedData, 'base64'),
+    EncryptionContext: {
+      purpose: 'therapeutic-transcript',
+      application: 'hope-ai-companion'
+    }
+  });
+
+  const response = await kmsClient.send(command);
+  
+  if (!response.Plaintext) {
+    throw new Error('KMS decryption failed - no plaintext returned');
   }
+
+  return Buffer.from(response.Plaintext).toString('utf8');
 }
 
 /**
- * Encrypt transcript data using AWS KMS
+ * Decrypt data stored before envelope encryption: local AES-256-GCM (hex) or a KMS
+ * ciphertext (base64). Transcripts saved by the transcript processor were encrypted
+ * locally and then again with KMS, so both layers are removed.
  */
-export async function encryptTranscriptWithKMS(transcript: string): Promise<string> {
+export async function decryptLegacyData(encryptedData: string): Promise<string> {
   try {
-    const kmsKeyId = process.env.KMS_KEY_ID;
-    
-    if (!kmsKeyId) {
-      console.warn('KMS_KEY_ID not provided, falling back to local encryption');
-      return encryptSensitiveData(transcript);
+    if (LegacyLocalCiphertext.test(encryptedData)) {
+      return decryptLegacyLocalData(encryptedData);
     }
 
-    const command = new EncryptCommand({
-      KeyId: kmsKeyId,
-      Plaintext: Buffer.from(transcript, 'utf8'),
-      EncryptionContext: {
-        purpose: 'therapeutic-transcript',
-        application: 'hope-ai-companion'
+    const decrypted = await decryptLegacyKMSData(encryptedData);
+    if (LegacyLocalCiphertext.test(decrypted)) {
+      try {
+        return decryptLegacyLocalData(decrypted);
+      } catch (error) {
+        // Plain content that happens to look like a local ciphertext
       }
-    });
-
-    const response = await kmsClient.send(command);
-    
-    if (!response.CiphertextBlob) {
-      throw new Error('KMS encryption failed - no ciphertext returned');
     }
-
-    // Convert to base64 for storage
-    return Buffer.from(response.CiphertextBlob).toString('base64');
+    return decrypted;
   } catch (error) {
-    console.error('KMS encryption error:', error);
-    // Fallback to local encryption if KMS fails
-    console.warn('Falling back to local encryption due to KMS error');
-    return encryptSensitiveData(transcript);
+    console.error('Legacy decryption error:', error);
+    throw new Error('Failed to decrypt sensitive data');
   }
 }
 
+let warnedUnkeyedIndexHash = false;
+
 /**
- * Decrypt transcript data using AWS KMS
+ * Hash sensitive data for indexing (one-way hash). Keyed with INDEX_HASH_KEY (HMAC-SHA256),
+ * so low-entropy values such as handles cannot be found by hashing guesses against a copy
+ * of the table; unkeyed SHA-256 until it is set.
  */
-export async function decryptTranscriptWithKMS(encryptedTranscript: string): Promise<string> {
-  try {
-    const kmsKeyId = process.env.KMS_KEY_ID;
-    
-    // If no KMS key configured, try local decryption
-    if (!kmsKeyId) {
-      return decryptSensitiveData(encryptedTranscript);
-    }
-
-    // Try KMS decryption first
-    try {
-      const command = new DecryptCommand({
-        CiphertextBlob: Buffer.from(encryptedTranscript, 'base64'),
-        EncryptionContext: {
-          purpose: 'therapeutic-transcript',
-          application: 'hope-ai-companion'
-        }
-      });
-
-      const response = await kmsClient.send(command);
-      
-      if (!response.Plaintext) {
-        throw new Error('KMS decryption failed - no plaintext returned');
-      }
-
-      return Buffer.from(response.Plaintext).toString('utf8');
-    } catch (kmsError) {
-      console.warn('KMS decryption failed, trying local decryption:', kmsError);
-      // Fallback to local decryption (for backwards compatibility)
-      return decryptSensitiveData(encryptedTranscript);
+export function hashForIndex(data: string): string {
+  const indexKey = process.env.INDEX_HASH_KEY;
+  if (!indexKey) {
+    if (!warnedUnkeyedIndexHash) {
+      console.warn('⚠️ INDEX_HASH_KEY is not set; lookup hashes are unkeyed');
+      warnedUnkeyedIndexHash = true;
     }
-  } catch (error) {
-    console.error('Transcript decryption error:', error);
-    throw new Error('Failed to decrypt transcript data');
+    return legacyHashForIndex(data);
   }
+
+  return createHmac('sha256', indexKey).update(data).digest('hex');
 }
 
 /**
- * Hash sensitive data for indexing (one-way hash)
+ * The unkeyed hash stored before INDEX_HASH_KEY was set, to find records still indexed by it
  */
-export function hashForIndex(data: string): string {
+export function legacyHashForIndex(data: string): string {
   return createHash('sha256').update(data).digest('hex');
 }
 
@@ -209,15 +172,16 @@ export function sanitizeBeforeEncryption(data: string): string {
 }
 
 /**
- * Validate encryption configuration
+ * Validate encryption configuration: the master key provider can wrap and unwrap a key
  */
-export function validateEncryptionConfig(): boolean {
+export async function validateEncryptionConfig(): Promise<boolean> {
   try {
-    const testData = 'test-encryption-validation';
-    const encrypted = encryptSensitiveData(testData);
-    const decrypted = decryptSensitiveData(encrypted);
+    const masterKeys = getMasterKeyProvider();
+    const testKey = randomBytes(32);
+    const context = { userId: 'encryption-validation' };
+    const unwrapped = await masterKeys.unwrap(await masterKeys.wrap(testKey, context), context);
     
-    return decrypted === testData;
+    return unwrapped.equals(testKey);
   } catch (error) {
     console.error('Encryption validation failed:', error);
     return false;
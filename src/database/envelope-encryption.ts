@@ -0,0 +1,275 @@
+/**
+ * Envelope encryption of user data
+ * Every user has data keys of their own, generated here and kept in the keys table only
+ * wrapped by the master key (see master-keys). Sensitive fields are encrypted with
+ * AES-256-GCM under the user's current data key, and every ciphertext is tagged with the
+ * data key version it needs:
+ *
+ *   env1:<data key version>:<base64 of IV, auth tag and ciphertext>
+ *
+ * Rotating the master key only re-wraps the data keys (see rotate-keys); a new data key
+ * version encrypts new data while older versions still decrypt older data. Deleting a
+ * user's keyring leaves everything encrypted for them unreadable.
+ */
+
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
+import { DataKeyring, DynamoDBDataKeyring, WrappedDataKey } from './models';
+import { decryptLegacyData } from './encryption';
+import { getMasterKeyProvider, KeyContext, MasterKeyProvider } from './master-keys';
+import { getStorageBackend, StorageBackend } from './storage';
+
+const CiphertextPrefix = 'env1';
+const DATA_KEY_LENGTH = 32; // AES-256
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Unwrapped data keys are kept this long, so KMS is not called for every field
+const DataKeyCacheMs = 5 * 60 * 1000;
+
+interface CachedKeyring {
+  currentVersion: number;
+  keys: Map<number, Buffer>;
+  cachedAt: number;
+}
+
+export interface RewrapResult {
+  keyrings: number;
+  rewrappedKeys: number;
+  newDataKeys: number;
+}
+
+export class EnvelopeEncryption {
+  private cache: Map<string, CachedKeyring> = new Map();
+
+  constructor(
+    private storage: StorageBackend = getStorageBackend(),
+    private masterKeys: () => MasterKeyProvider = getMasterKeyProvider
+  ) {}
+
+  /**
+   * Whether a stored value was encrypted by this module rather than before it existed
+   */
+  static isEnvelopeCiphertext(value: string): boolean {
+    return value.startsWith(`${CiphertextPrefix}:`);
+  }
+
+  /**
+   * Encrypt a value under the user's current data key, creating their keyring if needed
+   */
+  async encrypt(userId: string, plaintext: string): Promise<string> {
+    const keyring = await this.getKeyring(userId);
+    const version = keyring.currentVersion;
+    const iv = randomBytes(IV_LENGTH);
+
+    const cipher = createCipheriv('aes-256-gcm', keyring.keys.get(version)!, iv);
+    cipher.setAAD(Buffer.from(userId)); // A ciphertext moved to another user fails to decrypt
+    const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    const payload = Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+    return `${CiphertextPrefix}:${version}:${payload}`;
+  }
+
+  /**
+   * Decrypt a value of the user's, including values stored before envelope encryption
+   */
+  async decrypt(userId: string, ciphertext: string): Promise<string> {
+    if (!EnvelopeEncryption.isEnvelopeCiphertext(ciphertext)) {
+      return decryptLegacyData(ciphertext);
+    }
+
+    const [, versionTag, payload] = ciphertext.split(':');
+    const version = Number(versionTag);
+    let keyring = await this.getKeyring(userId, false);
+    if (!keyring.keys.has(version)) {
+      // A version added since the keyring was cached
+      this.forget(userId);
+      keyring = await this.getKeyring(userId, false);
+    }
+
+    const key = keyring.keys.get(version);
+    if (!key) {
+      throw new Error(`Data key version ${version} of user ${userId} not found`);
+    }
+
+    const data = Buffer.from(payload, 'base64');
+    const decipher = createDecipheriv('aes-256-gcm', key, data.subarray(0, IV_LENGTH));
+    decipher.setAAD(Buffer.from(userId));
+    decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+    return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Add a data key version that the user's data is encrypted with from now on.
+   * Returns the new version.
+   */
+  async rotateDataKey(userId: string): Promise<number> {
+    const stored = await this.readKeyring(userId);
+    if (!stored) {
+      return (await this.getKeyring(userId)).currentVersion;
+    }
+
+    const version = Math.max(...Object.keys(stored.dataKeys).map(Number)) + 1;
+    const dataKey = await this.wrapDataKey(userId, randomBytes(DATA_KEY_LENGTH));
+    await this.storage.update('keys', { userId }, {
+      [EnvelopeEncryption.dataKeyAttribute(version)]: JSON.stringify(dataKey),
+      currentVersion: version,
+      updatedAt: new Date().toISOString()
+    });
+
+    this.forget(userId);
+    return version;
+  }
+
+  /**
+   * Re-wrap every data key not wrapped by the current master key, and optionally add a
+   * new data key version for every user. The data encrypted under the keys is untouched.
+   */
+  async rewrapDataKeys(options: { newDataKeys?: boolean } = {}): Promise<RewrapResult> {
+    const masterKeys = this.masterKeys();
+    const currentKeyId = await masterKeys.currentKeyId();
+    const result: RewrapResult = { keyrings: 0, rewrappedKeys: 0, newDataKeys: 0 };
+
+    for (const item of await this.storage.scan('keys') as DynamoDBDataKeyring[]) {
+      const keyring = EnvelopeEncryption.fromDynamoKeyring(item);
+      const values: Record<string, string> = {};
+
+      for (const [version, dataKey] of Object.entries(keyring.dataKeys)) {
+        if (dataKey.masterKeyId === currentKeyId) continue;
+
+        const context = EnvelopeEncryption.keyContext(keyring.userId);
+        const rewrapped = await masterKeys.wrap(await masterKeys.unwrap(dataKey, context), context);
+        values[EnvelopeEncryption.dataKeyAttribute(Number(version))] = JSON.stringify({ ...rewrapped, createdAt: dataKey.createdAt });
+        result.rewrappedKeys++;
+      }
+
+      // Only the re-wrapped versions are written, so a version added meanwhile is kept
+      if (Object.keys(values).length > 0) {
+        await this.storage.update('keys', { userId: keyring.userId }, { ...values, updatedAt: new Date().toISOString() });
+      }
+      if (options.newDataKeys) {
+        await this.rotateDataKey(keyring.userId);
+        result.newDataKeys++;
+      }
+
+      this.forget(keyring.userId);
+      result.keyrings++;
+    }
+
+    return result;
+  }
+
+  /**
+   * Delete a user's keyring, leaving anything still encrypted for them unreadable
+   */
+  async deleteDataKeys(userId: string): Promise<boolean> {
+    const existing = await this.storage.get('keys', { userId });
+    await this.storage.delete('keys', { userId });
+    this.forget(userId);
+    return existing !== null;
+  }
+
+  /**
+   * Drop a user's unwrapped keys from memory
+   */
+  forget(userId: string): void {
+    this.cache.delete(userId);
+  }
+
+  /**
+   * The user's unwrapped data keys, from the cache or the keys table. Only encryption
+   * creates a keyring; without one there is nothing to decrypt.
+   */
+  private async getKeyring(userId: string, create: boolean = true): Promise<CachedKeyring> {
+    const cached = this.cache.get(userId);
+    if (cached && Date.now() - cached.cachedAt < DataKeyCacheMs) {
+      return cached;
+    }
+
+    const keyring = await this.readKeyring(userId) ?? (create ? await this.createKeyring(userId) : null);
+    if (!keyring) {
+      throw new Error(`No data keys for user ${userId}`);
+    }
+
+    const context = EnvelopeEncryption.keyContext(userId);
+    const keys = new Map<number, Buffer>();
+    for (const [version, dataKey] of Object.entries(keyring.dataKeys)) {
+      keys.set(Number(version), await this.masterKeys().unwrap(dataKey, context));
+    }
+
+    const unwrapped: CachedKeyring = { currentVersion: keyring.currentVersion, keys, cachedAt: Date.now() };
+    this.cache.set(userId, unwrapped);
+    return unwrapped;
+  }
+
+  private async readKeyring(userId: string): Promise<DataKeyring | null> {
+    const item = await this.storage.get('keys', { userId });
+    return item ? EnvelopeEncryption.fromDynamoKeyring(item as DynamoDBDataKeyring) : null;
+  }
+
+  private async createKeyring(userId: string): Promise<DataKeyring> {
+    const now = new Date().toISOString();
+    const keyring: DataKeyring = {
+      userId,
+      currentVersion: 1,
+      dataKeys: { 1: await this.wrapDataKey(userId, randomBytes(DATA_KEY_LENGTH)) },
+      updatedAt: now
+    };
+
+    try {
+      await this.storage.put('keys', EnvelopeEncryption.toDynamoKeyring(keyring), { ifNotExists: true });
+      return keyring;
+    } catch (error: any) {
+      // Another request created the keyring first; use theirs
+      if (error?.name === 'ConditionalCheckFailedException') {
+        const existing = await this.readKeyring(userId);
+        if (existing) return existing;
+      }
+      throw error;
+    }
+  }
+
+  private async wrapDataKey(userId: string, dataKey: Buffer): Promise<WrappedDataKey> {
+    const wrapped = await this.masterKeys().wrap(dataKey, EnvelopeEncryption.keyContext(userId));
+    return { ...wrapped, createdAt: new Date().toISOString() };
+  }
+
+  private static keyContext(userId: string): KeyContext {
+    return { userId };
+  }
+
+  private static dataKeyAttribute(version: number): `dataKeyV${number}` {
+    return `dataKeyV${version}`;
+  }
+
+  private static toDynamoKeyring(keyring: DataKeyring): DynamoDBDataKeyring {
+    const item: DynamoDBDataKeyring = {
+      userId: keyring.userId,
+      currentVersion: keyring.currentVersion,
+      updatedAt: keyring.updatedAt
+    };
+    for (const [version, dataKey] of Object.entries(keyring.dataKeys)) {
+      item[EnvelopeEncryption.dataKeyAttribute(Number(version))] = JSON.stringify(dataKey);
+    }
+    return item;
+  }
+
+  private static fromDynamoKeyring(item: DynamoDBDataKeyring): DataKeyring {
+    const dataKeys: DataKeyring['dataKeys'] = {};
+    for (const [attribute, value] of Object.entries(item)) {
+      const match = /^dataKeyV(\d+)$/.exec(attribute);
+      if (match) {
+        dataKeys[Number(match[1])] = JSON.parse(value as string);
+      }
+    }
+
+    return {
+      userId: item.userId,
+      currentVersion: Number(item.currentVersion),
+      dataKeys,
+      updatedAt: item.updatedAt
+    };
+  }
+}
+
+// Export singleton instance
+export const envelopeEncryption = new EnvelopeEncryption();
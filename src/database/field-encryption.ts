@@ -0,0 +1,107 @@
+/**
+ * Field-level encryption of user, session and weekly progress records
+ * Repositories encrypt the configured fields under the user's data key (see
+ * envelope-encryption) as they convert records to DynamoDB format, and decrypt them as they
+ * convert them back. ENCRYPTED_USER_FIELDS, ENCRYPTED_SESSION_FIELDS and
+ * ENCRYPTED_PROGRESS_FIELDS (comma separated) replace the defaults. Values written before a field was encrypted are still read.
+ * Decrypts are recorded in the audit log.
+ */
+
+import { auditLog } from './audit-log';
+import { EnvelopeEncryption, envelopeEncryption } from './envelope-encryption';
+import { StorageItem } from './storage';
+
+export type FieldEncryptionTable = 'users' | 'sessions' | 'progress';
+
+// Attributes that can be encrypted: strings in DynamoDB format that are never keys, index
+// attributes or read by the storage layer itself
+export const EncryptableFields: Record<FieldEncryptionTable, string[]> = {
+  users: ['userName'],
+  sessions: ['conversationSummary', 'keyTopics', 'continuityNotes', 'therapeuticProgress', 'summarySegments', 'emotionalState', 'wavePatterns', 'therapeuticMetrics'],
+  progress: ['topics', 'recurringTopics'] // Copies of the sessions' keyTopics
+};
+
+export const DefaultEncryptedFields: Record<FieldEncryptionTable, string[]> = {
+  users: ['userName'],
+  sessions: ['conversationSummary', 'keyTopics', 'continuityNotes', 'therapeuticProgress', 'summarySegments'],
+  progress: ['topics', 'recurringTopics']
+};
+
+const EncryptedFieldVariables: Record<FieldEncryptionTable, string> = {
+  users: 'ENCRYPTED_USER_FIELDS',
+  sessions: 'ENCRYPTED_SESSION_FIELDS',
+  progress: 'ENCRYPTED_PROGRESS_FIELDS'
+};
+
+// Audit log resource of a record
+const DecryptedResource: Record<FieldEncryptionTable, (item: StorageItem) => string> = {
+  users: item => `user:${item.userId}`,
+  sessions: item => `session:${item.sessionId}`,
+  progress: item => `progress:${item.progressId}`
+};
+
+const encryptedFields: Map<FieldEncryptionTable, string[]> = new Map();
+
+/**
+ * The fields of a table that are encrypted on write
+ */
+export function getEncryptedFields(table: FieldEncryptionTable): string[] {
+  const cached = encryptedFields.get(table);
+  if (cached) {
+    return cached;
+  }
+
+  const variable = EncryptedFieldVariables[table];
+  const configured = process.env[variable];
+  let fields = DefaultEncryptedFields[table];
+  if (configured !== undefined) {
+    const requested = configured.split(',').map(field => field.trim()).filter(Boolean);
+    const unknown = requested.filter(field => !EncryptableFields[table].includes(field));
+    if (unknown.length > 0) {
+      console.warn(`⚠️ ${variable}: ignoring ${unknown.join(', ')}; only ${EncryptableFields[table].join(', ')} can be encrypted`);
+    }
+    fields = requested.filter(field => EncryptableFields[table].includes(field));
+  }
+
+  encryptedFields.set(table, fields);
+  return fields;
+}
+
+/**
+ * Encrypt the configured fields of an item, or of an update's values, for its user
+ */
+export async function encryptFields<T extends StorageItem>(table: FieldEncryptionTable, userId: string, item: T): Promise<T> {
+  const encrypted: StorageItem = { ...item };
+  for (const field of getEncryptedFields(table)) {
+    if (typeof encrypted[field] === 'string') {
+      encrypted[field] = await envelopeEncryption.encrypt(userId, encrypted[field]);
+    }
+  }
+  return encrypted as T;
+}
+
+/**
+ * Decrypt every encrypted field of an item, including fields no longer configured. A field
+ * that fails to decrypt is left out rather than failing the whole read.
+ */
+export async function decryptFields<T extends StorageItem>(table: FieldEncryptionTable, userId: string, item: T): Promise<T> {
+  const decrypted: StorageItem = { ...item };
+  let decryptedAny = false;
+  for (const field of EncryptableFields[table]) {
+    const value = decrypted[field];
+    if (typeof value !== 'string' || !EnvelopeEncryption.isEnvelopeCiphertext(value)) continue;
+
+    try {
+      decrypted[field] = await envelopeEncryption.decrypt(userId, value);
+      decryptedAny = true;
+    } catch (error) {
+      console.error(`Failed to decrypt ${field} of a ${table} record:`, error);
+      delete decrypted[field];
+    }
+  }
+
+  if (decryptedAny) {
+    auditLog.noteDecrypt(userId, DecryptedResource[table](item));
+  }
+  return decrypted as T;
+}
@@ -0,0 +1,219 @@
+/**
+ * File storage backend
+ * Keeps each table as an append-only JSON Lines file in one directory: every write appends
+ * a put or delete record and is flushed to disk before it returns, and a table is rebuilt
+ * in memory by replaying its file the first time it is used. Files are compacted to one
+ * line per live item once most of their lines are superseded, and at once after a delete
+ * or an update that removes attributes, so erased or expired data does not stay on disk in
+ * the file's history.
+ * Meant for a single server process; two processes sharing a directory will lose writes.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { getKeyAttribute } from './schemas';
+import { StorageBackend, StorageItem, StoragePutOptions, StorageQuery, StorageTable } from './storage';
+
+type LogRecord =
+  | { op: 'put'; item: StorageItem }
+  | { op: 'delete'; key: string };
+
+interface TableState {
+  file: string;
+  keyAttribute: string;
+  items: Map<string, StorageItem>;
+  lineCount: number;
+}
+
+// Compact once a file has this many lines and under half of them are live items
+const MinLinesBeforeCompaction = 1000;
+
+function conditionalCheckFailed(table: string): Error {
+  const error = new Error(`Conditional put failed: item already exists in ${table}`);
+  error.name = 'ConditionalCheckFailedException';
+  return error;
+}
+
+function copy<T>(item: T): T {
+  return JSON.parse(JSON.stringify(item));
+}
+
+export class FileStorage implements StorageBackend {
+  readonly name = 'file';
+  readonly expiresItems = false;
+  private tables: Map<StorageTable, TableState> = new Map();
+
+  constructor(private directory: string) {
+    fs.mkdirSync(directory, { recursive: true, mode: 0o700 });
+  }
+
+  async get(table: StorageTable, key: StorageItem): Promise<StorageItem | null> {
+    const state = this.load(table);
+    const item = state.items.get(this.keyOf(state, key));
+    return item ? copy(item) : null;
+  }
+
+  async put(table: StorageTable, item: StorageItem, options: StoragePutOptions = {}): Promise<void> {
+    const state = this.load(table);
+    const key = this.keyOf(state, item);
+    if (options.ifNotExists && state.items.has(key)) {
+      throw conditionalCheckFailed(table);
+    }
+
+    // Undefined attributes are dropped, as the DynamoDB document client does
+    this.append(state, { op: 'put', item: copy(item) });
+  }
+
+  async update(table: StorageTable, key: StorageItem, values: StorageItem, removeAttributes: string[] = []): Promise<StorageItem | null> {
+    const state = this.load(table);
+    const existing = state.items.get(this.keyOf(state, key));
+    if (!existing) {
+      return null;
+    }
+
+    const updated = copy({ ...existing, ...values });
+    for (const attribute of removeAttributes) {
+      delete updated[attribute];
+    }
+    this.append(state, { op: 'put', item: updated }, removeAttributes.some(attribute => attribute in existing));
+    return copy(updated);
+  }
+
+  async delete(table: StorageTable, key: StorageItem): Promise<void> {
+    const state = this.load(table);
+    const id = this.keyOf(state, key);
+    if (!state.items.has(id)) {
+      return;
+    }
+
+    this.append(state, { op: 'delete', key: id }, true);
+  }
+
+  /**
+   * Find items by attribute, sorted by the index's sort key like a DynamoDB query
+   */
+  async query(table: StorageTable, query: StorageQuery): Promise<StorageItem[]> {
+    const state = this.load(table);
+    const matches = [...state.items.values()].filter(item => item[query.partitionKey] === query.partitionValue);
+
+    if (query.sortKey) {
+      const sortKey = query.sortKey;
+      // Ordinal comparison, as DynamoDB orders string sort keys
+      matches.sort((a, b) => {
+        const left = String(a[sortKey] ?? '');
+        const right = String(b[sortKey] ?? '');
+        return left < right ? -1 : left > right ? 1 : 0;
+      });
+    }
+    if (query.descending) {
+      matches.reverse();
+    }
+
+    return matches.slice(0, query.limit).map(copy);
+  }
+
+  async scan(table: StorageTable): Promise<StorageItem[]> {
+    return [...this.load(table).items.values()].map(copy);
+  }
+
+  private keyOf(state: TableState, item: StorageItem): string {
+    const key = item[state.keyAttribute];
+    if (typeof key !== 'string' || !key) {
+      throw new Error(`Item has no ${state.keyAttribute}`);
+    }
+    return key;
+  }
+
+  /**
+   * Replay a table's file into memory the first time the table is used
+   */
+  private load(table: StorageTable): TableState {
+    const loaded = this.tables.get(table);
+    if (loaded) {
+      return loaded;
+    }
+
+    const state: TableState = {
+      file: path.join(this.directory, `${table}.jsonl`),
+      keyAttribute: getKeyAttribute(table),
+      items: new Map(),
+      lineCount: 0
+    };
+
+    let torn = false;
+    if (fs.existsSync(state.file)) {
+      const lines = fs.readFileSync(state.file, 'utf8').split('\n').filter(line => line.trim());
+      lines.forEach((line, index) => {
+        let record: LogRecord;
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          // A crash mid-append can leave the last line torn; anything earlier is corruption
+          if (index === lines.length - 1) {
+            console.warn(`⚠️ Ignoring incomplete last line in ${state.file}`);
+            torn = true;
+            return;
+          }
+          throw new Error(`Corrupt line ${index + 1} in ${state.file}`);
+        }
+
+        this.apply(state, record);
+        state.lineCount++;
+      });
+    }
+
+    this.tables.set(table, state);
+    // Rewriting drops a torn line, so the next append does not run on from it
+    this.compactIfNeeded(state, torn);
+    return state;
+  }
+
+  private apply(state: TableState, record: LogRecord): void {
+    if (record.op === 'put') {
+      state.items.set(this.keyOf(state, record.item), record.item);
+    } else if (record.op === 'delete') {
+      state.items.delete(record.key);
+    }
+  }
+
+  /**
+   * Write a record to the table's file, flushed to disk, then apply it in memory. With
+   * purge the file is compacted straight away, dropping what the record removed.
+   */
+  private append(state: TableState, record: LogRecord, purge: boolean = false): void {
+    const fd = fs.openSync(state.file, 'a', 0o600);
+    try {
+      fs.writeSync(fd, JSON.stringify(record) + '\n');
+      fs.fdatasyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    this.apply(state, record);
+    state.lineCount++;
+    this.compactIfNeeded(state, purge);
+  }
+
+  /**
+   * Rewrite a file with only its live items, swapping it in with a rename so a crash
+   * leaves either the old file or the new one
+   */
+  private compactIfNeeded(state: TableState, force: boolean = false): void {
+    if (!force && (state.lineCount < MinLinesBeforeCompaction || state.items.size * 2 > state.lineCount)) {
+      return;
+    }
+
+    const tempFile = `${state.file}.tmp`;
+    const fd = fs.openSync(tempFile, 'w', 0o600);
+    try {
+      const lines = [...state.items.values()].map(item => JSON.stringify({ op: 'put', item }) + '\n');
+      fs.writeSync(fd, lines.join(''));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempFile, state.file);
+
+    state.lineCount = state.items.size;
+  }
+}
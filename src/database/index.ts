@@ -12,27 +12,67 @@ export {
   closeDatabaseConnection
 } from './connection';
 
+// Storage backends
+export type {
+  StorageBackend,
+  StorageItem,
+  StorageQuery,
+  StorageGetOptions,
+  StoragePutOptions,
+  StorageTable
+} from './storage';
+export { getStorageBackend } from './storage';
+export { DynamoDBStorage } from './dynamodb-storage';
+export { FileStorage } from './file-storage';
+
+// Data retention
+export {
+  RetentionPeriodDays,
+  RetentionDataClassFields,
+  RetentionDataClasses,
+  ProgressRetentionDataClassFields,
+  ProgressRetentionDataClasses,
+  getDeploymentRetentionPolicy,
+  resolveRetentionPolicy,
+  computeRetentionExpiry,
+  getExpiredDataClasses
+} from './retention';
+
 // Data models and types
 export * from './models';
 
 // Encryption utilities
 export {
-  encryptSensitiveData,
-  decryptSensitiveData,
+  decryptLegacyData,
   hashForIndex,
+  legacyHashForIndex,
   generateSecureUserId,
   generateSecureSessionId,
   sanitizeBeforeEncryption,
   validateEncryptionConfig,
   createEncryptionMetadata
 } from './encryption';
+export { EnvelopeEncryption, envelopeEncryption } from './envelope-encryption';
+export type { RewrapResult } from './envelope-encryption';
+export type { FieldEncryptionTable } from './field-encryption';
+export { EncryptableFields, DefaultEncryptedFields, getEncryptedFields } from './field-encryption';
+export type { MasterKeyProvider, WrappedKey, KeyContext } from './master-keys';
+export { KmsMasterKeyProvider, LocalMasterKeyProvider, getMasterKeyProvider } from './master-keys';
+
+// Audit log of access to user data
+export type { AuditAccess, AuditEvent, AuditChainVerification } from './audit-log';
+export { AuditLog, auditLog } from './audit-log';
 
 // Repository pattern implementations
 export {
   UsersRepository,
   SessionsRepository,
+  ProgressRepository,
+  SettingsRepository,
   usersRepository,
-  sessionsRepository
+  sessionsRepository,
+  progressRepository,
+  settingsRepository
 } from './repositories';
 
 // Table schemas
@@ -41,8 +81,11 @@ export {
   SessionsTableSchema,
   ProgressTableSchema,
   SettingsTableSchema,
+  DataKeysTableSchema,
+  AuditTableSchema,
   AllTableSchemas,
   getTableSchema,
+  getKeyAttribute,
   validateTableSchema,
   getTableCreationOrder
 } from './schemas';
@@ -0,0 +1,243 @@
+/**
+ * Master key providers for envelope encryption
+ * A master key never encrypts user data itself; it only wraps the per-user data keys
+ * (see envelope-encryption). MASTER_KEY_PROVIDER selects the provider:
+ * - kms (default when KMS_KEY_ID is set): AWS KMS key KMS_KEY_ID
+ * - local: AES-256 keys in MASTER_KEY_FILE (default ./data/master-keys.json), for development
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
+import { KMSClient, EncryptCommand, DecryptCommand, DescribeKeyCommand } from '@aws-sdk/client-kms';
+
+// Authenticated data binding a wrapped key to its owner, e.g. { userId }
+export type KeyContext = Record<string, string>;
+
+export interface WrappedKey {
+  masterKeyId: string; // Master key, including its version, that wrapped the key
+  wrappedKey: string; // Base64
+}
+
+export interface MasterKeyProvider {
+  readonly name: string;
+
+  // The master key new data keys are wrapped with
+  currentKeyId(): Promise<string>;
+  wrap(dataKey: Buffer, context: KeyContext): Promise<WrappedKey>;
+  unwrap(wrapped: WrappedKey, context: KeyContext): Promise<Buffer>;
+}
+
+const KeyContextBase: KeyContext = {
+  purpose: 'user-data-key',
+  application: 'hope-ai-companion'
+};
+
+/**
+ * Master key in AWS KMS. Key rotation in KMS keeps the key ID, so only moving to another
+ * key (a new KMS_KEY_ID) needs the data keys re-wrapped.
+ */
+export class KmsMasterKeyProvider implements MasterKeyProvider {
+  readonly name = 'kms';
+  private keyArn: Promise<string> | null = null;
+
+  constructor(
+    private keyId: string,
+    private client: Pick<KMSClient, 'send'> = new KMSClient({ region: process.env.AWS_REGION || 'us-east-1' })
+  ) {}
+
+  /**
+   * The key's ARN, which KMS reports for every ciphertext whether KMS_KEY_ID is an ID, ARN or alias
+   */
+  currentKeyId(): Promise<string> {
+    if (!this.keyArn) {
+      this.keyArn = this.client.send(new DescribeKeyCommand({ KeyId: this.keyId }))
+        .then(response => {
+          if (!response.KeyMetadata?.Arn) {
+            throw new Error(`KMS key ${this.keyId} not found`);
+          }
+          return response.KeyMetadata.Arn;
+        });
+      this.keyArn.catch(() => { this.keyArn = null; }); // Look it up again next time
+    }
+    return this.keyArn;
+  }
+
+  async wrap(dataKey: Buffer, context: KeyContext): Promise<WrappedKey> {
+    const keyArn = await this.currentKeyId();
+    const response = await this.client.send(new EncryptCommand({
+      KeyId: keyArn,
+      Plaintext: dataKey,
+      EncryptionContext: { ...KeyContextBase, ...context }
+    }));
+
+    if (!response.CiphertextBlob) {
+      throw new Error('KMS encryption failed - no ciphertext returned');
+    }
+    return {
+      masterKeyId: response.KeyId ?? keyArn,
+      wrappedKey: Buffer.from(response.CiphertextBlob).toString('base64')
+    };
+  }
+
+  async unwrap(wrapped: WrappedKey, context: KeyContext): Promise<Buffer> {
+    const response = await this.client.send(new DecryptCommand({
+      KeyId: wrapped.masterKeyId,
+      CiphertextBlob: Buffer.from(wrapped.wrappedKey, 'base64'),
+      EncryptionContext: { ...KeyContextBase, ...context }
+    }));
+
+    if (!response.Plaintext) {
+      throw new Error('KMS decryption failed - no plaintext returned');
+    }
+    return Buffer.from(response.Plaintext);
+  }
+}
+
+interface MasterKeyFile {
+  currentVersion: number;
+  keys: Record<number, string>; // Base64 AES-256 keys by version
+}
+
+const LocalKeyPrefix = 'local:';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+ * Master keys in a local file, created on first use. Anyone who can read the file can read
+ * all user data, and losing it loses all user data: for development and single machines.
+ */
+export class LocalMasterKeyProvider implements MasterKeyProvider {
+  readonly name = 'local';
+  private keyFile: MasterKeyFile | null = null;
+
+  constructor(private file: string) {}
+
+  async currentKeyId(): Promise<string> {
+    return `${LocalKeyPrefix}${this.load().currentVersion}`;
+  }
+
+  async wrap(dataKey: Buffer, context: KeyContext): Promise<WrappedKey> {
+    const keyFile = this.load();
+    const iv = randomBytes(IV_LENGTH);
+
+    const cipher = createCipheriv('aes-256-gcm', this.getKey(keyFile.currentVersion), iv);
+    cipher.setAAD(LocalMasterKeyProvider.toAad(context));
+    const encrypted = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+    return {
+      masterKeyId: `${LocalKeyPrefix}${keyFile.currentVersion}`,
+      wrappedKey: Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64')
+    };
+  }
+
+  async unwrap(wrapped: WrappedKey, context: KeyContext): Promise<Buffer> {
+    if (!wrapped.masterKeyId.startsWith(LocalKeyPrefix)) {
+      throw new Error(`Data key was wrapped by ${wrapped.masterKeyId}, not a local master key`);
+    }
+
+    const data = Buffer.from(wrapped.wrappedKey, 'base64');
+    const decipher = createDecipheriv(
+      'aes-256-gcm',
+      this.getKey(Number(wrapped.masterKeyId.slice(LocalKeyPrefix.length))),
+      data.subarray(0, IV_LENGTH)
+    );
+    decipher.setAAD(LocalMasterKeyProvider.toAad(context));
+    decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+    return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+  }
+
+  /**
+   * Add a master key version that wraps data keys from now on; older versions are kept
+   * to unwrap keys until the rotation job has re-wrapped them
+   */
+  async addKeyVersion(): Promise<string> {
+    const keyFile = this.load();
+    const version = Math.max(0, ...Object.keys(keyFile.keys).map(Number)) + 1;
+
+    this.save({
+      currentVersion: version,
+      keys: { ...keyFile.keys, [version]: randomBytes(32).toString('base64') }
+    });
+    return `${LocalKeyPrefix}${version}`;
+  }
+
+  private getKey(version: number): Buffer {
+    const key = this.load().keys[version];
+    if (!key) {
+      throw new Error(`Master key version ${version} is not in ${this.file}`);
+    }
+    return Buffer.from(key, 'base64');
+  }
+
+  private load(): MasterKeyFile {
+    if (this.keyFile) {
+      return this.keyFile;
+    }
+
+    if (fs.existsSync(this.file)) {
+      this.keyFile = JSON.parse(fs.readFileSync(this.file, 'utf8')) as MasterKeyFile;
+      return this.keyFile;
+    }
+
+    console.warn(`🔑 Creating master key file ${this.file}; user data cannot be read without it`);
+    this.save({ currentVersion: 1, keys: { 1: randomBytes(32).toString('base64') } });
+    return this.keyFile!;
+  }
+
+  /**
+   * Write the key file through a renamed temporary file, so a crash never leaves it half written
+   */
+  private save(keyFile: MasterKeyFile): void {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true, mode: 0o700 });
+
+    const tempFile = `${this.file}.tmp`;
+    const fd = fs.openSync(tempFile, 'w', 0o600);
+    try {
+      fs.writeSync(fd, JSON.stringify(keyFile, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempFile, this.file);
+
+    this.keyFile = keyFile;
+  }
+
+  private static toAad(context: KeyContext): Buffer {
+    const entries = Object.entries({ ...KeyContextBase, ...context }).sort(([a], [b]) => a.localeCompare(b));
+    return Buffer.from(JSON.stringify(entries));
+  }
+}
+
+let masterKeyProvider: MasterKeyProvider | null = null;
+
+/**
+ * The master key provider selected by MASTER_KEY_PROVIDER, created on first use
+ */
+export function getMasterKeyProvider(): MasterKeyProvider {
+  if (!masterKeyProvider) {
+    const kmsKeyId = process.env.KMS_KEY_ID;
+    const providerName = process.env.MASTER_KEY_PROVIDER || (kmsKeyId ? 'kms' : 'local');
+
+    switch (providerName) {
+      case 'kms':
+        if (!kmsKeyId) {
+          throw new Error('MASTER_KEY_PROVIDER=kms needs KMS_KEY_ID');
+        }
+        masterKeyProvider = new KmsMasterKeyProvider(kmsKeyId);
+        break;
+      case 'local':
+        masterKeyProvider = new LocalMasterKeyProvider(
+          path.resolve(process.env.MASTER_KEY_FILE || './data/master-keys.json')
+        );
+        break;
+      default:
+        throw new Error(`Unknown MASTER_KEY_PROVIDER: ${providerName} (expected kms or local)`);
+    }
+
+    console.log(`🔑 Using ${masterKeyProvider.name} master key`);
+  }
+
+  return masterKeyProvider;
+}
@@ -0,0 +1,650 @@
+/**
+ * DynamoDB expression support for the mock DynamoDB client
+ * Parses and evaluates condition, key condition, filter, update and projection expressions
+ * over document client items (plain JS values, Sets for string and number sets).
+ * Attribute paths are top-level names only; nested paths are rejected rather than guessed at.
+ */
+
+export type MockItem = Record<string, any>;
+
+type Operand =
+  | { kind: 'path'; name: string }
+  | { kind: 'value'; value: any }
+  | { kind: 'size'; name: string }
+  | { kind: 'if_not_exists'; name: string; fallback: Operand }
+  | { kind: 'list_append'; left: Operand; right: Operand }
+  | { kind: 'arithmetic'; operator: '+' | '-'; left: Operand; right: Operand };
+
+type Comparator = '=' | '<>' | '<' | '<=' | '>' | '>=';
+
+export type Condition =
+  | { kind: 'and' | 'or'; left: Condition; right: Condition }
+  | { kind: 'not'; condition: Condition }
+  | { kind: 'compare'; comparator: Comparator; left: Operand; right: Operand }
+  | { kind: 'between'; operand: Operand; low: Operand; high: Operand }
+  | { kind: 'in'; operand: Operand; candidates: Operand[] }
+  | { kind: 'function'; name: 'attribute_exists' | 'attribute_not_exists'; path: string }
+  | { kind: 'function'; name: 'attribute_type' | 'begins_with' | 'contains'; path: string; operand: Operand };
+
+export interface UpdateActions {
+  set: { name: string; operand: Operand }[];
+  remove: string[];
+  add: { name: string; operand: Operand }[];
+  delete: { name: string; operand: Operand }[];
+}
+
+/**
+ * An error carrying the name the DynamoDB service would use, e.g. ValidationException
+ */
+export function dynamoError(name: string, message: string): Error {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+function validationError(message: string): Error {
+  return dynamoError('ValidationException', message);
+}
+
+const Keywords = new Set(['AND', 'OR', 'NOT', 'BETWEEN', 'IN', 'SET', 'REMOVE', 'ADD', 'DELETE']);
+const Comparators = new Set(['=', '<>', '<', '<=', '>', '>=']);
+
+interface Token {
+  type: 'name' | 'value' | 'identifier' | 'symbol';
+  text: string;
+}
+
+function tokenize(expression: string): Token[] {
+  const tokens: Token[] = [];
+  const pattern = /\s*(?:(#[A-Za-z0-9_]+)|(:[A-Za-z0-9_]+)|([A-Za-z_][A-Za-z0-9_]*)|(<>|<=|>=|[=<>(),+\-.[\]]))/y;
+  let position = 0;
+
+  while (position < expression.length) {
+    if (/^\s*$/.test(expression.slice(position))) break;
+
+    pattern.lastIndex = position;
+    const match = pattern.exec(expression);
+    if (!match) {
+      throw validationError(`Invalid expression: unexpected token near "${expression.slice(position).trim()}"`);
+    }
+    position = pattern.lastIndex;
+
+    if (match[1]) tokens.push({ type: 'name', text: match[1] });
+    else if (match[2]) tokens.push({ type: 'value', text: match[2] });
+    else if (match[3]) tokens.push({ type: 'identifier', text: match[3] });
+    else tokens.push({ type: 'symbol', text: match[4] });
+  }
+
+  return tokens;
+}
+
+/**
+ * The placeholders of one request, tracking which were used so unused ones can be
+ * rejected the way DynamoDB rejects them
+ */
+export class ExpressionContext {
+  private usedNames = new Set<string>();
+  private usedValues = new Set<string>();
+
+  constructor(
+    private names: Record<string, string> = {},
+    private values: Record<string, any> = {}
+  ) {}
+
+  resolveName(placeholder: string): string {
+    if (!(placeholder in this.names)) {
+      throw validationError(`An expression attribute name used in the document path is not defined; attribute name: ${placeholder}`);
+    }
+    this.usedNames.add(placeholder);
+    return this.names[placeholder];
+  }
+
+  resolveValue(placeholder: string): any {
+    if (!(placeholder in this.values)) {
+      throw validationError(`An expression attribute value used in expression is not defined; attribute value: ${placeholder}`);
+    }
+    this.usedValues.add(placeholder);
+    return this.values[placeholder];
+  }
+
+  /**
+   * Call once every expression of the request has been parsed
+   */
+  assertAllUsed(): void {
+    const unusedValues = Object.keys(this.values).filter(key => !this.usedValues.has(key));
+    if (unusedValues.length > 0) {
+      throw validationError(`Value provided in ExpressionAttributeValues unused in expressions: keys: {${unusedValues.join(', ')}}`);
+    }
+    const unusedNames = Object.keys(this.names).filter(key => !this.usedNames.has(key));
+    if (unusedNames.length > 0) {
+      throw validationError(`Value provided in ExpressionAttributeNames unused in expressions: keys: {${unusedNames.join(', ')}}`);
+    }
+  }
+}
+
+class ExpressionParser {
+  private tokens: Token[];
+  private position = 0;
+
+  constructor(private expression: string, private context: ExpressionContext) {
+    this.tokens = tokenize(expression);
+    if (this.tokens.length === 0) {
+      throw validationError('Invalid expression: The expression can not be empty');
+    }
+  }
+
+  parseCondition(): Condition {
+    const condition = this.parseOr();
+    this.expectEnd();
+    return condition;
+  }
+
+  parseUpdate(): UpdateActions {
+    const actions: UpdateActions = { set: [], remove: [], add: [], delete: [] };
+    const seenClauses = new Set<string>();
+
+    while (!this.atEnd()) {
+      const clause = this.next().text.toUpperCase();
+      if (!['SET', 'REMOVE', 'ADD', 'DELETE'].includes(clause)) {
+        throw validationError(`Invalid UpdateExpression: Syntax error; token: "${clause}"`);
+      }
+      if (seenClauses.has(clause)) {
+        throw validationError(`Invalid UpdateExpression: The "${clause}" section can only be used once in an update expression`);
+      }
+      seenClauses.add(clause);
+
+      do {
+        const name = this.parsePath();
+        if (clause === 'SET') {
+          this.expectSymbol('=');
+          actions.set.push({ name, operand: this.parseSetValue() });
+        } else if (clause === 'REMOVE') {
+          actions.remove.push(name);
+        } else {
+          const operand = this.parseOperand();
+          (clause === 'ADD' ? actions.add : actions.delete).push({ name, operand });
+        }
+      } while (this.acceptSymbol(','));
+    }
+
+    return actions;
+  }
+
+  parseProjection(): string[] {
+    const names = [this.parsePath()];
+    while (this.acceptSymbol(',')) {
+      names.push(this.parsePath());
+    }
+    this.expectEnd();
+    return names;
+  }
+
+  private parseOr(): Condition {
+    let left = this.parseAnd();
+    while (this.acceptKeyword('OR')) {
+      left = { kind: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  private parseAnd(): Condition {
+    let left = this.parseNot();
+    while (this.acceptKeyword('AND')) {
+      left = { kind: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  private parseNot(): Condition {
+    if (this.acceptKeyword('NOT')) {
+      return { kind: 'not', condition: this.parseNot() };
+    }
+    return this.parsePrimaryCondition();
+  }
+
+  private parsePrimaryCondition(): Condition {
+    if (this.acceptSymbol('(')) {
+      const condition = this.parseOr();
+      this.expectSymbol(')');
+      return condition;
+    }
+
+    const token = this.peek();
+    const functionName = token?.type === 'identifier' ? token.text : '';
+    if (['attribute_exists', 'attribute_not_exists'].includes(functionName)) {
+      this.next();
+      this.expectSymbol('(');
+      const path = this.parsePath();
+      this.expectSymbol(')');
+      return { kind: 'function', name: functionName as 'attribute_exists' | 'attribute_not_exists', path };
+    }
+    if (['attribute_type', 'begins_with', 'contains'].includes(functionName)) {
+      this.next();
+      this.expectSymbol('(');
+      const path = this.parsePath();
+      this.expectSymbol(',');
+      const operand = this.parseOperand();
+      this.expectSymbol(')');
+      return { kind: 'function', name: functionName as 'attribute_type' | 'begins_with' | 'contains', path, operand };
+    }
+
+    const operand = this.parseOperand();
+    if (this.acceptKeyword('BETWEEN')) {
+      const low = this.parseOperand();
+      this.expectKeyword('AND');
+      return { kind: 'between', operand, low, high: this.parseOperand() };
+    }
+    if (this.acceptKeyword('IN')) {
+      this.expectSymbol('(');
+      const candidates = [this.parseOperand()];
+      while (this.acceptSymbol(',')) {
+        candidates.push(this.parseOperand());
+      }
+      this.expectSymbol(')');
+      return { kind: 'in', operand, candidates };
+    }
+
+    const comparator = this.next();
+    if (comparator.type !== 'symbol' || !Comparators.has(comparator.text)) {
+      throw validationError(`Invalid ConditionExpression: Syntax error; token: "${comparator.text}"`);
+    }
+    return { kind: 'compare', comparator: comparator.text as Comparator, left: operand, right: this.parseOperand() };
+  }
+
+  /**
+   * A path, a value placeholder or size(path)
+   */
+  private parseOperand(): Operand {
+    const token = this.peek();
+    if (token?.type === 'value') {
+      this.next();
+      return { kind: 'value', value: this.context.resolveValue(token.text) };
+    }
+    if (token?.type === 'identifier' && token.text === 'size') {
+      this.next();
+      this.expectSymbol('(');
+      const name = this.parsePath();
+      this.expectSymbol(')');
+      return { kind: 'size', name };
+    }
+    return { kind: 'path', name: this.parsePath() };
+  }
+
+  /**
+   * The right-hand side of a SET action: operand [+|- operand], if_not_exists or list_append
+   */
+  private parseSetValue(): Operand {
+    const left = this.parseSetTerm();
+    const operator = this.peek();
+    if (operator?.type === 'symbol' && (operator.text === '+' || operator.text === '-')) {
+      this.next();
+      return { kind: 'arithmetic', operator: operator.text, left, right: this.parseSetTerm() };
+    }
+    return left;
+  }
+
+  private parseSetTerm(): Operand {
+    const token = this.peek();
+    if (token?.type === 'identifier' && token.text === 'if_not_exists') {
+      this.next();
+      this.expectSymbol('(');
+      const name = this.parsePath();
+      this.expectSymbol(',');
+      const fallback = this.parseSetTerm();
+      this.expectSymbol(')');
+      return { kind: 'if_not_exists', name, fallback };
+    }
+    if (token?.type === 'identifier' && token.text === 'list_append') {
+      this.next();
+      this.expectSymbol('(');
+      const left = this.parseSetTerm();
+      this.expectSymbol(',');
+      const right = this.parseSetTerm();
+      this.expectSymbol(')');
+      return { kind: 'list_append', left, right };
+    }
+    return this.parseOperand();
+  }
+
+  private parsePath(): string {
+    const token = this.next();
+    let name: string;
+    if (token.type === 'name') {
+      name = this.context.resolveName(token.text);
+    } else if (token.type === 'identifier' && !Keywords.has(token.text.toUpperCase())) {
+      name = token.text;
+    } else {
+      throw validationError(`Invalid expression: Syntax error; token: "${token.text}"`);
+    }
+
+    const following = this.peek();
+    if (following?.type === 'symbol' && (following.text === '.' || following.text === '[')) {
+      throw validationError(`Nested attribute paths are not supported by the mock DynamoDB client: ${this.expression}`);
+    }
+    return name;
+  }
+
+  private peek(): Token | undefined {
+    return this.tokens[this.position];
+  }
+
+  private next(): Token {
+    const token = this.tokens[this.position++];
+    if (!token) {
+      throw validationError(`Invalid expression: Syntax error; unexpected end of expression: ${this.expression}`);
+    }
+    return token;
+  }
+
+  private atEnd(): boolean {
+    return this.position >= this.tokens.length;
+  }
+
+  private acceptSymbol(symbol: string): boolean {
+    const token = this.peek();
+    if (token?.type === 'symbol' && token.text === symbol) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  private expectSymbol(symbol: string): void {
+    if (!this.acceptSymbol(symbol)) {
+      throw validationError(`Invalid expression: Syntax error; expected "${symbol}" in: ${this.expression}`);
+    }
+  }
+
+  private acceptKeyword(keyword: string): boolean {
+    const token = this.peek();
+    if (token?.type === 'identifier' && token.text.toUpperCase() === keyword) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  private expectKeyword(keyword: string): void {
+    if (!this.acceptKeyword(keyword)) {
+      throw validationError(`Invalid expression: Syntax error; expected "${keyword}" in: ${this.expression}`);
+    }
+  }
+
+  private expectEnd(): void {
+    if (!this.atEnd()) {
+      throw validationError(`Invalid expression: Syntax error; token: "${this.peek()!.text}"`);
+    }
+  }
+}
+
+export function parseCondition(expression: string, context: ExpressionContext): Condition {
+  return new ExpressionParser(expression, context).parseCondition();
+}
+
+export function parseUpdate(expression: string, context: ExpressionContext): UpdateActions {
+  return new ExpressionParser(expression, context).parseUpdate();
+}
+
+export function parseProjection(expression: string, context: ExpressionContext): string[] {
+  return new ExpressionParser(expression, context).parseProjection();
+}
+
+/**
+ * The DynamoDB type descriptor of a document client value
+ */
+function typeOf(value: any): string | undefined {
+  if (value === undefined) return undefined;
+  if (value === null) return 'NULL';
+  if (typeof value === 'string') return 'S';
+  if (typeof value === 'number' || typeof value === 'bigint') return 'N';
+  if (typeof value === 'boolean') return 'BOOL';
+  if (value instanceof Uint8Array) return 'B';
+  if (Array.isArray(value)) return 'L';
+  if (value instanceof Set) {
+    const [first] = value;
+    return typeof first === 'number' || typeof first === 'bigint' ? 'NS' : first instanceof Uint8Array ? 'BS' : 'SS';
+  }
+  return 'M';
+}
+
+/**
+ * Order two scalars the way DynamoDB orders keys: numbers numerically, strings and
+ * binary by their bytes. Returns undefined when the types differ.
+ */
+export function compareValues(left: any, right: any): number | undefined {
+  const type = typeOf(left);
+  if (type !== typeOf(right)) return undefined;
+
+  if (type === 'N') {
+    return left < right ? -1 : left > right ? 1 : 0;
+  }
+  if (type === 'S') {
+    return Buffer.compare(Buffer.from(left, 'utf8'), Buffer.from(right, 'utf8'));
+  }
+  if (type === 'B') {
+    return Buffer.compare(Buffer.from(left), Buffer.from(right));
+  }
+  return undefined;
+}
+
+function valuesEqual(left: any, right: any): boolean {
+  const type = typeOf(left);
+  if (type !== typeOf(right)) return false;
+
+  if (type === 'S' || type === 'N' || type === 'B') return compareValues(left, right) === 0;
+  if (type === 'NULL' || type === 'BOOL') return left === right;
+  if (type === 'L') {
+    return left.length === right.length && left.every((element: any, index: number) => valuesEqual(element, right[index]));
+  }
+  if (type === 'M') {
+    const keys = Object.keys(left);
+    return keys.length === Object.keys(right).length && keys.every(key => valuesEqual(left[key], right[key]));
+  }
+  // Sets
+  return left.size === right.size && [...left].every(element => [...right].some(other => valuesEqual(element, other)));
+}
+
+function sizeOf(value: any): number | undefined {
+  const type = typeOf(value);
+  if (type === 'S') return Buffer.byteLength(value, 'utf8');
+  if (type === 'B' || type === 'L') return value.length;
+  if (type === 'SS' || type === 'NS' || type === 'BS') return value.size;
+  if (type === 'M') return Object.keys(value).length;
+  return undefined;
+}
+
+function evaluateOperand(operand: Operand, item: MockItem): any {
+  switch (operand.kind) {
+    case 'path':
+      return item[operand.name];
+    case 'value':
+      return operand.value;
+    case 'size':
+      return sizeOf(item[operand.name]);
+    case 'if_not_exists':
+      return item[operand.name] !== undefined ? item[operand.name] : evaluateOperand(operand.fallback, item);
+    case 'list_append': {
+      const left = evaluateOperand(operand.left, item);
+      const right = evaluateOperand(operand.right, item);
+      if (!Array.isArray(left) || !Array.isArray(right)) {
+        throw validationError('Invalid UpdateExpression: Incorrect operand type for operator or function; operator or function: list_append');
+      }
+      return [...left, ...right];
+    }
+    case 'arithmetic': {
+      const left = evaluateOperand(operand.left, item);
+      const right = evaluateOperand(operand.right, item);
+      if (typeof left !== 'number' || typeof right !== 'number') {
+        throw validationError(`Invalid UpdateExpression: Incorrect operand type for operator or function; operator: ${operand.operator}`);
+      }
+      return operand.operator === '+' ? left + right : left - right;
+    }
+  }
+}
+
+/**
+ * Whether an item (or an empty object for a missing item) satisfies a condition
+ */
+export function evaluateCondition(condition: Condition, item: MockItem): boolean {
+  switch (condition.kind) {
+    case 'and':
+      return evaluateCondition(condition.left, item) && evaluateCondition(condition.right, item);
+    case 'or':
+      return evaluateCondition(condition.left, item) || evaluateCondition(condition.right, item);
+    case 'not':
+      return !evaluateCondition(condition.condition, item);
+    case 'compare': {
+      const left = evaluateOperand(condition.left, item);
+      const right = evaluateOperand(condition.right, item);
+      if (left === undefined || right === undefined) return false;
+      if (condition.comparator === '=') return valuesEqual(left, right);
+      if (condition.comparator === '<>') return !valuesEqual(left, right);
+
+      const order = compareValues(left, right);
+      if (order === undefined) return false;
+      switch (condition.comparator) {
+        case '<': return order < 0;
+        case '<=': return order <= 0;
+        case '>': return order > 0;
+        case '>=': return order >= 0;
+      }
+      return false;
+    }
+    case 'between': {
+      const value = evaluateOperand(condition.operand, item);
+      const low = compareValues(value, evaluateOperand(condition.low, item));
+      const high = compareValues(value, evaluateOperand(condition.high, item));
+      return low !== undefined && high !== undefined && low >= 0 && high <= 0;
+    }
+    case 'in': {
+      const value = evaluateOperand(condition.operand, item);
+      return value !== undefined && condition.candidates.some(candidate => valuesEqual(value, evaluateOperand(candidate, item)));
+    }
+    case 'function': {
+      const value = item[condition.path];
+      if (!('operand' in condition)) {
+        return condition.name === 'attribute_exists' ? value !== undefined : value === undefined;
+      }
+
+      const argument = evaluateOperand(condition.operand, item);
+      if (condition.name === 'attribute_type') return typeOf(value) === argument;
+      if (condition.name === 'begins_with') {
+        return typeof value === 'string' && typeof argument === 'string' && value.startsWith(argument);
+      }
+      // contains: a substring of a string, or an element of a set or list
+      if (typeof value === 'string') return typeof argument === 'string' && value.includes(argument);
+      if (value instanceof Set || Array.isArray(value)) return [...value].some(element => valuesEqual(element, argument));
+      return false;
+    }
+  }
+}
+
+/**
+ * Apply update actions to a copy of an item. Every operand is read from the item as it
+ * was before the update, as in DynamoDB.
+ */
+export function applyUpdate(actions: UpdateActions, item: MockItem, keyAttributes: string[]): { item: MockItem; updated: string[] } {
+  const paths = [
+    ...actions.set.map(action => action.name),
+    ...actions.remove,
+    ...actions.add.map(action => action.name),
+    ...actions.delete.map(action => action.name)
+  ];
+
+  const seen = new Set<string>();
+  for (const path of paths) {
+    if (keyAttributes.includes(path)) {
+      throw validationError(`One or more parameter values were invalid: Cannot update attribute ${path}. This attribute is part of the key`);
+    }
+    if (seen.has(path)) {
+      throw validationError(`Invalid UpdateExpression: Two document paths overlap with each other; must remove or rewrite one of these paths; path one: [${path}], path two: [${path}]`);
+    }
+    seen.add(path);
+  }
+
+  const result: MockItem = { ...item };
+
+  for (const { name, operand } of actions.set) {
+    const value = evaluateOperand(operand, item);
+    if (value === undefined) {
+      throw validationError('The provided expression refers to an attribute that does not exist in the item');
+    }
+    result[name] = value;
+  }
+
+  for (const name of actions.remove) {
+    delete result[name];
+  }
+
+  for (const { name, operand } of actions.add) {
+    const value = evaluateOperand(operand, item);
+    const existing = item[name];
+    if (typeof value === 'number' && (existing === undefined || typeof existing === 'number')) {
+      result[name] = (existing ?? 0) + value;
+    } else if (value instanceof Set && (existing === undefined || existing instanceof Set)) {
+      result[name] = new Set([...(existing ?? []), ...value]);
+    } else {
+      throw validationError('Invalid UpdateExpression: Incorrect operand type for operator or function; operator: ADD');
+    }
+  }
+
+  for (const { name, operand } of actions.delete) {
+    const value = evaluateOperand(operand, item);
+    const existing = item[name];
+    if (!(value instanceof Set) || (existing !== undefined && !(existing instanceof Set))) {
+      throw validationError('Invalid UpdateExpression: Incorrect operand type for operator or function; operator: DELETE');
+    }
+    if (existing) {
+      const remaining = [...existing].filter(element => ![...value].some(removed => valuesEqual(element, removed)));
+      if (remaining.length > 0) {
+        result[name] = new Set(remaining);
+      } else {
+        delete result[name];
+      }
+    }
+  }
+
+  return { item: result, updated: paths };
+}
+
+/**
+ * Split a key condition into the partition key equality and the optional sort key
+ * condition, checking it only names the given keys as DynamoDB requires
+ */
+export function splitKeyCondition(condition: Condition, hashKey: string, rangeKey?: string): { hashValue: any; rangeCondition?: Condition } {
+  const parts: Condition[] = [];
+  const flatten = (part: Condition) => {
+    if (part.kind === 'and') {
+      flatten(part.left);
+      flatten(part.right);
+    } else {
+      parts.push(part);
+    }
+  };
+  flatten(condition);
+
+  const keyOf = (part: Condition): string | undefined => {
+    if (part.kind === 'compare' && part.left.kind === 'path' && part.right.kind === 'value') return part.left.name;
+    if (part.kind === 'between' && part.operand.kind === 'path') return part.operand.name;
+    if (part.kind === 'function' && part.name === 'begins_with') return part.path;
+    return undefined;
+  };
+
+  let hashValue: any;
+  let rangeCondition: Condition | undefined;
+  for (const part of parts) {
+    const key = keyOf(part);
+    if (key === hashKey && part.kind === 'compare' && part.comparator === '=' && hashValue === undefined) {
+      hashValue = (part.right as { kind: 'value'; value: any }).value;
+    } else if (key !== undefined && key === rangeKey && !rangeCondition && !(part.kind === 'compare' && part.comparator === '<>')) {
+      rangeCondition = part;
+    } else {
+      throw validationError('Query key condition not supported');
+    }
+  }
+
+  if (hashValue === undefined) {
+    throw validationError(`Query condition missed key schema element: ${hashKey}`);
+  }
+  return { hashValue, rangeCondition };
+}
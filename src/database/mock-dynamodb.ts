@@ -1,36 +1,117 @@
 /**
  * Mock DynamoDB implementation for local development
- * Provides in-memory storage that mimics DynamoDB operations
+ * Provides in-memory storage that mimics DynamoDB operations. Tables take their keys and
+ * global secondary indexes from the CreateTable request, or otherwise from the schemas in
+ * schemas.ts, so queries, conditions and updates behave as they would against DynamoDB:
+ * items are keyed by the table's key schema, queries go through the named index in sort
+ * key order with Limit/ExclusiveStartKey pages, and failed conditions raise
+ * ConditionalCheckFailedException.
+ *
+ * Use it in place of the document client, e.g. new DynamoDBStorage(new MockDynamoDBClient())
  */
 
-import { 
-  PutCommand, 
-  GetCommand, 
-  UpdateCommand, 
-  DeleteCommand, 
-  QueryCommand, 
-  ScanCommand 
+import {
+  PutCommand,
+  GetCommand,
+  UpdateCommand,
+  DeleteCommand,
+  QueryCommand,
+  ScanCommand
 } from '@aws-sdk/lib-dynamodb';
+import { AllTableSchemas } from './schemas';
+import { DatabaseConfig } from './connection';
+import {
+  MockItem,
+  ExpressionContext,
+  applyUpdate,
+  compareValues,
+  dynamoError,
+  evaluateCondition,
+  parseCondition,
+  parseProjection,
+  parseUpdate,
+  splitKeyCondition
+} from './mock-dynamodb-expressions';
+
+interface KeyDefinition {
+  hashKey: string;
+  rangeKey?: string;
+}
+
+interface IndexDefinition extends KeyDefinition {
+  projectionType: 'ALL' | 'KEYS_ONLY' | 'INCLUDE';
+  nonKeyAttributes: string[];
+}
+
+interface TableDefinition extends KeyDefinition {
+  indexes: Map<string, IndexDefinition>;
+  // Create request as given, for DescribeTable
+  attributeDefinitions: any[];
+  keySchema: any[];
+  globalSecondaryIndexes: any[];
+}
 
 interface MockTable {
-  [key: string]: any;
+  definition: TableDefinition;
+  items: Map<string, MockItem>; // By serialized primary key, in insertion order
+}
+
+type ReturnValues = 'NONE' | 'ALL_OLD' | 'UPDATED_OLD' | 'ALL_NEW' | 'UPDATED_NEW';
+
+function toKeyDefinition(keySchema: any[]): KeyDefinition {
+  return {
+    hashKey: keySchema.find(key => key.KeyType === 'HASH')?.AttributeName,
+    rangeKey: keySchema.find(key => key.KeyType === 'RANGE')?.AttributeName
+  };
+}
+
+function toTableDefinition(input: any): TableDefinition {
+  const keySchema = input.KeySchema || [];
+  const globalSecondaryIndexes = input.GlobalSecondaryIndexes || [];
+
+  const indexes = new Map<string, IndexDefinition>();
+  for (const index of globalSecondaryIndexes) {
+    indexes.set(index.IndexName, {
+      ...toKeyDefinition(index.KeySchema || []),
+      projectionType: index.Projection?.ProjectionType || 'ALL',
+      nonKeyAttributes: index.Projection?.NonKeyAttributes || []
+    });
+  }
+
+  const definition: TableDefinition = {
+    ...toKeyDefinition(keySchema),
+    indexes,
+    attributeDefinitions: input.AttributeDefinitions || [],
+    keySchema,
+    globalSecondaryIndexes
+  };
+  if (!definition.hashKey) {
+    throw dynamoError('ValidationException', 'One or more parameter values were invalid: KeySchema must have a HASH key');
+  }
+  return definition;
 }
 
-interface MockDatabase {
-  [tableName: string]: MockTable;
+function copyItem<T>(item: T): T {
+  return structuredClone(item);
 }
 
 export class MockDynamoDBClient {
-  private database: MockDatabase = {};
+  private database: Map<string, MockTable> = new Map();
   private isConnected = true;
 
+  /**
+   * @param tableNames Physical table names, when they are not the schema's logical name
+   * or end with it (e.g. therapeutic-wave-users for users)
+   */
+  constructor(private tableNames: Partial<DatabaseConfig['tables']> = {}) {}
+
   /**
    * Initialize mock tables
    */
   initializeTables(tableNames: string[]): void {
     tableNames.forEach(tableName => {
-      if (!this.database[tableName]) {
-        this.database[tableName] = {};
+      if (!this.database.has(tableName)) {
+        this.database.set(tableName, { definition: this.schemaDefinition(tableName), items: new Map() });
       }
     });
   }
@@ -68,197 +149,205 @@ export class MockDynamoDBClient {
   }
 
   private handlePutCommand(command: PutCommand): any {
-    const { TableName, Item } = command.input;
+    const { TableName, Item, ConditionExpression, ExpressionAttributeNames, ExpressionAttributeValues, ReturnValues } = command.input;
     if (!TableName || !Item) {
       throw new Error('TableName and Item are required for PutCommand');
     }
 
-    // Ensure table exists
-    if (!this.database[TableName]) {
-      this.database[TableName] = {};
-    }
+    const table = this.getTable(TableName);
+    const context = new ExpressionContext(ExpressionAttributeNames, ExpressionAttributeValues);
+    const condition = ConditionExpression ? parseCondition(ConditionExpression, context) : undefined;
+    context.assertAllUsed();
+    this.assertReturnValues(ReturnValues, ['NONE', 'ALL_OLD']);
 
-    // Get primary key (assume first key is primary key)
-    const primaryKey = this.getPrimaryKey(Item);
-    this.database[TableName][primaryKey] = { ...Item };
+    const primaryKey = this.serializeKey(table.definition, Item, 'item');
+    const existing = table.items.get(primaryKey);
+    this.checkCondition(condition, existing);
+
+    table.items.set(primaryKey, copyItem(Item));
 
     return {
-      $metadata: {
-        httpStatusCode: 200,
-        requestId: this.generateRequestId()
-      }
+      Attributes: ReturnValues === 'ALL_OLD' && existing ? copyItem(existing) : undefined,
+      $metadata: this.metadata()
     };
   }
 
   private handleGetCommand(command: GetCommand): any {
-    const { TableName, Key } = command.input;
+    const { TableName, Key, ProjectionExpression, ExpressionAttributeNames } = command.input;
     if (!TableName || !Key) {
       throw new Error('TableName and Key are required for GetCommand');
     }
 
-    const table = this.database[TableName];
-    if (!table) {
-      return {
-        $metadata: {
-          httpStatusCode: 200,
-          requestId: this.generateRequestId()
-        }
-      };
-    }
+    const table = this.getTable(TableName);
+    const context = new ExpressionContext(ExpressionAttributeNames);
+    const projection = ProjectionExpression ? parseProjection(ProjectionExpression, context) : undefined;
+    context.assertAllUsed();
 
-    const primaryKey = this.getPrimaryKey(Key);
-    const item = table[primaryKey];
+    const item = table.items.get(this.serializeKey(table.definition, Key, 'key'));
 
     return {
-      Item: item ? { ...item } : undefined,
-      $metadata: {
-        httpStatusCode: 200,
-        requestId: this.generateRequestId()
-      }
+      Item: item ? this.project(copyItem(item), projection) : undefined,
+      $metadata: this.metadata()
     };
   }
 
+  /**
+   * Update an item, creating it from its key when it does not exist (as DynamoDB does)
+   * unless a condition prevents that
+   */
   private handleUpdateCommand(command: UpdateCommand): any {
-    const { TableName, Key, UpdateExpression, ExpressionAttributeNames, ExpressionAttributeValues, ReturnValues } = command.input;
+    const { TableName, Key, UpdateExpression, ConditionExpression, ExpressionAttributeNames, ExpressionAttributeValues, ReturnValues } = command.input;
     if (!TableName || !Key) {
       throw new Error('TableName and Key are required for UpdateCommand');
     }
 
-    const table = this.database[TableName];
-    if (!table) {
-      throw new Error(`Table ${TableName} does not exist`);
-    }
-
-    const primaryKey = this.getPrimaryKey(Key);
-    let item = table[primaryKey];
-
-    if (!item) {
-      throw new Error('Item not found');
-    }
+    const table = this.getTable(TableName);
+    const context = new ExpressionContext(ExpressionAttributeNames, ExpressionAttributeValues);
+    const actions = UpdateExpression ? parseUpdate(UpdateExpression, context) : undefined;
+    const condition = ConditionExpression ? parseCondition(ConditionExpression, context) : undefined;
+    context.assertAllUsed();
+    this.assertReturnValues(ReturnValues, ['NONE', 'ALL_OLD', 'UPDATED_OLD', 'ALL_NEW', 'UPDATED_NEW']);
+
+    const primaryKey = this.serializeKey(table.definition, Key, 'key');
+    const existing = table.items.get(primaryKey);
+    this.checkCondition(condition, existing);
+
+    const before = existing ?? copyItem(Key);
+    const { item: after, updated } = actions
+      ? applyUpdate(actions, before, this.keyAttributes(table.definition))
+      : { item: before, updated: [] };
+    table.items.set(primaryKey, after);
+
+    const pick = (item: MockItem | undefined) => {
+      if (!item) return undefined;
+      const attributes = Object.fromEntries(updated.filter(name => item[name] !== undefined).map(name => [name, item[name]]));
+      return Object.keys(attributes).length > 0 ? copyItem(attributes) : undefined;
+    };
 
-    // Simple update expression parsing (basic implementation)
-    if (UpdateExpression && ExpressionAttributeNames && ExpressionAttributeValues) {
-      item = this.applyUpdateExpression(item, UpdateExpression, ExpressionAttributeNames, ExpressionAttributeValues);
-      table[primaryKey] = item;
+    let attributes: MockItem | undefined;
+    switch (ReturnValues as ReturnValues | undefined) {
+      case 'ALL_NEW': attributes = copyItem(after); break;
+      case 'ALL_OLD': attributes = existing && copyItem(existing); break;
+      case 'UPDATED_NEW': attributes = pick(after); break;
+      case 'UPDATED_OLD': attributes = pick(existing); break;
     }
 
     return {
-      Attributes: ReturnValues === 'ALL_NEW' ? { ...item } : undefined,
-      $metadata: {
-        httpStatusCode: 200,
-        requestId: this.generateRequestId()
-      }
+      Attributes: attributes,
+      $metadata: this.metadata()
     };
   }
 
   private handleDeleteCommand(command: DeleteCommand): any {
-    const { TableName, Key } = command.input;
+    const { TableName, Key, ConditionExpression, ExpressionAttributeNames, ExpressionAttributeValues, ReturnValues } = command.input;
     if (!TableName || !Key) {
       throw new Error('TableName and Key are required for DeleteCommand');
     }
 
-    const table = this.database[TableName];
-    if (table) {
-      const primaryKey = this.getPrimaryKey(Key);
-      delete table[primaryKey];
-    }
+    const table = this.getTable(TableName);
+    const context = new ExpressionContext(ExpressionAttributeNames, ExpressionAttributeValues);
+    const condition = ConditionExpression ? parseCondition(ConditionExpression, context) : undefined;
+    context.assertAllUsed();
+    this.assertReturnValues(ReturnValues, ['NONE', 'ALL_OLD']);
+
+    const primaryKey = this.serializeKey(table.definition, Key, 'key');
+    const existing = table.items.get(primaryKey);
+    this.checkCondition(condition, existing);
+    table.items.delete(primaryKey);
 
     return {
-      $metadata: {
-        httpStatusCode: 200,
-        requestId: this.generateRequestId()
-      }
+      Attributes: ReturnValues === 'ALL_OLD' && existing ? copyItem(existing) : undefined,
+      $metadata: this.metadata()
     };
   }
 
+  /**
+   * Query the table or one of its indexes: items matching the key condition, in sort key
+   * order, one page of at most Limit items evaluated, then filtered
+   */
   private handleQueryCommand(command: QueryCommand): any {
-    const { TableName, IndexName, KeyConditionExpression, ExpressionAttributeValues, Limit, ScanIndexForward } = command.input;
+    const {
+      TableName,
+      IndexName,
+      KeyConditionExpression,
+      FilterExpression,
+      ProjectionExpression,
+      ExpressionAttributeNames,
+      ExpressionAttributeValues,
+      ScanIndexForward,
+      Limit,
+      ExclusiveStartKey,
+      ConsistentRead,
+      Select
+    } = command.input;
     if (!TableName) {
       throw new Error('TableName is required for QueryCommand');
     }
-
-    const table = this.database[TableName];
-    if (!table) {
-      return {
-        Items: [],
-        Count: 0,
-        ScannedCount: 0,
-        $metadata: {
-          httpStatusCode: 200,
-          requestId: this.generateRequestId()
-        }
-      };
+    if (!KeyConditionExpression) {
+      throw dynamoError('ValidationException', 'Either the KeyConditions or KeyConditionExpression parameter must be specified in the request.');
     }
 
-    // Simple query implementation - return all items for now
-    // In a real implementation, you'd parse the KeyConditionExpression
-    let items = Object.values(table);
-
-    // Apply limit
-    if (Limit) {
-      items = items.slice(0, Limit);
+    const table = this.getTable(TableName);
+    const keys = this.getIndexKeys(table.definition, IndexName, ConsistentRead);
+
+    const context = new ExpressionContext(ExpressionAttributeNames, ExpressionAttributeValues);
+    const { hashValue, rangeCondition } = splitKeyCondition(parseCondition(KeyConditionExpression, context), keys.hashKey, keys.rangeKey);
+    const filter = FilterExpression ? parseCondition(FilterExpression, context) : undefined;
+    const projection = ProjectionExpression ? parseProjection(ProjectionExpression, context) : undefined;
+    context.assertAllUsed();
+
+    let candidates = [...table.items.values()].filter(item =>
+      compareValues(item[keys.hashKey], hashValue) === 0
+      && (!keys.rangeKey || item[keys.rangeKey] !== undefined) // Indexes are sparse
+      && (!rangeCondition || evaluateCondition(rangeCondition, item))
+    );
+    if (keys.rangeKey) {
+      const rangeKey = keys.rangeKey;
+      candidates.sort((a, b) => compareValues(a[rangeKey], b[rangeKey]) ?? 0);
     }
-
-    // Apply sort order (basic implementation)
     if (ScanIndexForward === false) {
-      items = items.reverse();
+      candidates = candidates.reverse();
     }
 
-    return {
-      Items: items.map(item => ({ ...item })),
-      Count: items.length,
-      ScannedCount: items.length,
-      $metadata: {
-        httpStatusCode: 200,
-        requestId: this.generateRequestId()
-      }
-    };
+    return this.toPage(table.definition, keys, candidates, { Limit, ExclusiveStartKey, filter, projection, Select });
   }
 
   private handleScanCommand(command: ScanCommand): any {
-    const { TableName, Limit } = command.input;
+    const {
+      TableName,
+      IndexName,
+      FilterExpression,
+      ProjectionExpression,
+      ExpressionAttributeNames,
+      ExpressionAttributeValues,
+      Limit,
+      ExclusiveStartKey,
+      ConsistentRead,
+      Select
+    } = command.input;
     if (!TableName) {
       throw new Error('TableName is required for ScanCommand');
     }
 
-    const table = this.database[TableName];
-    if (!table) {
-      return {
-        Items: [],
-        Count: 0,
-        ScannedCount: 0,
-        $metadata: {
-          httpStatusCode: 200,
-          requestId: this.generateRequestId()
-        }
-      };
-    }
+    const table = this.getTable(TableName);
+    const keys = this.getIndexKeys(table.definition, IndexName, ConsistentRead);
 
-    let items = Object.values(table);
+    const context = new ExpressionContext(ExpressionAttributeNames, ExpressionAttributeValues);
+    const filter = FilterExpression ? parseCondition(FilterExpression, context) : undefined;
+    const projection = ProjectionExpression ? parseProjection(ProjectionExpression, context) : undefined;
+    context.assertAllUsed();
 
-    // Apply limit
-    if (Limit) {
-      items = items.slice(0, Limit);
-    }
+    const candidates = [...table.items.values()].filter(item =>
+      item[keys.hashKey] !== undefined && (!keys.rangeKey || item[keys.rangeKey] !== undefined)
+    );
 
-    return {
-      Items: items.map(item => ({ ...item })),
-      Count: items.length,
-      ScannedCount: items.length,
-      $metadata: {
-        httpStatusCode: 200,
-        requestId: this.generateRequestId()
-      }
-    };
+    return this.toPage(table.definition, keys, candidates, { Limit, ExclusiveStartKey, filter, projection, Select });
   }
 
   private handleListTablesCommand(): any {
     return {
-      TableNames: Object.keys(this.database),
-      $metadata: {
-        httpStatusCode: 200,
-        requestId: this.generateRequestId()
-      }
+      TableNames: [...this.database.keys()].sort(),
+      $metadata: this.metadata()
     };
   }
 
@@ -267,22 +356,19 @@ export class MockDynamoDBClient {
     if (!TableName) {
       throw new Error('TableName is required for CreateTableCommand');
     }
+    if (this.database.has(TableName)) {
+      throw dynamoError('ResourceInUseException', `Table already exists: ${TableName}`);
+    }
 
-    // Initialize empty table
-    this.database[TableName] = {};
+    const definition = toTableDefinition(command.input);
+    this.database.set(TableName, { definition, items: new Map() });
 
     return {
       TableDescription: {
-        TableName,
-        TableStatus: 'ACTIVE',
-        CreationDateTime: new Date(),
-        AttributeDefinitions: command.input.AttributeDefinitions || [],
-        KeySchema: command.input.KeySchema || []
+        ...this.describe(TableName, definition),
+        ItemCount: 0
       },
-      $metadata: {
-        httpStatusCode: 200,
-        requestId: this.generateRequestId()
-      }
+      $metadata: this.metadata()
     };
   }
 
@@ -292,56 +378,200 @@ export class MockDynamoDBClient {
       throw new Error('TableName is required for DescribeTableCommand');
     }
 
-    if (!this.database[TableName]) {
-      const error = new Error(`Table not found: ${TableName}`);
-      (error as any).name = 'ResourceNotFoundException';
-      throw error;
+    const table = this.database.get(TableName);
+    if (!table) {
+      throw dynamoError('ResourceNotFoundException', `Table not found: ${TableName}`);
     }
 
     return {
       Table: {
-        TableName,
-        TableStatus: 'ACTIVE',
-        CreationDateTime: new Date(),
-        ItemCount: Object.keys(this.database[TableName]).length,
+        ...this.describe(TableName, table.definition),
+        ItemCount: table.items.size,
         TableSizeBytes: 0
       },
-      $metadata: {
-        httpStatusCode: 200,
-        requestId: this.generateRequestId()
-      }
+      $metadata: this.metadata()
     };
   }
 
-  private getPrimaryKey(item: any): string {
-    // Simple implementation - use first key as primary key
-    const keys = Object.keys(item);
-    if (keys.length === 0) {
-      throw new Error('Item must have at least one key');
+  /**
+   * A table that was created or initialized, or one the schemas describe
+   */
+  private getTable(tableName: string): MockTable {
+    let table = this.database.get(tableName);
+    if (!table) {
+      const definition = this.schemaDefinition(tableName, false);
+      if (!definition) {
+        throw dynamoError('ResourceNotFoundException', 'Requested resource not found');
+      }
+      table = { definition, items: new Map() };
+      this.database.set(tableName, table);
+    }
+    return table;
+  }
+
+  private schemaDefinition(tableName: string): TableDefinition;
+  private schemaDefinition(tableName: string, required: false): TableDefinition | undefined;
+  private schemaDefinition(tableName: string, required: boolean = true): TableDefinition | undefined {
+    const schema = AllTableSchemas.find(candidate => {
+      const logicalName = candidate.tableName as keyof DatabaseConfig['tables'];
+      return tableName === this.tableNames[logicalName] || tableName === logicalName || tableName.endsWith(`-${logicalName}`);
+    });
+    if (!schema) {
+      if (required) {
+        throw new Error(`No schema in schemas.ts for table ${tableName}`);
+      }
+      return undefined;
+    }
+    return toTableDefinition(schema.createTableInput);
+  }
+
+  private getIndexKeys(definition: TableDefinition, indexName: string | undefined, consistentRead: boolean | undefined): KeyDefinition {
+    if (!indexName) {
+      return definition;
+    }
+
+    const index = definition.indexes.get(indexName);
+    if (!index) {
+      throw dynamoError('ValidationException', `The table does not have the specified index: ${indexName}`);
+    }
+    if (consistentRead) {
+      throw dynamoError('ValidationException', 'Consistent reads are not supported on global secondary indexes');
+    }
+    return index;
+  }
+
+  private keyAttributes(keys: KeyDefinition): string[] {
+    return keys.rangeKey ? [keys.hashKey, keys.rangeKey] : [keys.hashKey];
+  }
+
+  /**
+   * Serialize an item's primary key. A Key must hold exactly the key attributes; an Item
+   * must hold at least them.
+   */
+  private serializeKey(definition: TableDefinition, source: MockItem, kind: 'key' | 'item'): string {
+    const keyAttributes = this.keyAttributes(definition);
+
+    for (const attribute of keyAttributes) {
+      const value = source[attribute];
+      if (value === undefined) {
+        throw dynamoError('ValidationException', kind === 'item'
+          ? `One or more parameter values were invalid: Missing the key ${attribute} in the item`
+          : 'The provided key element does not match the schema');
+      }
+      if (typeof value !== 'string' && typeof value !== 'number' && !(value instanceof Uint8Array)) {
+        throw dynamoError('ValidationException', 'The provided key element does not match the schema');
+      }
+      if (value === '') {
+        throw dynamoError('ValidationException', `One or more parameter values are not valid. The AttributeValue for a key attribute cannot contain an empty string value. Key: ${attribute}`);
+      }
+    }
+    if (kind === 'key' && Object.keys(source).length !== keyAttributes.length) {
+      throw dynamoError('ValidationException', 'The provided key element does not match the schema');
+    }
+
+    return JSON.stringify(keyAttributes.map(attribute => {
+      const value = source[attribute];
+      return value instanceof Uint8Array ? Buffer.from(value).toString('base64') : value;
+    }));
+  }
+
+  private checkCondition(condition: ReturnType<typeof parseCondition> | undefined, existing: MockItem | undefined): void {
+    if (condition && !evaluateCondition(condition, existing ?? {})) {
+      throw dynamoError('ConditionalCheckFailedException', 'The conditional request failed');
     }
-    return item[keys[0]];
   }
 
-  private applyUpdateExpression(item: any, updateExpression: string, attributeNames: any, attributeValues: any): any {
-    // Very basic implementation - just handle SET operations
-    const updatedItem = { ...item };
-    
-    if (updateExpression.startsWith('SET ')) {
-      const setClause = updateExpression.substring(4);
-      const assignments = setClause.split(', ');
-      
-      assignments.forEach(assignment => {
-        const [nameExpr, valueExpr] = assignment.split(' = ');
-        const actualName = attributeNames[nameExpr] || nameExpr;
-        const actualValue = attributeValues[valueExpr];
-        
-        if (actualValue !== undefined) {
-          updatedItem[actualName] = actualValue;
-        }
-      });
+  private assertReturnValues(returnValues: string | undefined, allowed: ReturnValues[]): void {
+    if (returnValues !== undefined && !allowed.includes(returnValues as ReturnValues)) {
+      throw dynamoError('ValidationException', `ReturnValues can only be ${allowed.join(' or ')}`);
     }
-    
-    return updatedItem;
+  }
+
+  /**
+   * One page of a query or scan, starting after ExclusiveStartKey. Limit counts items
+   * evaluated, before the filter, as in DynamoDB.
+   */
+  private toPage(
+    definition: TableDefinition,
+    keys: KeyDefinition,
+    candidates: MockItem[],
+    options: {
+      Limit?: number;
+      ExclusiveStartKey?: MockItem;
+      filter?: ReturnType<typeof parseCondition>;
+      projection?: string[];
+      Select?: string;
+    }
+  ): any {
+    if (options.Limit !== undefined && options.Limit < 1) {
+      throw dynamoError('ValidationException', 'Limit must be greater than or equal to 1');
+    }
+
+    let start = 0;
+    if (options.ExclusiveStartKey) {
+      const startKey = this.serializeKey(definition, options.ExclusiveStartKey, 'item');
+      const position = candidates.findIndex(item => this.serializeKey(definition, item, 'item') === startKey);
+      if (position === -1) {
+        throw dynamoError('ValidationException', 'The provided starting key is invalid');
+      }
+      start = position + 1;
+    }
+
+    const evaluated = candidates.slice(start, options.Limit !== undefined ? start + options.Limit : undefined);
+    const matched = options.filter ? evaluated.filter(item => evaluateCondition(options.filter!, item)) : evaluated;
+
+    // Items read through an index carry only the attributes it projects
+    const index = keys !== definition ? keys as IndexDefinition : undefined;
+    const projectedAttributes = index && index.projectionType !== 'ALL'
+      ? [...new Set([...this.keyAttributes(definition), ...this.keyAttributes(index), ...index.nonKeyAttributes])]
+      : undefined;
+
+    const items = matched.map(item => {
+      let copy = copyItem(item);
+      if (projectedAttributes) copy = this.project(copy, projectedAttributes);
+      return this.project(copy, options.projection);
+    });
+
+    const last = evaluated[evaluated.length - 1];
+    const limitReached = options.Limit !== undefined && evaluated.length === options.Limit;
+    const lastEvaluatedKey = limitReached && last
+      ? copyItem(Object.fromEntries(
+        [...new Set([...this.keyAttributes(definition), ...this.keyAttributes(keys)])].map(attribute => [attribute, last[attribute]])
+      ))
+      : undefined;
+
+    return {
+      Items: options.Select === 'COUNT' ? undefined : items,
+      Count: matched.length,
+      ScannedCount: evaluated.length,
+      LastEvaluatedKey: lastEvaluatedKey,
+      $metadata: this.metadata()
+    };
+  }
+
+  private project(item: MockItem, attributes: string[] | undefined): MockItem {
+    if (!attributes) return item;
+    return Object.fromEntries(attributes.filter(name => item[name] !== undefined).map(name => [name, item[name]]));
+  }
+
+  private describe(tableName: string, definition: TableDefinition): any {
+    return {
+      TableName: tableName,
+      TableStatus: 'ACTIVE',
+      CreationDateTime: new Date(),
+      AttributeDefinitions: definition.attributeDefinitions,
+      KeySchema: definition.keySchema,
+      GlobalSecondaryIndexes: definition.globalSecondaryIndexes.length > 0
+        ? definition.globalSecondaryIndexes.map(index => ({ ...index, IndexStatus: 'ACTIVE' }))
+        : undefined
+    };
+  }
+
+  private metadata(): { httpStatusCode: number; requestId: string } {
+    return {
+      httpStatusCode: 200,
+      requestId: this.generateRequestId()
+    };
   }
 
   private generateRequestId(): string {
@@ -351,15 +581,15 @@ export class MockDynamoDBClient {
   /**
    * Get database state for debugging
    */
-  getDatabase(): MockDatabase {
-    return { ...this.database };
+  getDatabase(): Record<string, MockItem[]> {
+    return Object.fromEntries([...this.database].map(([tableName, table]) => [tableName, [...table.items.values()].map(copyItem)]));
   }
 
   /**
    * Clear all data
    */
   clearDatabase(): void {
-    this.database = {};
+    this.database.clear();
   }
 
   /**
@@ -368,4 +598,4 @@ export class MockDynamoDBClient {
   destroy(): void {
     this.isConnected = false;
   }
-}
\ No newline at end of file
+}
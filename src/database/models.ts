@@ -3,13 +3,20 @@
  * Designed for DynamoDB storage with encryption support for sensitive data
  */
 
+import { VoicePreferences } from '../types';
+
 export interface User {
   userId: string; // Primary key - anonymous UUID or authenticated user ID
   createdAt: string; // ISO timestamp
   lastActiveAt: string; // ISO timestamp
   isAnonymous: boolean;
-  userName?: string; // Optional user name (encrypted if sensitive)
+  userName?: string; // Optional user name, encrypted at field level (see field-encryption)
   frontendUserId?: string; // Original UUID from frontend for reference
+  loginHash?: string; // hashForIndex of the sign-in handle; absent for anonymous users
+  passphraseHash?: string; // scrypt hash, see services/auth
+  authClaimedAt?: string; // ISO timestamp the record was bound to a sign-in or anonymous token
+  recoveryHash?: string; // hashForIndex of an anonymous user's recovery phrase
+  recoveryIssuedAt?: string; // ISO timestamp the current recovery phrase was issued
   preferences: UserPreferences;
   encryptedData?: string; // Encrypted sensitive user data
 }
@@ -22,6 +29,7 @@ export interface UserPreferences {
   reducedMotion: boolean;
   highContrast: boolean;
   audioSensitivity: number; // 0.1 - 1.0
+  voice?: VoicePreferences; // Voice and response settings chosen at promptStart
 }
 
 export interface Session {
@@ -30,11 +38,11 @@ export interface Session {
   startTime: string; // ISO timestamp
   endTime?: string; // ISO timestamp
   duration?: number; // Duration in seconds
-  conversationSummary?: string;
+  conversationSummary?: string; // Summaries and AI insights are encrypted at field level
   emotionalState: EmotionalState;
-  wavePatterns: WavePatternData[];
+  wavePatterns: WavePatternData[]; // Empty once expired by the retention policy
   encryptedTranscript?: string; // Encrypted conversation transcript
-  therapeuticMetrics: TherapeuticMetrics;
+  therapeuticMetrics?: TherapeuticMetrics; // Absent once expired by the retention policy
   // AI-generated insights from transcript processing
   keyTopics?: string[]; // Topics identified by AI
   continuityNotes?: string; // AI-generated notes for next session
@@ -44,13 +52,54 @@ export interface Session {
     copingStrategies: string[];
     recommendedFocus: string[];
   };
+  summarySegments?: SummarySegment[]; // Parts of a long transcript, summarized one by one
+  crisisEvents?: CrisisEvent[]; // High-risk moments flagged during the session
+  // Prompt provenance, for comparing prompt versions against mood outcomes
+  promptTemplate?: string; // Name of the system prompt template
+  promptTemplateVersion?: number;
+  // Retention, see database/retention: when each data class expires and, once every class
+  // expires, when the whole record does (epoch seconds, the DynamoDB TTL attribute)
+  retentionExpiry?: Partial<Record<RetentionDataClass, number>>;
+  expiresAt?: number;
+}
+
+// A window of a session transcript and its own summary, so insights can be placed in time
+export interface SummarySegment {
+  index: number;
+  firstTurn: number; // Turns of the transcript in the window, counted from 0
+  lastTurn: number;
+  startSeconds?: number; // From the start of the conversation, when the transcript has times
+  endSeconds?: number;
+  summary: string;
+  keyTopics: string[];
+  breakthroughs: string[];
 }
 
+// Session data that is kept for its own retention period
+export type RetentionDataClass = 'transcript' | 'summary' | 'wavePatterns' | 'metrics';
+
+export type RetentionPeriod = '30d' | '1y' | 'forever';
+
+export type RetentionPolicy = Record<RetentionDataClass, RetentionPeriod>;
+
+export interface CrisisEvent {
+  timestamp: string; // ISO timestamp
+  severity: 'low' | 'moderate' | 'high';
+  score: number;
+  categories: string[]; // Matched risk categories; the user's words are not stored
+  region: string; // Region the hotline resources were chosen for
+  resourcesShown: boolean;
+  instructionInjected: boolean;
+}
+
+// Check-in answers the user skipped are absent, never filled with defaults
 export interface EmotionalState {
-  initialMood: number; // 1-10 scale
-  finalMood?: number; // 1-10 scale
-  stressLevel: number; // 1-10 scale
-  anxietyLevel: number; // 1-10 scale
+  initialMood?: number; // 1-10 scale, pre-session check-in
+  finalMood?: number; // 1-10 scale, post-session check-in
+  stressLevel?: number; // 1-10 scale, pre-session check-in
+  anxietyLevel?: number; // 1-10 scale, pre-session check-in
+  finalStressLevel?: number; // 1-10 scale, post-session check-in
+  finalAnxietyLevel?: number; // 1-10 scale, post-session check-in
   calmingEffectiveness?: number; // 1-10 scale - how effective the session was
   dominantEmotions: string[]; // Array of emotion tags
 }
@@ -63,24 +112,106 @@ export interface WavePatternData {
   duration: number; // Duration in milliseconds
 }
 
+// Measured server-side by SessionMetricsCollector
 export interface TherapeuticMetrics {
-  sessionQuality: number; // 1-10 scale
-  engagementLevel: number; // 1-10 scale
-  responseTime: number; // Average response time in ms
-  interruptionCount: number;
-  silenceDuration: number; // Total silence duration in seconds
+  sessionQuality?: number; // 1-10 scale, not measured yet
+  engagementLevel?: number; // 1-10 scale, not measured yet
+  responseTime: number; // Average response latency in ms, end of user turn to assistant audio
+  interruptionCount: number; // Times the user spoke over the assistant
+  silenceDuration: number; // Total silence duration in seconds, excluding assistant speech
   voiceStressIndicators: VoiceStressIndicators;
 }
 
 export interface VoiceStressIndicators {
-  averagePitch: number;
-  pitchVariation: number;
+  averagePitch: number; // Hz
+  pitchVariation: number; // Standard deviation in Hz
   speakingRate: number; // Words per minute
-  pauseFrequency: number;
-  volumeConsistency: number;
+  pauseFrequency: number; // Pauses per minute of speech
+  volumeConsistency: number; // 0-1, 1 = steady volume
+}
+
+// One record per user per week, rebuilt from that week's sessions whenever one completes
+export interface WeeklyProgress {
+  progressId: string; // Primary key - userId#weekStartDate
+  userId: string;
+  weekStartDate: string; // YYYY-MM-DD, the Monday the week starts on (UTC)
+  sessionCount: number;
+  totalDuration: number; // Seconds
+  averageMoodDelta?: number; // Average finalMood - initialMood, absent without check-ins
+  averageStressChange?: number; // Average finalStressLevel - stressLevel, negative = less stressed
+  weekStreak: number; // Consecutive weeks with at least one session, ending this week
+  longestWeekStreak: number;
+  recurringTopics: string[]; // Topics raised in more than one session, most frequent first
+  topics: string[]; // All topics of the week, most frequent first
+  sessionIds: string[];
+  updatedAt: string; // ISO timestamp
+  // Retention, see database/retention: topics follow the summary class and mood and stress
+  // averages the metrics class, from the start of the week
+  retentionExpiry?: Partial<Record<RetentionDataClass, number>>;
+  expiresAt?: number;
+}
+
+// Matches the browser's AccessibilityController settings
+export interface AccessibilitySettings {
+  motionIntensity: number; // 0.1 - 1.0
+  colorIntensity: number; // 0.1 - 1.0
+  animationSpeed: number; // 0.1 - 2.0
+  reducedMotion: boolean;
+  highContrast: boolean;
+  smoothTransitions: boolean;
+  flashReduction: boolean;
+  motionSensitivity: 'low' | 'normal' | 'high';
 }
 
+export interface NotificationPreferences {
+  sessionReminders: boolean;
+  reminderTime?: string; // HH:MM, local time
+  weeklyProgressSummary: boolean;
+}
+
+// Sections the user has never saved are absent, so a device's own values are kept until then
+export interface UserSettings {
+  settingsId: string; // Primary key - same as userId
+  userId: string;
+  theme?: UserPreferences['theme'];
+  accessibility?: Partial<AccessibilitySettings>;
+  voice?: VoicePreferences;
+  goals?: string[]; // Progress goals the user is working towards
+  notifications?: Partial<NotificationPreferences>;
+  retention?: Partial<RetentionPolicy>; // Classes without a choice follow the deployment default
+  updatedAt: string; // ISO timestamp
+}
 
+// A user's data keys, stored only wrapped by the master key (see envelope-encryption)
+export interface WrappedDataKey {
+  masterKeyId: string; // Master key, including its version, that wrapped the data key
+  wrappedKey: string; // Base64
+  createdAt: string; // ISO timestamp
+}
+
+export interface DataKeyring {
+  userId: string; // Primary key
+  currentVersion: number; // Data key version new data is encrypted with
+  dataKeys: Record<number, WrappedDataKey>; // By version; older versions decrypt older data
+  updatedAt: string; // ISO timestamp
+}
+
+// Access to a user's data, one link of that user's hash chain (see audit-log)
+export type AuditAction = 'decrypt' | 'export' | 'delete' | 'context-read';
+
+export interface AuditRecord {
+  auditId: string; // Primary key - userId#sequence, zero-padded so it sorts by sequence
+  userId: string; // Whose data was accessed
+  sequence: number; // 1 for the first record of the user
+  timestamp: string; // ISO timestamp
+  actor: string; // user:<userId>, system:<component> or operator:<name>
+  action: AuditAction;
+  purpose: string;
+  resource?: string; // e.g. session:<sessionId>
+  details?: Record<string, unknown>;
+  previousHash: string; // hash of the previous record; zeros for the first
+  hash: string; // SHA-256 (HMAC with AUDIT_HASH_KEY) of this record including previousHash
+}
 
 // DynamoDB-specific interfaces for table operations
 export interface DynamoDBUser extends Omit<User, 'preferences' | 'isAnonymous'> {
@@ -88,21 +219,49 @@ export interface DynamoDBUser extends Omit<User, 'preferences' | 'isAnonymous'>
   preferences: string; // JSON stringified UserPreferences
 }
 
-export interface DynamoDBSession extends Omit<Session, 'emotionalState' | 'wavePatterns' | 'therapeuticMetrics' | 'keyTopics' | 'therapeuticProgress'> {
+export interface DynamoDBSession extends Omit<Session, 'emotionalState' | 'wavePatterns' | 'therapeuticMetrics' | 'keyTopics' | 'therapeuticProgress' | 'summarySegments' | 'crisisEvents' | 'retentionExpiry'> {
   emotionalState: string; // JSON stringified EmotionalState
   keyTopics?: string; // JSON stringified string[]
   therapeuticProgress?: string; // JSON stringified therapeutic progress object
+  summarySegments?: string; // JSON stringified SummarySegment[]
+  crisisEvents?: string; // JSON stringified CrisisEvent[]
   wavePatterns: string; // JSON stringified WavePatternData[]
-  therapeuticMetrics: string; // JSON stringified TherapeuticMetrics
+  therapeuticMetrics?: string; // JSON stringified TherapeuticMetrics
+  retentionExpiry?: string; // JSON stringified expiry per data class
   // Legacy GSI keys for backward compatibility with existing deployments
   GSI1PK?: string; // Partition key for legacy GSI (userId)
   GSI1SK?: string; // Sort key for legacy GSI (startTime)
 }
 
+export interface DynamoDBUserSettings extends Omit<UserSettings, 'accessibility' | 'voice' | 'goals' | 'notifications' | 'retention'> {
+  accessibility?: string; // JSON stringified AccessibilitySettings
+  voice?: string; // JSON stringified VoicePreferences
+  goals?: string; // JSON stringified string[]
+  notifications?: string; // JSON stringified NotificationPreferences
+  retention?: string; // JSON stringified RetentionPolicy choices
+}
+
+export interface DynamoDBWeeklyProgress extends Omit<WeeklyProgress, 'recurringTopics' | 'topics' | 'sessionIds' | 'retentionExpiry'> {
+  recurringTopics?: string; // JSON stringified string[]
+  topics?: string; // JSON stringified string[]
+  sessionIds: string; // JSON stringified string[]
+  retentionExpiry?: string; // JSON stringified expiry per data class
+}
+
+
+export interface DynamoDBAuditRecord extends Omit<AuditRecord, 'details'> {
+  details?: string; // JSON stringified details
+}
 
+// Every data key version is an attribute of its own (dataKeyV1, dataKeyV2, ...), so
+// updates of different versions never overwrite each other
+export interface DynamoDBDataKeyring extends Omit<DataKeyring, 'dataKeys'> {
+  [dataKeyAttribute: `dataKeyV${number}`]: string; // JSON stringified WrappedDataKey
+}
 
 // Utility types for database operations
 export type CreateUserInput = Omit<User, 'userId' | 'createdAt' | 'lastActiveAt'>;
 export type UpdateUserInput = Partial<Omit<User, 'userId' | 'createdAt'>>;
-export type CreateSessionInput = Omit<Session, 'sessionId' | 'startTime'>;
-export type UpdateSessionInput = Partial<Omit<Session, 'sessionId' | 'userId' | 'startTime'>>;
+export type CreateSessionInput = Omit<Session, 'sessionId' | 'startTime' | 'retentionExpiry' | 'expiresAt'>;
+export type UpdateSessionInput = Partial<Omit<Session, 'sessionId' | 'userId' | 'startTime' | 'retentionExpiry' | 'expiresAt'>>;
+export type UpdateSettingsInput = Partial<Omit<UserSettings, 'settingsId' | 'userId' | 'updatedAt'>>;
@@ -1,16 +1,10 @@
 /**
- * Repository pattern implementation for DynamoDB data access
- * Provides CRUD operations for all data models with encryption support
+ * Repository pattern implementation for data access
+ * Provides CRUD operations for all data models with encryption support, storing records in
+ * DynamoDB item format through the configured storage backend
  */
 
-import {
-  PutCommand,
-  GetCommand,
-  UpdateCommand,
-  DeleteCommand,
-  QueryCommand
-} from '@aws-sdk/lib-dynamodb';
-import { getDatabaseConnection } from './connection';
+import { getStorageBackend, StorageBackend, StorageQuery } from './storage';
 import {
   User,
   Session,
@@ -19,25 +13,41 @@ import {
   CreateUserInput,
   UpdateUserInput,
   CreateSessionInput,
-  UpdateSessionInput
+  UpdateSessionInput,
+  CrisisEvent,
+  WeeklyProgress,
+  DynamoDBWeeklyProgress,
+  UserSettings,
+  DynamoDBUserSettings,
+  UpdateSettingsInput,
+  RetentionPolicy
 } from './models';
 import {
-  encryptSensitiveData,
-  decryptSensitiveData,
   generateSecureUserId,
   generateSecureSessionId,
-  sanitizeBeforeEncryption,
-  encryptTranscriptWithKMS,
-  decryptTranscriptWithKMS
+  hashForIndex,
+  legacyHashForIndex,
+  sanitizeBeforeEncryption
 } from './encryption';
+import { auditLog } from './audit-log';
+import { envelopeEncryption } from './envelope-encryption';
+import { decryptFields, encryptFields, getEncryptedFields } from './field-encryption';
+import {
+  ProgressRetentionDataClassFields,
+  ProgressRetentionDataClasses,
+  RetentionDataClassFields,
+  computeRetentionExpiry,
+  getExpiredDataClasses,
+  resolveRetentionPolicy,
+  toEpochSeconds
+} from './retention';
 import { v4 as uuidv4 } from 'uuid';
 
 /**
  * Base repository class with common functionality
  */
 abstract class BaseRepository {
-  protected db = getDatabaseConnection();
-  protected docClient = this.db.getDocumentClient();
+  constructor(protected storage: StorageBackend = getStorageBackend()) {}
 
   protected getCurrentTimestamp(): string {
     return new Date().toISOString();
@@ -46,13 +56,13 @@ abstract class BaseRepository {
   protected generateId(): string {
     return uuidv4();
   }
+
 }
 
 /**
  * Users repository
  */
 export class UsersRepository extends BaseRepository {
-  private tableName = this.db.getTableName('users');
 
   /**
    * Create a new user
@@ -78,15 +88,10 @@ export class UsersRepository extends BaseRepository {
     // Encrypt sensitive data if present
     if (user.encryptedData) {
       const sanitized = sanitizeBeforeEncryption(user.encryptedData);
-      dynamoUser.encryptedData = encryptSensitiveData(sanitized);
+      dynamoUser.encryptedData = await envelopeEncryption.encrypt(userId, sanitized);
     }
 
-    const command = new PutCommand({
-      TableName: this.tableName,
-      Item: dynamoUser
-    });
-
-    await this.docClient.send(command);
+    await this.storage.put('users', await encryptFields('users', userId, dynamoUser));
     return user;
   }
 
@@ -114,96 +119,92 @@ export class UsersRepository extends BaseRepository {
     // Encrypt sensitive data if present
     if (user.encryptedData) {
       const sanitized = sanitizeBeforeEncryption(user.encryptedData);
-      dynamoUser.encryptedData = encryptSensitiveData(sanitized);
+      dynamoUser.encryptedData = await envelopeEncryption.encrypt(userId, sanitized);
     }
 
-    const command = new PutCommand({
-      TableName: this.tableName,
-      Item: dynamoUser,
-      ConditionExpression: 'attribute_not_exists(#pk)',
-      ExpressionAttributeNames: { '#pk': 'userId' }
-    });
-
-    await this.docClient.send(command);
+    await this.storage.put('users', await encryptFields('users', userId, dynamoUser), { ifNotExists: true });
     return user;
   }
 
+  /**
+   * Whether a user record is stored, without decrypting it
+   */
+  async userExists(userId: string): Promise<boolean> {
+    return (await this.storage.get('users', { userId })) !== null;
+  }
+
   /**
    * Get user by ID
    */
   async getUserById(userId: string): Promise<User | null> {
-    const command = new GetCommand({
-      TableName: this.tableName,
-      Key: { userId }
-    });
-
-    const response = await this.docClient.send(command);
-    if (!response.Item) {
+    const item = await this.storage.get('users', { userId });
+    if (!item) {
       return null;
     }
 
-    return this.convertFromDynamoUser(response.Item as DynamoDBUser);
+    return await this.convertFromDynamoUser(item as DynamoDBUser);
+  }
+
+  /**
+   * Get the user signed in with a handle, by the handle's hashForIndex
+   */
+  async getUserByLogin(handle: string): Promise<User | null> {
+    return this.getUserByIndexedValue('loginHash-index', 'loginHash', handle);
+  }
+
+  /**
+   * Get the anonymous user a recovery phrase belongs to, by the phrase's hashForIndex
+   */
+  async getUserByRecoveryPhrase(phrase: string): Promise<User | null> {
+    return this.getUserByIndexedValue('recoveryHash-index', 'recoveryHash', phrase);
   }
 
   /**
    * Update user
    */
   async updateUser(userId: string, input: UpdateUserInput): Promise<User | null> {
-    const updateExpressions: string[] = [];
-    const expressionAttributeNames: Record<string, string> = {};
-    const expressionAttributeValues: Record<string, any> = {};
+    const values: Partial<DynamoDBUser> = {};
 
-    // Build update expression
     if (input.lastActiveAt !== undefined) {
-      updateExpressions.push('#lastActiveAt = :lastActiveAt');
-      expressionAttributeNames['#lastActiveAt'] = 'lastActiveAt';
-      expressionAttributeValues[':lastActiveAt'] = input.lastActiveAt;
+      values.lastActiveAt = input.lastActiveAt;
+    }
+
+    if (input.isAnonymous !== undefined) {
+      values.isAnonymous = input.isAnonymous.toString();
+    }
+
+    for (const field of ['userName', 'loginHash', 'passphraseHash', 'authClaimedAt', 'recoveryHash', 'recoveryIssuedAt'] as const) {
+      if (input[field] !== undefined) {
+        values[field] = input[field];
+      }
     }
 
     if (input.preferences !== undefined) {
-      updateExpressions.push('#preferences = :preferences');
-      expressionAttributeNames['#preferences'] = 'preferences';
-      expressionAttributeValues[':preferences'] = JSON.stringify(input.preferences);
+      values.preferences = JSON.stringify(input.preferences);
     }
 
     if (input.encryptedData !== undefined) {
       const sanitized = sanitizeBeforeEncryption(input.encryptedData);
-      updateExpressions.push('#encryptedData = :encryptedData');
-      expressionAttributeNames['#encryptedData'] = 'encryptedData';
-      expressionAttributeValues[':encryptedData'] = encryptSensitiveData(sanitized);
+      values.encryptedData = await envelopeEncryption.encrypt(userId, sanitized);
     }
 
-    if (updateExpressions.length === 0) {
+    if (Object.keys(values).length === 0) {
       return this.getUserById(userId);
     }
 
-    const command = new UpdateCommand({
-      TableName: this.tableName,
-      Key: { userId },
-      UpdateExpression: `SET ${updateExpressions.join(', ')}`,
-      ExpressionAttributeNames: expressionAttributeNames,
-      ExpressionAttributeValues: expressionAttributeValues,
-      ReturnValues: 'ALL_NEW'
-    });
-
-    const response = await this.docClient.send(command);
-    if (!response.Attributes) {
+    const item = await this.storage.update('users', { userId }, await encryptFields('users', userId, values));
+    if (!item) {
       return null;
     }
 
-    return this.convertFromDynamoUser(response.Attributes as DynamoDBUser);
+    return await this.convertFromDynamoUser(item as DynamoDBUser);
   }
 
   /**
-   * Delete user
+   * Delete the user record only; userDataService.eraseUserData also erases sessions, progress and settings
    */
   async deleteUser(userId: string): Promise<boolean> {
-    const command = new DeleteCommand({
-      TableName: this.tableName,
-      Key: { userId }
-    });
-
-    await this.docClient.send(command);
+    await this.storage.delete('users', { userId });
     return true;
   }
 
@@ -211,26 +212,60 @@ export class UsersRepository extends BaseRepository {
    * Get anonymous users by last activity
    */
   async getAnonymousUsersByActivity(limit: number = 50): Promise<User[]> {
-    const command = new QueryCommand({
-      TableName: this.tableName,
-      IndexName: 'isAnonymous-lastActiveAt-index',
-      KeyConditionExpression: 'isAnonymous = :isAnonymous',
-      ExpressionAttributeValues: {
-        ':isAnonymous': 'true'
-      },
-      ScanIndexForward: false, // Most recent first
-      Limit: limit
+    const items = await this.storage.query('users', {
+      indexName: 'isAnonymous-lastActiveAt-index',
+      partitionKey: 'isAnonymous',
+      partitionValue: 'true',
+      sortKey: 'lastActiveAt',
+      descending: true, // Most recent first
+      limit
     });
 
-    const response = await this.docClient.send(command);
-    if (!response.Items) {
-      return [];
+    return await Promise.all(items.map(item => this.convertFromDynamoUser(item as DynamoDBUser)));
+  }
+
+  /**
+   * Look a user up by the hashForIndex of a value. A user found by the unkeyed hash stored
+   * before INDEX_HASH_KEY was set is moved to the keyed hash.
+   */
+  private async getUserByIndexedValue(indexName: string, attribute: 'loginHash' | 'recoveryHash', value: string): Promise<User | null> {
+    const hash = hashForIndex(value);
+    const user = await this.getUserByIndexedHash(indexName, attribute, hash);
+    const legacyHash = legacyHashForIndex(value);
+    if (user || legacyHash === hash) {
+      return user;
     }
 
-    return response.Items.map(item => this.convertFromDynamoUser(item as DynamoDBUser));
+    const legacyUser = await this.getUserByIndexedHash(indexName, attribute, legacyHash);
+    if (!legacyUser) {
+      return null;
+    }
+    return await this.updateUser(legacyUser.userId, attribute === 'loginHash' ? { loginHash: hash } : { recoveryHash: hash });
   }
 
-  private convertFromDynamoUser(dynamoUser: DynamoDBUser): User {
+  /**
+   * Look a user up through one of the sparse keys-only hash indexes
+   */
+  private async getUserByIndexedHash(indexName: string, attribute: 'loginHash' | 'recoveryHash', hash: string): Promise<User | null> {
+    const [item] = await this.storage.query('users', {
+      indexName,
+      partitionKey: attribute,
+      partitionValue: hash,
+      limit: 1
+    });
+    const userId = item?.userId;
+    if (!userId) {
+      return null;
+    }
+
+    // The index only projects keys and is eventually consistent, so read and check the record itself
+    const user = await this.getUserById(userId);
+    return user?.[attribute] === hash ? user : null;
+  }
+
+  private async convertFromDynamoUser(stored: DynamoDBUser): Promise<User> {
+    const dynamoUser = await decryptFields('users', stored.userId, stored);
+
     const user: User = {
       ...dynamoUser,
       isAnonymous: dynamoUser.isAnonymous === 'true', // Convert string back to boolean
@@ -240,7 +275,8 @@ export class UsersRepository extends BaseRepository {
     // Decrypt sensitive data if present
     if (dynamoUser.encryptedData) {
       try {
-        user.encryptedData = decryptSensitiveData(dynamoUser.encryptedData);
+        user.encryptedData = await envelopeEncryption.decrypt(dynamoUser.userId, dynamoUser.encryptedData);
+        auditLog.noteDecrypt(dynamoUser.userId, `user:${dynamoUser.userId}`);
       } catch (error) {
         console.error('Failed to decrypt user data:', error);
         // Don't fail the entire operation, just omit the encrypted data
@@ -256,19 +292,19 @@ export class UsersRepository extends BaseRepository {
  * Sessions repository
  */
 export class SessionsRepository extends BaseRepository {
-  private tableName = this.db.getTableName('sessions');
 
   /**
-   * Create a new session
+   * Create a new session, expiring its data under the user's retention policy
    */
-  async createSession(input: CreateSessionInput): Promise<Session> {
+  async createSession(input: CreateSessionInput, retention: RetentionPolicy = resolveRetentionPolicy()): Promise<Session> {
     const sessionId = generateSecureSessionId();
     const startTime = this.getCurrentTimestamp();
 
     const session: Session = {
       sessionId,
       startTime,
-      ...input
+      ...input,
+      ...computeRetentionExpiry(startTime, retention)
     };
 
     // Convert to DynamoDB format
@@ -276,26 +312,24 @@ export class SessionsRepository extends BaseRepository {
       ...session,
       emotionalState: JSON.stringify(session.emotionalState),
       wavePatterns: JSON.stringify(session.wavePatterns),
-      therapeuticMetrics: JSON.stringify(session.therapeuticMetrics),
+      therapeuticMetrics: session.therapeuticMetrics ? JSON.stringify(session.therapeuticMetrics) : undefined,
+      retentionExpiry: JSON.stringify(session.retentionExpiry),
       keyTopics: session.keyTopics ? JSON.stringify(session.keyTopics) : undefined,
       therapeuticProgress: session.therapeuticProgress ? JSON.stringify(session.therapeuticProgress) : undefined,
+      summarySegments: session.summarySegments ? JSON.stringify(session.summarySegments) : undefined,
+      crisisEvents: session.crisisEvents ? JSON.stringify(session.crisisEvents) : undefined,
       // Keep legacy GSI attributes for backward compatibility with existing GSI
       GSI1PK: session.userId,
       GSI1SK: session.startTime
     };
 
-    // Encrypt transcript if present using KMS
+    // Encrypt transcript if present under the user's data key
     if (session.encryptedTranscript) {
       const sanitized = sanitizeBeforeEncryption(session.encryptedTranscript);
-      dynamoSession.encryptedTranscript = await encryptTranscriptWithKMS(sanitized);
+      dynamoSession.encryptedTranscript = await envelopeEncryption.encrypt(session.userId, sanitized);
     }
 
-    const command = new PutCommand({
-      TableName: this.tableName,
-      Item: dynamoSession
-    });
-
-    await this.docClient.send(command);
+    await this.storage.put('sessions', await encryptFields('sessions', session.userId, dynamoSession));
     return session;
   }
 
@@ -303,90 +337,105 @@ export class SessionsRepository extends BaseRepository {
    * Get session by ID
    */
   async getSessionById(sessionId: string): Promise<Session | null> {
-    const command = new GetCommand({
-      TableName: this.tableName,
-      Key: { sessionId }
-    });
-
-    const response = await this.docClient.send(command);
-    if (!response.Item) {
+    const item = await this.storage.get('sessions', { sessionId });
+    if (!item || SessionsRepository.isExpired(item as DynamoDBSession)) {
       return null;
     }
 
-    return await this.convertFromDynamoSession(response.Item as DynamoDBSession);
+    return await this.convertFromDynamoSession(item as DynamoDBSession);
   }
 
   /**
    * Update session
    */
   async updateSession(sessionId: string, input: UpdateSessionInput): Promise<Session | null> {
-    const updateExpressions: string[] = [];
-    const expressionAttributeNames: Record<string, string> = {};
-    const expressionAttributeValues: Record<string, any> = {};
+    const values: Partial<DynamoDBSession> = {};
 
-    // Build update expression for various fields
+    // Copy plain fields and serialize the structured ones
     if (input.endTime !== undefined) {
-      updateExpressions.push('#endTime = :endTime');
-      expressionAttributeNames['#endTime'] = 'endTime';
-      expressionAttributeValues[':endTime'] = input.endTime;
+      values.endTime = input.endTime;
     }
 
     if (input.duration !== undefined) {
-      updateExpressions.push('#duration = :duration');
-      expressionAttributeNames['#duration'] = 'duration';
-      expressionAttributeValues[':duration'] = input.duration;
+      values.duration = input.duration;
     }
 
     if (input.conversationSummary !== undefined) {
-      updateExpressions.push('#conversationSummary = :conversationSummary');
-      expressionAttributeNames['#conversationSummary'] = 'conversationSummary';
-      expressionAttributeValues[':conversationSummary'] = input.conversationSummary;
+      values.conversationSummary = input.conversationSummary;
     }
 
     if (input.emotionalState !== undefined) {
-      updateExpressions.push('#emotionalState = :emotionalState');
-      expressionAttributeNames['#emotionalState'] = 'emotionalState';
-      expressionAttributeValues[':emotionalState'] = JSON.stringify(input.emotionalState);
+      values.emotionalState = JSON.stringify(input.emotionalState);
     }
 
     if (input.wavePatterns !== undefined) {
-      updateExpressions.push('#wavePatterns = :wavePatterns');
-      expressionAttributeNames['#wavePatterns'] = 'wavePatterns';
-      expressionAttributeValues[':wavePatterns'] = JSON.stringify(input.wavePatterns);
+      values.wavePatterns = JSON.stringify(input.wavePatterns);
     }
 
     if (input.therapeuticMetrics !== undefined) {
-      updateExpressions.push('#therapeuticMetrics = :therapeuticMetrics');
-      expressionAttributeNames['#therapeuticMetrics'] = 'therapeuticMetrics';
-      expressionAttributeValues[':therapeuticMetrics'] = JSON.stringify(input.therapeuticMetrics);
+      values.therapeuticMetrics = JSON.stringify(input.therapeuticMetrics);
+    }
+
+    if (input.keyTopics !== undefined) {
+      values.keyTopics = JSON.stringify(input.keyTopics);
+    }
+
+    if (input.continuityNotes !== undefined) {
+      values.continuityNotes = input.continuityNotes;
     }
 
-    if (input.encryptedTranscript !== undefined) {
-      const sanitized = sanitizeBeforeEncryption(input.encryptedTranscript);
-      updateExpressions.push('#encryptedTranscript = :encryptedTranscript');
-      expressionAttributeNames['#encryptedTranscript'] = 'encryptedTranscript';
-      expressionAttributeValues[':encryptedTranscript'] = await encryptTranscriptWithKMS(sanitized);
+    if (input.therapeuticProgress !== undefined) {
+      values.therapeuticProgress = JSON.stringify(input.therapeuticProgress);
     }
 
-    if (updateExpressions.length === 0) {
+    if (input.summarySegments !== undefined) {
+      values.summarySegments = JSON.stringify(input.summarySegments);
+    }
+
+    if (Object.keys(values).length === 0 && input.encryptedTranscript === undefined) {
       return this.getSessionById(sessionId);
     }
 
-    const command = new UpdateCommand({
-      TableName: this.tableName,
-      Key: { sessionId },
-      UpdateExpression: `SET ${updateExpressions.join(', ')}`,
-      ExpressionAttributeNames: expressionAttributeNames,
-      ExpressionAttributeValues: expressionAttributeValues,
-      ReturnValues: 'ALL_NEW'
-    });
+    // Encrypted fields and the transcript are encrypted for the session's user
+    const encryptedFields = getEncryptedFields('sessions').filter(field => field in values);
+    let encryptedValues: Partial<DynamoDBSession> = values;
+    if (encryptedFields.length > 0 || input.encryptedTranscript !== undefined) {
+      const existing = await this.storage.get('sessions', { sessionId });
+      if (!existing) {
+        return null;
+      }
+
+      encryptedValues = await encryptFields('sessions', existing.userId, values);
+      if (input.encryptedTranscript !== undefined) {
+        const sanitized = sanitizeBeforeEncryption(input.encryptedTranscript);
+        encryptedValues.encryptedTranscript = await envelopeEncryption.encrypt(existing.userId, sanitized);
+      }
+    }
 
-    const response = await this.docClient.send(command);
-    if (!response.Attributes) {
+    const item = await this.storage.update('sessions', { sessionId }, encryptedValues);
+    if (!item) {
       return null;
     }
 
-    return await this.convertFromDynamoSession(response.Attributes as DynamoDBSession);
+    return await this.convertFromDynamoSession(item as DynamoDBSession);
+  }
+
+  /**
+   * Append a crisis event to a session's record
+   */
+  async addCrisisEvent(sessionId: string, event: CrisisEvent): Promise<boolean> {
+    // Read the raw item so the transcript does not have to be decrypted
+    const existing = await this.storage.get('sessions', { sessionId });
+    if (!existing) {
+      return false;
+    }
+
+    const stored = (existing as DynamoDBSession).crisisEvents;
+    const crisisEvents: CrisisEvent[] = stored ? JSON.parse(stored) : [];
+    crisisEvents.push(event);
+
+    const updated = await this.storage.update('sessions', { sessionId }, { crisisEvents: JSON.stringify(crisisEvents) });
+    return updated !== null;
   }
 
   /**
@@ -395,19 +444,9 @@ export class SessionsRepository extends BaseRepository {
   async getSessionsByUserId(userId: string, limit: number = 50): Promise<Session[]> {
     // Try the new direct GSI first
     try {
-      const command = new QueryCommand({
-        TableName: this.tableName,
-        IndexName: 'userId-startTime-direct-index',
-        KeyConditionExpression: '#uid = :userId',
-        ExpressionAttributeNames: { '#uid': 'userId' },
-        ExpressionAttributeValues: { ':userId': userId },
-        ScanIndexForward: false, // Most recent first
-        Limit: limit
-      });
-
-      const response = await this.docClient.send(command);
-      if (response.Items && response.Items.length > 0) {
-        return await Promise.all(response.Items.map(item => this.convertFromDynamoSession(item as DynamoDBSession)));
+      const items = await this.storage.query('sessions', { ...SessionsRepository.directIndexQuery(userId), descending: true, limit });
+      if (items.length > 0) {
+        return await this.convertCurrentSessions(items);
       }
     } catch (error) {
       console.log('New GSI not available yet, falling back to legacy GSI:', error instanceof Error ? error.message : String(error));
@@ -415,55 +454,165 @@ export class SessionsRepository extends BaseRepository {
 
     // Fallback to legacy GSI with GSI1PK/GSI1SK
     try {
-      const legacyCommand = new QueryCommand({
-        TableName: this.tableName,
-        IndexName: 'userId-startTime-index',
-        KeyConditionExpression: '#pk = :pk',
-        ExpressionAttributeNames: { '#pk': 'GSI1PK' },
-        ExpressionAttributeValues: { ':pk': userId },
-        ScanIndexForward: false, // Most recent first
-        Limit: limit
-      });
-
-      const response = await this.docClient.send(legacyCommand);
-      if (!response.Items) {
-        return [];
-      }
-
-      return await Promise.all(response.Items.map(item => this.convertFromDynamoSession(item as DynamoDBSession)));
+      const items = await this.storage.query('sessions', { ...SessionsRepository.legacyIndexQuery(userId), descending: true, limit });
+      return await this.convertCurrentSessions(items);
     } catch (error) {
       console.error('Error querying sessions by user ID with both GSIs:', error);
       return [];
     }
   }
 
+  /**
+   * Get every session of a user, oldest first, for export. Sessions past their expiry that
+   * TTL has not deleted yet are still stored, so an export includes them with includeExpired.
+   */
+  async getAllSessionsByUserId(userId: string, includeExpired: boolean = false): Promise<Session[]> {
+    const items = await this.queryAllItems(userId);
+    if (includeExpired) {
+      return await Promise.all(items.map(item => this.convertFromDynamoSession(item)));
+    }
+    return await this.convertCurrentSessions(items);
+  }
+
+  /**
+   * IDs of every stored session of a user, expired or not, for erasure. Nothing is decrypted.
+   */
+  async getAllSessionIdsByUserId(userId: string): Promise<string[]> {
+    return (await this.queryAllItems(userId)).map(item => item.sessionId);
+  }
+
+  /**
+   * Re-time the expiry of all of a user's sessions after they change their retention choice.
+   * Returns the number of sessions updated.
+   */
+  async applyRetentionPolicy(userId: string, retention: RetentionPolicy): Promise<number> {
+    const items = await this.queryAllItems(userId);
+
+    for (const item of items) {
+      const { retentionExpiry, expiresAt } = computeRetentionExpiry(item.startTime, retention);
+      await this.storage.update(
+        'sessions',
+        { sessionId: item.sessionId },
+        { retentionExpiry: JSON.stringify(retentionExpiry), expiresAt },
+        expiresAt === undefined ? ['expiresAt'] : []
+      );
+    }
+
+    return items.length;
+  }
+
+  /**
+   * Remove expired data classes from every session, and delete expired sessions unless
+   * the storage backend's TTL deletes them itself. Each removal is recorded in the audit log
+   * first.
+   */
+  async purgeExpiredData(now: number = Date.now()): Promise<{ deletedSessions: number; strippedSessions: number }> {
+    let deletedSessions = 0;
+    let strippedSessions = 0;
+
+    for (const item of await this.storage.scan('sessions') as DynamoDBSession[]) {
+      if (SessionsRepository.isExpired(item, now)) {
+        if (!this.storage.expiresItems) {
+          await auditLog.record({ userId: item.userId, action: 'delete', resource: `session:${item.sessionId}` });
+          await this.storage.delete('sessions', { sessionId: item.sessionId });
+          deletedSessions++;
+        }
+        continue;
+      }
+
+      const expiredFields = SessionsRepository.getExpiredFields(item, now).filter(field => item[field] !== undefined);
+      if (expiredFields.length > 0) {
+        await auditLog.record({
+          userId: item.userId,
+          action: 'delete',
+          resource: `session:${item.sessionId}`,
+          details: { fields: expiredFields }
+        });
+        await this.storage.update('sessions', { sessionId: item.sessionId }, {}, expiredFields);
+        strippedSessions++;
+      }
+    }
+
+    return { deletedSessions, strippedSessions };
+  }
+
   /**
    * Delete session
    */
   async deleteSession(sessionId: string): Promise<boolean> {
-    const command = new DeleteCommand({
-      TableName: this.tableName,
-      Key: { sessionId }
-    });
-
-    await this.docClient.send(command);
+    await this.storage.delete('sessions', { sessionId });
     return true;
   }
 
-  private async convertFromDynamoSession(dynamoSession: DynamoDBSession): Promise<Session> {
+  /**
+   * Every stored session item of a user, oldest first, including expired ones
+   */
+  private async queryAllItems(userId: string): Promise<DynamoDBSession[]> {
+    let items: Record<string, any>[] = [];
+    try {
+      items = await this.storage.query('sessions', SessionsRepository.directIndexQuery(userId));
+    } catch (error) {
+      console.log('New GSI not available yet, falling back to legacy GSI:', error instanceof Error ? error.message : String(error));
+    }
+
+    // Sessions written before the direct GSI existed are only on the legacy GSI
+    const found = new Set(items.map(item => item.sessionId));
+    const legacyItems = await this.storage.query('sessions', SessionsRepository.legacyIndexQuery(userId));
+    items.push(...legacyItems.filter(item => !found.has(item.sessionId)));
+
+    return (items as DynamoDBSession[]).sort((a, b) => a.startTime.localeCompare(b.startTime));
+  }
+
+  /**
+   * Convert query results, leaving out expired sessions TTL has not deleted yet
+   */
+  private async convertCurrentSessions(items: Record<string, any>[]): Promise<Session[]> {
+    const current = (items as DynamoDBSession[]).filter(item => !SessionsRepository.isExpired(item));
+    return await Promise.all(current.map(item => this.convertFromDynamoSession(item)));
+  }
+
+  private static isExpired(item: DynamoDBSession, now: number = Date.now()): boolean {
+    return item.expiresAt !== undefined && item.expiresAt <= toEpochSeconds(now);
+  }
+
+  private static getExpiredFields(item: DynamoDBSession, now: number = Date.now()): (keyof DynamoDBSession)[] {
+    const retentionExpiry = item.retentionExpiry ? JSON.parse(item.retentionExpiry) : undefined;
+    return getExpiredDataClasses(retentionExpiry, now).flatMap(dataClass => RetentionDataClassFields[dataClass]);
+  }
+
+  private static directIndexQuery(userId: string): StorageQuery {
+    return { indexName: 'userId-startTime-direct-index', partitionKey: 'userId', partitionValue: userId, sortKey: 'startTime' };
+  }
+
+  private static legacyIndexQuery(userId: string): StorageQuery {
+    return { indexName: 'userId-startTime-index', partitionKey: 'GSI1PK', partitionValue: userId, sortKey: 'GSI1SK' };
+  }
+
+  private async convertFromDynamoSession(stored: DynamoDBSession): Promise<Session> {
+    // Expired data classes are hidden until the sweeper removes them
+    const current: DynamoDBSession = { ...stored };
+    for (const field of SessionsRepository.getExpiredFields(stored)) {
+      delete current[field];
+    }
+    const dynamoSession = await decryptFields('sessions', stored.userId, current);
+
     const session: Session = {
       ...dynamoSession,
-      emotionalState: JSON.parse(dynamoSession.emotionalState),
-      wavePatterns: JSON.parse(dynamoSession.wavePatterns),
-      therapeuticMetrics: JSON.parse(dynamoSession.therapeuticMetrics),
+      emotionalState: dynamoSession.emotionalState ? JSON.parse(dynamoSession.emotionalState) : { dominantEmotions: [] },
+      wavePatterns: dynamoSession.wavePatterns ? JSON.parse(dynamoSession.wavePatterns) : [],
+      therapeuticMetrics: dynamoSession.therapeuticMetrics ? JSON.parse(dynamoSession.therapeuticMetrics) : undefined,
       keyTopics: dynamoSession.keyTopics ? JSON.parse(dynamoSession.keyTopics) : undefined,
-      therapeuticProgress: dynamoSession.therapeuticProgress ? JSON.parse(dynamoSession.therapeuticProgress) : undefined
+      therapeuticProgress: dynamoSession.therapeuticProgress ? JSON.parse(dynamoSession.therapeuticProgress) : undefined,
+      summarySegments: dynamoSession.summarySegments ? JSON.parse(dynamoSession.summarySegments) : undefined,
+      crisisEvents: dynamoSession.crisisEvents ? JSON.parse(dynamoSession.crisisEvents) : undefined,
+      retentionExpiry: dynamoSession.retentionExpiry ? JSON.parse(dynamoSession.retentionExpiry) : undefined
     };
 
-    // Decrypt transcript if present using KMS
+    // Decrypt transcript if present
     if (dynamoSession.encryptedTranscript) {
       try {
-        session.encryptedTranscript = await decryptTranscriptWithKMS(dynamoSession.encryptedTranscript);
+        session.encryptedTranscript = await envelopeEncryption.decrypt(dynamoSession.userId, dynamoSession.encryptedTranscript);
+        auditLog.noteDecrypt(dynamoSession.userId, `transcript:${dynamoSession.sessionId}`);
       } catch (error) {
         console.error('Failed to decrypt session transcript:', error);
         delete session.encryptedTranscript;
@@ -474,8 +623,263 @@ export class SessionsRepository extends BaseRepository {
   }
 }
 
+/**
+ * Progress repository
+ * Weekly progress records, keyed by user and week so rebuilding a week overwrites it.
+ * Topics and mood averages expire with the user's summary and metrics retention.
+ */
+export class ProgressRepository extends BaseRepository {
+
+  static toProgressId(userId: string, weekStartDate: string): string {
+    return `${userId}#${weekStartDate}`;
+  }
+
+  /**
+   * Create or replace a week's progress record, expiring its data under the user's retention policy
+   */
+  async saveWeeklyProgress(
+    progress: Omit<WeeklyProgress, 'progressId' | 'updatedAt' | 'retentionExpiry' | 'expiresAt'>,
+    retention: RetentionPolicy = resolveRetentionPolicy()
+  ): Promise<WeeklyProgress> {
+    const record: WeeklyProgress = {
+      ...progress,
+      progressId: ProgressRepository.toProgressId(progress.userId, progress.weekStartDate),
+      updatedAt: this.getCurrentTimestamp(),
+      ...ProgressRepository.computeExpiry(progress.weekStartDate, retention)
+    };
+
+    const dynamoProgress: DynamoDBWeeklyProgress = {
+      ...record,
+      recurringTopics: JSON.stringify(record.recurringTopics),
+      topics: JSON.stringify(record.topics),
+      sessionIds: JSON.stringify(record.sessionIds),
+      retentionExpiry: JSON.stringify(record.retentionExpiry)
+    };
+
+    await this.storage.put('progress', await encryptFields('progress', record.userId, dynamoProgress));
+    return record;
+  }
+
+  /**
+   * Get a user's progress for the week starting on weekStartDate
+   */
+  async getWeeklyProgress(userId: string, weekStartDate: string): Promise<WeeklyProgress | null> {
+    const item = await this.storage.get('progress', { progressId: ProgressRepository.toProgressId(userId, weekStartDate) });
+    if (!item || ProgressRepository.isExpired(item as DynamoDBWeeklyProgress)) {
+      return null;
+    }
+
+    return await this.convertFromDynamoProgress(item as DynamoDBWeeklyProgress);
+  }
+
+  /**
+   * Get a user's weekly progress, most recent week first
+   */
+  async getProgressByUserId(userId: string, limit: number = 12): Promise<WeeklyProgress[]> {
+    const items = await this.storage.query('progress', {
+      ...ProgressRepository.userIndexQuery(userId),
+      descending: true, // Most recent first
+      limit
+    });
+
+    const current = (items as DynamoDBWeeklyProgress[]).filter(item => !ProgressRepository.isExpired(item));
+    return await Promise.all(current.map(item => this.convertFromDynamoProgress(item)));
+  }
+
+  /**
+   * Get every stored weekly progress record of a user, oldest week first, for export.
+   * Records past their expiry that TTL has not deleted yet are included.
+   */
+  async getAllProgressByUserId(userId: string): Promise<WeeklyProgress[]> {
+    const items = await this.storage.query('progress', ProgressRepository.userIndexQuery(userId));
+
+    return await Promise.all(items.map(item => this.convertFromDynamoProgress(item as DynamoDBWeeklyProgress)));
+  }
+
+  /**
+   * Week start dates of every stored progress record of a user, for erasure. Nothing is decrypted.
+   */
+  async getAllWeekStartDatesByUserId(userId: string): Promise<string[]> {
+    const items = await this.storage.query('progress', ProgressRepository.userIndexQuery(userId));
+    return items.map(item => item.weekStartDate);
+  }
+
+  /**
+   * Delete a week's progress record
+   */
+  async deleteWeeklyProgress(userId: string, weekStartDate: string): Promise<boolean> {
+    await this.storage.delete('progress', { progressId: ProgressRepository.toProgressId(userId, weekStartDate) });
+    return true;
+  }
+
+  /**
+   * Re-time the expiry of all of a user's progress records after they change their retention
+   * choice. Returns the number of records updated.
+   */
+  async applyRetentionPolicy(userId: string, retention: RetentionPolicy): Promise<number> {
+    const items = await this.storage.query('progress', ProgressRepository.userIndexQuery(userId));
+
+    for (const item of items) {
+      const { retentionExpiry, expiresAt } = ProgressRepository.computeExpiry(item.weekStartDate, retention);
+      await this.storage.update(
+        'progress',
+        { progressId: item.progressId },
+        { retentionExpiry: JSON.stringify(retentionExpiry), expiresAt },
+        expiresAt === undefined ? ['expiresAt'] : []
+      );
+    }
+
+    return items.length;
+  }
+
+  /**
+   * Remove expired data classes from every progress record, and delete expired records
+   * unless the storage backend's TTL deletes them itself. Each removal is recorded in the
+   * audit log first.
+   */
+  async purgeExpiredData(now: number = Date.now()): Promise<{ deletedWeeks: number; strippedWeeks: number }> {
+    let deletedWeeks = 0;
+    let strippedWeeks = 0;
+
+    for (const item of await this.storage.scan('progress') as DynamoDBWeeklyProgress[]) {
+      if (ProgressRepository.isExpired(item, now)) {
+        if (!this.storage.expiresItems) {
+          await auditLog.record({ userId: item.userId, action: 'delete', resource: `progress:${item.progressId}` });
+          await this.storage.delete('progress', { progressId: item.progressId });
+          deletedWeeks++;
+        }
+        continue;
+      }
+
+      const expiredFields = ProgressRepository.getExpiredFields(item, now).filter(field => item[field] !== undefined);
+      if (expiredFields.length > 0) {
+        await auditLog.record({
+          userId: item.userId,
+          action: 'delete',
+          resource: `progress:${item.progressId}`,
+          details: { fields: expiredFields }
+        });
+        await this.storage.update('progress', { progressId: item.progressId }, {}, expiredFields);
+        strippedWeeks++;
+      }
+    }
+
+    return { deletedWeeks, strippedWeeks };
+  }
+
+  private static userIndexQuery(userId: string): StorageQuery {
+    return { indexName: 'userId-weekStartDate-index', partitionKey: 'userId', partitionValue: userId, sortKey: 'weekStartDate' };
+  }
+
+  private static computeExpiry(weekStartDate: string, retention: RetentionPolicy) {
+    return computeRetentionExpiry(`${weekStartDate}T00:00:00.000Z`, retention, ProgressRetentionDataClasses);
+  }
+
+  private static isExpired(item: DynamoDBWeeklyProgress, now: number = Date.now()): boolean {
+    return item.expiresAt !== undefined && item.expiresAt <= toEpochSeconds(now);
+  }
+
+  private static getExpiredFields(item: DynamoDBWeeklyProgress, now: number = Date.now()): (keyof DynamoDBWeeklyProgress)[] {
+    const retentionExpiry = item.retentionExpiry ? JSON.parse(item.retentionExpiry) : undefined;
+    return getExpiredDataClasses(retentionExpiry, now).flatMap(dataClass => ProgressRetentionDataClassFields[dataClass] ?? []);
+  }
+
+  private async convertFromDynamoProgress(stored: DynamoDBWeeklyProgress): Promise<WeeklyProgress> {
+    // Expired data classes are hidden until the sweeper removes them
+    const current: DynamoDBWeeklyProgress = { ...stored };
+    for (const field of ProgressRepository.getExpiredFields(stored)) {
+      delete current[field];
+    }
+    const dynamoProgress = await decryptFields('progress', stored.userId, current);
+
+    return {
+      ...dynamoProgress,
+      recurringTopics: dynamoProgress.recurringTopics ? JSON.parse(dynamoProgress.recurringTopics) : [],
+      topics: dynamoProgress.topics ? JSON.parse(dynamoProgress.topics) : [],
+      sessionIds: JSON.parse(dynamoProgress.sessionIds),
+      retentionExpiry: dynamoProgress.retentionExpiry ? JSON.parse(dynamoProgress.retentionExpiry) : undefined
+    };
+  }
+}
+
+/**
+ * Settings repository
+ * One record per user (settingsId = userId) with the preferences that follow them across devices
+ */
+export class SettingsRepository extends BaseRepository {
 
+  /**
+   * Get a user's settings
+   */
+  async getSettings(userId: string): Promise<UserSettings | null> {
+    const item = await this.storage.get('settings', { settingsId: userId });
+    if (!item) {
+      return null;
+    }
+
+    return this.convertFromDynamoSettings(item as DynamoDBUserSettings);
+  }
+
+  /**
+   * Update a user's settings, creating the record on first save.
+   * Accessibility, notification and retention values are merged into the saved ones; other sections are replaced.
+   */
+  async updateSettings(userId: string, input: UpdateSettingsInput): Promise<UserSettings> {
+    const existing = await this.getSettings(userId);
+
+    const settings: UserSettings = {
+      ...existing,
+      ...input,
+      settingsId: userId,
+      userId,
+      updatedAt: this.getCurrentTimestamp()
+    };
+    if (input.accessibility !== undefined) {
+      settings.accessibility = { ...existing?.accessibility, ...input.accessibility };
+    }
+    if (input.notifications !== undefined) {
+      settings.notifications = { ...existing?.notifications, ...input.notifications };
+    }
+    if (input.retention !== undefined) {
+      settings.retention = { ...existing?.retention, ...input.retention };
+    }
+
+    // Convert to DynamoDB format
+    const dynamoSettings: DynamoDBUserSettings = {
+      ...settings,
+      accessibility: settings.accessibility ? JSON.stringify(settings.accessibility) : undefined,
+      voice: settings.voice ? JSON.stringify(settings.voice) : undefined,
+      goals: settings.goals ? JSON.stringify(settings.goals) : undefined,
+      notifications: settings.notifications ? JSON.stringify(settings.notifications) : undefined,
+      retention: settings.retention ? JSON.stringify(settings.retention) : undefined
+    };
+
+    await this.storage.put('settings', dynamoSettings);
+    return settings;
+  }
+
+  /**
+   * Delete a user's settings
+   */
+  async deleteSettings(userId: string): Promise<boolean> {
+    await this.storage.delete('settings', { settingsId: userId });
+    return true;
+  }
+
+  private convertFromDynamoSettings(dynamoSettings: DynamoDBUserSettings): UserSettings {
+    return {
+      ...dynamoSettings,
+      accessibility: dynamoSettings.accessibility ? JSON.parse(dynamoSettings.accessibility) : undefined,
+      voice: dynamoSettings.voice ? JSON.parse(dynamoSettings.voice) : undefined,
+      goals: dynamoSettings.goals ? JSON.parse(dynamoSettings.goals) : undefined,
+      notifications: dynamoSettings.notifications ? JSON.parse(dynamoSettings.notifications) : undefined,
+      retention: dynamoSettings.retention ? JSON.parse(dynamoSettings.retention) : undefined
+    };
+  }
+}
 
 // Export repository instances
 export const usersRepository = new UsersRepository();
-export const sessionsRepository = new SessionsRepository();
\ No newline at end of file
+export const sessionsRepository = new SessionsRepository();
+export const progressRepository = new ProgressRepository();
+export const settingsRepository = new SettingsRepository();
\ No newline at end of file
@@ -0,0 +1,121 @@
+/**
+ * Data retention for session records
+ * Each data class of a session (transcript, summary, wave patterns, metrics) is kept for
+ * 30 days, a year or forever from the session start: the user's choice in their settings,
+ * otherwise the deployment default (RETENTION_TRANSCRIPT, RETENTION_SUMMARY,
+ * RETENTION_WAVE_PATTERNS, RETENTION_METRICS; forever when unset).
+ *
+ * SessionsRepository writes the expiry of every class on the record, and expiresAt once
+ * every class expires, which DynamoDB's TTL uses to delete the record. Weekly progress
+ * records carry what they aggregate from the summary and metrics classes, so they expire the
+ * same way from the start of their week. Expired data is hidden on read; the retention
+ * sweeper removes it from the stored records.
+ */
+
+import { DynamoDBSession, DynamoDBWeeklyProgress, RetentionDataClass, RetentionPeriod, RetentionPolicy } from './models';
+
+export const RetentionPeriodDays: Record<RetentionPeriod, number | null> = {
+  '30d': 30,
+  '1y': 365,
+  forever: null
+};
+
+// Stored attributes of each data class
+export const RetentionDataClassFields: Record<RetentionDataClass, (keyof DynamoDBSession)[]> = {
+  transcript: ['encryptedTranscript'],
+  summary: ['conversationSummary', 'keyTopics', 'continuityNotes', 'therapeuticProgress', 'summarySegments'],
+  wavePatterns: ['wavePatterns'],
+  metrics: ['therapeuticMetrics', 'emotionalState']
+};
+
+export const RetentionDataClasses = Object.keys(RetentionDataClassFields) as RetentionDataClass[];
+
+// Stored attributes of a weekly progress record in each data class it aggregates
+export const ProgressRetentionDataClassFields: Partial<Record<RetentionDataClass, (keyof DynamoDBWeeklyProgress)[]>> = {
+  summary: ['topics', 'recurringTopics'],
+  metrics: ['averageMoodDelta', 'averageStressChange']
+};
+
+export const ProgressRetentionDataClasses = Object.keys(ProgressRetentionDataClassFields) as RetentionDataClass[];
+
+const DeploymentRetentionVariables: Record<RetentionDataClass, string> = {
+  transcript: 'RETENTION_TRANSCRIPT',
+  summary: 'RETENTION_SUMMARY',
+  wavePatterns: 'RETENTION_WAVE_PATTERNS',
+  metrics: 'RETENTION_METRICS'
+};
+
+export interface RetentionExpiry {
+  retentionExpiry: Partial<Record<RetentionDataClass, number>>;
+  expiresAt?: number; // Absent while any class is kept forever
+}
+
+export function isRetentionPeriod(value: unknown): value is RetentionPeriod {
+  return typeof value === 'string' && value in RetentionPeriodDays;
+}
+
+/**
+ * The deployment's retention per data class
+ */
+export function getDeploymentRetentionPolicy(): RetentionPolicy {
+  const policy = {} as RetentionPolicy;
+  for (const dataClass of RetentionDataClasses) {
+    const variable = DeploymentRetentionVariables[dataClass];
+    const value = process.env[variable];
+    if (value !== undefined && !isRetentionPeriod(value)) {
+      console.warn(`⚠️ ${variable}=${value} is not 30d, 1y or forever; keeping ${dataClass} forever`);
+    }
+    policy[dataClass] = isRetentionPeriod(value) ? value : 'forever';
+  }
+  return policy;
+}
+
+/**
+ * The user's choices, with the deployment default for classes they have not chosen
+ */
+export function resolveRetentionPolicy(choices?: Partial<RetentionPolicy>): RetentionPolicy {
+  return { ...getDeploymentRetentionPolicy(), ...choices };
+}
+
+export function toEpochSeconds(timestamp: number): number {
+  return Math.floor(timestamp / 1000);
+}
+
+/**
+ * Expiry times of a record of the given data classes started at startTime under a policy
+ */
+export function computeRetentionExpiry(
+  startTime: string,
+  policy: RetentionPolicy,
+  dataClasses: RetentionDataClass[] = RetentionDataClasses
+): RetentionExpiry {
+  const start = Date.parse(startTime);
+  const retentionExpiry: RetentionExpiry['retentionExpiry'] = {};
+
+  for (const dataClass of dataClasses) {
+    const days = RetentionPeriodDays[policy[dataClass]];
+    if (days !== null) {
+      retentionExpiry[dataClass] = toEpochSeconds(start + days * 24 * 60 * 60 * 1000);
+    }
+  }
+
+  const expiries = Object.values(retentionExpiry);
+  return {
+    retentionExpiry,
+    expiresAt: expiries.length === dataClasses.length ? Math.max(...expiries) : undefined
+  };
+}
+
+/**
+ * Data classes whose expiry has passed
+ */
+export function getExpiredDataClasses(
+  retentionExpiry: RetentionExpiry['retentionExpiry'] | undefined,
+  now: number = Date.now()
+): RetentionDataClass[] {
+  if (!retentionExpiry) return [];
+  return RetentionDataClasses.filter(dataClass => {
+    const expiry = retentionExpiry[dataClass];
+    return expiry !== undefined && expiry <= toEpochSeconds(now);
+  });
+}
@@ -0,0 +1,59 @@
+/**
+ * Key rotation job
+ * Re-wraps every user's data keys under the current master key, without re-encrypting the
+ * data under them. Run it after moving to a new KMS key (KMS_KEY_ID), or with
+ * --new-master-key to add a local master key version first. --new-data-keys also gives
+ * every user a new data key version for what they store from now on.
+ * Run one rotation at a time; the old master key must stay available until it finishes.
+ */
+
+import 'dotenv/config';
+import { envelopeEncryption, RewrapResult } from './envelope-encryption';
+import { getMasterKeyProvider, LocalMasterKeyProvider } from './master-keys';
+
+interface RotationOptions {
+  newMasterKey?: boolean; // Add a local master key version before re-wrapping
+  newDataKeys?: boolean; // Add a data key version for every user
+}
+
+/**
+ * Rotate keys as the options ask, then re-wrap all data keys under the current master key
+ */
+export async function rotateKeys(options: RotationOptions = {}): Promise<RewrapResult> {
+  const masterKeys = getMasterKeyProvider();
+
+  if (options.newMasterKey) {
+    if (!(masterKeys instanceof LocalMasterKeyProvider)) {
+      throw new Error('--new-master-key only applies to the local master key; for KMS, set KMS_KEY_ID to the new key');
+    }
+    console.log(`🔑 Added master key ${await masterKeys.addKeyVersion()}`);
+  }
+
+  console.log(`🔄 Re-wrapping data keys under ${await masterKeys.currentKeyId()}...`);
+  const result = await envelopeEncryption.rewrapDataKeys({ newDataKeys: options.newDataKeys });
+
+  console.log(`✅ Checked ${result.keyrings} keyrings: ${result.rewrappedKeys} data keys re-wrapped, ${result.newDataKeys} new data keys`);
+  return result;
+}
+
+/**
+ * Main function for CLI usage
+ */
+async function main(): Promise<void> {
+  const args = process.argv.slice(2);
+
+  try {
+    await rotateKeys({
+      newMasterKey: args.includes('--new-master-key'),
+      newDataKeys: args.includes('--new-data-keys')
+    });
+  } catch (error) {
+    console.error('Key rotation failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
@@ -7,12 +7,15 @@ import { CreateTableCommand, CreateTableCommandInput } from '@aws-sdk/client-dyn
 export interface TableSchema {
   tableName: string;
   createTableInput: CreateTableCommandInput;
+  timeToLiveAttribute?: string; // Epoch seconds after which DynamoDB deletes the item
 }
 
 /**
  * Users table schema
  * Primary Key: userId (String)
  * GSI1: isAnonymous-lastActiveAt-index for querying anonymous users by activity
+ * GSI2: loginHash-index for finding a user by sign-in handle (sparse, anonymous users have none)
+ * GSI3: recoveryHash-index for finding an anonymous user by recovery phrase (sparse)
  */
 export const UsersTableSchema: TableSchema = {
   tableName: 'users',
@@ -36,6 +39,14 @@ export const UsersTableSchema: TableSchema = {
       {
         AttributeName: 'lastActiveAt',
         AttributeType: 'S' // ISO timestamp
+      },
+      {
+        AttributeName: 'loginHash',
+        AttributeType: 'S' // hashForIndex of the sign-in handle
+      },
+      {
+        AttributeName: 'recoveryHash',
+        AttributeType: 'S' // hashForIndex of an anonymous user's recovery phrase
       }
     ],
     GlobalSecondaryIndexes: [
@@ -54,6 +65,30 @@ export const UsersTableSchema: TableSchema = {
         Projection: {
           ProjectionType: 'ALL'
         }
+      },
+      {
+        IndexName: 'loginHash-index',
+        KeySchema: [
+          {
+            AttributeName: 'loginHash',
+            KeyType: 'HASH'
+          }
+        ],
+        Projection: {
+          ProjectionType: 'KEYS_ONLY' // Passphrase hashes stay on the base table
+        }
+      },
+      {
+        IndexName: 'recoveryHash-index',
+        KeySchema: [
+          {
+            AttributeName: 'recoveryHash',
+            KeyType: 'HASH'
+          }
+        ],
+        Projection: {
+          ProjectionType: 'KEYS_ONLY'
+        }
       }
     ],
     BillingMode: 'PAY_PER_REQUEST',
@@ -80,10 +115,14 @@ export const UsersTableSchema: TableSchema = {
 /**
  * Sessions table schema
  * Primary Key: sessionId (String)
- * GSI1: userId-startTime-index for querying sessions by user chronologically
+ * GSI1: userId-startTime-index on GSI1PK/GSI1SK (the userId and startTime copied by
+ * older releases), kept for sessions written before GSI2 existed
+ * GSI2: userId-startTime-direct-index for querying sessions by user chronologically
+ * TTL: expiresAt, set once every data class of the session has a retention period
  */
 export const SessionsTableSchema: TableSchema = {
   tableName: 'sessions',
+  timeToLiveAttribute: 'expiresAt',
   createTableInput: {
     TableName: '', // Will be set with prefix in setup
     KeySchema: [
@@ -104,11 +143,35 @@ export const SessionsTableSchema: TableSchema = {
       {
         AttributeName: 'startTime',
         AttributeType: 'S' // ISO timestamp
+      },
+      {
+        AttributeName: 'GSI1PK',
+        AttributeType: 'S'
+      },
+      {
+        AttributeName: 'GSI1SK',
+        AttributeType: 'S'
       }
     ],
     GlobalSecondaryIndexes: [
       {
         IndexName: 'userId-startTime-index',
+        KeySchema: [
+          {
+            AttributeName: 'GSI1PK',
+            KeyType: 'HASH'
+          },
+          {
+            AttributeName: 'GSI1SK',
+            KeyType: 'RANGE'
+          }
+        ],
+        Projection: {
+          ProjectionType: 'ALL'
+        }
+      },
+      {
+        IndexName: 'userId-startTime-direct-index',
         KeySchema: [
           {
             AttributeName: 'userId',
@@ -153,9 +216,11 @@ export const SessionsTableSchema: TableSchema = {
  * Progress table schema
  * Primary Key: progressId (String)
  * GSI1: userId-weekStartDate-index for querying progress by user chronologically
+ * TTL: expiresAt, set once the summary and metrics data classes have a retention period
  */
 export const ProgressTableSchema: TableSchema = {
   tableName: 'progress',
+  timeToLiveAttribute: 'expiresAt',
   createTableInput: {
     TableName: '', // Will be set with prefix in setup
     KeySchema: [
@@ -267,6 +332,113 @@ export const SettingsTableSchema: TableSchema = {
   }
 };
 
+/**
+ * Data keys table schema
+ * Primary Key: userId (String)
+ * One keyring per user with their data keys wrapped by the master key; no GSI or stream,
+ * so deleting a keyring leaves no copy of the keys behind
+ */
+export const DataKeysTableSchema: TableSchema = {
+  tableName: 'keys',
+  createTableInput: {
+    TableName: '', // Will be set with prefix in setup
+    KeySchema: [
+      {
+        AttributeName: 'userId',
+        KeyType: 'HASH' // Partition key
+      }
+    ],
+    AttributeDefinitions: [
+      {
+        AttributeName: 'userId',
+        AttributeType: 'S'
+      }
+    ],
+    BillingMode: 'PAY_PER_REQUEST',
+    SSESpecification: {
+      Enabled: true
+    },
+    Tags: [
+      {
+        Key: 'Application',
+        Value: 'TherapeuticWaveInterface'
+      },
+      {
+        Key: 'Environment',
+        Value: process.env.NODE_ENV || 'development'
+      },
+      {
+        Key: 'DataType',
+        Value: 'DataKeys'
+      }
+    ]
+  }
+};
+
+/**
+ * Audit table schema
+ * Primary Key: auditId (String) - userId#sequence
+ * GSI1: userId-auditId-index for reading a user's records in chain order
+ */
+export const AuditTableSchema: TableSchema = {
+  tableName: 'audit',
+  createTableInput: {
+    TableName: '', // Will be set with prefix in setup
+    KeySchema: [
+      {
+        AttributeName: 'auditId',
+        KeyType: 'HASH' // Partition key
+      }
+    ],
+    AttributeDefinitions: [
+      {
+        AttributeName: 'auditId',
+        AttributeType: 'S'
+      },
+      {
+        AttributeName: 'userId',
+        AttributeType: 'S'
+      }
+    ],
+    GlobalSecondaryIndexes: [
+      {
+        IndexName: 'userId-auditId-index',
+        KeySchema: [
+          {
+            AttributeName: 'userId',
+            KeyType: 'HASH'
+          },
+          {
+            AttributeName: 'auditId',
+            KeyType: 'RANGE'
+          }
+        ],
+        Projection: {
+          ProjectionType: 'ALL'
+        }
+      }
+    ],
+    BillingMode: 'PAY_PER_REQUEST',
+    SSESpecification: {
+      Enabled: true
+    },
+    Tags: [
+      {
+        Key: 'Application',
+        Value: 'TherapeuticWaveInterface'
+      },
+      {
+        Key: 'Environment',
+        Value: process.env.NODE_ENV || 'development'
+      },
+      {
+        Key: 'DataType',
+        Value: 'AuditLog'
+      }
+    ]
+  }
+};
+
 /**
  * All table schemas for easy iteration
  */
@@ -274,7 +446,9 @@ export const AllTableSchemas: TableSchema[] = [
   UsersTableSchema,
   SessionsTableSchema,
   ProgressTableSchema,
-  SettingsTableSchema
+  SettingsTableSchema,
+  DataKeysTableSchema,
+  AuditTableSchema
 ];
 
 /**
@@ -284,6 +458,18 @@ export function getTableSchema(tableName: string): TableSchema | undefined {
   return AllTableSchemas.find(schema => schema.tableName === tableName);
 }
 
+/**
+ * The partition key attribute of a table, e.g. 'userId' for 'users'
+ */
+export function getKeyAttribute(tableName: string): string {
+  const keyAttribute = getTableSchema(tableName)?.createTableInput.KeySchema
+    ?.find(key => key.KeyType === 'HASH')?.AttributeName;
+  if (!keyAttribute) {
+    throw new Error(`No key schema for table ${tableName}`);
+  }
+  return keyAttribute;
+}
+
 /**
  * Validate table schema configuration
  */
@@ -349,6 +535,8 @@ export function getTableCreationOrder(): TableSchema[] {
     UsersTableSchema,
     SettingsTableSchema,
     SessionsTableSchema,
-    ProgressTableSchema
+    ProgressTableSchema,
+    DataKeysTableSchema,
+    AuditTableSchema
   ];
 }
\ No newline at end of file
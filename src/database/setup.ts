@@ -4,10 +4,11 @@
  */
 
 import 'dotenv/config';
-import { CreateTableCommand, DescribeTableCommand, ListTablesCommand } from '@aws-sdk/client-dynamodb';
+import { CreateTableCommand, DescribeTableCommand, ListTablesCommand, UpdateTimeToLiveCommand } from '@aws-sdk/client-dynamodb';
 import { getDatabaseConnection, initializeDatabaseConnection } from './connection';
 import { AllTableSchemas, getTableCreationOrder, validateTableSchema } from './schemas';
 import { validateEncryptionConfig } from './encryption';
+import { getMasterKeyProvider } from './master-keys';
 
 interface SetupOptions {
   force?: boolean; // Force recreate tables if they exist
@@ -39,7 +40,7 @@ export async function setupDatabase(options: SetupOptions = {}): Promise<void> {
     // Validate encryption configuration
     if (!skipValidation) {
       console.log('🔐 Validating encryption configuration...');
-      if (!validateEncryptionConfig()) {
+      if (!await validateEncryptionConfig()) {
         throw new Error('Encryption configuration validation failed');
       }
       console.log('✅ Encryption configuration is valid');
@@ -76,7 +77,7 @@ export async function setupDatabase(options: SetupOptions = {}): Promise<void> {
 
     // Create tables (if not using CDK/Terraform)
     for (const schema of schemasToCreate) {
-      const tableType = schema.tableName as 'users' | 'sessions';
+      const tableType = schema.tableName as 'users' | 'sessions' | 'progress' | 'settings' | 'keys' | 'audit';
       const fullTableName = db.getTableName(tableType);
       
       // Check if table exists
@@ -84,6 +85,7 @@ export async function setupDatabase(options: SetupOptions = {}): Promise<void> {
 
       if (tableExists && !force) {
         console.log(`⏭️  Table ${fullTableName} already exists, skipping...`);
+        await enableTimeToLive(client, fullTableName, schema.timeToLiveAttribute);
         continue;
       }
 
@@ -105,6 +107,7 @@ export async function setupDatabase(options: SetupOptions = {}): Promise<void> {
 
         // Wait for table to be active
         await waitForTableActive(client, fullTableName, verbose);
+        await enableTimeToLive(client, fullTableName, schema.timeToLiveAttribute);
         
         console.log(`✅ Table ${fullTableName} created successfully`);
       } catch (error: any) {
@@ -123,7 +126,7 @@ export async function setupDatabase(options: SetupOptions = {}): Promise<void> {
     console.log('\n📊 Setup Summary:');
     console.log(`   Environment: ${connectionInfo.isLocal ? 'Local Development' : 'AWS Production'}`);
     console.log(`   Tables configured: ${Object.keys(connectionInfo.tables).length}`);
-    console.log(`   Encryption: ${process.env.ENCRYPTION_KEY ? 'Custom key' : 'Default demo key'}`);
+    console.log(`   Encryption: per-user data keys wrapped by the ${getMasterKeyProvider().name} master key`);
     
     console.log('\n💡 Production Deployment:');
     console.log('   - Use CDK or Terraform to create tables');
@@ -136,6 +139,27 @@ export async function setupDatabase(options: SetupOptions = {}): Promise<void> {
   }
 }
 
+/**
+ * Turn on TTL for a table's expiry attribute, if it has one
+ */
+async function enableTimeToLive(client: any, tableName: string, attributeName?: string): Promise<void> {
+  if (!attributeName) return;
+
+  try {
+    await client.send(new UpdateTimeToLiveCommand({
+      TableName: tableName,
+      TimeToLiveSpecification: { AttributeName: attributeName, Enabled: true }
+    }));
+    console.log(`⏳ TTL enabled on ${tableName}.${attributeName}`);
+  } catch (error: any) {
+    // Enabling TTL twice is rejected, which is fine
+    if (error.name === 'ValidationException' && /already enabled/i.test(error.message)) {
+      return;
+    }
+    console.warn(`⚠️  Could not enable TTL on ${tableName}:`, error.message);
+  }
+}
+
 /**
  * Wait for table to become active
  */
@@ -0,0 +1,85 @@
+/**
+ * Storage backend interface used by the repositories
+ * Repositories keep their records in DynamoDB item format (JSON strings, encrypted fields)
+ * and hand them to a backend, which only has to store items by key and find them by an
+ * attribute. STORAGE_BACKEND selects the backend:
+ * - dynamodb (default): AWS DynamoDB, or a local DynamoDB when DYNAMODB_ENDPOINT is set
+ * - file: append-only JSON files in STORAGE_DIR (default ./data), for running on one machine
+ */
+
+import { DatabaseConfig } from './connection';
+import { DynamoDBStorage } from './dynamodb-storage';
+import { FileStorage } from './file-storage';
+
+export type StorageTable = keyof DatabaseConfig['tables'];
+
+export type StorageItem = Record<string, any>;
+
+/**
+ * Find items whose partitionKey attribute equals partitionValue, through a DynamoDB index
+ */
+export interface StorageQuery {
+  indexName: string;
+  partitionKey: string;
+  partitionValue: string;
+  sortKey?: string; // Attribute the index sorts by; results are ascending unless descending
+  descending?: boolean;
+  limit?: number; // Every matching item when omitted
+}
+
+export interface StorageGetOptions {
+  // Read the latest write, as DynamoDB's ConsistentRead does; index queries never are
+  consistentRead?: boolean;
+}
+
+export interface StoragePutOptions {
+  // Fail with an error named ConditionalCheckFailedException, as DynamoDB does, when the key is taken
+  ifNotExists?: boolean;
+}
+
+export interface StorageBackend {
+  readonly name: string;
+  // Deletes items once their TTL attribute (see schemas) has passed; otherwise the retention sweeper does
+  readonly expiresItems: boolean;
+
+  get(table: StorageTable, key: StorageItem, options?: StorageGetOptions): Promise<StorageItem | null>;
+
+  put(table: StorageTable, item: StorageItem, options?: StoragePutOptions): Promise<void>;
+
+  /**
+   * Set attributes on an existing item and remove others, returning the whole updated
+   * item, or null when there is no item with that key (nothing is created)
+   */
+  update(table: StorageTable, key: StorageItem, values: StorageItem, removeAttributes?: string[]): Promise<StorageItem | null>;
+
+  delete(table: StorageTable, key: StorageItem): Promise<void>;
+
+  query(table: StorageTable, query: StorageQuery): Promise<StorageItem[]>;
+
+  /**
+   * Every item of a table, for maintenance such as the retention sweep
+   */
+  scan(table: StorageTable): Promise<StorageItem[]>;
+}
+
+let storageBackend: StorageBackend | null = null;
+
+/**
+ * Get or create the storage backend singleton selected by STORAGE_BACKEND
+ */
+export function getStorageBackend(): StorageBackend {
+  if (!storageBackend) {
+    const backend = process.env.STORAGE_BACKEND || 'dynamodb';
+
+    if (backend === 'file') {
+      storageBackend = new FileStorage(process.env.STORAGE_DIR || './data');
+    } else if (backend === 'dynamodb') {
+      storageBackend = new DynamoDBStorage();
+    } else {
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}"; use "dynamodb" or "file"`);
+    }
+
+    console.log(`💾 Using ${storageBackend.name} storage`);
+  }
+  return storageBackend;
+}
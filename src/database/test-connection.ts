@@ -17,7 +17,7 @@ async function testDatabaseConnection(): Promise<void> {
   try {
     // Test encryption configuration
     console.log('1. Testing encryption configuration...');
-    const encryptionValid = validateEncryptionConfig();
+    const encryptionValid = await validateEncryptionConfig();
     console.log(`   Encryption: ${encryptionValid ? '✅ Valid' : '❌ Invalid'}\n`);
 
     // Initialize connection
@@ -0,0 +1,311 @@
+/**
+ * Mock Bedrock runtime for offline development
+ * Stands in for BedrockRuntimeClient when opening Nova Sonic bidirectional streams.
+ * It reads the same sessionStart/promptStart/contentStart/audioInput input events and
+ * answers with contentStart/textOutput/audioOutput/toolUse/contentEnd events scripted
+ * in a fixture file, so the server can run without AWS credentials.
+ */
+
+import { readFileSync } from 'fs';
+import { randomUUID } from 'node:crypto';
+import {
+  InvokeModelWithBidirectionalStreamCommand,
+  InvokeModelWithBidirectionalStreamCommandOutput,
+  InvokeModelWithBidirectionalStreamInput,
+  InvokeModelWithBidirectionalStreamOutput
+} from '@aws-sdk/client-bedrock-runtime';
+import { BidirectionalStreamRuntime } from '../client';
+import { DefaultAudioOutputConfiguration } from '../consts';
+import { generateSilentPCM } from '../services/audio-keepalive';
+import { OutputQueue } from './output-queue';
+import defaultFixture from './fixtures/default-conversation.json';
+
+/**
+ * What makes the mock play the next scripted turn
+ * - promptStart: the client started a prompt
+ * - audioInput: the client streamed `audioChunks` audio chunks since the last turn
+ * - textInput: the client sent an interactive USER text content
+ * - toolResult: the client answered a toolUse
+ */
+export type MockTurnTrigger = 'promptStart' | 'audioInput' | 'textInput' | 'toolResult';
+
+/**
+ * One scripted output event, written the way Nova Sonic sends it, e.g.
+ * `{ "textOutput": { "content": "Hello" } }`. promptName, completionId, contentId,
+ * role and type are filled in from the stream and the enclosing contentStart.
+ * `{ "audioOutput": { "durationMs": 500 } }` produces silence of that length and
+ * `{ "delayMs": 200 }` pauses playback.
+ */
+export type MockScriptedEvent = Record<string, any>;
+
+export interface MockTurn {
+  trigger: MockTurnTrigger;
+  audioChunks?: number; // For audioInput triggers
+  events: MockScriptedEvent[];
+}
+
+export interface MockFixture {
+  description?: string;
+  loop?: boolean; // Start over from the first turn after the last one
+  eventDelayMs?: number; // Pause between scripted events
+  turns: MockTurn[];
+}
+
+export interface MockBedrockRuntimeOptions {
+  defaultAudioChunks: number;
+  eventDelayMs: number;
+}
+
+const DefaultMockOptions: MockBedrockRuntimeOptions = {
+  defaultAudioChunks: 20,
+  eventDelayMs: 50
+};
+
+// Long-running servers stream a lot of audio, so only the most recent input is kept
+const MaxReceivedEvents = 1000;
+
+const TurnTriggers: MockTurnTrigger[] = ['promptStart', 'audioInput', 'textInput', 'toolResult'];
+
+// Stream exceptions are sent as their own event members rather than as chunks
+const ExceptionEventNames = [
+  'modelStreamErrorException',
+  'internalServerException',
+  'validationException',
+  'throttlingException',
+  'modelTimeoutException',
+  'serviceUnavailableException'
+];
+
+/**
+ * Validate a parsed fixture, throwing with the offending turn if it is malformed
+ */
+export function validateMockFixture(fixture: any): MockFixture {
+  if (!fixture || !Array.isArray(fixture.turns) || fixture.turns.length === 0) {
+    throw new Error('Mock fixture must contain a non-empty "turns" array');
+  }
+
+  fixture.turns.forEach((turn: any, index: number) => {
+    if (!TurnTriggers.includes(turn?.trigger)) {
+      throw new Error(`Mock fixture turn ${index} has invalid trigger "${turn?.trigger}"; expected one of ${TurnTriggers.join(', ')}`);
+    }
+    if (!Array.isArray(turn.events)) {
+      throw new Error(`Mock fixture turn ${index} must contain an "events" array`);
+    }
+  });
+
+  return fixture as MockFixture;
+}
+
+/**
+ * Load a fixture file, or the bundled default conversation when no path is given
+ */
+export function loadMockFixture(filePath?: string): MockFixture {
+  if (!filePath) {
+    return validateMockFixture(defaultFixture);
+  }
+
+  try {
+    return validateMockFixture(JSON.parse(readFileSync(filePath, 'utf8')));
+  } catch (error) {
+    throw new Error(`Failed to load mock fixture ${filePath}: ${error instanceof Error ? error.message : String(error)}`);
+  }
+}
+
+interface MockStreamState {
+  streamId: string;
+  output: OutputQueue<InvokeModelWithBidirectionalStreamOutput>;
+  promptName?: string;
+  turnIndex: number;
+  audioChunksSinceTurn: number;
+  userTextContentNames: Set<string>;
+  isPlaying: boolean;
+  playback: Promise<void>;
+  closed: boolean;
+}
+
+/**
+ * Scripted replacement for BedrockRuntimeClient
+ */
+export class MockBedrockRuntimeClient implements BidirectionalStreamRuntime {
+  private fixture: MockFixture;
+  private options: MockBedrockRuntimeOptions;
+  private receivedEvents: any[] = [];
+
+  constructor(fixture: MockFixture = loadMockFixture(), options: Partial<MockBedrockRuntimeOptions> = {}) {
+    this.fixture = validateMockFixture(fixture);
+    this.options = {
+      ...DefaultMockOptions,
+      ...(fixture.eventDelayMs !== undefined ? { eventDelayMs: fixture.eventDelayMs } : {}),
+      ...options
+    };
+  }
+
+  /**
+   * Create a mock runtime from a fixture file path (or the default fixture)
+   */
+  static fromFixtureFile(filePath?: string, options: Partial<MockBedrockRuntimeOptions> = {}): MockBedrockRuntimeClient {
+    return new MockBedrockRuntimeClient(loadMockFixture(filePath), options);
+  }
+
+  /**
+   * Most recent input events received across all streams, in order
+   */
+  getReceivedEvents(): any[] {
+    return [...this.receivedEvents];
+  }
+
+  async send(command: InvokeModelWithBidirectionalStreamCommand): Promise<InvokeModelWithBidirectionalStreamCommandOutput> {
+    const body = command.input.body;
+    if (!body) {
+      throw new Error('Mock Bedrock runtime requires a bidirectional input stream');
+    }
+
+    const state: MockStreamState = {
+      streamId: randomUUID(),
+      output: new OutputQueue(),
+      turnIndex: 0,
+      audioChunksSinceTurn: 0,
+      userTextContentNames: new Set(),
+      isPlaying: false,
+      playback: Promise.resolve(),
+      closed: false
+    };
+
+    console.log(`🧪 Mock Bedrock stream ${state.streamId} opened (${this.fixture.turns.length} scripted turn(s))`);
+    this.consumeInput(state, body);
+
+    return {
+      $metadata: {},
+      body: state.output
+    };
+  }
+
+  private async consumeInput(state: MockStreamState, body: AsyncIterable<InvokeModelWithBidirectionalStreamInput>): Promise<void> {
+    try {
+      for await (const input of body) {
+        const bytes = input.chunk?.bytes;
+        if (!bytes) continue;
+
+        const event = JSON.parse(new TextDecoder().decode(bytes)).event || {};
+        this.receivedEvents.push(event);
+        if (this.receivedEvents.length > MaxReceivedEvents) {
+          this.receivedEvents.shift();
+        }
+
+        if (this.handleInputEvent(state, event)) {
+          break;
+        }
+      }
+    } catch (error) {
+      console.error(`Mock Bedrock stream ${state.streamId} input error:`, error);
+    }
+
+    // Let the current turn finish before the response stream ends
+    await state.playback;
+    state.closed = true;
+    state.output.end();
+    console.log(`🧪 Mock Bedrock stream ${state.streamId} closed`);
+  }
+
+  /**
+   * Returns true once the client has ended the session
+   */
+  private handleInputEvent(state: MockStreamState, event: any): boolean {
+    if (event.promptStart) {
+      state.promptName = event.promptStart.promptName;
+      this.triggerTurn(state, 'promptStart');
+    } else if (event.contentStart?.type === 'TEXT' && event.contentStart.role === 'USER' && event.contentStart.interactive) {
+      state.userTextContentNames.add(event.contentStart.contentName);
+    } else if (event.contentEnd && state.userTextContentNames.delete(event.contentEnd.contentName)) {
+      this.triggerTurn(state, 'textInput');
+    } else if (event.audioInput) {
+      // Audio streamed while the model is "speaking" does not count towards the next turn
+      if (!state.isPlaying) {
+        state.audioChunksSinceTurn++;
+        this.triggerTurn(state, 'audioInput');
+      }
+    } else if (event.toolResult) {
+      this.triggerTurn(state, 'toolResult');
+    } else if (event.sessionEnd) {
+      return true;
+    }
+    return false;
+  }
+
+  private triggerTurn(state: MockStreamState, trigger: MockTurnTrigger): void {
+    const turn = this.fixture.turns[state.turnIndex];
+    if (!turn || turn.trigger !== trigger) return;
+
+    if (trigger === 'audioInput' &&
+      state.audioChunksSinceTurn < (turn.audioChunks ?? this.options.defaultAudioChunks)) {
+      return;
+    }
+
+    state.turnIndex++;
+    if (state.turnIndex >= this.fixture.turns.length && this.fixture.loop) {
+      state.turnIndex = 0;
+    }
+    state.audioChunksSinceTurn = 0;
+    state.isPlaying = true;
+    state.playback = state.playback
+      .then(() => this.playTurn(state, turn))
+      .catch(error => console.error(`Mock Bedrock stream ${state.streamId} playback error:`, error))
+      .finally(() => {
+        state.isPlaying = false;
+      });
+  }
+
+  private async playTurn(state: MockStreamState, turn: MockTurn): Promise<void> {
+    const completionId = randomUUID();
+    let content: { contentId: string; type?: string; role?: string } | undefined;
+
+    for (const scripted of turn.events) {
+      if (state.closed) return;
+
+      if (typeof scripted.delayMs === 'number' && Object.keys(scripted).length === 1) {
+        await this.sleep(scripted.delayMs);
+        continue;
+      }
+
+      const [eventName] = Object.keys(scripted);
+      if (!eventName) continue;
+
+      if (ExceptionEventNames.includes(eventName)) {
+        state.output.push({ [eventName]: scripted[eventName] } as InvokeModelWithBidirectionalStreamOutput);
+        continue;
+      }
+
+      const body = { ...scripted[eventName] };
+      if (eventName === 'contentStart') {
+        content = { contentId: body.contentId || randomUUID(), type: body.type, role: body.role };
+      }
+
+      const outputEvent: Record<string, any> = {
+        promptName: state.promptName,
+        completionId,
+        ...(content ? { contentId: content.contentId } : {}),
+        ...(content?.role && eventName !== 'contentEnd' ? { role: content.role } : {}),
+        ...(content?.type && eventName === 'contentEnd' ? { type: content.type } : {}),
+        ...body
+      };
+
+      if (eventName === 'audioOutput' && outputEvent.content === undefined) {
+        outputEvent.content = generateSilentPCM(outputEvent.durationMs ?? 500, DefaultAudioOutputConfiguration).toString('base64');
+        delete outputEvent.durationMs;
+      }
+
+      state.output.push({
+        chunk: { bytes: new TextEncoder().encode(JSON.stringify({ event: { [eventName]: outputEvent } })) }
+      });
+
+      if (eventName === 'contentEnd') {
+        content = undefined;
+      }
+      await this.sleep(this.options.eventDelayMs);
+    }
+  }
+
+  private sleep(ms: number): Promise<void> {
+    return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+  }
+}
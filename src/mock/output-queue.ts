@@ -0,0 +1,41 @@
+/**
+ * Response body helper shared by the mock Bedrock runtimes
+ */
+
+/**
+ * Minimal push-based async iterable used as a mock response body
+ */
+export class OutputQueue<T> implements AsyncIterable<T> {
+  private items: T[] = [];
+  private wake?: () => void;
+  private ended = false;
+
+  push(item: T): void {
+    if (this.ended) return;
+    this.items.push(item);
+    this.notify();
+  }
+
+  end(): void {
+    this.ended = true;
+    this.notify();
+  }
+
+  async *[Symbol.asyncIterator](): AsyncIterator<T> {
+    while (true) {
+      if (this.items.length > 0) {
+        yield this.items.shift()!;
+      } else if (this.ended) {
+        return;
+      } else {
+        await new Promise<void>(resolve => this.wake = resolve);
+      }
+    }
+  }
+
+  private notify(): void {
+    const wake = this.wake;
+    this.wake = undefined;
+    wake?.();
+  }
+}
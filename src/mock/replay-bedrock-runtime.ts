@@ -0,0 +1,197 @@
+/**
+ * Replay Bedrock runtime
+ * Plays the inbound events of a SessionRecorder recording back in their original order
+ * and timing, so the responses of a recorded session can be fed through the server's socket
+ * handlers to the browser without Bedrock. Responses follow the recorded schedule, not the
+ * client's input: what the client sends, and when, does not change the playback.
+ */
+
+import { randomUUID } from 'node:crypto';
+import {
+  InvokeModelWithBidirectionalStreamCommand,
+  InvokeModelWithBidirectionalStreamCommandOutput,
+  InvokeModelWithBidirectionalStreamInput,
+  InvokeModelWithBidirectionalStreamOutput
+} from '@aws-sdk/client-bedrock-runtime';
+import { BidirectionalStreamRuntime } from '../client';
+import { readRecording, RecordedEvent } from '../services/session-recorder';
+import { OutputQueue } from './output-queue';
+
+export interface ReplayOptions {
+  speed: number; // 1 replays in real time, 2 twice as fast, 0 without any delay
+}
+
+const DefaultReplayOptions: ReplayOptions = {
+  speed: 1
+};
+
+interface ReplaySegment {
+  events: RecordedEvent[]; // Inbound events, offsets relative to the stream start
+}
+
+/**
+ * Split a recording into one segment per bidirectional stream it contains
+ * (a session that reconnected has several)
+ */
+export function splitRecordingIntoStreams(recording: RecordedEvent[]): ReplaySegment[] {
+  const segments: ReplaySegment[] = [];
+  let current: ReplaySegment | undefined;
+  let streamStartOffset = 0;
+
+  recording.forEach(recorded => {
+    if (recorded.direction === 'meta' && recorded.event?.streamStart) {
+      current = { events: [] };
+      segments.push(current);
+      streamStartOffset = recorded.offsetMs;
+      return;
+    }
+
+    if (recorded.direction !== 'inbound') return;
+
+    // Recordings without stream markers are played as a single stream
+    if (!current) {
+      current = { events: [] };
+      segments.push(current);
+    }
+    current.events.push({ ...recorded, offsetMs: Math.max(0, recorded.offsetMs - streamStartOffset) });
+  });
+
+  return segments;
+}
+
+/**
+ * Restore a payload for audio that was redacted when recording, as silence of the same length
+ */
+function restoreRedactedAudio(event: any): any {
+  const audioOutput = event?.event?.audioOutput;
+  if (!audioOutput || typeof audioOutput.redactedBytes !== 'number') {
+    return event;
+  }
+
+  const { redactedBytes, ...rest } = audioOutput;
+  return {
+    ...event,
+    event: {
+      ...event.event,
+      audioOutput: {
+        ...rest,
+        content: Buffer.alloc(redactedBytes).toString('base64')
+      }
+    }
+  };
+}
+
+/**
+ * Restore text that was redacted when recording as a placeholder, so the transcript shows where it was
+ */
+function restoreRedactedText(event: any): any {
+  const textOutput = event?.event?.textOutput;
+  if (!textOutput || typeof textOutput.redactedChars !== 'number') {
+    return event;
+  }
+
+  const { redactedChars, ...rest } = textOutput;
+  return {
+    ...event,
+    event: {
+      ...event.event,
+      textOutput: {
+        ...rest,
+        content: `[redacted, ${redactedChars} characters]`
+      }
+    }
+  };
+}
+
+export class ReplayBedrockRuntimeClient implements BidirectionalStreamRuntime {
+  private segments: ReplaySegment[];
+  private options: ReplayOptions;
+  private nextSegment = 0;
+
+  constructor(recording: RecordedEvent[], options: Partial<ReplayOptions> = {}) {
+    this.segments = splitRecordingIntoStreams(recording);
+    this.options = { ...DefaultReplayOptions, ...options };
+
+    if (this.segments.length === 0) {
+      throw new Error('Recording contains no inbound events to replay');
+    }
+  }
+
+  /**
+   * Create a replay runtime from a recording file
+   */
+  static fromRecordingFile(filePath: string, options: Partial<ReplayOptions> = {}): ReplayBedrockRuntimeClient {
+    return new ReplayBedrockRuntimeClient(readRecording(filePath), options);
+  }
+
+  /**
+   * Start again from the first recorded stream
+   */
+  reset(): void {
+    this.nextSegment = 0;
+  }
+
+  async send(command: InvokeModelWithBidirectionalStreamCommand): Promise<InvokeModelWithBidirectionalStreamCommandOutput> {
+    const body = command.input.body;
+    if (!body) {
+      throw new Error('Replay Bedrock runtime requires a bidirectional input stream');
+    }
+
+    // Streams are replayed in recorded order (reconnects pick up the next one), then from the start again
+    const segment = this.segments[this.nextSegment];
+    this.nextSegment = (this.nextSegment + 1) % this.segments.length;
+
+    const streamId = randomUUID();
+    const output = new OutputQueue<InvokeModelWithBidirectionalStreamOutput>();
+    console.log(`🔁 Replay stream ${streamId} opened (${segment.events.length} recorded event(s))`);
+
+    const playback = this.play(segment, output);
+    this.drainInput(body).then(async () => {
+      await playback;
+      output.end();
+      console.log(`🔁 Replay stream ${streamId} closed`);
+    });
+
+    return {
+      $metadata: {},
+      body: output
+    };
+  }
+
+  private async play(segment: ReplaySegment, output: OutputQueue<InvokeModelWithBidirectionalStreamOutput>): Promise<void> {
+    const startedAt = Date.now();
+
+    for (const recorded of segment.events) {
+      if (this.options.speed > 0) {
+        const wait = recorded.offsetMs / this.options.speed - (Date.now() - startedAt);
+        if (wait > 0) {
+          await new Promise(resolve => setTimeout(resolve, wait));
+        }
+      }
+
+      const [eventName] = Object.keys(recorded.event || {});
+      if (eventName && eventName !== 'event') {
+        // Stream exceptions were recorded as their own members
+        output.push({ [eventName]: recorded.event[eventName] } as InvokeModelWithBidirectionalStreamOutput);
+        return;
+      }
+
+      const event = restoreRedactedText(restoreRedactedAudio(recorded.event));
+      output.push({ chunk: { bytes: new TextEncoder().encode(JSON.stringify(event)) } });
+    }
+  }
+
+  // The client's input is not needed for replay, but the stream stays open until it ends
+  private async drainInput(body: AsyncIterable<InvokeModelWithBidirectionalStreamInput>): Promise<void> {
+    try {
+      for await (const input of body) {
+        const bytes = input.chunk?.bytes;
+        if (bytes && JSON.parse(new TextDecoder().decode(bytes)).event?.sessionEnd) {
+          break;
+        }
+      }
+    } catch (error) {
+      console.error('Replay stream input error:', error);
+    }
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * Prompts module exports
+ */
+
+import { PromptTemplateStore } from './prompt-template-store';
+import { DefaultPromptTemplates } from './default-templates';
+
+export {
+  PromptTemplateStore,
+  PromptTemplate,
+  PromptVariables,
+  PromptVariableValue,
+  RenderedPrompt,
+  PromptTemplateNotFoundError,
+  renderTemplate,
+  parseTemplateRef
+} from './prompt-template-store';
+
+export {
+  HopeTherapistTemplate,
+  ContinuityPersonalizedTemplate,
+  ConversationDefaultTemplate,
+  DefaultPromptTemplates
+} from './default-templates';
+
+/**
+ * Create a store pre-populated with the built-in templates
+ */
+export function createDefaultPromptTemplateStore(): PromptTemplateStore {
+  const store = new PromptTemplateStore();
+  DefaultPromptTemplates.forEach(template => store.register(template));
+  return store;
+}
+
+// Shared store used to build session prompts
+export const promptTemplateStore = createDefaultPromptTemplateStore();
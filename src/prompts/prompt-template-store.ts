@@ -0,0 +1,147 @@
+/**
+ * Prompt template store
+ * System prompts are kept as named, versioned templates so every session can record
+ * exactly which prompt it ran with, and prompt changes can be compared against outcomes.
+ *
+ * Template syntax:
+ * - `{{name}}` is replaced with the variable's value (arrays are joined with ", ")
+ * - `{{name|fallback}}` uses the fallback text when the variable is not set
+ * - `{{#name}}...{{/name}}` is kept only when the variable is set, non-empty and not false
+ * - `{{^name}}...{{/name}}` is kept only when it is not
+ */
+
+export type PromptVariableValue = string | number | boolean | string[] | undefined | null;
+
+export type PromptVariables = Record<string, PromptVariableValue>;
+
+export interface PromptTemplate {
+  name: string;
+  version: number; // Increase for every change to the template text
+  description: string;
+  template: string;
+}
+
+export interface RenderedPrompt {
+  name: string;
+  version: number;
+  text: string;
+}
+
+export class PromptTemplateNotFoundError extends Error {
+  constructor(name: string, version?: number) {
+    super(version === undefined ? `Prompt template ${name} not found` : `Prompt template ${name}@${version} not found`);
+    this.name = 'PromptTemplateNotFoundError';
+  }
+}
+
+function isPresent(value: PromptVariableValue): boolean {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== undefined && value !== null && value !== false && value !== '';
+}
+
+function formatValue(value: PromptVariableValue): string {
+  if (Array.isArray(value)) return value.join(', ');
+  if (value === undefined || value === null) return '';
+  return String(value);
+}
+
+/**
+ * Render a template string with the given variables
+ */
+export function renderTemplate(template: string, variables: PromptVariables = {}): string {
+  const section = /\{\{([#^])\s*([\w.]+)\s*\}\}/.exec(template);
+
+  if (section) {
+    const [openTag, kind, name] = section;
+    const closeTag = `{{/${name}}}`;
+    const bodyStart = section.index + openTag.length;
+    const bodyEnd = template.indexOf(closeTag, bodyStart);
+    if (bodyEnd === -1) {
+      throw new Error(`Unclosed section ${openTag} in prompt template`);
+    }
+
+    const show = (kind === '#') === isPresent(variables[name]);
+    return renderTemplate(template.slice(0, section.index), variables) +
+      (show ? renderTemplate(template.slice(bodyStart, bodyEnd), variables) : '') +
+      renderTemplate(template.slice(bodyEnd + closeTag.length), variables);
+  }
+
+  return template.replace(/\{\{\s*([\w.]+)\s*(?:\|([^}]*))?\}\}/g, (_, name: string, fallback?: string) =>
+    isPresent(variables[name]) ? formatValue(variables[name]) : fallback ?? '');
+}
+
+/**
+ * Parse a template reference such as "hope-therapist" or "hope-therapist@2"
+ */
+export function parseTemplateRef(ref: string): { name: string; version?: number } {
+  const [name, version] = ref.trim().split('@');
+  if (version === undefined) {
+    return { name };
+  }
+
+  const parsed = Number(version);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new Error(`Invalid prompt template version in "${ref}"`);
+  }
+  return { name, version: parsed };
+}
+
+export class PromptTemplateStore {
+  private templates: Map<string, Map<number, PromptTemplate>> = new Map();
+
+  register(template: PromptTemplate): void {
+    if (!Number.isInteger(template.version) || template.version < 1) {
+      throw new Error(`Prompt template ${template.name} must have a positive integer version`);
+    }
+
+    const versions = this.templates.get(template.name) ?? new Map<number, PromptTemplate>();
+    if (versions.has(template.version)) {
+      throw new Error(`Prompt template ${template.name}@${template.version} is already registered`);
+    }
+
+    versions.set(template.version, template);
+    this.templates.set(template.name, versions);
+  }
+
+  /**
+   * Get a template version, or the latest version when none is given
+   */
+  get(name: string, version?: number): PromptTemplate {
+    const versions = this.templates.get(name);
+    if (!versions || versions.size === 0) {
+      throw new PromptTemplateNotFoundError(name);
+    }
+
+    const resolvedVersion = version ?? Math.max(...versions.keys());
+    const template = versions.get(resolvedVersion);
+    if (!template) {
+      throw new PromptTemplateNotFoundError(name, version);
+    }
+    return template;
+  }
+
+  has(name: string, version?: number): boolean {
+    const versions = this.templates.get(name);
+    return !!versions && (version === undefined ? versions.size > 0 : versions.has(version));
+  }
+
+  getVersions(name: string): number[] {
+    return Array.from(this.templates.get(name)?.keys() ?? []).sort((a, b) => a - b);
+  }
+
+  getTemplateNames(): string[] {
+    return Array.from(this.templates.keys());
+  }
+
+  /**
+   * Render a template, returning the text with the name and version it came from
+   */
+  render(name: string, variables: PromptVariables = {}, version?: number): RenderedPrompt {
+    const template = this.get(name, version);
+    return {
+      name: template.name,
+      version: template.version,
+      text: renderTemplate(template.template, variables)
+    };
+  }
+}
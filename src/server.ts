@@ -3,14 +3,56 @@ import http from 'http';
 import path from 'path';
 import { Server } from 'socket.io';
 import { NovaSonicBidirectionalStreamClient } from './client';
+import { MockBedrockRuntimeClient } from './mock/mock-bedrock-runtime';
+import { ReplayBedrockRuntimeClient } from './mock/replay-bedrock-runtime';
+import { SessionRecorder } from './services/session-recorder';
 import { Buffer } from 'node:buffer';
-import { addUserManagement } from './user-server-integration';
+import { addUserManagement, getSessionSystemPrompt, recordCrisisEvent, resolveSessionVoicePreferences } from './user-server-integration';
+import { addAuthRoutes, authenticateSocket, trustProxies } from './auth-server-integration';
+import { sessionMetricsCollector } from './services/session-metrics';
+import { buildSafetyInstruction, crisisDetector, getCrisisResources, regionFromAcceptLanguage } from './services/crisis-detector';
+import { toInferenceConfig } from './services/voice-preferences';
+import { MaxTextInputChars } from './consts';
+import { retentionSweeper } from './services/data-retention';
 
 // Create Express app and HTTP server
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server);
 
+// Set MOCK_BEDROCK=true to run without AWS credentials using scripted Nova Sonic responses
+// (MOCK_BEDROCK_FIXTURE selects a fixture file, otherwise the bundled default is used)
+const useMockBedrock = process.env.MOCK_BEDROCK === 'true';
+
+// Set REPLAY_RECORDING to a recording file to play the recorded responses back to every client
+// (REPLAY_SPEED speeds it up, 0 replays without delays)
+const replayRecording = process.env.REPLAY_RECORDING;
+
+function createBedrockRuntime() {
+    if (replayRecording) {
+        console.log(`🔁 Replaying recorded session ${replayRecording}`);
+        return ReplayBedrockRuntimeClient.fromRecordingFile(replayRecording, {
+            speed: process.env.REPLAY_SPEED ? Number(process.env.REPLAY_SPEED) : 1
+        });
+    }
+    if (useMockBedrock) {
+        console.log(`🧪 Using mock Bedrock runtime (fixture: ${process.env.MOCK_BEDROCK_FIXTURE || 'default'})`);
+        return MockBedrockRuntimeClient.fromFixtureFile(process.env.MOCK_BEDROCK_FIXTURE);
+    }
+    return undefined;
+}
+
+// Set RECORD_SESSIONS=true to record every stream event to RECORDINGS_DIR (default ./recordings).
+// Audio and text are redacted unless RECORD_AUDIO=true or RECORD_TEXT=true: recordings are
+// not encrypted or erased with the user's data.
+const recorder = process.env.RECORD_SESSIONS === 'true'
+    ? new SessionRecorder({
+        directory: process.env.RECORDINGS_DIR || './recordings',
+        redactAudio: process.env.RECORD_AUDIO !== 'true',
+        redactText: process.env.RECORD_TEXT !== 'true'
+    })
+    : undefined;
+
 // Create the AWS Bedrock client
 const bedrockClient = new NovaSonicBidirectionalStreamClient({
     requestHandlerConfig: {
@@ -18,7 +60,9 @@ const bedrockClient = new NovaSonicBidirectionalStreamClient({
     },
     clientConfig: {
         region: process.env.AWS_REGION || "us-east-1",
-    }
+    },
+    bedrockRuntimeClient: createBedrockRuntime(),
+    recorder
 });
 
 // Periodically check for and close inactive sessions (every minute)
@@ -43,9 +87,17 @@ setInterval(() => {
     });
 }, 60000);
 
+// Remove session data past its retention period; TTL only deletes records whose every class has expired
+retentionSweeper.start();
+
 // Serve static files from the public directory
 app.use(express.static(path.join(__dirname, '../public')));
 
+// Sign-in routes; every socket connection must then present the session token they issue
+trustProxies(app);
+addAuthRoutes(app);
+io.use(authenticateSocket);
+
 // Socket.IO connection handler
 io.on('connection', (socket) => {
     console.log('New client connected:', socket.id);
@@ -59,7 +111,49 @@ io.on('connection', (socket) => {
     try {
         // Create session with the new API
         const session = bedrockClient.createStreamSession(sessionId);
-        bedrockClient.initiateSession(sessionId)
+        // The stream is opened at the first promptStart, once the client has chosen its
+        // voice and inference settings (they are part of sessionStart)
+        let streamStarted = false;
+
+        // Hotlines are chosen from the browser's language region, e.g. en-GB -> GB
+        const crisisRegion = regionFromAcceptLanguage(socket.handshake.headers['accept-language'])
+            ?? process.env.CRISIS_DEFAULT_REGION;
+
+        // Score what the user said; on high risk show hotlines, steer the model and flag the session
+        const checkForCrisis = async (text: string) => {
+            const assessment = crisisDetector.analyze(sessionId, text);
+            if (!assessment.escalate) return;
+
+            const resources = getCrisisResources(crisisRegion);
+            const timestamp = new Date().toISOString();
+            console.warn(`🚨 High crisis risk detected for session ${sessionId} (${assessment.categories.join(', ')})`);
+
+            socket.emit('crisisDetected', {
+                severity: assessment.severity,
+                region: resources.region,
+                emergencyNumber: resources.emergencyNumber,
+                resources: resources.resources,
+                timestamp
+            });
+
+            let instructionInjected = false;
+            try {
+                await session.injectInstruction(buildSafetyInstruction(resources));
+                instructionInjected = true;
+            } catch (error) {
+                console.error('❌ Failed to inject safety instruction:', error);
+            }
+
+            await recordCrisisEvent(socket.id, {
+                timestamp,
+                severity: 'high', // Only high risk escalates
+                score: assessment.score,
+                categories: assessment.categories,
+                region: resources.region,
+                resourcesShown: true,
+                instructionInjected
+            });
+        };
 
         setInterval(() => {
             const connectionCount = Object.keys(io.sockets.sockets).length;
@@ -69,12 +163,19 @@ io.on('connection', (socket) => {
         // Set up event handlers
         session.onEvent('contentStart', (data) => {
             // console.log('contentStart:', data);
+            sessionMetricsCollector.onContentStart(sessionId, data);
             socket.emit('contentStart', data);
         });
 
         session.onEvent('textOutput', (data) => {
             console.log('Text output:', data);
             socket.emit('textOutput', data);
+
+            if (data?.role === 'USER' && typeof data.content === 'string') {
+                sessionMetricsCollector.onUserTranscript(sessionId, data.content);
+                checkForCrisis(data.content).catch(error =>
+                    console.error('❌ Crisis check failed:', error));
+            }
         });
 
         session.onEvent('audioOutput', (data) => {
@@ -99,9 +200,20 @@ io.on('connection', (socket) => {
 
         session.onEvent('contentEnd', (data) => {
             // console.log('Content end received: ', data);
+            sessionMetricsCollector.onContentEnd(sessionId, data);
             socket.emit('contentEnd', data);
         });
 
+        session.onEvent('reconnecting', (data) => {
+            console.log(`Stream interrupted for client ${socket.id}, reconnecting (attempt ${data.attempt}/${data.maxAttempts})`);
+            socket.emit('reconnecting', data);
+        });
+
+        session.onEvent('reconnected', (data) => {
+            console.log(`Stream restored for client ${socket.id} after ${data.attempt} attempt(s)`);
+            socket.emit('reconnected', data);
+        });
+
         session.onEvent('streamComplete', () => {
             console.log('Stream completed for client:', socket.id);
             socket.emit('streamComplete');
@@ -127,10 +239,28 @@ io.on('connection', (socket) => {
             }
         });
 
-        socket.on('promptStart', async () => {
+        socket.on('promptStart', async (requestedPreferences) => {
             try {
                 console.log('🎯 Processing promptStart for session:', sessionId);
+
+                const { preferences, rejected } = await resolveSessionVoicePreferences(socket.id, requestedPreferences);
+                if (rejected.length > 0) {
+                    console.warn('⚠️ Rejected session configuration:', rejected.join('; '));
+                }
+
+                session.configure({
+                    voiceId: preferences.voiceId,
+                    outputSampleRateHertz: preferences.outputSampleRateHertz,
+                    inferenceConfig: toInferenceConfig(preferences)
+                });
+
+                if (!streamStarted) {
+                    streamStarted = true;
+                    bedrockClient.initiateSession(sessionId);
+                }
+
                 await session.setupPromptStart();
+                socket.emit('sessionConfigured', { ...preferences, rejected });
                 console.log('✅ promptStart completed successfully');
             } catch (error) {
                 console.error('❌ Error processing prompt start:', error);
@@ -141,17 +271,19 @@ io.on('connection', (socket) => {
             }
         });
 
+        // The prompt is assembled server-side from the user's session history; any prompt
+        // text sent by the client is ignored so Hope's instructions cannot be rewritten
         socket.on('systemPrompt', async (data) => {
             try {
                 console.log('🎯 Processing systemPrompt for session:', sessionId);
-                console.log('📝 System prompt length:', data?.length || 0, 'characters');
-                
-                // Validate system prompt
-                if (!data || typeof data !== 'string' || data.trim().length === 0) {
-                    throw new Error('System prompt is empty or invalid');
+                if (data !== undefined && data !== null) {
+                    console.warn('⚠️ Ignoring client-supplied system prompt for session:', sessionId);
                 }
-                
-                await session.setupSystemPrompt(undefined, data);
+
+                const systemPrompt = getSessionSystemPrompt(socket.id);
+                console.log('📝 System prompt length:', systemPrompt.length, 'characters');
+
+                await session.setupSystemPrompt(undefined, systemPrompt);
                 console.log('✅ systemPrompt completed successfully');
             } catch (error) {
                 console.error('❌ Error processing system prompt:', error);
@@ -162,6 +294,38 @@ io.on('connection', (socket) => {
             }
         });
 
+        // Typed USER turn for users who cannot speak aloud
+        socket.on('textInput', async (text) => {
+            try {
+                if (!text || typeof text !== 'string' || text.trim().length === 0) {
+                    throw new Error('Text input is empty or invalid');
+                }
+                if (text.length > MaxTextInputChars) {
+                    throw new Error(`Text input exceeds ${MaxTextInputChars} characters`);
+                }
+
+                console.log('⌨️ Processing textInput for session:', sessionId);
+                // Typed text is not transcribed back, so it is checked here, before the model answers it
+                await checkForCrisis(text);
+                await session.sendText(text.trim());
+                sessionMetricsCollector.onTypedInput(sessionId);
+            } catch (error) {
+                console.error('❌ Error processing text input:', error);
+                socket.emit('error', {
+                    message: 'Error processing text input',
+                    details: error instanceof Error ? error.message : String(error)
+                });
+            }
+        });
+
+        // Pitch and loudness of the microphone audio, analysed in the browser
+        socket.on('voiceAnalysis', (batch) => {
+            const error = sessionMetricsCollector.onVoiceFrames(sessionId, batch);
+            if (error) {
+                console.warn('⚠️ Ignoring voice analysis batch:', error);
+            }
+        });
+
         socket.on('audioStart', async (data) => {
             try {
                 console.log('🎯 Processing audioStart for session:', sessionId);
@@ -199,6 +363,8 @@ io.on('connection', (socket) => {
         // Handle disconnection
         socket.on('disconnect', async () => {
             console.log('Client disconnected abruptly:', socket.id);
+            crisisDetector.endSession(sessionId);
+            sessionMetricsCollector.endSession(sessionId);
 
             if (bedrockClient.isSessionActive(sessionId)) {
                 try {
@@ -284,6 +450,9 @@ process.on('SIGINT', async () => {
             }
         }));
 
+        // Flush recordings of sessions whose streams did not finish in time
+        recorder?.stopAll();
+
         // Now close the HTTP server with a promise
         await new Promise(resolve => server.close(resolve));
         clearTimeout(forceExitTimer);
@@ -0,0 +1,158 @@
+/**
+ * Audio keepalive for Nova Sonic bidirectional streams
+ * Nova Sonic closes a stream with "Timed out waiting for audio bytes" after ~59 seconds
+ * without audio input. Long reflective pauses are normal in a session, so while the user
+ * is silent we inject short frames of digital silence to keep the stream open.
+ */
+
+import { Buffer } from 'node:buffer';
+import { AudioConfiguration } from '../types';
+import { DefaultAudioInputConfiguration } from '../consts';
+
+export interface KeepaliveConfig {
+  maxGapMs: number; // Gap after the last real audio chunk before silence is injected
+  keepaliveIntervalMs: number; // Interval between silent frames once keepalive is active
+  checkIntervalMs: number; // How often each session's gap is checked
+  silentChunkDurationMs: number; // Duration of each injected silent frame
+}
+
+export const DefaultKeepaliveConfig: KeepaliveConfig = {
+  maxGapMs: 45000, // Safety margin from the 59 second limit
+  keepaliveIntervalMs: 30000,
+  checkIntervalMs: 5000,
+  silentChunkDurationMs: 100
+};
+
+export interface AudioSessionState {
+  sessionId: string;
+  lastAudioTime: number;
+  lastKeepaliveTime: number;
+  keepaliveActive: boolean;
+  keepaliveChunksSent: number;
+  keepaliveTimer?: NodeJS.Timeout;
+}
+
+/**
+ * Generate a silent LPCM chunk matching the given audio input configuration
+ */
+export function generateSilentPCM(
+  durationMs: number,
+  audioConfig: Pick<AudioConfiguration, 'sampleRateHertz' | 'sampleSizeBits' | 'channelCount'> = DefaultAudioInputConfiguration
+): Buffer {
+  const totalSamples = Math.floor(durationMs * audioConfig.sampleRateHertz / 1000);
+  const bytesPerSample = audioConfig.sampleSizeBits / 8;
+  return Buffer.alloc(totalSamples * bytesPerSample * audioConfig.channelCount, 0);
+}
+
+/**
+ * Tracks the last audio chunk per session and injects silence before the gap reaches the limit
+ */
+export class AudioKeepaliveManager {
+  private sessions: Map<string, AudioSessionState> = new Map();
+  private config: KeepaliveConfig;
+  private silentChunk: Buffer;
+
+  constructor(
+    private sendSilence: (sessionId: string, chunk: Buffer) => void,
+    config: Partial<KeepaliveConfig> = {},
+    audioConfig: Pick<AudioConfiguration, 'sampleRateHertz' | 'sampleSizeBits' | 'channelCount'> = DefaultAudioInputConfiguration
+  ) {
+    this.config = { ...DefaultKeepaliveConfig, ...config };
+    this.silentChunk = generateSilentPCM(this.config.silentChunkDurationMs, audioConfig);
+  }
+
+  /**
+   * Start monitoring a session once its audio content has started
+   */
+  startSession(sessionId: string): void {
+    if (this.sessions.has(sessionId)) {
+      this.recordAudio(sessionId);
+      return;
+    }
+
+    const state: AudioSessionState = {
+      sessionId,
+      lastAudioTime: Date.now(),
+      lastKeepaliveTime: 0,
+      keepaliveActive: false,
+      keepaliveChunksSent: 0
+    };
+
+    state.keepaliveTimer = setInterval(() => this.checkSession(sessionId), this.config.checkIntervalMs);
+    // Never hold the process open just for keepalive checks
+    state.keepaliveTimer.unref?.();
+
+    this.sessions.set(sessionId, state);
+  }
+
+  /**
+   * Record that real audio was received from the user
+   */
+  recordAudio(sessionId: string): void {
+    const state = this.sessions.get(sessionId);
+    if (!state) return;
+
+    if (state.keepaliveActive) {
+      console.log(`Audio resumed for session ${sessionId} after ${state.keepaliveChunksSent} keepalive frame(s)`);
+    }
+
+    state.lastAudioTime = Date.now();
+    state.keepaliveActive = false;
+    state.keepaliveChunksSent = 0;
+  }
+
+  /**
+   * Stop monitoring a session and clear its timer
+   */
+  stopSession(sessionId: string): void {
+    const state = this.sessions.get(sessionId);
+    if (!state) return;
+
+    if (state.keepaliveTimer) {
+      clearInterval(state.keepaliveTimer);
+    }
+    this.sessions.delete(sessionId);
+  }
+
+  isSessionActive(sessionId: string): boolean {
+    return this.sessions.has(sessionId);
+  }
+
+  getSessionState(sessionId: string): Omit<AudioSessionState, 'keepaliveTimer'> | undefined {
+    const state = this.sessions.get(sessionId);
+    if (!state) return undefined;
+
+    const { keepaliveTimer, ...rest } = state;
+    return { ...rest };
+  }
+
+  stopAll(): void {
+    Array.from(this.sessions.keys()).forEach(sessionId => this.stopSession(sessionId));
+  }
+
+  private checkSession(sessionId: string): void {
+    const state = this.sessions.get(sessionId);
+    if (!state) return;
+
+    const now = Date.now();
+    const due = state.keepaliveActive
+      ? now - state.lastKeepaliveTime >= this.config.keepaliveIntervalMs
+      : now - state.lastAudioTime >= this.config.maxGapMs;
+
+    if (!due) return;
+
+    if (!state.keepaliveActive) {
+      console.log(`No audio for ${Math.round((now - state.lastAudioTime) / 1000)}s in session ${sessionId}, sending keepalive silence`);
+    }
+
+    try {
+      this.sendSilence(sessionId, this.silentChunk);
+      state.keepaliveActive = true;
+      state.lastKeepaliveTime = now;
+      state.keepaliveChunksSent++;
+    } catch (error) {
+      console.error(`Failed to send keepalive audio for session ${sessionId}:`, error);
+      this.stopSession(sessionId);
+    }
+  }
+}
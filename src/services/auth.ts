@@ -0,0 +1,171 @@
+/**
+ * User authentication
+ * Passphrase accounts (a handle plus a passphrase hashed with scrypt) and signed session
+ * tokens. A token names the user it was issued to; the socket.io handshake verifies it so
+ * every connection is bound to that user rather than to an ID the browser claims.
+ * Anonymous users get a token too: anonymity is a choice of no handle, not of no identity.
+ */
+
+import { createHmac, randomBytes, scrypt, timingSafeEqual } from 'crypto';
+
+export interface AuthConfig {
+  tokenTtlSeconds: number;
+  minPassphraseLength: number;
+  maxFailedLogins: number; // Failed logins allowed per handle (or client, for recovery phrases and legacy user claims) within the lockout window
+  lockoutMs: number;
+}
+
+export const DefaultAuthConfig: AuthConfig = {
+  tokenTtlSeconds: 30 * 24 * 60 * 60,
+  minPassphraseLength: 10,
+  maxFailedLogins: 5,
+  lockoutMs: 15 * 60 * 1000
+};
+
+export interface SessionTokenClaims {
+  sub: string; // userId
+  anon: boolean;
+  iat: number; // Seconds since the epoch
+  exp: number;
+}
+
+export class AuthError extends Error {
+  constructor(message: string, public readonly status: number = 400) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+const HandlePattern = /^[a-z0-9._-]{3,40}$/;
+const ScryptKeyLength = 64;
+
+/**
+ * Handles are case-insensitive; returns null for handles that are not allowed
+ */
+export function normalizeHandle(handle: unknown): string | null {
+  if (typeof handle !== 'string') return null;
+  const normalized = handle.trim().toLowerCase();
+  return HandlePattern.test(normalized) ? normalized : null;
+}
+
+function scryptAsync(passphrase: string, salt: Buffer): Promise<Buffer> {
+  return new Promise((resolve, reject) => {
+    scrypt(passphrase.normalize('NFKC'), salt, ScryptKeyLength, (error, key) => error ? reject(error) : resolve(key));
+  });
+}
+
+export class AuthService {
+  private config: AuthConfig;
+  private secret: Buffer;
+  private failedLogins: Map<string, { count: number; firstFailureAt: number }> = new Map();
+
+  constructor(config: Partial<AuthConfig> = {}, secret: string | undefined = process.env.AUTH_TOKEN_SECRET) {
+    this.config = { ...DefaultAuthConfig, ...config };
+
+    if (secret) {
+      this.secret = Buffer.from(secret, 'utf8');
+    } else {
+      // Tokens then stop verifying when the server restarts and users have to sign in again
+      console.warn('⚠️ AUTH_TOKEN_SECRET is not set; using a random secret for this process');
+      this.secret = randomBytes(32);
+    }
+  }
+
+  /**
+   * Check a passphrase meets the minimum length, returning an error message if not
+   */
+  validatePassphrase(passphrase: unknown): string | null {
+    if (typeof passphrase !== 'string' || passphrase.length < this.config.minPassphraseLength) {
+      return `Passphrase must be at least ${this.config.minPassphraseLength} characters`;
+    }
+    if (passphrase.length > 200) {
+      return 'Passphrase must be at most 200 characters';
+    }
+    return null;
+  }
+
+  /**
+   * Hash a passphrase for storage as scrypt$salt$hash
+   */
+  async hashPassphrase(passphrase: string): Promise<string> {
+    const salt = randomBytes(16);
+    const hash = await scryptAsync(passphrase, salt);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+  }
+
+  async verifyPassphrase(passphrase: string, stored: string): Promise<boolean> {
+    const [scheme, salt, hash] = stored.split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scryptAsync(passphrase, Buffer.from(salt, 'base64'));
+    return actual.length === expected.length && timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Issue a signed session token for a user
+   */
+  issueSessionToken(userId: string, isAnonymous: boolean): string {
+    const iat = Math.floor(Date.now() / 1000);
+    const claims: SessionTokenClaims = { sub: userId, anon: isAnonymous, iat, exp: iat + this.config.tokenTtlSeconds };
+    const payload = Buffer.from(JSON.stringify(claims), 'utf8').toString('base64url');
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  /**
+   * Claims of a token with a valid signature that has not expired, otherwise null
+   */
+  verifySessionToken(token: unknown): SessionTokenClaims | null {
+    if (typeof token !== 'string') return null;
+
+    const [payload, signature, ...rest] = token.split('.');
+    if (!payload || !signature || rest.length > 0) return null;
+
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+
+    try {
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')) as SessionTokenClaims;
+      if (typeof claims.sub !== 'string' || typeof claims.exp !== 'number') return null;
+      return claims.exp > Date.now() / 1000 ? claims : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Throws when a handle (or other throttle key) has had too many failed logins recently
+   */
+  assertLoginAllowed(key: string): void {
+    const failures = this.failedLogins.get(key);
+    if (!failures) return;
+
+    if (Date.now() - failures.firstFailureAt > this.config.lockoutMs) {
+      this.failedLogins.delete(key);
+    } else if (failures.count >= this.config.maxFailedLogins) {
+      throw new AuthError('Too many failed sign-in attempts. Please wait a few minutes and try again.', 429);
+    }
+  }
+
+  recordLoginResult(key: string, succeeded: boolean): void {
+    if (succeeded) {
+      this.failedLogins.delete(key);
+      return;
+    }
+
+    const failures = this.failedLogins.get(key);
+    if (failures) {
+      failures.count++;
+    } else {
+      this.failedLogins.set(key, { count: 1, firstFailureAt: Date.now() });
+    }
+  }
+
+  private sign(payload: string): string {
+    return createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+}
+
+// Export singleton instance
+export const authService = new AuthService();
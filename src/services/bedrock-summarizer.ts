@@ -0,0 +1,124 @@
+/**
+ * Bedrock transcript summarizer
+ * Asks Amazon Nova Micro for a structured summary of a session transcript
+ */
+
+import { BedrockRuntimeClient, InvokeModelCommand } from '@aws-sdk/client-bedrock-runtime';
+import type { TranscriptSummarizer, TranscriptSummary } from './summarizer';
+
+export class BedrockSummarizer implements TranscriptSummarizer {
+  readonly name = 'bedrock';
+
+  constructor(
+    private client: BedrockRuntimeClient,
+    private modelId: string = 'amazon.nova-micro-v1:0'
+  ) {}
+
+  /**
+   * Summarize a transcript; throws when the model is unreachable or its answer is not a summary
+   */
+  async summarize(transcript: string): Promise<TranscriptSummary> {
+    try {
+      console.log('🤖 Calling Amazon Nova Micro for transcript summarization...');
+
+      const command = new InvokeModelCommand({
+        modelId: this.modelId,
+        contentType: 'application/json',
+        accept: 'application/json',
+        body: JSON.stringify({
+          messages: [
+            {
+              role: 'user',
+              content: [
+                {
+                  text: this.buildSummarizationPrompt(transcript)
+                }
+              ]
+            }
+          ],
+          inferenceConfig: {
+            maxTokens: 1000,
+            temperature: 0.5
+            // Note: Using temperature, not topP (use one or the other)
+          }
+        })
+      });
+
+      const response = await this.client.send(command);
+      const responseBody = JSON.parse(new TextDecoder().decode(response.body));
+      const outputText = responseBody?.output?.message?.content?.[0]?.text || '';
+
+      if (!outputText) {
+        throw new Error('Empty response from Nova Micro');
+      }
+
+      console.log('✅ Successfully received AI summary from Nova Micro');
+      return this.parseAISummary(outputText);
+
+    } catch (error: any) {
+      if (error?.name === 'CredentialsProviderError') {
+        console.error('🔑 AWS Credentials not found. Please ensure one of the following:');
+        console.error('   1. Set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY environment variables');
+        console.error('   2. Configure AWS CLI with "aws configure"');
+        console.error('   3. Use EC2 instance role if running on AWS');
+        console.error('   4. Set up AWS credentials file at ~/.aws/credentials');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Build therapeutic summarization prompt
+   */
+  private buildSummarizationPrompt(transcript: string): string {
+    return `
+You are a therapeutic AI assistant analyzing a therapy session transcript. Please provide a structured analysis in JSON format.
+
+Transcript:
+${transcript}
+
+Please analyze this therapeutic session and provide a JSON response with the following structure:
+
+{
+  "sessionSummary": "Brief 2-3 sentence summary of the session",
+  "keyTopics": ["topic1", "topic2", "topic3"],
+  "emotionalInsights": {
+    "dominantEmotions": ["emotion1", "emotion2"],
+    "moodProgression": "Description of how mood changed during session",
+    "stressIndicators": ["indicator1", "indicator2"]
+  },
+  "therapeuticProgress": {
+    "breakthroughs": ["breakthrough1", "breakthrough2"],
+    "challenges": ["challenge1", "challenge2"],
+    "copingStrategies": ["strategy1", "strategy2"],
+    "recommendedFocus": ["focus1", "focus2"]
+  },
+  "continuityNotes": "Important points to remember for next session"
+}
+
+Focus on:
+- Therapeutic insights and emotional patterns
+- Progress indicators and setbacks
+- Coping strategies discussed or discovered
+- Areas that need continued attention
+- Maintain patient confidentiality and therapeutic perspective
+`;
+  }
+
+  /**
+   * Parse AI response into structured summary
+   */
+  private parseAISummary(aiResponse: string): TranscriptSummary {
+    // Extract JSON from AI response
+    const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error('No valid JSON found in AI response');
+    }
+
+    const summary = JSON.parse(jsonMatch[0]);
+    if (typeof summary?.sessionSummary !== 'string' || !summary.emotionalInsights || !summary.therapeuticProgress) {
+      throw new Error('AI response is missing summary fields');
+    }
+    return summary as TranscriptSummary;
+  }
+}
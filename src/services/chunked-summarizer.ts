@@ -0,0 +1,232 @@
+/**
+ * Chunked transcript summarization
+ * Long sessions are summarized in windows: the transcript is split between turns into
+ * windows of about SUMMARY_WINDOW_CHARS characters, the backend summarizes each window on
+ * its own (map), and the window summaries are merged into one (reduce). Every window becomes
+ * a SummarySegment with the turns and times it covers, so a breakthrough can be placed in
+ * the session.
+ */
+
+import { SummarySegment } from '../database';
+import type { TranscriptSummarizer, TranscriptSummary } from './summarizer';
+import { formatTranscriptTurns, parseTranscriptTurns, TranscriptTurn } from './transcript-turns';
+
+export const DefaultWindowChars = 12000; // About 3,000 tokens
+
+export interface ChunkedSummarizerOptions {
+  windowChars?: number;
+  fallback?: TranscriptSummarizer; // Summarizes the windows the backend fails on
+}
+
+export interface TranscriptWindow {
+  firstTurn: number; // Index of the window's first turn in the transcript
+  turns: TranscriptTurn[];
+}
+
+const TurnOverheadChars = 20; // Timestamp and speaker label of a formatted turn
+const MaxMergedTopics = 6;
+const MaxMergedEmotions = 3;
+const MaxMergedItems = 5;
+const MaxMergedFocus = 3;
+const MaxMergedSummaryLength = 800;
+
+/**
+ * Split turns into windows of at most windowChars characters, never inside a turn. A turn
+ * longer than a window gets a window of its own, and a user turn moves to the next window
+ * with the reply to it when the window fills up between them.
+ */
+export function splitTranscriptWindows(turns: TranscriptTurn[], windowChars: number): TranscriptWindow[] {
+  const windows: TranscriptWindow[] = [];
+  const length = (turn: TranscriptTurn) => turn.text.length + TurnOverheadChars;
+
+  let current: TranscriptTurn[] = [];
+  let size = 0;
+  let firstTurn = 0;
+
+  for (const turn of turns) {
+    if (current.length > 0 && size + length(turn) > windowChars) {
+      const previous = current[current.length - 1];
+      const carried = current.length > 1 && previous.speaker === 'user' && turn.speaker === 'assistant' &&
+        length(previous) + length(turn) <= windowChars
+        ? current.splice(-1)
+        : [];
+
+      windows.push({ firstTurn, turns: current });
+      firstTurn += current.length;
+      current = carried;
+      size = carried.reduce((total, carriedTurn) => total + length(carriedTurn), 0);
+    }
+
+    current.push(turn);
+    size += length(turn);
+  }
+
+  if (current.length > 0) {
+    windows.push({ firstTurn, turns: current });
+  }
+  return windows;
+}
+
+export class ChunkedSummarizer implements TranscriptSummarizer {
+  readonly name: string;
+  private windowChars: number;
+  private fallback?: TranscriptSummarizer;
+
+  constructor(private backend: TranscriptSummarizer, options: ChunkedSummarizerOptions = {}) {
+    this.name = backend.name;
+    this.windowChars = options.windowChars ?? DefaultWindowChars;
+    this.fallback = options.fallback;
+  }
+
+  async summarize(transcript: string): Promise<TranscriptSummary> {
+    const turns = parseTranscriptTurns(transcript ?? '');
+    if (turns.length === 0) {
+      return { ...await this.backend.summarize(transcript ?? ''), segments: [] };
+    }
+
+    const windows = splitTranscriptWindows(turns, this.windowChars);
+    if (windows.length > 1) {
+      console.log(`📝 Summarizing a long transcript in ${windows.length} windows`);
+    }
+
+    // One window at a time, to stay within the model's rate limits
+    const summaries: TranscriptSummary[] = [];
+    for (const window of windows) {
+      summaries.push(await this.summarizeWindow(window));
+    }
+
+    const segments = windows.map((window, index) => ChunkedSummarizer.toSegment(index, window, summaries[index]));
+    return { ...(summaries.length === 1 ? summaries[0] : this.merge(summaries)), segments };
+  }
+
+  private async summarizeWindow(window: TranscriptWindow): Promise<TranscriptSummary> {
+    const text = formatTranscriptTurns(window.turns);
+    try {
+      return await this.backend.summarize(text);
+    } catch (error) {
+      if (!this.fallback) {
+        throw error;
+      }
+      const lastTurn = window.firstTurn + window.turns.length - 1;
+      console.error(`❌ Error summarizing turns ${window.firstTurn}-${lastTurn} with the ${this.backend.name} summarizer, using the ${this.fallback.name} summarizer:`, error);
+      return this.fallback.summarize(text);
+    }
+  }
+
+  /**
+   * Merge window summaries in transcript order. Lists keep the first wording of each item;
+   * topics and emotions are ranked by how many windows mention them.
+   */
+  private merge(summaries: TranscriptSummary[]): TranscriptSummary {
+    const first = summaries[0];
+    const last = summaries[summaries.length - 1];
+    const progress = summaries.map(summary => summary.therapeuticProgress ?? {});
+
+    const emotions = rankDistinct(summaries.map(summary => asList(summary.emotionalInsights?.dominantEmotions)), MaxMergedEmotions + 1);
+    const namedEmotions = emotions.filter(emotion => normalizeKey(emotion) !== 'neutral');
+
+    return {
+      sessionSummary: this.mergeSessionSummaries(summaries.map(summary => summary.sessionSummary)),
+      keyTopics: rankDistinct(summaries.map(summary => asList(summary.keyTopics)), MaxMergedTopics),
+      emotionalInsights: {
+        dominantEmotions: (namedEmotions.length > 0 ? namedEmotions : emotions).slice(0, MaxMergedEmotions),
+        moodProgression: this.mergeMoodProgression(first.emotionalInsights?.moodProgression, last.emotionalInsights?.moodProgression),
+        stressIndicators: distinct(summaries.flatMap(summary => asList(summary.emotionalInsights?.stressIndicators)), MaxMergedItems)
+      },
+      therapeuticProgress: {
+        breakthroughs: distinct(progress.flatMap(part => asList(part.breakthroughs)), MaxMergedItems),
+        challenges: distinct(progress.flatMap(part => asList(part.challenges)), MaxMergedItems),
+        copingStrategies: distinct(progress.flatMap(part => asList(part.copingStrategies))),
+        // Later windows know best where the session ended up
+        recommendedFocus: distinct([...progress].reverse().flatMap(part => asList(part.recommendedFocus)), MaxMergedFocus)
+      },
+      continuityNotes: distinct(summaries.slice(-2).map(summary => summary.continuityNotes).filter(Boolean)).join(' ')
+    };
+  }
+
+  /**
+   * Every window's summary, or only their opening sentences when that would run too long
+   */
+  private mergeSessionSummaries(parts: string[]): string {
+    const summaries = parts.filter(part => typeof part === 'string' && part.trim()).map(part => part.trim());
+    const full = summaries.join(' ');
+    if (full.length <= MaxMergedSummaryLength) {
+      return full;
+    }
+    return distinct(summaries.map(summary => summary.split(/(?<=[.!?])\s+/)[0])).join(' ');
+  }
+
+  private mergeMoodProgression(first?: string, last?: string): string {
+    const strip = (text: string) => text.trim().replace(/[.!?]+$/, '');
+    if (!first || !last || normalizeKey(first) === normalizeKey(last)) {
+      return first || last || '';
+    }
+    return `Early in the session: ${strip(first)}. Later: ${strip(last)}.`;
+  }
+
+  private static toSegment(index: number, window: TranscriptWindow, summary: TranscriptSummary): SummarySegment {
+    return {
+      index,
+      firstTurn: window.firstTurn,
+      lastTurn: window.firstTurn + window.turns.length - 1,
+      startSeconds: window.turns[0].offsetSeconds,
+      endSeconds: window.turns[window.turns.length - 1].offsetSeconds,
+      summary: summary.sessionSummary,
+      keyTopics: asList(summary.keyTopics),
+      breakthroughs: asList(summary.therapeuticProgress?.breakthroughs)
+    };
+  }
+}
+
+/**
+ * The strings of a list a model returned, which may be missing or malformed
+ */
+function asList(value: unknown): string[] {
+  return Array.isArray(value) ? value.filter((item): item is string => typeof item === 'string' && item.trim().length > 0) : [];
+}
+
+/**
+ * Key two wordings of an item share: case, punctuation, separators and plurals removed
+ */
+function normalizeKey(item: string): string {
+  return item
+    .toLowerCase()
+    .replace(/[-_]+/g, ' ')
+    .replace(/[^a-z0-9' ]+/g, '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => (word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word))
+    .join(' ');
+}
+
+/**
+ * Items in order of first appearance, each under its first wording
+ */
+function distinct(items: string[], limit?: number): string[] {
+  const seen = new Set<string>();
+  const result: string[] = [];
+  for (const item of items) {
+    const key = normalizeKey(item);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    result.push(item.trim());
+  }
+  return limit === undefined ? result : result.slice(0, limit);
+}
+
+/**
+ * Items of the lists by how many lists have them, ties in order of first appearance
+ */
+function rankDistinct(lists: string[][], limit: number): string[] {
+  const counts = new Map<string, number>();
+  for (const list of lists) {
+    for (const key of new Set(list.map(normalizeKey))) {
+      counts.set(key, (counts.get(key) ?? 0) + 1);
+    }
+  }
+
+  // Array sort is stable, so ties keep their first-appearance order
+  return distinct(lists.flat())
+    .sort((a, b) => counts.get(normalizeKey(b))! - counts.get(normalizeKey(a))!)
+    .slice(0, limit);
+}
@@ -0,0 +1,251 @@
+/**
+ * Crisis detection service
+ * Scores USER transcripts for self-harm and suicide risk phrases, per session, and
+ * provides region-appropriate hotline resources and the safety instruction that is
+ * injected into the live stream when risk is high.
+ */
+
+export type CrisisSeverity = 'none' | 'low' | 'moderate' | 'high';
+
+export interface CrisisAssessment {
+  severity: CrisisSeverity;
+  score: number; // Current message plus decayed score of recent messages
+  categories: string[]; // Matched risk categories, never the user's words
+  escalate: boolean; // True when this assessment should trigger the crisis response
+}
+
+export interface CrisisResource {
+  name: string;
+  contact: string;
+  description: string;
+  url?: string;
+}
+
+export interface CrisisRegionResources {
+  region: string;
+  emergencyNumber: string;
+  resources: CrisisResource[];
+}
+
+interface RiskPattern {
+  category: string;
+  weight: number;
+  pattern: RegExp;
+}
+
+interface SessionRiskState {
+  recentScore: number;
+  lastEscalationAt?: number;
+}
+
+export interface CrisisDetectorConfig {
+  thresholds: { low: number; moderate: number; high: number };
+  decay: number; // Share of the previous score carried into the next message
+  escalationCooldownMs: number; // Minimum time between escalations in a session
+}
+
+export const DefaultCrisisDetectorConfig: CrisisDetectorConfig = {
+  thresholds: { low: 2, moderate: 5, high: 10 },
+  decay: 0.5,
+  escalationCooldownMs: 2 * 60 * 1000
+};
+
+const RiskPatterns: RiskPattern[] = [
+  // Explicit suicidal intent
+  { category: 'suicidal-intent', weight: 10, pattern: /\b(kill(ing)? myself|end(ing)? (it all|my life)|take my (own )?life|commit suicide)\b/ },
+  { category: 'suicidal-intent', weight: 10, pattern: /\b(suicidal|suicide)\b/ },
+  { category: 'wish-to-die', weight: 10, pattern: /\b(want(ed)? to die|wish (i|that i) (was|were) dead|better off dead|don'?t want to (be alive|live|wake up))\b/ },
+  { category: 'suicide-plan', weight: 10, pattern: /\b(overdose|pills to end|jump off|hang myself|wrote a (suicide )?note|said my goodbyes)\b/ },
+  // Self-harm
+  { category: 'self-harm', weight: 8, pattern: /\b(hurt(ing)? myself|harm(ing)? myself|cut(ting)? myself|self[- ]harm(ing)?|burn(ing)? myself)\b/ },
+  // Hopelessness and entrapment
+  { category: 'hopelessness', weight: 5, pattern: /\b(no reason to (live|go on)|can'?t go on|no way out|no point (in )?(living|anything)|nothing to live for)\b/ },
+  { category: 'burdensomeness', weight: 4, pattern: /\b(everyone would be better off without me|nobody would (miss|care)|i'?m a burden)\b/ },
+  { category: 'distress', weight: 2, pattern: /\b(hopeless|worthless|can'?t take (it|this) anymore|give up on everything)\b/ }
+];
+
+// Negations shortly before a phrase in the same clause ("I would never hurt myself") cancel it
+const NegationPattern = /\b(not|never|no|don'?t|won'?t|wouldn'?t|isn'?t|am not|i'?m not)\b(\s+\S+){0,2}\s*$/;
+const ClauseBoundaryPattern = /[.!?,;\n]/;
+
+const EmergencyFallback: CrisisRegionResources = {
+  region: 'INTL',
+  emergencyNumber: 'your local emergency number',
+  resources: [
+    {
+      name: 'Find A Helpline',
+      contact: 'findahelpline.com',
+      description: 'Free, confidential crisis lines in your country',
+      url: 'https://findahelpline.com'
+    }
+  ]
+};
+
+export const CrisisResourcesByRegion: Record<string, CrisisRegionResources> = {
+  US: {
+    region: 'US',
+    emergencyNumber: '911',
+    resources: [
+      { name: '988 Suicide & Crisis Lifeline', contact: 'Call or text 988', description: '24/7 free and confidential support', url: 'https://988lifeline.org' },
+      { name: 'Crisis Text Line', contact: 'Text HOME to 741741', description: '24/7 crisis support by text', url: 'https://www.crisistextline.org' }
+    ]
+  },
+  CA: {
+    region: 'CA',
+    emergencyNumber: '911',
+    resources: [
+      { name: '9-8-8 Suicide Crisis Helpline', contact: 'Call or text 988', description: '24/7 support in English and French', url: 'https://988.ca' }
+    ]
+  },
+  GB: {
+    region: 'GB',
+    emergencyNumber: '999',
+    resources: [
+      { name: 'Samaritans', contact: 'Call 116 123', description: '24/7 free and confidential support', url: 'https://www.samaritans.org' },
+      { name: 'Shout', contact: 'Text SHOUT to 85258', description: '24/7 crisis support by text', url: 'https://giveusashout.org' }
+    ]
+  },
+  IE: {
+    region: 'IE',
+    emergencyNumber: '112 or 999',
+    resources: [
+      { name: 'Samaritans', contact: 'Call 116 123', description: '24/7 free and confidential support', url: 'https://www.samaritans.org' },
+      { name: '50808', contact: 'Text HELLO to 50808', description: '24/7 crisis support by text', url: 'https://text50808.ie' }
+    ]
+  },
+  AU: {
+    region: 'AU',
+    emergencyNumber: '000',
+    resources: [
+      { name: 'Lifeline', contact: 'Call 13 11 14 or text 0477 13 11 14', description: '24/7 crisis support', url: 'https://www.lifeline.org.au' }
+    ]
+  },
+  NZ: {
+    region: 'NZ',
+    emergencyNumber: '111',
+    resources: [
+      { name: '1737', contact: 'Call or text 1737', description: '24/7 support from a trained counsellor', url: 'https://1737.org.nz' },
+      { name: 'Lifeline Aotearoa', contact: 'Call 0800 543 354', description: '24/7 crisis support', url: 'https://www.lifeline.org.nz' }
+    ]
+  },
+  IN: {
+    region: 'IN',
+    emergencyNumber: '112',
+    resources: [
+      { name: 'Tele-MANAS', contact: 'Call 14416', description: '24/7 mental health support', url: 'https://telemanas.mohfw.gov.in' }
+    ]
+  }
+};
+
+/**
+ * Derive a region from an Accept-Language header, e.g. "en-GB,en;q=0.9" -> "GB"
+ */
+export function regionFromAcceptLanguage(header?: string): string | undefined {
+  if (!header) return undefined;
+
+  for (const part of header.split(',')) {
+    const match = part.trim().match(/^[a-z]{2,3}-([a-z]{2})\b/i);
+    if (match) {
+      return match[1].toUpperCase();
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Hotline resources for a region, falling back to international resources
+ */
+export function getCrisisResources(region?: string): CrisisRegionResources {
+  return (region && CrisisResourcesByRegion[region.toUpperCase()]) || EmergencyFallback;
+}
+
+/**
+ * Instruction injected into the live stream when high risk is detected
+ */
+export function buildSafetyInstruction(resources: CrisisRegionResources): string {
+  const primary = resources.resources[0];
+  return 'SAFETY PROTOCOL: The user may be at risk of suicide or self-harm. ' +
+    'Set aside the current topic. Respond warmly and without judgment, say that you are concerned for their safety, ' +
+    'and ask directly whether they are safe right now. ' +
+    `Encourage them to contact ${primary.name} (${primary.contact}) or emergency services (${resources.emergencyNumber}) now, ` +
+    'and to reach out to someone they trust. Remind them gently that you are not a replacement for professional help. ' +
+    'Do not ask for details of any plan or method.';
+}
+
+export class CrisisDetector {
+  private config: CrisisDetectorConfig;
+  private sessions: Map<string, SessionRiskState> = new Map();
+
+  constructor(config: Partial<CrisisDetectorConfig> = {}) {
+    this.config = { ...DefaultCrisisDetectorConfig, ...config };
+  }
+
+  /**
+   * Score one USER message in the context of the session's recent messages
+   */
+  analyze(sessionId: string, text: string): CrisisAssessment {
+    const { score: messageScore, categories } = this.scoreText(text);
+
+    const state = this.sessions.get(sessionId) ?? { recentScore: 0 };
+    const score = messageScore + state.recentScore * this.config.decay;
+    state.recentScore = score;
+    this.sessions.set(sessionId, state);
+
+    const severity = this.toSeverity(score);
+
+    // Only escalate on a message that itself carries risk, and not repeatedly
+    const now = Date.now();
+    const cooledDown = !state.lastEscalationAt || now - state.lastEscalationAt >= this.config.escalationCooldownMs;
+    const escalate = severity === 'high' && messageScore > 0 && cooledDown;
+    if (escalate) {
+      state.lastEscalationAt = now;
+    }
+
+    return { severity, score, categories, escalate };
+  }
+
+  endSession(sessionId: string): void {
+    this.sessions.delete(sessionId);
+  }
+
+  private scoreText(text: string): { score: number; categories: string[] } {
+    const normalized = (text || '').toLowerCase().replace(/[’‘]/g, "'");
+    const categories = new Set<string>();
+    let score = 0;
+
+    for (const { category, weight, pattern } of RiskPatterns) {
+      // A negated mention must not hide a later one ("I'd never hurt myself... but I am suicidal")
+      const matches = normalized.matchAll(new RegExp(pattern.source, pattern.flags + 'g'));
+      const affirmed = Array.from(matches).some(match => !this.isNegated(normalized, match.index ?? 0));
+      if (!affirmed) continue;
+
+      if (!categories.has(category)) {
+        categories.add(category);
+        score += weight;
+      }
+    }
+
+    return { score, categories: Array.from(categories) };
+  }
+
+  /**
+   * Whether a negation shortly before the phrase at index, and in its clause, cancels it.
+   * "It's not fine. I'm suicidal" must still count.
+   */
+  private isNegated(text: string, index: number): boolean {
+    const preceding = text.slice(Math.max(0, index - 30), index);
+    const clause = preceding.split(ClauseBoundaryPattern).pop() ?? '';
+    return NegationPattern.test(clause);
+  }
+
+  private toSeverity(score: number): CrisisSeverity {
+    const { thresholds } = this.config;
+    if (score >= thresholds.high) return 'high';
+    if (score >= thresholds.moderate) return 'moderate';
+    if (score >= thresholds.low) return 'low';
+    return 'none';
+  }
+}
+
+// Export singleton instance
+export const crisisDetector = new CrisisDetector();
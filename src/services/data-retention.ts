@@ -0,0 +1,94 @@
+/**
+ * Data retention service
+ * Resolves a user's retention policy from their settings and runs the retention sweep,
+ * which removes expired data classes from session and weekly progress records and deletes
+ * expired records on storage without TTL (see database/retention for the policy itself).
+ * File storage compacts its files as data is removed, so nothing swept stays on disk.
+ */
+
+import {
+  auditLog,
+  progressRepository,
+  sessionsRepository,
+  settingsRepository,
+  ProgressRepository,
+  RetentionPolicy,
+  SessionsRepository
+} from '../database';
+import { resolveRetentionPolicy } from '../database/retention';
+
+const DefaultSweepIntervalMinutes = 60;
+
+/**
+ * The retention policy sessions of a user are kept under; the deployment default if their
+ * settings cannot be read
+ */
+export async function getUserRetentionPolicy(userId: string): Promise<RetentionPolicy> {
+  try {
+    const settings = await settingsRepository.getSettings(userId);
+    return resolveRetentionPolicy(settings?.retention);
+  } catch (error) {
+    console.error('Error loading retention settings, using the deployment default:', error);
+    return resolveRetentionPolicy();
+  }
+}
+
+export class RetentionSweeper {
+  private timer: NodeJS.Timeout | null = null;
+  private sweeping = false;
+
+  constructor(
+    private sessions: SessionsRepository = sessionsRepository,
+    private progress: ProgressRepository = progressRepository
+  ) {}
+
+  /**
+   * Sweep now and then every interval, unless RETENTION_SWEEP=false. Storage with TTL needs
+   * the sweep too: TTL deletes a record only once every data class in it has expired, so
+   * an expired class in a record that is otherwise kept is removed only by the sweep.
+   */
+  start(intervalMinutes: number = Number(process.env.RETENTION_SWEEP_INTERVAL_MINUTES) || DefaultSweepIntervalMinutes): void {
+    if (this.timer) return;
+    if (process.env.RETENTION_SWEEP === 'false') {
+      console.warn('⚠️ RETENTION_SWEEP=false; expired data is hidden but stays stored until its whole record expires');
+      return;
+    }
+
+    console.log(`🧹 Retention sweep every ${intervalMinutes} minutes`);
+    this.timer = setInterval(() => this.sweep(), intervalMinutes * 60 * 1000);
+    this.timer.unref(); // Never keeps the process alive on its own
+    void this.sweep();
+  }
+
+  stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async sweep(): Promise<void> {
+    if (this.sweeping) return;
+    this.sweeping = true;
+
+    try {
+      const [sessions, weeks] = await auditLog.withAccess(
+        { actor: 'system:retention', purpose: 'retention' },
+        async () => [await this.sessions.purgeExpiredData(), await this.progress.purgeExpiredData()] as const
+      );
+      if (sessions.deletedSessions > 0 || sessions.strippedSessions > 0) {
+        console.log(`🧹 Retention sweep deleted ${sessions.deletedSessions} expired sessions and removed expired data from ${sessions.strippedSessions}`);
+      }
+      if (weeks.deletedWeeks > 0 || weeks.strippedWeeks > 0) {
+        console.log(`🧹 Retention sweep deleted ${weeks.deletedWeeks} expired weekly progress records and removed expired data from ${weeks.strippedWeeks}`);
+      }
+    } catch (error) {
+      console.error('Error sweeping expired data:', error);
+    } finally {
+      this.sweeping = false;
+    }
+  }
+}
+
+// Export singleton instance
+export const retentionSweeper = new RetentionSweeper();
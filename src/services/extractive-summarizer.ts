@@ -0,0 +1,411 @@
+/**
+ * Extractive transcript summarizer
+ * Summarizes a session on this server, without a model: the summary quotes the user's most
+ * representative sentences, scored by how often their words recur in what the user said,
+ * and topics, emotions, stress indicators, coping strategies, breakthroughs and challenges
+ * are matched against the lexicons below. Serves air-gapped deployments
+ * (SUMMARIZER_BACKEND=local) and stands in when another summarizer fails.
+ */
+
+import type { TranscriptSummarizer, TranscriptSummary } from './summarizer';
+import { parseTranscriptTurns, TranscriptSpeaker, TranscriptTurn } from './transcript-turns';
+
+interface TranscriptSentence {
+  speaker: TranscriptSpeaker;
+  text: string;
+  terms: string[]; // Normalized content words
+  position: number; // Order in the transcript
+}
+
+interface LexiconEntry {
+  label: string;
+  pattern: RegExp;
+}
+
+interface EmotionEntry extends LexiconEntry {
+  valence: 1 | -1;
+}
+
+const TopicLexicon: LexiconEntry[] = [
+  { label: 'work', pattern: /\b(work|job|boss|manager|co-?workers?|colleagues?|office|career|promotion|fired|laid off)\b/ },
+  { label: 'school', pattern: /\b(school|class(es)?|exams?|homework|college|university|teachers?|grades?|studying)\b/ },
+  { label: 'family', pattern: /\b(family|mom|mum|mother|dad|father|parents?|brother|sister|siblings?|kids|children|son|daughter)\b/ },
+  { label: 'relationships', pattern: /\b(partner|boyfriend|girlfriend|husband|wife|relationship|dating|break ?up|broke up|divorce|marriage)\b/ },
+  { label: 'friendships', pattern: /\b(friends?|friendships?)\b/ },
+  { label: 'sleep', pattern: /\b(sleep(ing)?|insomnia|nightmares?|can'?t fall asleep|bed ?time)\b/ },
+  { label: 'health', pattern: /\b(health|sick|illness|chronic|pain|doctor|diagnos(is|ed)|medication|hospital)\b/ },
+  { label: 'money', pattern: /\b(money|bills?|rent|debt|finances?|financial(ly)?|afford)\b/ },
+  { label: 'loneliness', pattern: /\b(lonely|loneliness|isolated|no one to talk to)\b/ },
+  { label: 'grief', pattern: /\b(grie(f|ving)|passed away|died|funeral|lost (my|our))\b/ },
+  { label: 'self-esteem', pattern: /\b(self[- ]esteem|self[- ]worth|confidence|not good enough|failure|hate myself)\b/ },
+  { label: 'anxiety', pattern: /\b(anxiety|panic attacks?|overthinking|worry(ing)? (about|that))\b/ }
+];
+
+const EmotionLexicon: EmotionEntry[] = [
+  { label: 'anxious', valence: -1, pattern: /\b(anxious|anxiety|worried|nervous|panick(ed|ing|y)|on edge|scared|afraid)\b/ },
+  { label: 'stressed', valence: -1, pattern: /\b(stress(ed|ful)?|overwhelm(ed|ing)|under pressure)\b/ },
+  { label: 'sad', valence: -1, pattern: /\b(sad|depressed|(feel(ing)?|been|so) down|upset|crying|cried|heartbroken|hopeless)\b/ },
+  { label: 'angry', valence: -1, pattern: /\b(angry|mad|frustrat(ed|ing)|irritated|annoyed|furious|resent(ful)?)\b/ },
+  { label: 'lonely', valence: -1, pattern: /\b(lonely|alone|isolated|left out)\b/ },
+  { label: 'tired', valence: -1, pattern: /\b(tired|exhausted|drained|burn(ed|t) out|worn out)\b/ },
+  { label: 'happy', valence: 1, pattern: /\b(happy|glad|joy(ful)?|excited|cheerful|good day)\b/ },
+  { label: 'calm', valence: 1, pattern: /\b(calm(er)?|peaceful|relaxed|at ease|lighter)\b/ },
+  { label: 'hopeful', valence: 1, pattern: /\b(hopeful|optimistic|looking forward|better|motivated)\b/ },
+  { label: 'grateful', valence: 1, pattern: /\b(grateful|thankful|appreciate)\b/ }
+];
+
+const StressLexicon: LexiconEntry[] = [
+  { label: 'sleep difficulties', pattern: /\b(can'?t sleep|trouble sleeping|insomnia|up all night|wak(e|ing) up (at night|in the night)|nightmares?)\b/ },
+  { label: 'feeling overwhelmed', pattern: /\b(overwhelm(ed|ing)|too much to handle|can'?t cope|can'?t handle)\b/ },
+  { label: 'racing thoughts', pattern: /\b(racing thoughts|overthinking|can'?t stop thinking|mind (won'?t|doesn'?t) stop)\b/ },
+  { label: 'physical tension', pattern: /\b(tense|tension|headaches?|chest (is |feels )?tight|heart (is )?(racing|pounding)|shaking)\b/ },
+  { label: 'exhaustion', pattern: /\b(exhausted|burn(ed|t) out|drained|no energy)\b/ },
+  { label: 'panic', pattern: /\b(panic attacks?|panick(ed|ing))\b/ },
+  { label: 'time pressure', pattern: /\b(deadlines?|running out of time|behind on|no time)\b/ },
+  { label: 'withdrawal', pattern: /\b(avoid(ing)? (people|everyone)|stay(ed|ing)? in bed|cancel(l)?ed (my )?plans|isolating)\b/ }
+];
+
+const CopingLexicon: LexiconEntry[] = [
+  { label: 'deep breathing', pattern: /\b(breath(e|ing)|breaths)\b/ },
+  { label: 'grounding', pattern: /\b(grounding|5-4-3-2-1|five things you can see)\b/ },
+  { label: 'mindfulness', pattern: /\b(mindful(ness)?|meditat(e|ion|ing))\b/ },
+  { label: 'physical activity', pattern: /\b((went|go|going) for (a )?(walk|run)s?|walking|exercis(e|ing)|running|the gym|yoga|stretch(es|ing))\b/ },
+  { label: 'journaling', pattern: /\b(journal(ing)?|writ(e|ing) (it|things|them|my thoughts) down)\b/ },
+  { label: 'reaching out', pattern: /\b(talk(ed|ing)? to (a |my )?(friend|family|partner|someone|mom|mum|dad|sister|brother)|reach(ed|ing)? out)\b/ },
+  { label: 'music', pattern: /\b(music|songs?|playlist)\b/ },
+  { label: 'sleep routine', pattern: /\b(sleep (routine|schedule)|bedtime routine|(go|going) to bed earlier)\b/ },
+  { label: 'taking breaks', pattern: /\b(tak(e|ing) (a )?breaks?|step(ping)? away)\b/ },
+  { label: 'reframing thoughts', pattern: /\b(reframe|reframing|challenge (the|that|those) thoughts?|look at it differently)\b/ },
+  { label: 'setting boundaries', pattern: /\b(boundar(y|ies)|say(ing)? no)\b/ },
+  { label: 'professional support', pattern: /\b(therapist|counsell?or|psychologist)\b/ }
+];
+
+const BreakthroughPattern = /\b(i (just )?realiz(e|ed)|i see now|now i (see|understand)|(that )?makes sense|that help(s|ed)|i feel (a (little|bit) )?(better|lighter|calmer|relieved)|i never thought (of|about) it|i('m| am) going to try|i('ll| will) try|i can do that|good idea)\b/;
+const ChallengePattern = /\b(i can'?t|i don'?t know (how|what)|(it'?s|it is|that'?s|that is) (really |so )?(hard|difficult)|i('m| am)? struggl(e|ing)|i keep|i feel stuck|nothing (works|helps)|i tried\b.*\bbut)\b/;
+
+// Negations shortly before a phrase in the same clause ("I'm not anxious anymore") cancel it
+const NegationPattern = /\b(not|never|no|don'?t|didn'?t|isn'?t|wasn'?t|am not|i'?m not)\b(\s+\S+){0,2}\s*$/;
+const ClauseBreakPattern = /[,;:]|\b(?:but|just|and)\b/;
+
+// Supportive phrasing of the assistant that says nothing about the session itself
+const BoilerplatePattern = /\b(first session|safe space|non-judgmental|here to (listen|help)|want you to know)\b/;
+
+const StopWords = new Set([
+  'about', 'after', 'again', 'also', 'always', 'and', 'any', 'are', 'because', 'been', 'before', 'being', 'but',
+  'can', 'cant', 'could', 'did', 'does', 'doing', 'dont', 'each', 'even', 'every', 'feel', 'feeling', 'feels',
+  'for', 'from', 'get', 'getting', 'going', 'got', 'had', 'has', 'have', 'having', 'her', 'here', 'him', 'his',
+  'how', 'into', 'its', 'just', 'know', 'like', 'lot', 'make', 'makes', 'maybe', 'more', 'much', 'not', 'now',
+  'one', 'only', 'other', 'our', 'out', 'over', 'really', 'right', 'said', 'same', 'say', 'she', 'should',
+  'some', 'something', 'still', 'such', 'sure', 'than', 'that', 'the', 'their', 'them', 'then', 'there',
+  'these', 'they', 'thing', 'things', 'think', 'this', 'those', 'through', 'time', 'too', 'very', 'want',
+  'was', 'way', 'well', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'why', 'will', 'with',
+  'would', 'yeah', 'yes', 'you', 'your', 'youre', 'ive', 'im', 'thats', 'okay', 'kind', 'bit', 'sometimes'
+]);
+
+const MinSentenceWords = 5;
+const MaxSummarySentences = 2;
+const MaxQuoteLength = 160;
+const MaxTopics = 5;
+const MaxListItems = 3;
+
+export class ExtractiveSummarizer implements TranscriptSummarizer {
+  readonly name = 'local';
+
+  async summarize(transcript: string): Promise<TranscriptSummary> {
+    const sentences = this.splitSentences(parseTranscriptTurns(transcript ?? ''));
+    const userSentences = sentences.filter(sentence => sentence.speaker === 'user');
+    const assistantSentences = sentences.filter(sentence => sentence.speaker === 'assistant');
+
+    if (userSentences.length === 0) {
+      return this.emptySummary(sentences.length > 0);
+    }
+
+    const keyTopics = this.findTopics(userSentences);
+    const dominantEmotions = this.rankMatches(userSentences, EmotionLexicon).slice(0, MaxListItems);
+    const stressIndicators = this.rankMatches(userSentences, StressLexicon);
+
+    // Strategies the user brought up come first, then those only suggested to them
+    const userStrategies = this.rankMatches(userSentences, CopingLexicon, false);
+    const suggestedStrategies = this.rankMatches(assistantSentences, CopingLexicon, false)
+      .filter(strategy => !userStrategies.includes(strategy));
+    const copingStrategies = [...userStrategies, ...suggestedStrategies];
+
+    const breakthroughs = this.quoteMatching(userSentences, BreakthroughPattern);
+    const challenges = this.quoteMatching(userSentences, ChallengePattern);
+
+    return {
+      sessionSummary: this.buildSessionSummary(userSentences, keyTopics, dominantEmotions),
+      keyTopics,
+      emotionalInsights: {
+        dominantEmotions: dominantEmotions.length > 0 ? dominantEmotions : ['neutral'],
+        moodProgression: this.describeMoodProgression(userSentences),
+        stressIndicators
+      },
+      therapeuticProgress: {
+        breakthroughs,
+        challenges,
+        copingStrategies,
+        recommendedFocus: this.recommendFocus(keyTopics, stressIndicators, userStrategies, suggestedStrategies)
+      },
+      continuityNotes: this.buildContinuityNotes(userSentences, keyTopics, challenges, breakthroughs, copingStrategies)
+    };
+  }
+
+  private splitSentences(turns: TranscriptTurn[]): TranscriptSentence[] {
+    const sentences: TranscriptSentence[] = [];
+
+    for (const turn of turns) {
+      for (const part of turn.text.split(/(?<=[.!?])\s+/)) {
+        const text = part.trim();
+        if (!text) continue;
+        if (turn.speaker === 'assistant' && BoilerplatePattern.test(text.toLowerCase())) continue;
+
+        sentences.push({ speaker: turn.speaker, text, terms: this.toTerms(text), position: sentences.length });
+      }
+    }
+
+    return sentences;
+  }
+
+  /**
+   * Content words of a sentence, lowercased and with plural and possessive endings removed
+   */
+  private toTerms(text: string): string[] {
+    return (text.toLowerCase().match(/[a-z][a-z']*/g) ?? [])
+      .map(word => word.replace(/'s$/, '').replace(/'/g, ''))
+      .filter(word => word.length > 2 && !StopWords.has(word))
+      .map(word => (word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+  }
+
+  /**
+   * Lexicon topics by how often they came up, topped up with the user's most repeated words
+   */
+  private findTopics(userSentences: TranscriptSentence[]): string[] {
+    const topics = this.rankMatches(userSentences, TopicLexicon, false);
+    if (topics.length >= MaxListItems) {
+      return topics.slice(0, MaxTopics);
+    }
+
+    const frequencies = this.termFrequencies(userSentences);
+    const repeated = [...frequencies.entries()]
+      .filter(([term, count]) => count > 1 && !topics.includes(term))
+      .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+      .map(([term]) => term);
+
+    return [...topics, ...repeated].slice(0, MaxListItems);
+  }
+
+  /**
+   * Labels of the lexicon entries found in the sentences, most frequent first. Entries are
+   * skipped where a negation comes shortly before them unless negations are ignored.
+   */
+  private rankMatches(sentences: TranscriptSentence[], lexicon: LexiconEntry[], skipNegated: boolean = true): string[] {
+    const counts = new Map<string, number>();
+
+    for (const sentence of sentences) {
+      const lower = sentence.text.toLowerCase();
+      for (const entry of lexicon) {
+        const match = entry.pattern.exec(lower);
+        if (!match) continue;
+        if (skipNegated && this.isNegated(lower, match.index)) continue;
+
+        counts.set(entry.label, (counts.get(entry.label) ?? 0) + 1);
+      }
+    }
+
+    // Ties keep lexicon order, so results are stable
+    return lexicon
+      .map(entry => entry.label)
+      .filter(label => counts.has(label))
+      .sort((a, b) => counts.get(b)! - counts.get(a)!);
+  }
+
+  private isNegated(lower: string, index: number): boolean {
+    const clause = lower.slice(0, index).split(ClauseBreakPattern).pop() ?? '';
+    return NegationPattern.test(clause);
+  }
+
+  private termFrequencies(sentences: TranscriptSentence[]): Map<string, number> {
+    const frequencies = new Map<string, number>();
+    for (const sentence of sentences) {
+      for (const term of sentence.terms) {
+        frequencies.set(term, (frequencies.get(term) ?? 0) + 1);
+      }
+    }
+    return frequencies;
+  }
+
+  /**
+   * The user's sentences whose words recur most in what they said, in transcript order
+   */
+  private selectKeySentences(userSentences: TranscriptSentence[], count: number): TranscriptSentence[] {
+    const frequencies = this.termFrequencies(userSentences);
+    const candidates = userSentences.filter(sentence => sentence.text.split(/\s+/).length >= MinSentenceWords);
+    const pool = candidates.length > 0 ? candidates : userSentences;
+
+    const scored = pool
+      .map(sentence => {
+        const unique = [...new Set(sentence.terms)];
+        const weight = unique.reduce((sum, term) => sum + (frequencies.get(term) ?? 0), 0);
+        const lexiconHits = [...TopicLexicon, ...EmotionLexicon, ...StressLexicon]
+          .filter(entry => entry.pattern.test(sentence.text.toLowerCase())).length;
+        return { sentence, score: weight / Math.sqrt(Math.max(unique.length, 4)) + lexiconHits };
+      })
+      .sort((a, b) => b.score - a.score || a.sentence.position - b.sentence.position);
+
+    const selected: TranscriptSentence[] = [];
+    for (const { sentence } of scored) {
+      if (selected.length >= count) break;
+      if (selected.some(other => this.overlap(other.terms, sentence.terms) > 0.6)) continue;
+      selected.push(sentence);
+    }
+
+    return selected.sort((a, b) => a.position - b.position);
+  }
+
+  /**
+   * Share of the smaller sentence's words that the other sentence also has
+   */
+  private overlap(a: string[], b: string[]): number {
+    const setA = new Set(a);
+    const setB = new Set(b);
+    const shared = [...setA].filter(term => setB.has(term)).length;
+    return shared / Math.max(1, Math.min(setA.size, setB.size));
+  }
+
+  private quoteMatching(sentences: TranscriptSentence[], pattern: RegExp): string[] {
+    const quotes = sentences
+      .filter(sentence => pattern.test(sentence.text.toLowerCase()))
+      .map(sentence => this.quote(sentence.text));
+    return [...new Set(quotes)].slice(0, MaxListItems);
+  }
+
+  private quote(text: string): string {
+    if (text.length <= MaxQuoteLength) {
+      return text;
+    }
+    const cut = text.slice(0, MaxQuoteLength);
+    return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : MaxQuoteLength)}...`;
+  }
+
+  private buildSessionSummary(userSentences: TranscriptSentence[], keyTopics: string[], emotions: string[]): string {
+    let summary = keyTopics.length > 0
+      ? `Talked about ${this.joinList(keyTopics.slice(0, MaxListItems))}`
+      : 'Talked through what was on their mind';
+    if (emotions.length > 0) {
+      summary += `, feeling mostly ${this.joinList(emotions.slice(0, 2))}`;
+    }
+    summary += '.';
+
+    const keySentences = this.selectKeySentences(userSentences, MaxSummarySentences);
+    if (keySentences.length > 0) {
+      summary += ` In their words: ${keySentences.map(sentence => `"${this.quote(sentence.text)}"`).join(' ')}`;
+    }
+    return summary;
+  }
+
+  /**
+   * Compare the emotional tone of the first and second half of what the user said
+   */
+  private describeMoodProgression(userSentences: TranscriptSentence[]): string {
+    if (userSentences.length < 2) {
+      return 'Too little was said to tell how mood changed';
+    }
+
+    const middle = Math.ceil(userSentences.length / 2);
+    const firstHalf = this.tone(userSentences.slice(0, middle));
+    const secondHalf = this.tone(userSentences.slice(middle));
+    const change = secondHalf - firstHalf;
+
+    if (change > 0.15) return 'Mood appeared to lift over the session, with more positive language toward the end';
+    if (change < -0.15) return 'Mood appeared to get heavier over the session, with more distressed language toward the end';
+    if (firstHalf + secondHalf < 0) return 'Distress stayed fairly steady throughout the session';
+    if (firstHalf + secondHalf > 0) return 'Mood stayed fairly positive throughout the session';
+    return 'Mood stayed fairly steady throughout the session';
+  }
+
+  /**
+   * Positive minus negative emotion matches, per sentence
+   */
+  private tone(sentences: TranscriptSentence[]): number {
+    let total = 0;
+    for (const sentence of sentences) {
+      const lower = sentence.text.toLowerCase();
+      for (const entry of EmotionLexicon) {
+        const match = entry.pattern.exec(lower);
+        if (match && !this.isNegated(lower, match.index)) {
+          total += entry.valence;
+        }
+      }
+    }
+    return total / sentences.length;
+  }
+
+  private recommendFocus(keyTopics: string[], stressIndicators: string[], userStrategies: string[], suggestedStrategies: string[]): string[] {
+    const focus = [
+      ...keyTopics.slice(0, 2).map(topic => `Follow up on ${topic}`),
+      ...suggestedStrategies.slice(0, 1).map(strategy => `Practice ${strategy}`),
+      ...userStrategies.slice(0, 1).map(strategy => `Keep up ${strategy}`),
+      ...stressIndicators.slice(0, 1).map(indicator => `Ease ${indicator}`)
+    ];
+    return focus.length > 0 ? focus.slice(0, MaxListItems) : ['Continued support'];
+  }
+
+  private buildContinuityNotes(
+    userSentences: TranscriptSentence[],
+    keyTopics: string[],
+    challenges: string[],
+    breakthroughs: string[],
+    copingStrategies: string[]
+  ): string {
+    const notes: string[] = [];
+    if (keyTopics.length > 0) {
+      notes.push(`Last session covered ${this.joinList(keyTopics.slice(0, MaxListItems))}.`);
+    }
+    if (challenges.length > 0) {
+      notes.push(`Still hard for them: "${challenges[0]}"`);
+    }
+    if (breakthroughs.length > 0) {
+      notes.push(`Progress to build on: "${breakthroughs[0]}"`);
+    }
+    if (copingStrategies.length > 0) {
+      notes.push(`Coping strategies discussed: ${this.joinList(copingStrategies.slice(0, MaxListItems))}.`);
+    }
+
+    // How the user left the session, if it says more than a goodbye
+    const closing = [...userSentences].reverse().find(sentence => sentence.text.split(/\s+/).length >= MinSentenceWords);
+    if (closing && !challenges.includes(this.quote(closing.text)) && !breakthroughs.includes(this.quote(closing.text))) {
+      notes.push(`They ended with: "${this.quote(closing.text)}"`);
+    }
+
+    return notes.length > 0 ? notes.join(' ') : 'Continue therapeutic support in next session';
+  }
+
+  private emptySummary(hadConversation: boolean): TranscriptSummary {
+    return {
+      sessionSummary: hadConversation
+        ? 'Session completed; the user said little that could be summarized.'
+        : 'Session completed with no recorded conversation.',
+      keyTopics: [],
+      emotionalInsights: {
+        dominantEmotions: ['neutral'],
+        moodProgression: 'Too little was said to tell how mood changed',
+        stressIndicators: []
+      },
+      therapeuticProgress: {
+        breakthroughs: [],
+        challenges: [],
+        copingStrategies: [],
+        recommendedFocus: ['Continued support']
+      },
+      continuityNotes: 'Continue therapeutic support in next session'
+    };
+  }
+
+  private joinList(items: string[]): string {
+    return items.length <= 1 ? items.join('') : `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+  }
+}
+
+// Export singleton instance
+export const extractiveSummarizer = new ExtractiveSummarizer();
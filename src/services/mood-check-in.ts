@@ -0,0 +1,71 @@
+/**
+ * Mood check-in
+ * Users rate mood, stress and anxiety from 1 to 10 before and after a session, or skip.
+ * Answers are validated field by field; skipped or invalid answers are left out of the
+ * stored EmotionalState instead of being replaced with made-up values.
+ */
+
+import { EmotionalState } from '../database/models';
+import { JsonSchema, validateAgainstSchema } from '../tools';
+
+export interface MoodCheckIn {
+  mood?: number;
+  stress?: number;
+  anxiety?: number;
+}
+
+const RatingSchema: JsonSchema = {
+  type: 'integer',
+  minimum: 1,
+  maximum: 10
+};
+
+const CheckInFields: Array<keyof MoodCheckIn> = ['mood', 'stress', 'anxiety'];
+
+/**
+ * Keep the answered, valid ratings of a client check-in; anything else counts as skipped
+ */
+export function sanitizeMoodCheckIn(checkIn: unknown): MoodCheckIn {
+  const answers: MoodCheckIn = {};
+  if (!checkIn || typeof checkIn !== 'object' || Array.isArray(checkIn)) {
+    return answers;
+  }
+
+  for (const field of CheckInFields) {
+    const value = (checkIn as Record<string, unknown>)[field];
+    if (value === undefined || value === null) continue;
+
+    const errors = validateAgainstSchema(value, RatingSchema, field);
+    if (errors.length > 0) {
+      console.warn('⚠️ Ignoring invalid check-in answer:', errors.join('; '));
+      continue;
+    }
+    answers[field] = value as number;
+  }
+
+  return answers;
+}
+
+/**
+ * Emotional state recorded when a session starts
+ */
+export function toInitialEmotionalState(checkIn: MoodCheckIn): EmotionalState {
+  return {
+    initialMood: checkIn.mood,
+    stressLevel: checkIn.stress,
+    anxietyLevel: checkIn.anxiety,
+    dominantEmotions: []
+  };
+}
+
+/**
+ * Add the post-session answers to the state recorded at the start
+ */
+export function withFinalCheckIn(initial: EmotionalState | undefined, checkIn: MoodCheckIn): EmotionalState {
+  return {
+    ...(initial ?? { dominantEmotions: [] }),
+    finalMood: checkIn.mood,
+    finalStressLevel: checkIn.stress,
+    finalAnxietyLevel: checkIn.anxiety
+  };
+}
@@ -0,0 +1,136 @@
+/**
+ * Weekly progress aggregation
+ * Rolls a user's completed sessions into one WeeklyProgress record per week (weeks start
+ * on Monday, UTC). The week is rebuilt from its sessions every time one completes, so the
+ * record stays correct if a completion is retried.
+ */
+
+import { progressRepository, sessionsRepository, Session, WeeklyProgress } from '../database';
+import { getUserRetentionPolicy } from './data-retention';
+
+const DayMs = 24 * 60 * 60 * 1000;
+const WeekMs = 7 * DayMs;
+
+// Sessions read per rebuild; enough to cover the current week and a streak back to it
+const SessionHistoryLimit = 100;
+
+/**
+ * The Monday (UTC) of the week containing a date, as YYYY-MM-DD
+ */
+export function getWeekStartDate(date: Date | string): string {
+  const day = new Date(date);
+  const daysSinceMonday = (day.getUTCDay() + 6) % 7;
+  const monday = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()) - daysSinceMonday * DayMs;
+  return new Date(monday).toISOString().slice(0, 10);
+}
+
+function addWeeks(weekStartDate: string, weeks: number): string {
+  return new Date(Date.parse(weekStartDate) + weeks * WeekMs).toISOString().slice(0, 10);
+}
+
+function average(values: number[]): number | undefined {
+  if (values.length === 0) return undefined;
+  return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 100) / 100;
+}
+
+/**
+ * Count the sessions each topic came up in, most frequent first; ties keep first-seen order
+ */
+function rankTopics(sessions: Session[]): Array<{ topic: string; sessionCount: number }> {
+  const counts = new Map<string, number>();
+  for (const session of sessions) {
+    const topics = new Set((session.keyTopics || []).map(topic => topic.trim().toLowerCase()).filter(Boolean));
+    topics.forEach(topic => counts.set(topic, (counts.get(topic) || 0) + 1));
+  }
+
+  return Array.from(counts, ([topic, sessionCount]) => ({ topic, sessionCount }))
+    .sort((a, b) => b.sessionCount - a.sessionCount);
+}
+
+/**
+ * Build a week's progress from its completed sessions.
+ * previousWeek is the record for the week before, used to continue the streak.
+ */
+export function buildWeeklyProgress(
+  userId: string,
+  weekStartDate: string,
+  sessions: Session[],
+  previousWeek?: WeeklyProgress | null
+): Omit<WeeklyProgress, 'progressId' | 'updatedAt' | 'retentionExpiry' | 'expiresAt'> {
+  const completed = sessions.filter(session => session.endTime);
+  const weekSessions = completed
+    .filter(session => getWeekStartDate(session.startTime) === weekStartDate)
+    .sort((a, b) => a.startTime.localeCompare(b.startTime));
+
+  const moodDeltas: number[] = [];
+  const stressChanges: number[] = [];
+  for (const { emotionalState } of weekSessions) {
+    if (emotionalState?.initialMood !== undefined && emotionalState.finalMood !== undefined) {
+      moodDeltas.push(emotionalState.finalMood - emotionalState.initialMood);
+    }
+    if (emotionalState?.stressLevel !== undefined && emotionalState.finalStressLevel !== undefined) {
+      stressChanges.push(emotionalState.finalStressLevel - emotionalState.stressLevel);
+    }
+  }
+
+  // Continue the previous week's streak, or count back through the session history
+  let weekStreak = 0;
+  if (weekSessions.length > 0) {
+    if (previousWeek && previousWeek.sessionCount > 0) {
+      weekStreak = previousWeek.weekStreak + 1;
+    } else {
+      const activeWeeks = new Set(completed.map(session => getWeekStartDate(session.startTime)));
+      for (let week = weekStartDate; activeWeeks.has(week); week = addWeeks(week, -1)) {
+        weekStreak++;
+      }
+    }
+  }
+
+  const topics = rankTopics(weekSessions);
+
+  return {
+    userId,
+    weekStartDate,
+    sessionCount: weekSessions.length,
+    totalDuration: weekSessions.reduce((sum, session) => sum + (session.duration || 0), 0),
+    averageMoodDelta: average(moodDeltas),
+    averageStressChange: average(stressChanges),
+    weekStreak,
+    longestWeekStreak: Math.max(weekStreak, previousWeek?.longestWeekStreak || 0),
+    recurringTopics: topics.filter(({ sessionCount }) => sessionCount > 1).map(({ topic }) => topic),
+    topics: topics.map(({ topic }) => topic),
+    sessionIds: weekSessions.map(session => session.sessionId)
+  };
+}
+
+export class ProgressAggregator {
+  /**
+   * Rebuild the progress record for the week containing `at` from the user's sessions
+   */
+  async updateWeeklyProgress(userId: string, at: Date | string = new Date()): Promise<WeeklyProgress> {
+    const weekStartDate = getWeekStartDate(at);
+
+    const [sessions, previousWeek, retention] = await Promise.all([
+      sessionsRepository.getSessionsByUserId(userId, SessionHistoryLimit),
+      progressRepository.getWeeklyProgress(userId, addWeeks(weekStartDate, -1)),
+      getUserRetentionPolicy(userId)
+    ]);
+
+    const progress = await progressRepository.saveWeeklyProgress(
+      buildWeeklyProgress(userId, weekStartDate, sessions, previousWeek),
+      retention
+    );
+    console.log(`📈 Weekly progress updated for ${weekStartDate}: ${progress.sessionCount} sessions, streak ${progress.weekStreak}`);
+    return progress;
+  }
+
+  /**
+   * A user's weekly progress, most recent week first
+   */
+  async getWeeklyHistory(userId: string, weeks: number = 12): Promise<WeeklyProgress[]> {
+    return progressRepository.getProgressByUserId(userId, weeks);
+  }
+}
+
+// Export singleton instance
+export const progressAggregator = new ProgressAggregator();
@@ -0,0 +1,77 @@
+/**
+ * Recovery phrases
+ * Anonymous users have no handle or passphrase, so a recovery phrase is their way back to
+ * their history from another browser. A phrase is eight words drawn from a list of 256
+ * (64 bits of randomness), and only its hashForIndex is stored.
+ */
+
+import { randomBytes } from 'crypto';
+import { usersRepository } from '../database';
+import { hashForIndex } from '../database/encryption';
+
+export const PhraseWordCount = 8;
+
+// 256 short, distinct words so each word carries one random byte
+const Words = [
+  'acorn', 'almond', 'anchor', 'anvil', 'apple', 'arrow', 'aspen', 'atlas', 'autumn', 'badge',
+  'badger', 'bagel', 'bamboo', 'banjo', 'barley', 'basin', 'beacon', 'bear', 'beaver', 'beetle',
+  'bell', 'berry', 'birch', 'biscuit', 'bison', 'blossom', 'boat', 'bonsai', 'boulder', 'branch',
+  'breeze', 'brick', 'bridge', 'brook', 'bubble', 'bucket', 'bugle', 'cabin', 'cactus', 'camel',
+  'canary', 'candle', 'canoe', 'canyon', 'cargo', 'carrot', 'castle', 'cedar', 'cello', 'chalk',
+  'cherry', 'chess', 'cider', 'circle', 'citrus', 'clay', 'cliff', 'clock', 'cloud', 'clover',
+  'cobalt', 'cobble', 'comet', 'compass', 'copper', 'coral', 'cotton', 'crane', 'crater', 'cricket',
+  'crocus', 'crystal', 'cypress', 'daffodil', 'dahlia', 'daisy', 'dawn', 'delta', 'desert', 'dew',
+  'dolphin', 'dove', 'dragon', 'drum', 'dune', 'eagle', 'elm', 'ember', 'emerald', 'falcon',
+  'feather', 'fern', 'fiddle', 'field', 'fig', 'finch', 'fjord', 'flame', 'flint', 'flute',
+  'forest', 'fossil', 'fox', 'garden', 'garnet', 'gazelle', 'gecko', 'geyser', 'ginger', 'glacier',
+  'globe', 'goose', 'granite', 'grape', 'grove', 'gull', 'hammock', 'harbor', 'harp', 'hazel',
+  'heron', 'hill', 'honey', 'horizon', 'igloo', 'iris', 'island', 'ivory', 'ivy', 'jade',
+  'jasmine', 'jungle', 'juniper', 'kayak', 'kettle', 'kite', 'kiwi', 'koala', 'ladder', 'lagoon',
+  'lake', 'lantern', 'lark', 'lava', 'lemon', 'lily', 'linen', 'lotus', 'lynx', 'magnet',
+  'mango', 'maple', 'marble', 'meadow', 'melon', 'mesa', 'meteor', 'mint', 'mirror', 'moon',
+  'moss', 'moth', 'mountain', 'nectar', 'nest', 'nutmeg', 'nutshell', 'oak', 'oasis', 'ocean',
+  'olive', 'onyx', 'opal', 'orbit', 'orchid', 'otter', 'owl', 'oyster', 'paddle', 'palm',
+  'panda', 'paper', 'parrot', 'pebble', 'pepper', 'piano', 'pine', 'planet', 'plum', 'pond',
+  'poppy', 'prairie', 'prism', 'puffin', 'pumpkin', 'quartz', 'quill', 'quince', 'rabbit', 'raft',
+  'raven', 'reef', 'ribbon', 'ridge', 'river', 'robin', 'rocket', 'rose', 'ruby', 'saffron',
+  'sage', 'salmon', 'sand', 'satin', 'sequoia', 'shell', 'sierra', 'silver', 'sky', 'slate',
+  'sparrow', 'spruce', 'star', 'stone', 'storm', 'summit', 'sun', 'swan', 'tango', 'tapir',
+  'thistle', 'thunder', 'tiger', 'timber', 'topaz', 'tulip', 'tundra', 'turtle', 'umber', 'valley',
+  'velvet', 'vine', 'violet', 'walnut', 'wasabi', 'wave', 'willow', 'wind', 'winter', 'wolf',
+  'wren', 'yak', 'yarrow', 'zebra', 'zephyr', 'zinnia'
+];
+
+const WordSet = new Set(Words);
+
+/**
+ * Generate a new recovery phrase, words separated by single spaces
+ */
+export function generateRecoveryPhrase(): string {
+  return Array.from(randomBytes(PhraseWordCount), byte => Words[byte]).join(' ');
+}
+
+/**
+ * Canonical form of a phrase as typed (any case, spacing or punctuation between words),
+ * or null when it is not a phrase this module could have generated
+ */
+export function normalizeRecoveryPhrase(phrase: unknown): string | null {
+  if (typeof phrase !== 'string' || phrase.length > 500) return null;
+
+  const words = phrase.toLowerCase().split(/[^a-z]+/).filter(Boolean);
+  if (words.length !== PhraseWordCount || !words.every(word => WordSet.has(word))) return null;
+  return words.join(' ');
+}
+
+/**
+ * Give a user a new recovery phrase, replacing any earlier one. The phrase is returned
+ * for showing to the user once; it cannot be read back later.
+ */
+export async function issueRecoveryPhrase(userId: string): Promise<string> {
+  const phrase = generateRecoveryPhrase();
+  await usersRepository.updateUser(userId, {
+    recoveryHash: hashForIndex(phrase),
+    recoveryIssuedAt: new Date().toISOString()
+  });
+  console.log('🔑 Recovery phrase issued for user:', userId);
+  return phrase;
+}
@@ -6,6 +6,7 @@
 import { sessionsRepository } from '../database';
 import { transcriptProcessor, TranscriptSummary } from './transcript-processor';
 import { userContinuityService, UserContext, SessionContext } from './user-continuity';
+import { getUserRetentionPolicy } from './data-retention';
 
 export interface SessionInitializationData {
   sessionId: string;
@@ -54,7 +55,7 @@ export class SessionManager {
             volumeConsistency: 0
           }
         }
-      });
+      }, await getUserRetentionPolicy(userId));
 
       // Generate personalized system prompt for AI
       const personalizedSystemPrompt = await userContinuityService.generatePersonalizedSystemPrompt(userId);
@@ -149,7 +150,7 @@ export class SessionManager {
             final: session.emotionalState.finalMood
           },
           summary: session.conversationSummary,
-          quality: session.therapeuticMetrics.sessionQuality
+          quality: session.therapeuticMetrics?.sessionQuality
         })),
         progressAnalysis,
         trends: {
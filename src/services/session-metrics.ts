@@ -0,0 +1,243 @@
+/**
+ * Session metrics collector
+ * Derives TherapeuticMetrics for a session from the Nova Sonic event stream and the
+ * browser's microphone analysis, instead of trusting values reported by the client:
+ * - response latency: end of the user's turn (USER contentEnd or typed text) to the
+ *   first ASSISTANT audio contentStart
+ * - interruptions: ASSISTANT audio ending with stopReason INTERRUPTED (barge-in)
+ * - silence, pauses, pitch and volume: 100 ms voice frames sent by the AudioVisualizer
+ * - speaking rate: transcribed USER words per minute of detected speech
+ */
+
+import { TherapeuticMetrics } from '../database/models';
+
+/**
+ * One analysed slice of microphone audio: [rms, pitchHz, assistantAudible]
+ * pitchHz is 0 when no pitch was found; assistantAudible is 1 while Hope's audio was playing
+ */
+export type VoiceFrame = [number, number, number?];
+
+export interface VoiceFrameBatch {
+  frameMs: number;
+  frames: VoiceFrame[];
+}
+
+export interface SessionMetricsConfig {
+  speechRmsThreshold: number; // Frames at or above this RMS count as speech
+  minPauseMs: number; // Silence within speech shorter than this is not a pause
+  maxPauseMs: number; // Longer silences are gaps between turns rather than pauses
+  minPitchHz: number;
+  maxPitchHz: number;
+  maxFramesPerBatch: number;
+}
+
+export const DefaultSessionMetricsConfig: SessionMetricsConfig = {
+  speechRmsThreshold: 0.02,
+  minPauseMs: 300,
+  maxPauseMs: 3000,
+  minPitchHz: 60,
+  maxPitchHz: 500,
+  maxFramesPerBatch: 200
+};
+
+/**
+ * Count, mean and variance without keeping every sample (Welford's algorithm)
+ */
+class RunningStats {
+  count = 0;
+  mean = 0;
+  private m2 = 0;
+
+  add(value: number): void {
+    this.count++;
+    const delta = value - this.mean;
+    this.mean += delta / this.count;
+    this.m2 += delta * (value - this.mean);
+  }
+
+  get standardDeviation(): number {
+    return this.count > 1 ? Math.sqrt(this.m2 / (this.count - 1)) : 0;
+  }
+}
+
+interface SessionMetricsState {
+  contentRoles: Map<string, string>; // contentId -> role, contentEnd does not carry the role
+  userTurnEndedAt?: number; // Set until the assistant starts answering
+  latency: RunningStats;
+  interruptionCount: number;
+  userWordCount: number;
+  speechMs: number;
+  silenceMs: number;
+  currentSilenceMs: number;
+  hasSpoken: boolean;
+  pauseCount: number;
+  pitch: RunningStats;
+  volume: RunningStats;
+}
+
+function round(value: number, decimals: number = 2): number {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+export class SessionMetricsCollector {
+  private config: SessionMetricsConfig;
+  private sessions: Map<string, SessionMetricsState> = new Map();
+
+  constructor(config: Partial<SessionMetricsConfig> = {}) {
+    this.config = { ...DefaultSessionMetricsConfig, ...config };
+  }
+
+  /**
+   * Start (or restart) collecting for a session
+   */
+  startSession(sessionId: string): void {
+    this.sessions.set(sessionId, {
+      contentRoles: new Map(),
+      latency: new RunningStats(),
+      interruptionCount: 0,
+      userWordCount: 0,
+      speechMs: 0,
+      silenceMs: 0,
+      currentSilenceMs: 0,
+      hasSpoken: false,
+      pauseCount: 0,
+      pitch: new RunningStats(),
+      volume: new RunningStats()
+    });
+  }
+
+  endSession(sessionId: string): void {
+    this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Stream events can still arrive after endSession (on disconnect); those are ignored
+   * rather than starting the session over
+   */
+  onContentStart(sessionId: string, data: any): void {
+    const state = this.sessions.get(sessionId);
+    if (!state || !data?.contentId) return;
+
+    state.contentRoles.set(data.contentId, data.role);
+
+    if (data.role === 'ASSISTANT' && data.type === 'AUDIO' && state.userTurnEndedAt !== undefined) {
+      state.latency.add(Date.now() - state.userTurnEndedAt);
+      state.userTurnEndedAt = undefined;
+    }
+  }
+
+  onContentEnd(sessionId: string, data: any): void {
+    const state = this.sessions.get(sessionId);
+    if (!state || !data?.contentId) return;
+
+    const role = state.contentRoles.get(data.contentId);
+    state.contentRoles.delete(data.contentId);
+
+    if (role === 'USER') {
+      state.userTurnEndedAt = Date.now();
+    } else if (role === 'ASSISTANT' && data.type === 'AUDIO' && data.stopReason === 'INTERRUPTED') {
+      state.interruptionCount++;
+    }
+  }
+
+  /**
+   * A transcript of what the user said
+   */
+  onUserTranscript(sessionId: string, text: string): void {
+    const state = this.sessions.get(sessionId);
+    if (!state) return;
+    state.userWordCount += (text.match(/\S+/g) || []).length;
+  }
+
+  /**
+   * A typed USER turn; counts towards response latency but not speaking rate
+   */
+  onTypedInput(sessionId: string): void {
+    this.getState(sessionId).userTurnEndedAt = Date.now();
+  }
+
+  /**
+   * Add a batch of voice frames from the browser, returning an error for malformed batches
+   */
+  onVoiceFrames(sessionId: string, batch: unknown): string | null {
+    const payload = batch as VoiceFrameBatch;
+    if (!payload || typeof payload.frameMs !== 'number' || payload.frameMs <= 0 || payload.frameMs > 1000 ||
+      !Array.isArray(payload.frames) || payload.frames.length > this.config.maxFramesPerBatch) {
+      return 'Voice analysis batch must contain frameMs (1-1000) and at most ' +
+        `${this.config.maxFramesPerBatch} frames`;
+    }
+
+    const state = this.getState(sessionId);
+    for (const frame of payload.frames) {
+      if (!Array.isArray(frame) || typeof frame[0] !== 'number' || typeof frame[1] !== 'number') continue;
+      this.addFrame(state, payload.frameMs, frame);
+    }
+    return null;
+  }
+
+  /**
+   * Metrics measured so far for a session
+   */
+  getMetrics(sessionId: string): TherapeuticMetrics {
+    const state = this.getState(sessionId);
+    const speechMinutes = state.speechMs / 60000;
+    const pitchStats = state.pitch;
+    const volumeStats = state.volume;
+
+    return {
+      responseTime: Math.round(state.latency.mean),
+      interruptionCount: state.interruptionCount,
+      silenceDuration: round(state.silenceMs / 1000, 1),
+      voiceStressIndicators: {
+        averagePitch: round(pitchStats.mean, 1),
+        pitchVariation: round(pitchStats.standardDeviation, 1),
+        speakingRate: speechMinutes > 0 ? Math.round(state.userWordCount / speechMinutes) : 0,
+        pauseFrequency: speechMinutes > 0 ? round(state.pauseCount / speechMinutes) : 0, // Pauses per minute of speech
+        // 1 when speech volume is perfectly steady, lower as it varies more
+        volumeConsistency: volumeStats.count > 1 && volumeStats.mean > 0
+          ? round(Math.max(0, 1 - volumeStats.standardDeviation / volumeStats.mean))
+          : 0
+      }
+    };
+  }
+
+  private addFrame(state: SessionMetricsState, frameMs: number, [rms, pitchHz, assistantAudible]: VoiceFrame): void {
+    // While Hope is talking the user is listening, which is not silence on their part;
+    // speech after it starts a new turn
+    if (assistantAudible) {
+      state.hasSpoken = false;
+      state.currentSilenceMs = 0;
+      return;
+    }
+
+    if (rms < this.config.speechRmsThreshold) {
+      state.silenceMs += frameMs;
+      state.currentSilenceMs += frameMs;
+      return;
+    }
+
+    if (state.hasSpoken && state.currentSilenceMs >= this.config.minPauseMs &&
+      state.currentSilenceMs <= this.config.maxPauseMs) {
+      state.pauseCount++;
+    }
+    state.hasSpoken = true;
+    state.currentSilenceMs = 0;
+    state.speechMs += frameMs;
+    state.volume.add(rms);
+
+    if (pitchHz >= this.config.minPitchHz && pitchHz <= this.config.maxPitchHz) {
+      state.pitch.add(pitchHz);
+    }
+  }
+
+  private getState(sessionId: string): SessionMetricsState {
+    if (!this.sessions.has(sessionId)) {
+      this.startSession(sessionId);
+    }
+    return this.sessions.get(sessionId)!;
+  }
+}
+
+// Export singleton instance
+export const sessionMetricsCollector = new SessionMetricsCollector();
@@ -0,0 +1,195 @@
+/**
+ * Session recorder for Nova Sonic bidirectional streams
+ * Writes every outbound and inbound stream event of a session to a JSONL file with
+ * timestamps relative to the start of the recording, so production issues can be
+ * inspected and replayed instead of reconstructed from console logs.
+ * Recordings are plain files outside the user's encrypted data and are not erased with it,
+ * so by default neither what the user said nor what Hope said is kept: audio and text
+ * content (including the system prompt with its session history, and tool payloads) are
+ * replaced by their length.
+ */
+
+import { createWriteStream, existsSync, mkdirSync, readFileSync, WriteStream } from 'fs';
+import { join } from 'path';
+
+export type RecordedDirection = 'meta' | 'outbound' | 'inbound';
+
+export interface RecordedEvent {
+  offsetMs: number; // Milliseconds since the recording started
+  direction: RecordedDirection;
+  event: any;
+}
+
+export interface SessionRecorderConfig {
+  directory: string;
+  redactAudio: boolean; // Replace audio payloads with their byte length
+  redactText: boolean; // Replace text and tool content with its length in characters
+}
+
+export const DefaultSessionRecorderConfig: SessionRecorderConfig = {
+  directory: './recordings',
+  redactAudio: true,
+  redactText: true
+};
+
+// Events whose content is words: prompts and history, transcripts, tool arguments and results
+const TextContentEvents = ['textInput', 'textOutput', 'toolUse', 'toolResult'];
+
+export const RecordingFormatVersion = 1;
+
+interface ActiveRecording {
+  filePath: string;
+  startedAt: number;
+  stream: WriteStream;
+}
+
+/**
+ * Replace audioInput/audioOutput content with a marker carrying its decoded length
+ */
+export function redactAudioPayload(event: any): any {
+  const eventBody = event?.event ?? event;
+  const audioKey = eventBody?.audioInput ? 'audioInput' : eventBody?.audioOutput ? 'audioOutput' : undefined;
+  if (!audioKey || typeof eventBody[audioKey].content !== 'string') {
+    return event;
+  }
+
+  const { content, ...rest } = eventBody[audioKey];
+  const redacted = {
+    ...eventBody,
+    [audioKey]: {
+      ...rest,
+      content: '',
+      redactedBytes: Buffer.byteLength(content, 'base64')
+    }
+  };
+  return event?.event ? { ...event, event: redacted } : redacted;
+}
+
+/**
+ * Replace the content of text and tool events with a marker carrying its length
+ */
+export function redactTextPayload(event: any): any {
+  const eventBody = event?.event ?? event;
+  const textKey = TextContentEvents.find(key => eventBody?.[key]);
+  if (!textKey || typeof eventBody[textKey].content !== 'string') {
+    return event;
+  }
+
+  const { content, ...rest } = eventBody[textKey];
+  const redacted = {
+    ...eventBody,
+    [textKey]: {
+      ...rest,
+      content: '',
+      redactedChars: content.length
+    }
+  };
+  return event?.event ? { ...event, event: redacted } : redacted;
+}
+
+/**
+ * Read a recording back, skipping blank lines
+ */
+export function readRecording(filePath: string): RecordedEvent[] {
+  return readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim().length > 0)
+    .map((line, index) => {
+      try {
+        return JSON.parse(line) as RecordedEvent;
+      } catch (error) {
+        throw new Error(`Invalid recording line ${index + 1} in ${filePath}`);
+      }
+    });
+}
+
+/**
+ * Opt-in recorder, one JSONL file per session
+ */
+export class SessionRecorder {
+  private config: SessionRecorderConfig;
+  private recordings: Map<string, ActiveRecording> = new Map();
+
+  constructor(config: Partial<SessionRecorderConfig> = {}) {
+    this.config = { ...DefaultSessionRecorderConfig, ...config };
+  }
+
+  /**
+   * Start recording a session, returning the file it is written to
+   */
+  startSession(sessionId: string): string {
+    const existing = this.recordings.get(sessionId);
+    if (existing) return existing.filePath;
+
+    if (!existsSync(this.config.directory)) {
+      mkdirSync(this.config.directory, { recursive: true });
+    }
+
+    const startedAt = Date.now();
+    const fileName = `${new Date(startedAt).toISOString().replace(/[:.]/g, '-')}-${sessionId.replace(/[^\w-]/g, '_')}.jsonl`;
+    const filePath = join(this.config.directory, fileName);
+    const stream = createWriteStream(filePath, { flags: 'a' });
+
+    stream.on('error', (error) => {
+      console.error(`Recording for session ${sessionId} failed, recording stopped:`, error);
+      this.recordings.delete(sessionId);
+    });
+
+    this.recordings.set(sessionId, { filePath, startedAt, stream });
+    this.record(sessionId, 'meta', {
+      recordingStart: {
+        version: RecordingFormatVersion,
+        sessionId,
+        startedAt: new Date(startedAt).toISOString(),
+        audioRedacted: this.config.redactAudio,
+        textRedacted: this.config.redactText
+      }
+    });
+
+    console.log(`🎙️ Recording session ${sessionId} to ${filePath}`);
+    return filePath;
+  }
+
+  /**
+   * Append an event to the session's recording, if it is being recorded
+   */
+  record(sessionId: string, direction: RecordedDirection, event: any): void {
+    const recording = this.recordings.get(sessionId);
+    if (!recording) return;
+
+    let recorded = this.config.redactAudio ? redactAudioPayload(event) : event;
+    recorded = this.config.redactText ? redactTextPayload(recorded) : recorded;
+    const line: RecordedEvent = {
+      offsetMs: Date.now() - recording.startedAt,
+      direction,
+      event: recorded
+    };
+
+    try {
+      recording.stream.write(JSON.stringify(line) + '\n');
+    } catch (error) {
+      console.error(`Failed to record event for session ${sessionId}:`, error);
+    }
+  }
+
+  isRecording(sessionId: string): boolean {
+    return this.recordings.has(sessionId);
+  }
+
+  /**
+   * Finish the recording and close its file
+   */
+  stopSession(sessionId: string): void {
+    const recording = this.recordings.get(sessionId);
+    if (!recording) return;
+
+    this.record(sessionId, 'meta', { recordingEnd: {} });
+    this.recordings.delete(sessionId);
+    recording.stream.end();
+    console.log(`🎙️ Recording for session ${sessionId} saved to ${recording.filePath}`);
+  }
+
+  stopAll(): void {
+    Array.from(this.recordings.keys()).forEach(sessionId => this.stopSession(sessionId));
+  }
+}
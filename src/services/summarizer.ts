@@ -0,0 +1,75 @@
+/**
+ * Transcript summarizer backends
+ * TranscriptProcessor summarizes session transcripts through a TranscriptSummarizer.
+ * SUMMARIZER_BACKEND selects it:
+ * - bedrock (default): Amazon Nova Micro
+ * - local (default with MOCK_BEDROCK=true): extractive summaries made on this server, for
+ *   air-gapped deployments
+ * Either backend summarizes long transcripts in windows of SUMMARY_WINDOW_CHARS characters
+ * (see ChunkedSummarizer).
+ */
+
+import { BedrockRuntimeClient } from '@aws-sdk/client-bedrock-runtime';
+import { SummarySegment } from '../database';
+import { BedrockSummarizer } from './bedrock-summarizer';
+import { ChunkedSummarizer, DefaultWindowChars } from './chunked-summarizer';
+import { extractiveSummarizer } from './extractive-summarizer';
+
+export interface TranscriptSummary {
+  sessionSummary: string;
+  keyTopics: string[];
+  emotionalInsights: {
+    dominantEmotions: string[];
+    moodProgression: string;
+    stressIndicators: string[];
+  };
+  therapeuticProgress: {
+    breakthroughs: string[];
+    challenges: string[];
+    copingStrategies: string[];
+    recommendedFocus: string[];
+  };
+  continuityNotes: string; // For next session
+  segments?: SummarySegment[]; // The windows the transcript was summarized in
+}
+
+export interface TranscriptSummarizer {
+  readonly name: string;
+
+  summarize(transcript: string): Promise<TranscriptSummary>;
+}
+
+/**
+ * Local summaries of transcripts of any length, also used when the configured backend fails
+ */
+export const localSummarizer = new ChunkedSummarizer(extractiveSummarizer, { windowChars: windowChars() });
+
+/**
+ * The summarizer selected by SUMMARIZER_BACKEND. Bedrock backends call the given client.
+ */
+export function createSummarizer(bedrockClient: BedrockRuntimeClient): TranscriptSummarizer {
+  const backend = process.env.SUMMARIZER_BACKEND || (process.env.MOCK_BEDROCK === 'true' ? 'local' : 'bedrock');
+
+  let summarizer: TranscriptSummarizer;
+  switch (backend) {
+    case 'bedrock':
+      summarizer = new ChunkedSummarizer(new BedrockSummarizer(bedrockClient), {
+        windowChars: windowChars(),
+        fallback: extractiveSummarizer
+      });
+      break;
+    case 'local':
+      summarizer = localSummarizer;
+      break;
+    default:
+      throw new Error(`Unknown SUMMARIZER_BACKEND: ${backend} (expected bedrock or local)`);
+  }
+
+  console.log(`📝 Summarizing transcripts with the ${summarizer.name} summarizer`);
+  return summarizer;
+}
+
+function windowChars(): number {
+  const configured = parseInt(process.env.SUMMARY_WINDOW_CHARS || '', 10);
+  return configured > 0 ? configured : DefaultWindowChars;
+}
@@ -0,0 +1,53 @@
+/**
+ * System prompt assembly
+ * Hope's instructions are built on the server from the user's session history when a
+ * therapy session starts, so they cannot be rewritten from the browser and the history
+ * they are built from is not sent to it. The text comes from the versioned template store.
+ */
+
+import { HopeTherapistTemplate, parseTemplateRef, promptTemplateStore, RenderedPrompt } from '../prompts';
+
+/**
+ * The parts of analyzeSessionHistory's result the prompt is built from
+ */
+export interface SessionPromptContext {
+  isFirstSession: boolean;
+  userName?: string;
+  totalSessions?: number;
+  message?: string; // First-session guidance
+  contextualMessage?: string; // Returning-user continuity details
+  patterns?: {
+    moodTrends?: string[];
+    commonEmotions?: string[];
+  };
+  recommendations?: string[];
+  lastSessionSummary?: string;
+}
+
+// Template used for session prompts; SYSTEM_PROMPT_TEMPLATE (e.g. "hope-therapist@1") pins a version.
+// Resolved at startup so a misconfigured reference fails fast.
+const SessionPromptTemplateRef = parseTemplateRef(process.env.SYSTEM_PROMPT_TEMPLATE || HopeTherapistTemplate.name);
+promptTemplateStore.get(SessionPromptTemplateRef.name, SessionPromptTemplateRef.version);
+
+/**
+ * Build the contextualized system prompt for a session; without context only the base
+ * instructions are rendered. Returns the template name and version used with the text.
+ */
+export function buildSystemPrompt(sessionContext?: SessionPromptContext | null): RenderedPrompt {
+  const { name, version } = SessionPromptTemplateRef;
+  const lastSessionSummary = sessionContext?.lastSessionSummary !== 'Previous session completed'
+    ? sessionContext?.lastSessionSummary
+    : undefined;
+
+  return promptTemplateStore.render(name, {
+    hasContext: !!sessionContext,
+    isFirstSession: sessionContext?.isFirstSession,
+    sessionMessage: sessionContext?.contextualMessage || sessionContext?.message,
+    userName: sessionContext?.userName,
+    totalSessions: sessionContext?.totalSessions,
+    moodTrends: sessionContext?.patterns?.moodTrends,
+    commonEmotions: sessionContext?.patterns?.commonEmotions,
+    recommendations: sessionContext?.recommendations?.join(' '),
+    lastSessionSummary
+  }, version);
+}
@@ -1,33 +1,15 @@
 /**
  * Transcript processing service for therapeutic sessions
- * Handles transcript storage, AI summarization, and progress analysis
+ * Handles transcript storage, summarization through the configured summarizer backend
+ * (see summarizer), and progress analysis
  */
 
 import { BedrockRuntimeClient, InvokeModelCommand } from '@aws-sdk/client-bedrock-runtime';
 import { fromEnv } from '@aws-sdk/credential-providers';
-import {
-  sessionsRepository,
-  encryptSensitiveData,
-  decryptSensitiveData,
-  sanitizeBeforeEncryption
-} from '../database';
-
-export interface TranscriptSummary {
-  sessionSummary: string;
-  keyTopics: string[];
-  emotionalInsights: {
-    dominantEmotions: string[];
-    moodProgression: string;
-    stressIndicators: string[];
-  };
-  therapeuticProgress: {
-    breakthroughs: string[];
-    challenges: string[];
-    copingStrategies: string[];
-    recommendedFocus: string[];
-  };
-  continuityNotes: string; // For next session
-}
+import { auditLog, AuditAccess, sessionsRepository } from '../database';
+import { createSummarizer, localSummarizer, TranscriptSummarizer, TranscriptSummary } from './summarizer';
+
+export type { TranscriptSummary } from './summarizer';
 
 export interface ProgressAnalysis {
   overallTrend: 'improving' | 'stable' | 'declining';
@@ -47,8 +29,12 @@ export interface ProgressAnalysis {
 
 export class TranscriptProcessor {
   private bedrockClient: BedrockRuntimeClient;
+  private summarizer: TranscriptSummarizer;
 
-  constructor() {
+  /**
+   * Summarize with the given summarizer, or the one SUMMARIZER_BACKEND selects
+   */
+  constructor(summarizer?: TranscriptSummarizer) {
     // Log AWS configuration for debugging
     console.log('🔧 Initializing TranscriptProcessor with AWS configuration:');
     console.log('   Region:', process.env.AWS_REGION || 'us-east-1');
@@ -69,10 +55,35 @@ export class TranscriptProcessor {
       region: process.env.AWS_REGION || 'us-east-1',
       ...(credentials && { credentials })
     });
+
+    this.summarizer = summarizer ?? createSummarizer(this.bedrockClient);
+  }
+
+  /**
+   * Replace the summarizer backend, e.g. to summarize locally at runtime
+   */
+  setSummarizer(summarizer: TranscriptSummarizer): void {
+    this.summarizer = summarizer;
+  }
+
+  /**
+   * Summarize a transcript with the summarizer backend, or locally if it fails
+   */
+  async summarizeTranscript(transcript: string): Promise<TranscriptSummary> {
+    try {
+      return await this.summarizer.summarize(transcript);
+    } catch (error) {
+      if (this.summarizer === localSummarizer) {
+        throw error;
+      }
+      console.error(`❌ Error summarizing with the ${this.summarizer.name} summarizer:`, error);
+      console.log('⚠️ Falling back to local summary generation...');
+      return localSummarizer.summarize(transcript);
+    }
   }
 
   /**
-   * Process and store session transcript with AI summarization
+   * Process and store session transcript with its summary
    */
   async processSessionTranscript(
     sessionId: string,
@@ -85,17 +96,13 @@ export class TranscriptProcessor {
         return null;
       }
 
-      // Sanitize and encrypt the full transcript
-      const sanitizedTranscript = sanitizeBeforeEncryption(transcript);
-      const encryptedTranscript = encryptSensitiveData(sanitizedTranscript);
-
-      // Generate AI summary using Bedrock
-      const summary = await this.generateTranscriptSummary(transcript);
+      const summary = await this.summarizeTranscript(transcript);
 
-      // Update session with encrypted transcript and summary
+      // Update session with the transcript, which the repository sanitizes and encrypts, and summary
       await sessionsRepository.updateSession(sessionId, {
-        encryptedTranscript,
+        encryptedTranscript: transcript,
         conversationSummary: summary.sessionSummary,
+        summarySegments: summary.segments,
         emotionalState: {
           ...await this.getCurrentEmotionalState(sessionId),
           dominantEmotions: summary.emotionalInsights.dominantEmotions
@@ -111,145 +118,6 @@ export class TranscriptProcessor {
     }
   }
 
-  /**
-   * Generate AI-powered transcript summary using Bedrock
-   */
-  private async generateTranscriptSummary(transcript: string): Promise<TranscriptSummary> {
-    const prompt = this.buildSummarizationPrompt(transcript);
-
-    try {
-      console.log('🤖 Calling Amazon Nova Micro for transcript summarization...');
-
-      const command = new InvokeModelCommand({
-        modelId: 'amazon.nova-micro-v1:0',
-        contentType: 'application/json',
-        accept: 'application/json',
-        body: JSON.stringify({
-          messages: [
-            {
-              role: 'user',
-              content: [
-                {
-                  text: prompt
-                }
-              ]
-            }
-          ],
-          inferenceConfig: {
-            maxTokens: 1000,
-            temperature: 0.5
-            // Note: Using temperature, not topP (use one or the other)
-          }
-        })
-      });
-
-      const response = await this.bedrockClient.send(command);
-      const responseBody = JSON.parse(new TextDecoder().decode(response.body));
-      const outputText = responseBody?.output?.message?.content?.[0]?.text || '';
-
-      if (!outputText) {
-        throw new Error('Empty response from Nova Micro');
-      }
-
-      console.log('✅ Successfully received AI summary from Nova Micro');
-      return this.parseAISummary(outputText);
-
-    } catch (error: any) {
-      console.error('❌ Error generating AI summary:', error);
-
-      if (error?.name === 'CredentialsProviderError') {
-        console.error('🔑 AWS Credentials not found. Please ensure one of the following:');
-        console.error('   1. Set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY environment variables');
-        console.error('   2. Configure AWS CLI with "aws configure"');
-        console.error('   3. Use EC2 instance role if running on AWS');
-        console.error('   4. Set up AWS credentials file at ~/.aws/credentials');
-      }
-
-      console.log('⚠️ Falling back to basic summary generation...');
-      return this.generateFallbackSummary(transcript);
-    }
-  }
-
-  /**
-   * Build therapeutic summarization prompt
-   */
-  private buildSummarizationPrompt(transcript: string): string {
-    return `
-You are a therapeutic AI assistant analyzing a therapy session transcript. Please provide a structured analysis in JSON format.
-
-Transcript:
-${transcript}
-
-Please analyze this therapeutic session and provide a JSON response with the following structure:
-
-{
-  "sessionSummary": "Brief 2-3 sentence summary of the session",
-  "keyTopics": ["topic1", "topic2", "topic3"],
-  "emotionalInsights": {
-    "dominantEmotions": ["emotion1", "emotion2"],
-    "moodProgression": "Description of how mood changed during session",
-    "stressIndicators": ["indicator1", "indicator2"]
-  },
-  "therapeuticProgress": {
-    "breakthroughs": ["breakthrough1", "breakthrough2"],
-    "challenges": ["challenge1", "challenge2"],
-    "copingStrategies": ["strategy1", "strategy2"],
-    "recommendedFocus": ["focus1", "focus2"]
-  },
-  "continuityNotes": "Important points to remember for next session"
-}
-
-Focus on:
-- Therapeutic insights and emotional patterns
-- Progress indicators and setbacks
-- Coping strategies discussed or discovered
-- Areas that need continued attention
-- Maintain patient confidentiality and therapeutic perspective
-`;
-  }
-
-  /**
-   * Parse AI response into structured summary
-   */
-  private parseAISummary(aiResponse: string): TranscriptSummary {
-    try {
-      // Extract JSON from AI response
-      const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      throw new Error('No valid JSON found in AI response');
-    } catch (error) {
-      console.error('Error parsing AI summary:', error);
-      return this.generateFallbackSummary(aiResponse);
-    }
-  }
-
-  /**
-   * Generate fallback summary if AI processing fails
-   */
-  private generateFallbackSummary(transcript: string): TranscriptSummary {
-    const wordCount = transcript.split(' ').length;
-    const duration = Math.ceil(wordCount / 150); // Approximate speaking rate
-
-    return {
-      sessionSummary: `Therapeutic session completed (${duration} minutes, ${wordCount} words). Session data processed and stored securely.`,
-      keyTopics: ['general-discussion', 'emotional-support'],
-      emotionalInsights: {
-        dominantEmotions: ['mixed'],
-        moodProgression: 'Session completed with user engagement',
-        stressIndicators: ['session-participation']
-      },
-      therapeuticProgress: {
-        breakthroughs: [],
-        challenges: [],
-        copingStrategies: [],
-        recommendedFocus: ['continued-support']
-      },
-      continuityNotes: 'Continue therapeutic support in next session'
-    };
-  }
-
   /**
    * Analyze user's progress across multiple sessions
    */
@@ -389,28 +257,26 @@ Focus on:
   private async getCurrentEmotionalState(sessionId: string) {
     const session = await sessionsRepository.getSessionById(sessionId);
     return session?.emotionalState || {
-      initialMood: 5,
-      stressLevel: 5,
-      anxietyLevel: 5,
       dominantEmotions: []
     };
   }
 
   /**
-   * Retrieve and decrypt transcript for analysis (with proper authorization)
+   * Retrieve and decrypt transcript for analysis. The read is recorded in the audit log
+   * under the given actor and purpose.
    */
-  async getDecryptedTranscript(sessionId: string, authorized: boolean = false): Promise<string | null> {
-    if (!authorized) {
-      throw new Error('Unauthorized access to transcript data');
+  async getDecryptedTranscript(sessionId: string, access: AuditAccess): Promise<string | null> {
+    if (!access.actor || !access.purpose) {
+      throw new Error('Transcript access needs an actor and a purpose');
     }
 
     try {
-      const session = await sessionsRepository.getSessionById(sessionId);
+      const session = await auditLog.withAccess(access, () => sessionsRepository.getSessionById(sessionId));
       if (!session?.encryptedTranscript) {
         return null;
       }
 
-      return decryptSensitiveData(session.encryptedTranscript);
+      return session.encryptedTranscript; // Decrypted by the repository
     } catch (error) {
       console.error('Error retrieving transcript:', error);
       return null;
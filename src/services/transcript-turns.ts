@@ -0,0 +1,76 @@
+/**
+ * Session transcript turns
+ * The browser sends transcripts as one line per turn, each stamped with its time from the
+ * start of the conversation:
+ *
+ *   [mm:ss] User: ...
+ *   [h:mm:ss] Assistant: ...
+ *
+ * Transcripts stored before turns were stamped have no times.
+ */
+
+export type TranscriptSpeaker = 'user' | 'assistant';
+
+export interface TranscriptTurn {
+  speaker: TranscriptSpeaker;
+  text: string;
+  offsetSeconds?: number; // From the start of the conversation
+}
+
+const TimestampPattern = /^\[(?:(\d+):)?(\d{1,2}):(\d{2})\]\s*/;
+const SpeakerPattern = /^(user|assistant)\s*:\s*/i;
+
+/**
+ * Split a transcript into speaker turns. Lines without a speaker continue the turn before
+ * them, and text before any speaker is the user's.
+ */
+export function parseTranscriptTurns(transcript: string): TranscriptTurn[] {
+  const turns: TranscriptTurn[] = [];
+
+  for (const line of transcript.split(/\r?\n/)) {
+    let text = line.trim();
+    if (!text) continue;
+
+    let offsetSeconds: number | undefined;
+    const timestampMatch = TimestampPattern.exec(text);
+    if (timestampMatch) {
+      const [, hours, minutes, seconds] = timestampMatch;
+      offsetSeconds = Number(hours ?? 0) * 3600 + Number(minutes) * 60 + Number(seconds);
+      text = text.slice(timestampMatch[0].length);
+    }
+
+    const speakerMatch = SpeakerPattern.exec(text);
+    if (speakerMatch) {
+      turns.push({ speaker: speakerMatch[1].toLowerCase() as TranscriptSpeaker, text: text.slice(speakerMatch[0].length), offsetSeconds });
+    } else if (turns.length > 0) {
+      turns[turns.length - 1].text += ` ${text}`;
+    } else {
+      turns.push({ speaker: 'user', text, offsetSeconds });
+    }
+  }
+
+  return turns.filter(turn => turn.text.length > 0);
+}
+
+/**
+ * Write turns back in the transcript format
+ */
+export function formatTranscriptTurns(turns: TranscriptTurn[]): string {
+  return turns
+    .map(turn => {
+      const timestamp = turn.offsetSeconds !== undefined ? `[${formatOffset(turn.offsetSeconds)}] ` : '';
+      return `${timestamp}${turn.speaker === 'user' ? 'User' : 'Assistant'}: ${turn.text}`;
+    })
+    .join('\n');
+}
+
+/**
+ * An offset in seconds as mm:ss, or h:mm:ss from an hour on
+ */
+export function formatOffset(offsetSeconds: number): string {
+  const hours = Math.floor(offsetSeconds / 3600);
+  const minutes = Math.floor((offsetSeconds % 3600) / 60);
+  const seconds = Math.floor(offsetSeconds % 60);
+  const pad = (value: number) => String(value).padStart(2, '0');
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${pad(minutes)}:${pad(seconds)}`;
+}
@@ -4,10 +4,15 @@
  */
 
 import { 
+  auditLog,
   usersRepository, 
-  sessionsRepository
+  sessionsRepository,
+  settingsRepository
 } from '../database';
 import { transcriptProcessor, ProgressAnalysis } from './transcript-processor';
+import { ContinuityPersonalizedTemplate, promptTemplateStore } from '../prompts';
+import { progressAggregator } from './progress-aggregator';
+import { DefaultProgressGoals } from './user-settings';
 
 export interface UserContext {
   user: {
@@ -54,6 +59,7 @@ export class UserContinuityService {
       }
 
       // Get session history
+      await auditLog.record({ userId, action: 'context-read', resource: 'sessions:recent', details: { limit: 20 } });
       const recentSessions = await sessionsRepository.getSessionsByUserId(userId, 20);
       const totalSessions = recentSessions.length;
       const isReturningUser = totalSessions > 0;
@@ -114,6 +120,7 @@ export class UserContinuityService {
    */
   async getSessionContext(userId: string): Promise<SessionContext> {
     try {
+      await auditLog.record({ userId, action: 'context-read', resource: 'sessions:recent', details: { limit: 5 } });
       const recentSessions = await sessionsRepository.getSessionsByUserId(userId, 5);
       
       if (recentSessions.length === 0) {
@@ -176,47 +183,21 @@ export class UserContinuityService {
   async generatePersonalizedSystemPrompt(userId: string): Promise<string> {
     const userContext = await getUserContext(userId);
     const sessionContext = await this.getSessionContext(userId);
-
-    const basePrompt = `You are a compassionate AI therapeutic assistant specializing in emotional support and stress reduction through guided conversation and wave-based visualization.`;
-
-    if (!userContext.user.isReturningUser) {
-      return `${basePrompt}
-
-This is a new user's first session. Focus on:
-- Creating a welcoming, safe environment
-- Understanding their current emotional state
-- Introducing the therapeutic wave interface
-- Establishing initial comfort and trust`;
-    }
-
-    return `${basePrompt}
-
-USER CONTEXT:
-- Returning user with ${userContext.user.totalSessions} previous sessions
-- Last session: ${userContext.user.daysSinceLastSession} days ago
-- Overall progress trend: ${userContext.recentProgress.moodTrend}
-- Consistency score: ${Math.round(userContext.recentProgress.consistencyScore * 100)}%
-
-PREVIOUS SESSION SUMMARY:
-${sessionContext.previousSessionSummary || 'No previous session summary available'}
-
-CONTINUITY NOTES:
-${userContext.continuityNotes.join('\n')}
-
-RECOMMENDED FOCUS AREAS:
-${sessionContext.recommendedFocus.join(', ')}
-
-EMOTIONAL BASELINE:
-- Typical mood range: ${sessionContext.emotionalBaseline.typicalMoodRange[0]}-${sessionContext.emotionalBaseline.typicalMoodRange[1]}
-- Common stressors: ${sessionContext.emotionalBaseline.commonStressors.join(', ')}
-- Effective strategies: ${sessionContext.emotionalBaseline.effectiveCopingStrategies.join(', ')}
-
-Please:
-- Acknowledge their return and progress
-- Reference relevant previous discussions when appropriate
-- Focus on the recommended areas while being responsive to current needs
-- Build on previously effective coping strategies
-- Maintain therapeutic continuity while adapting to their current state`;
+    const { typicalMoodRange, commonStressors, effectiveCopingStrategies } = sessionContext.emotionalBaseline;
+
+    return promptTemplateStore.render(ContinuityPersonalizedTemplate.name, {
+      isReturningUser: userContext.user.isReturningUser,
+      totalSessions: userContext.user.totalSessions,
+      daysSinceLastSession: userContext.user.daysSinceLastSession,
+      moodTrend: userContext.recentProgress.moodTrend,
+      consistencyScore: Math.round(userContext.recentProgress.consistencyScore * 100),
+      previousSessionSummary: sessionContext.previousSessionSummary,
+      continuityNotes: userContext.continuityNotes.join('\n'),
+      recommendedFocus: sessionContext.recommendedFocus,
+      typicalMoodRange: `${typicalMoodRange[0]}-${typicalMoodRange[1]}`,
+      commonStressors,
+      effectiveCopingStrategies
+    }).text;
   }
 
   /**
@@ -294,12 +275,13 @@ Please:
       };
     }
 
+    // Sessions whose check-in was skipped have no mood to contribute
     const moods = sessions
       .map(s => s.emotionalState?.initialMood)
-      .filter(mood => mood !== undefined);
+      .filter(mood => typeof mood === 'number');
 
-    const minMood = Math.min(...moods);
-    const maxMood = Math.max(...moods);
+    const minMood = moods.length > 0 ? Math.min(...moods) : 5;
+    const maxMood = moods.length > 0 ? Math.max(...moods) : 7;
 
     // Extract common themes (simplified - in production, use NLP)
     const summaries = sessions
@@ -372,17 +354,16 @@ Please:
    * Get progress goals for user
    */
   private async getProgressGoals(userId: string): Promise<string[]> {
-    // Return default goals since settings table is removed
-    return ['general-wellbeing'];
+    const settings = await settingsRepository.getSettings(userId);
+    return settings?.goals && settings.goals.length > 0 ? settings.goals : DefaultProgressGoals;
   }
 
   /**
    * Update weekly progress record
    */
   private async updateWeeklyProgress(userId: string, sessionId: string, sessionSummary: any): Promise<void> {
-    // Implementation for updating weekly progress aggregates
-    // This would calculate and store weekly metrics
-    console.log(`Updating weekly progress for user ${userId}`);
+    const session = await sessionsRepository.getSessionById(sessionId);
+    await progressAggregator.updateWeeklyProgress(userId, session?.startTime);
   }
 
   /**
@@ -419,7 +400,7 @@ Please:
         commonStressors: [],
         effectiveCopingStrategies: []
       },
-      progressGoals: ['general-wellbeing']
+      progressGoals: DefaultProgressGoals
     };
   }
 }
@@ -0,0 +1,191 @@
+/**
+ * User data export and erasure
+ * Gives users control over everything stored about them: a complete export (JSON, or a
+ * ZIP with one file per data set and a text file per transcript), and a full erase that
+ * cascades through sessions, weekly progress, settings and the user's data keys before
+ * removing the profile, returning a receipt of what was deleted. Both are recorded in the
+ * audit log before they start, and the audit records outlive the erase.
+ */
+
+import { createHash } from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  auditLog,
+  usersRepository,
+  sessionsRepository,
+  progressRepository,
+  settingsRepository,
+  ProgressRepository,
+  envelopeEncryption,
+  User,
+  Session,
+  UserSettings,
+  WeeklyProgress
+} from '../database';
+import { createZipArchive, ZipEntry } from './zip-archive';
+
+export const UserDataExportVersion = 1;
+
+export type UserDataExportFormat = 'json' | 'zip';
+
+export interface UserDataExportOptions {
+  includeTranscripts: boolean; // Transcripts exist only for sessions the user consented to store
+}
+
+// Sessions are exported with the decrypted transcript under a plain name
+export interface ExportedSession extends Omit<Session, 'encryptedTranscript'> {
+  transcript?: string;
+}
+
+export interface UserDataExport {
+  exportVersion: number;
+  exportedAt: string;
+  userId: string;
+  profile: User | null;
+  settings: UserSettings | null;
+  sessions: ExportedSession[];
+  weeklyProgress: WeeklyProgress[];
+}
+
+export interface DeletionReceipt {
+  receiptId: string;
+  userId: string;
+  requestedAt: string;
+  completedAt: string;
+  deleted: {
+    profile: boolean;
+    settings: boolean;
+    dataKeys: boolean; // Anything left encrypted for the user, e.g. in backups, is unreadable without them
+    sessions: number;
+    weeklyProgress: number;
+  };
+  // SHA-256 of the deleted record keys, so the receipt can be matched to the erase later
+  recordDigest: string;
+}
+
+export class UserDataService {
+  /**
+   * Collect everything stored for a user
+   */
+  async exportUserData(userId: string, options: UserDataExportOptions = { includeTranscripts: true }): Promise<UserDataExport> {
+    await auditLog.record({ userId, action: 'export', resource: `user:${userId}`, details: { includeTranscripts: options.includeTranscripts } });
+
+    const [profile, settings, sessions, weeklyProgress] = await Promise.all([
+      usersRepository.getUserById(userId),
+      settingsRepository.getSettings(userId),
+      sessionsRepository.getAllSessionsByUserId(userId, true), // Everything still stored, even past its expiry
+      progressRepository.getAllProgressByUserId(userId)
+    ]);
+
+    const exportedSessions = sessions
+      .sort((a, b) => a.startTime.localeCompare(b.startTime))
+      .map(({ encryptedTranscript, ...session }): ExportedSession => ({
+        ...session,
+        ...(options.includeTranscripts && encryptedTranscript ? { transcript: encryptedTranscript } : {})
+      }));
+
+    console.log(`📦 Exported data for user ${userId}: ${exportedSessions.length} sessions, ${weeklyProgress.length} weeks`);
+    return {
+      exportVersion: UserDataExportVersion,
+      exportedAt: new Date().toISOString(),
+      userId,
+      profile: profile && { ...profile, passphraseHash: undefined, recoveryHash: undefined }, // Credential hashes never go in a download
+      settings,
+      sessions: exportedSessions,
+      weeklyProgress
+    };
+  }
+
+  /**
+   * Package an export as a ZIP archive
+   */
+  toZipArchive(data: UserDataExport): Buffer {
+    const json = (value: unknown) => JSON.stringify(value, null, 2);
+
+    const entries: ZipEntry[] = [
+      {
+        name: 'manifest.json',
+        content: json({
+          exportVersion: data.exportVersion,
+          exportedAt: data.exportedAt,
+          userId: data.userId,
+          sessionCount: data.sessions.length,
+          weekCount: data.weeklyProgress.length
+        })
+      },
+      { name: 'profile.json', content: json(data.profile) },
+      { name: 'settings.json', content: json(data.settings) },
+      { name: 'sessions.json', content: json(data.sessions.map(({ transcript, ...session }) => session)) },
+      { name: 'weekly-progress.json', content: json(data.weeklyProgress) }
+    ];
+
+    for (const session of data.sessions) {
+      if (session.transcript) {
+        const date = session.startTime.slice(0, 10);
+        entries.push({ name: `transcripts/${date}-${session.sessionId}.txt`, content: session.transcript });
+      }
+    }
+
+    return createZipArchive(entries, new Date(data.exportedAt));
+  }
+
+  /**
+   * Erase everything stored for a user. Dependent records go first so a failure part-way
+   * leaves the profile in place and the erase can be run again. Records are found by key,
+   * without decrypting them, and expired sessions TTL has not deleted yet are erased too.
+   */
+  async eraseUserData(userId: string): Promise<DeletionReceipt> {
+    const requestedAt = new Date().toISOString();
+    await auditLog.record({ userId, action: 'delete', resource: `user:${userId}` });
+
+    const [profile, settings, sessionIds, weekStartDates] = await Promise.all([
+      usersRepository.userExists(userId),
+      settingsRepository.getSettings(userId),
+      sessionsRepository.getAllSessionIdsByUserId(userId),
+      progressRepository.getAllWeekStartDatesByUserId(userId)
+    ]);
+
+    for (const sessionId of sessionIds) {
+      await sessionsRepository.deleteSession(sessionId);
+    }
+    for (const weekStartDate of weekStartDates) {
+      await progressRepository.deleteWeeklyProgress(userId, weekStartDate);
+    }
+    if (settings) {
+      await settingsRepository.deleteSettings(userId);
+    }
+    const dataKeys = await envelopeEncryption.deleteDataKeys(userId);
+    if (profile) {
+      await usersRepository.deleteUser(userId);
+    }
+
+    const recordKeys = [
+      ...sessionIds.map(sessionId => `session:${sessionId}`),
+      ...weekStartDates.map(weekStartDate => `progress:${ProgressRepository.toProgressId(userId, weekStartDate)}`),
+      ...(settings ? [`settings:${userId}`] : []),
+      ...(dataKeys ? [`keys:${userId}`] : []),
+      ...(profile ? [`user:${userId}`] : [])
+    ];
+
+    const receipt: DeletionReceipt = {
+      receiptId: uuidv4(),
+      userId,
+      requestedAt,
+      completedAt: new Date().toISOString(),
+      deleted: {
+        profile,
+        settings: !!settings,
+        dataKeys,
+        sessions: sessionIds.length,
+        weeklyProgress: weekStartDates.length
+      },
+      recordDigest: createHash('sha256').update(recordKeys.join('\n')).digest('hex')
+    };
+
+    console.log(`🗑️ Erased data for user ${userId}:`, receipt.deleted);
+    return receipt;
+  }
+}
+
+// Export singleton instance
+export const userDataService = new UserDataService();
@@ -0,0 +1,158 @@
+/**
+ * User settings validation
+ * Settings updates come from the browser (theme, AccessibilityController values, voice,
+ * goals, notifications and data retention). Each value is checked against its schema; valid values are
+ * saved and invalid ones are reported and ignored, as for voice preferences.
+ */
+
+import { AccessibilitySettings, NotificationPreferences, RetentionPolicy, UpdateSettingsInput } from '../database/models';
+import { RetentionDataClasses, RetentionPeriodDays } from '../database/retention';
+import { JsonSchema, validateAgainstSchema } from '../tools';
+import { VoicePreferences } from '../types';
+import { validateVoicePreferences } from './voice-preferences';
+
+export const DefaultProgressGoals = ['general-wellbeing'];
+
+const MaxGoals = 10;
+
+const ThemeSchema: JsonSchema = {
+  type: 'string',
+  enum: ['ocean-calm', 'forest-peace', 'sunset-warmth', 'moonlight-serenity']
+};
+
+export const AccessibilitySettingsSchema: Record<keyof AccessibilitySettings, JsonSchema> = {
+  motionIntensity: { type: 'number', minimum: 0.1, maximum: 1.0 },
+  colorIntensity: { type: 'number', minimum: 0.1, maximum: 1.0 },
+  animationSpeed: { type: 'number', minimum: 0.1, maximum: 2.0 },
+  reducedMotion: { type: 'boolean' },
+  highContrast: { type: 'boolean' },
+  smoothTransitions: { type: 'boolean' },
+  flashReduction: { type: 'boolean' },
+  motionSensitivity: { type: 'string', enum: ['low', 'normal', 'high'] }
+};
+
+export const NotificationPreferencesSchema: Record<keyof NotificationPreferences, JsonSchema> = {
+  sessionReminders: { type: 'boolean' },
+  reminderTime: { type: 'string', minLength: 5, maxLength: 5 },
+  weeklyProgressSummary: { type: 'boolean' }
+};
+
+const RetentionPeriodSchema: JsonSchema = { type: 'string', enum: Object.keys(RetentionPeriodDays) };
+
+export const RetentionPolicySchema = Object.fromEntries(
+  RetentionDataClasses.map(dataClass => [dataClass, RetentionPeriodSchema])
+) as Record<keyof RetentionPolicy, JsonSchema>;
+
+const GoalsSchema: JsonSchema = {
+  type: 'array',
+  items: { type: 'string', minLength: 1, maxLength: 100 }
+};
+
+// Voice fields are partial here; they are merged with the saved voice before saving
+export type AcceptedSettingsUpdate = Omit<UpdateSettingsInput, 'voice'> & { voice?: Partial<VoicePreferences> };
+
+export interface SettingsUpdateValidation {
+  accepted: AcceptedSettingsUpdate;
+  errors: string[];
+}
+
+/**
+ * Keep the fields of an object section that pass their schema
+ */
+function acceptFields(
+  value: unknown,
+  schemas: Record<string, JsonSchema>,
+  path: string,
+  errors: string[]
+): Record<string, unknown> | undefined {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    errors.push(`${path} must be an object`);
+    return undefined;
+  }
+
+  const accepted: Record<string, unknown> = {};
+  for (const [key, fieldValue] of Object.entries(value as Record<string, unknown>)) {
+    const schema = schemas[key];
+    if (!schema) {
+      errors.push(`${path}.${key} is not a configurable setting`);
+      continue;
+    }
+
+    const fieldErrors = validateAgainstSchema(fieldValue, schema, `${path}.${key}`);
+    if (fieldErrors.length > 0) {
+      errors.push(...fieldErrors);
+    } else {
+      accepted[key] = fieldValue;
+    }
+  }
+
+  return Object.keys(accepted).length > 0 ? accepted : undefined;
+}
+
+/**
+ * Validate a client settings update, keeping the values that pass
+ */
+export function validateSettingsUpdate(requested: unknown): SettingsUpdateValidation {
+  const accepted: AcceptedSettingsUpdate = {};
+  const errors: string[] = [];
+
+  if (typeof requested !== 'object' || requested === null || Array.isArray(requested)) {
+    return { accepted, errors: ['settings must be an object'] };
+  }
+
+  for (const [section, value] of Object.entries(requested as Record<string, unknown>)) {
+    switch (section) {
+      case 'theme': {
+        const themeErrors = validateAgainstSchema(value, ThemeSchema, 'theme');
+        if (themeErrors.length > 0) {
+          errors.push(...themeErrors);
+        } else {
+          accepted.theme = value as UpdateSettingsInput['theme'];
+        }
+        break;
+      }
+      case 'accessibility': {
+        const fields = acceptFields(value, AccessibilitySettingsSchema, 'accessibility', errors);
+        if (fields) accepted.accessibility = fields as Partial<AccessibilitySettings>;
+        break;
+      }
+      case 'notifications': {
+        const fields = acceptFields(value, NotificationPreferencesSchema, 'notifications', errors);
+        if (fields?.reminderTime !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(fields.reminderTime as string)) {
+          errors.push('notifications.reminderTime must be HH:MM');
+          delete fields.reminderTime;
+        }
+        if (fields && Object.keys(fields).length > 0) {
+          accepted.notifications = fields as Partial<NotificationPreferences>;
+        }
+        break;
+      }
+      case 'retention': {
+        const fields = acceptFields(value, RetentionPolicySchema, 'retention', errors);
+        if (fields) accepted.retention = fields as Partial<RetentionPolicy>;
+        break;
+      }
+      case 'goals': {
+        const goalErrors = validateAgainstSchema(value, GoalsSchema, 'goals');
+        if (goalErrors.length > 0) {
+          errors.push(...goalErrors);
+        } else if ((value as string[]).length > MaxGoals) {
+          errors.push(`goals must have at most ${MaxGoals} entries`);
+        } else {
+          accepted.goals = (value as string[]).map(goal => goal.trim()).filter(Boolean);
+        }
+        break;
+      }
+      case 'voice': {
+        const voice = validateVoicePreferences(value);
+        errors.push(...voice.errors);
+        if (Object.keys(voice.accepted).length > 0) accepted.voice = voice.accepted;
+        break;
+      }
+      default:
+        errors.push(`${section} is not a configurable setting`);
+    }
+  }
+
+  return { accepted, errors };
+}
@@ -0,0 +1,96 @@
+/**
+ * Voice preferences validation
+ * Clients may request a voice, output sample rate and inference settings at promptStart.
+ * Requests are checked field by field against SessionConfigurationAllowList; valid fields
+ * are applied and invalid ones are reported and ignored.
+ */
+
+import { DefaultVoicePreferences, SessionConfigurationAllowList } from '../consts';
+import { InferenceConfig, VoicePreferences } from '../types';
+import { JsonSchema, validateAgainstSchema } from '../tools';
+
+export const VoicePreferencesSchema: Record<keyof VoicePreferences, JsonSchema> = {
+  voiceId: {
+    type: 'string',
+    enum: SessionConfigurationAllowList.voiceIds
+  },
+  outputSampleRateHertz: {
+    type: 'integer',
+    enum: SessionConfigurationAllowList.outputSampleRates
+  },
+  temperature: {
+    type: 'number',
+    minimum: SessionConfigurationAllowList.temperature.min,
+    maximum: SessionConfigurationAllowList.temperature.max
+  },
+  topP: {
+    type: 'number',
+    minimum: SessionConfigurationAllowList.topP.min,
+    maximum: SessionConfigurationAllowList.topP.max
+  },
+  maxTokens: {
+    type: 'integer',
+    minimum: SessionConfigurationAllowList.maxTokens.min,
+    maximum: SessionConfigurationAllowList.maxTokens.max
+  }
+};
+
+export interface VoicePreferencesValidation {
+  accepted: Partial<VoicePreferences>;
+  errors: string[];
+}
+
+/**
+ * Validate a client request, keeping the fields that pass
+ */
+export function validateVoicePreferences(requested: unknown): VoicePreferencesValidation {
+  const accepted: Record<string, unknown> = {};
+  const errors: string[] = [];
+
+  if (requested === undefined || requested === null) {
+    return { accepted, errors };
+  }
+  if (typeof requested !== 'object' || Array.isArray(requested)) {
+    return { accepted, errors: ['voice preferences must be an object'] };
+  }
+
+  for (const [key, value] of Object.entries(requested as Record<string, unknown>)) {
+    const schema = VoicePreferencesSchema[key as keyof VoicePreferences];
+    if (!schema) {
+      errors.push(`${key} is not a configurable setting`);
+      continue;
+    }
+
+    const fieldErrors = validateAgainstSchema(value, schema, key);
+    if (fieldErrors.length > 0) {
+      errors.push(...fieldErrors);
+    } else {
+      accepted[key] = value;
+    }
+  }
+
+  return { accepted: accepted as Partial<VoicePreferences>, errors };
+}
+
+/**
+ * Merge saved preferences and a validated request over the defaults.
+ * Saved values are validated again so a stale or tampered record cannot bypass the allow-list.
+ */
+export function resolveVoicePreferences(
+  saved: Partial<VoicePreferences> | undefined,
+  accepted: Partial<VoicePreferences> = {}
+): VoicePreferences {
+  return {
+    ...DefaultVoicePreferences,
+    ...validateVoicePreferences(saved).accepted,
+    ...accepted
+  };
+}
+
+export function toInferenceConfig(preferences: VoicePreferences): InferenceConfig {
+  return {
+    maxTokens: preferences.maxTokens,
+    topP: preferences.topP,
+    temperature: preferences.temperature
+  };
+}
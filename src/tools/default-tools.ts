@@ -0,0 +1,77 @@
+/**
+ * Built-in tools registered with every Nova Sonic stream by default
+ */
+
+import { ToolDefinition } from './tool-registry';
+
+export const DateAndTimeTool: ToolDefinition = {
+  name: 'getDateAndTimeTool',
+  description: 'Get information about the current date and time.',
+  inputSchema: {
+    type: 'object',
+    properties: {},
+    required: []
+  },
+  handler: async () => {
+    const date = new Date().toLocaleString('en-US', { timeZone: 'America/Los_Angeles' });
+    const pstDate = new Date(date);
+    return {
+      date: pstDate.toISOString().split('T')[0],
+      year: pstDate.getFullYear(),
+      month: pstDate.getMonth() + 1,
+      day: pstDate.getDate(),
+      dayOfWeek: pstDate.toLocaleString('en-US', { weekday: 'long' }).toUpperCase(),
+      timezone: 'PST',
+      formattedTime: pstDate.toLocaleTimeString('en-US', {
+        hour12: true,
+        hour: '2-digit',
+        minute: '2-digit'
+      })
+    };
+  }
+};
+
+export const WeatherTool: ToolDefinition<{ latitude: string; longitude: string }> = {
+  name: 'getWeatherTool',
+  description: 'Get the current weather for a given location, based on its WGS84 coordinates.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      latitude: {
+        type: 'string',
+        description: 'Geographical WGS84 latitude of the location.'
+      },
+      longitude: {
+        type: 'string',
+        description: 'Geographical WGS84 longitude of the location.'
+      }
+    },
+    required: ['latitude', 'longitude']
+  },
+  handler: async ({ latitude, longitude }) => {
+    const url = `https://api.open-meteo.com/v1/forecast?latitude=${encodeURIComponent(latitude)}&longitude=${encodeURIComponent(longitude)}&current_weather=true`;
+
+    try {
+      const response = await fetch(url, {
+        headers: {
+          'User-Agent': 'MyApp/1.0',
+          'Accept': 'application/json'
+        }
+      });
+      const weatherData = await response.json();
+      console.log('weatherData:', weatherData);
+
+      return {
+        weather_data: weatherData
+      };
+    } catch (error) {
+      console.error(`Error fetching weather data: ${error instanceof Error ? error.message : String(error)} `, error);
+      throw error;
+    }
+  }
+};
+
+export const DefaultTools: ToolDefinition[] = [
+  DateAndTimeTool,
+  WeatherTool
+];
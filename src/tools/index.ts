@@ -0,0 +1,32 @@
+/**
+ * Tools module exports
+ */
+
+import { ToolRegistry } from './tool-registry';
+import { DefaultTools } from './default-tools';
+
+export {
+  ToolRegistry,
+  ToolDefinition,
+  ToolContext,
+  ToolSpec,
+  JsonSchema,
+  ToolNotFoundError,
+  ToolInputValidationError,
+  validateAgainstSchema
+} from './tool-registry';
+
+export {
+  DateAndTimeTool,
+  WeatherTool,
+  DefaultTools
+} from './default-tools';
+
+/**
+ * Create a registry pre-populated with the built-in tools
+ */
+export function createDefaultToolRegistry(): ToolRegistry {
+  const registry = new ToolRegistry();
+  DefaultTools.forEach(tool => registry.register(tool));
+  return registry;
+}
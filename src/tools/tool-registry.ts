@@ -0,0 +1,220 @@
+/**
+ * Tool registry for Nova Sonic tool use
+ * Tools declare their name, description, JSON schema and handler once and are
+ * advertised in promptStart and dispatched by name from the streaming client
+ */
+
+export type JsonSchemaType = 'object' | 'string' | 'number' | 'integer' | 'boolean' | 'array' | 'null';
+
+export interface JsonSchema {
+  type?: JsonSchemaType;
+  description?: string;
+  properties?: Record<string, JsonSchema>;
+  required?: string[];
+  additionalProperties?: boolean;
+  items?: JsonSchema;
+  enum?: Array<string | number | boolean>;
+  minimum?: number;
+  maximum?: number;
+  minLength?: number;
+  maxLength?: number;
+}
+
+export interface ToolContext {
+  sessionId: string;
+  toolUseId: string;
+}
+
+export interface ToolDefinition<TInput = any> {
+  name: string;
+  description: string;
+  inputSchema: JsonSchema;
+  handler: (input: TInput, context: ToolContext) => Promise<unknown>;
+}
+
+export interface ToolSpec {
+  toolSpec: {
+    name: string;
+    description: string;
+    inputSchema: {
+      json: string;
+    };
+  };
+}
+
+export class ToolNotFoundError extends Error {
+  constructor(toolName: string) {
+    super(`Tool ${toolName} not supported`);
+    this.name = 'ToolNotFoundError';
+  }
+}
+
+export class ToolInputValidationError extends Error {
+  constructor(toolName: string, public readonly errors: string[]) {
+    super(`Invalid input for tool ${toolName}: ${errors.join('; ')}`);
+    this.name = 'ToolInputValidationError';
+  }
+}
+
+/**
+ * Validate a value against a (subset of) JSON schema
+ * Returns a list of human-readable errors, empty when the value is valid
+ */
+export function validateAgainstSchema(value: any, schema: JsonSchema, path: string = 'input'): string[] {
+  const errors: string[] = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${path} must be of type ${schema.type}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items!, `${path}[${index}]`));
+    });
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const properties = schema.properties || {};
+
+    for (const requiredKey of schema.required || []) {
+      if (value[requiredKey] === undefined) {
+        errors.push(`${path}.${requiredKey} is required`);
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const propertySchema = properties[key];
+      if (propertySchema) {
+        errors.push(...validateAgainstSchema(propertyValue, propertySchema, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+function matchesType(value: any, type: JsonSchemaType): boolean {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && !Number.isNaN(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Registry of tools available to a Nova Sonic stream
+ * Lookups are case-insensitive because the model echoes tool names back in varying case
+ */
+export class ToolRegistry {
+  private tools: Map<string, ToolDefinition> = new Map();
+
+  /**
+   * Register a tool, replacing any existing tool with the same name
+   */
+  register<TInput>(tool: ToolDefinition<TInput>): ToolRegistry {
+    if (!tool.name || !tool.description) {
+      throw new Error('Tool name and description are required');
+    }
+    this.tools.set(tool.name.toLowerCase(), tool as ToolDefinition);
+    return this; // For chaining
+  }
+
+  unregister(toolName: string): boolean {
+    return this.tools.delete(toolName.toLowerCase());
+  }
+
+  has(toolName: string): boolean {
+    return this.tools.has(toolName.toLowerCase());
+  }
+
+  getTool(toolName: string): ToolDefinition | undefined {
+    return this.tools.get(toolName.toLowerCase());
+  }
+
+  getToolNames(): string[] {
+    return Array.from(this.tools.values()).map(tool => tool.name);
+  }
+
+  /**
+   * Tool specs in the shape expected by promptStart.toolConfiguration.tools
+   */
+  getToolSpecs(): ToolSpec[] {
+    return Array.from(this.tools.values()).map(tool => ({
+      toolSpec: {
+        name: tool.name,
+        description: tool.description,
+        inputSchema: {
+          json: JSON.stringify(tool.inputSchema)
+        }
+      }
+    }));
+  }
+
+  /**
+   * Parse, validate and dispatch a toolUse event to the matching handler
+   */
+  async execute(toolName: string, toolUseContent: any, context: ToolContext): Promise<unknown> {
+    const tool = this.getTool(toolName);
+    if (!tool) {
+      throw new ToolNotFoundError(toolName);
+    }
+
+    const input = this.parseToolInput(tool.name, toolUseContent);
+    const errors = validateAgainstSchema(input, tool.inputSchema);
+    if (errors.length > 0) {
+      throw new ToolInputValidationError(tool.name, errors);
+    }
+
+    return tool.handler(input, context);
+  }
+
+  private parseToolInput(toolName: string, toolUseContent: any): any {
+    const content = toolUseContent?.content;
+    if (content === undefined || content === null || content === '') {
+      return {};
+    }
+    if (typeof content !== 'string') {
+      return content;
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new ToolInputValidationError(toolName, ['input is not valid JSON']);
+    }
+  }
+}
@@ -10,6 +10,30 @@ export type AudioMediaType = "audio/lpcm"
 export type TextMediaType = "text/plain" | "application/json";
 
 
+export type ConversationRole = "USER" | "ASSISTANT";
+
+export interface ConversationTurn {
+  readonly role: ConversationRole;
+  content: string;
+}
+
+export interface ReconnectConfig {
+  readonly maxAttempts: number;
+  readonly baseDelayMs: number;
+  readonly maxReplayTurns: number;
+  readonly maxReplayTurnChars: number;
+  readonly healthyStreamMs: number;
+}
+
+// Voice and inference settings a client may choose per session (see SessionConfigurationAllowList)
+export interface VoicePreferences {
+  readonly voiceId: string;
+  readonly outputSampleRateHertz: number;
+  readonly temperature: number;
+  readonly topP: number;
+  readonly maxTokens: number;
+}
+
 export interface AudioConfiguration {
   readonly audioType: AudioType;
   readonly mediaType: AudioMediaType;
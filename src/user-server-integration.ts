@@ -4,25 +4,30 @@
  */
 
 import 'dotenv/config';
-import { usersRepository, sessionsRepository } from './database';
+import { auditLog, usersRepository, sessionsRepository, progressRepository, settingsRepository } from './database';
+import { AuditRecord, CrisisEvent, UserSettings } from './database/models';
+import { VoicePreferences } from './types';
+import { resolveVoicePreferences, validateVoicePreferences } from './services/voice-preferences';
+import { buildSystemPrompt } from './services/system-prompt';
+import { sessionMetricsCollector } from './services/session-metrics';
+import { sanitizeMoodCheckIn, toInitialEmotionalState, withFinalCheckIn } from './services/mood-check-in';
+import { progressAggregator } from './services/progress-aggregator';
+import { localSummarizer, TranscriptSummary } from './services/summarizer';
+import { validateSettingsUpdate } from './services/user-settings';
+import { userDataService } from './services/user-data';
+import { authService } from './services/auth';
+import { issueRecoveryPhrase } from './services/recovery-phrase';
+import { getUserRetentionPolicy } from './services/data-retention';
+import { resolveRetentionPolicy } from './database/retention';
+import { SocketAuth } from './auth-server-integration';
 
 /**
- * Generate a detailed session summary from transcript with conversation topics
+ * Session summary from a local summary of the transcript, with the mood change the
+ * check-ins recorded
  */
-function generateSessionSummary(transcript: string, finalEmotionalState: any): string {
-  if (!transcript || transcript.trim().length === 0) {
-    return 'Session completed with no recorded conversation.';
-  }
-
-  const wordCount = transcript.split(' ').length;
-  const duration = Math.ceil(wordCount / 150); // Approximate speaking duration
-
-  // Extract conversation topics for summary
-  const conversationAnalysis = extractConversationTopics(transcript);
+function generateSessionSummary(localSummary: TranscriptSummary, finalEmotionalState: any): string {
+  let summary = `${localSummary.sessionSummary} `;
 
-  let summary = `Session completed (${duration} min, ${wordCount} words). `;
-
-  // Add mood information
   if (finalEmotionalState.finalMood && finalEmotionalState.initialMood) {
     const moodChange = finalEmotionalState.finalMood - finalEmotionalState.initialMood;
     if (moodChange > 0) {
@@ -34,63 +39,11 @@ function generateSessionSummary(transcript: string, finalEmotionalState: any): s
     }
   }
 
-  // Add topics discussed
-  if (conversationAnalysis.issues.length > 0) {
-    summary += `Issues discussed: ${conversationAnalysis.issues.join(', ')}. `;
-  }
-
-  if (conversationAnalysis.topics.length > 0) {
-    summary += `Topics covered: ${conversationAnalysis.topics.join(', ')}. `;
-  }
-
-  // Add key insights from the most relevant phrases
-  if (conversationAnalysis.keyPhrases.length > 0) {
-    // Filter out any remaining generic phrases and prioritize user content
-    const relevantPhrases = conversationAnalysis.keyPhrases
-      .filter(phrase => {
-        const lower = phrase.toLowerCase();
-        return !lower.includes('first session') &&
-          !lower.includes('safe space') &&
-          !lower.includes('here to listen') &&
-          phrase.length > 10; // Ensure meaningful content
-      })
-      .slice(0, 2);
-
-    if (relevantPhrases.length > 0) {
-      summary += `Key details from session: ${relevantPhrases.join('. ')}. `;
-    }
-  }
-
   if (finalEmotionalState.calmingEffectiveness) {
     summary += `Session effectiveness: ${finalEmotionalState.calmingEffectiveness}/10.`;
   }
 
-  return summary;
-}
-
-/**
- * Extract emotions from transcript (simple keyword-based approach)
- */
-function extractEmotionsFromTranscript(transcript: string): string[] {
-  const emotions: string[] = [];
-  const lowerTranscript = transcript.toLowerCase();
-
-  const emotionKeywords = {
-    'anxious': ['anxious', 'anxiety', 'worried', 'nervous', 'stressed'],
-    'sad': ['sad', 'depressed', 'down', 'upset', 'crying'],
-    'angry': ['angry', 'mad', 'frustrated', 'irritated', 'annoyed'],
-    'happy': ['happy', 'joy', 'excited', 'glad', 'cheerful'],
-    'calm': ['calm', 'peaceful', 'relaxed', 'serene', 'tranquil'],
-    'hopeful': ['hopeful', 'optimistic', 'positive', 'confident', 'better']
-  };
-
-  for (const [emotion, keywords] of Object.entries(emotionKeywords)) {
-    if (keywords.some(keyword => lowerTranscript.includes(keyword))) {
-      emotions.push(emotion);
-    }
-  }
-
-  return emotions.length > 0 ? emotions : ['neutral'];
+  return summary.trim();
 }
 
 /**
@@ -431,6 +384,46 @@ function analyzeSessionHistory(sessions: any[], userName?: string): any {
   return analysis;
 }
 
+/**
+ * Reduce the session history analysis to what the browser shows the user
+ */
+function toClientSessionContext(sessionContext: any): any {
+  return {
+    isFirstSession: sessionContext.isFirstSession,
+    userName: sessionContext.userName,
+    totalSessions: sessionContext.totalSessions,
+    patterns: { moodTrends: sessionContext.patterns?.moodTrends ?? [] },
+    lastSessionSummary: sessionContext.lastSessionSummary
+  };
+}
+
+/**
+ * Reduce an audit record to what the browser shows in the user's access history
+ */
+function toClientAccessEntry(record: AuditRecord, userId: string): any {
+  const resources = Array.isArray(record.details?.resources) ? record.details.resources : undefined;
+  return {
+    timestamp: record.timestamp,
+    action: record.action,
+    actor: record.actor,
+    byUser: record.actor === `user:${userId}`,
+    purpose: record.purpose,
+    resource: record.resource,
+    itemCount: resources ? resources.length : undefined
+  };
+}
+
+/**
+ * Roll a completed session into its week's progress; failures do not fail the completion
+ */
+async function updateWeeklyProgress(userId: string, sessionStartTime: string): Promise<void> {
+  try {
+    await progressAggregator.updateWeeklyProgress(userId, sessionStartTime);
+  } catch (error) {
+    console.error('⚠️ Failed to update weekly progress:', error);
+  }
+}
+
 // Store active user sessions
 const activeUserSessions = new Map<string, {
   userId: string;
@@ -438,8 +431,12 @@ const activeUserSessions = new Map<string, {
   frontendUserId?: string;
   sessionId?: string;
   startTime?: string;
+  systemPrompt?: string; // Built from the session history at startTherapySession
 }>();
 
+// Crisis events flagged before the therapy session record exists, keyed by socket id
+const pendingCrisisEvents = new Map<string, CrisisEvent[]>();
+
 // Track session creation to prevent duplicates
 const sessionCreationLocks = new Map<string, boolean>();
 
@@ -449,77 +446,81 @@ const sessionCreationLocks = new Map<string, boolean>();
 export function addUserManagement(socket: any) {
   console.log('Setting up user management for socket:', socket.id);
 
-  // Handle user creation or recognition
-  socket.on('createUser', async (data: {
-    userId: string;
-    userName?: string;
-    isAnonymous: boolean;
-  }) => {
-    try {
-      console.log('Processing user:', data);
+  // The handshake verified the socket's token (authenticateSocket), so the connection belongs
+  // to that user whatever IDs the browser sends later
+  const auth: SocketAuth | undefined = socket.data?.auth;
+  if (auth) {
+    activeUserSessions.set(socket.id, { userId: auth.userId });
+  } else {
+    console.warn('⚠️ Socket connected without authentication:', socket.id);
+  }
 
-      // Always use frontend UUID as canonical userId in Users table
-      const canonicalUserId = data.userId;
+  // Handlers run on behalf of the socket's user, so the audit log records what they read and why
+  const onAudited = (event: string, purpose: string, handler: (...args: any[]) => Promise<void>) => {
+    socket.on(event, (...args: any[]) => auditLog.withAccess(
+      { actor: auth ? `user:${auth.userId}` : 'system:unauthenticated', purpose },
+      () => handler(...args)
+    ));
+  };
 
-      // Check if user already exists
-      let user = await usersRepository.getUserById(canonicalUserId);
-      let isReturning = false;
+  // Load the authenticated user's profile, saving the name they want to be called
+  onAudited('createUser', 'load-profile', async (data: {
+    userName?: string;
+  } = {}) => {
+    try {
+      const userSession = activeUserSessions.get(socket.id);
+      if (!auth || !userSession) {
+        socket.emit('userCreated', { success: false, error: 'Not signed in', authRequired: true });
+        return;
+      }
 
-      if (user) {
-        console.log('✅ Existing user found in users table:', canonicalUserId);
-        isReturning = true;
-      } else {
-        // Create user with conditional put to avoid duplicates
-        console.log('Creating new user in database with frontend ID:', canonicalUserId);
+      let user = await usersRepository.getUserById(auth.userId);
+      if (!user) {
+        socket.emit('userCreated', { success: false, error: 'Account not found', authRequired: true });
+        return;
+      }
+      // Returning means there are sessions from an earlier visit, not just a new sign-in
+      const isReturning = (await sessionsRepository.getSessionsByUserId(user.userId, 1)).length > 0;
+
+      const userName = typeof data?.userName === 'string' ? data.userName.trim().slice(0, 50) : '';
+      user = await usersRepository.updateUser(user.userId, {
+        lastActiveAt: new Date().toISOString(),
+        ...(userName && userName !== user.userName ? { userName } : {})
+      }) ?? user;
+
+      userSession.userName = user.userName;
+      userSession.frontendUserId = user.frontendUserId;
+      console.log('✅ User profile loaded:', user.userId, user.userName || 'Anonymous');
+
+      // Anonymous users get a recovery phrase the first time, shown once, to reach this
+      // history from another device
+      let recoveryPhrase: string | undefined;
+      if (user.isAnonymous && !user.recoveryHash) {
         try {
-          user = await usersRepository.createUserWithId(canonicalUserId, {
-            isAnonymous: data.isAnonymous,
-            userName: data.userName,
-            frontendUserId: data.userId,
-            preferences: {
-              theme: 'ocean-calm',
-              motionIntensity: 0.8,
-              colorIntensity: 0.7,
-              animationSpeed: 1.0,
-              reducedMotion: false,
-              highContrast: false,
-              audioSensitivity: 0.6
-            }
-          });
-          console.log('✅ New user created in database:', user.userId);
-        } catch (err: any) {
-          // If another request created the user concurrently
-          if (err?.name === 'ConditionalCheckFailedException') {
-            console.log('⚠️ User already existed due to race; fetching existing:', canonicalUserId);
-            user = await usersRepository.getUserById(canonicalUserId);
-            isReturning = true;
-          } else {
-            throw err;
-          }
+          recoveryPhrase = await issueRecoveryPhrase(user.userId);
+        } catch (error) {
+          console.error('Error issuing recovery phrase:', error);
         }
       }
 
-      console.log('✅ User name:', data.userName || 'Anonymous');
-      console.log('✅ Frontend UUID:', data.userId);
-
-      // Ensure we have a user record
-      if (!user) {
-        throw new Error('Failed to create or retrieve user');
+      // Saved settings follow the user across devices; a failed read leaves the device's own
+      let settings: UserSettings | null = null;
+      try {
+        settings = await settingsRepository.getSettings(user.userId);
+      } catch (error) {
+        console.error('Error loading user settings:', error);
       }
 
-      // Store user session info with both IDs
-      activeUserSessions.set(socket.id, {
-        userId: user.userId, // Use consistent user ID (frontend UUID)
-        userName: data.userName,
-        frontendUserId: data.userId
-      });
-
-      console.log('✅ User session created:', user.userId);
       socket.emit('userCreated', {
-        userId: user.userId, // Return the user ID
-        frontendUserId: data.userId, // Also return the frontend UUID
-        userName: data.userName,
+        userId: user.userId,
+        userName: user.userName,
+        isAnonymous: user.isAnonymous,
         isReturning,
+        token: authService.issueSessionToken(user.userId, user.isAnonymous), // Renewed on every visit
+        recoveryPhrase,
+        voicePreferences: resolveVoicePreferences(settings?.voice ?? user.preferences?.voice),
+        settings,
+        retentionPolicy: resolveRetentionPolicy(settings?.retention), // Including the deployment defaults
         success: true,
         databaseConnected: true
       });
@@ -534,18 +535,24 @@ export function addUserManagement(socket: any) {
   });
 
   // Handle therapy session start
-  socket.on('startTherapySession', async (data: {
-    userId: string;
-    initialEmotionalState: any;
-  }) => {
+  onAudited('startTherapySession', 'session-context', async (data: {
+    checkIn?: unknown; // Pre-session mood check-in; missing answers were skipped
+  } = {}) => {
+    // Sessions are always created for the socket's authenticated user
+    const userId = activeUserSessions.get(socket.id)?.userId;
+    if (!userId) {
+      socket.emit('sessionStarted', { success: false, error: 'Not signed in' });
+      return;
+    }
+
     try {
-      console.log('🚀 startTherapySession called for user:', data.userId);
+      console.log('🚀 startTherapySession called for user:', userId);
       console.log('🚀 Socket ID:', socket.id);
       console.log('🚀 Timestamp:', new Date().toISOString());
 
       // Check if session creation is already in progress for this user
-      if (sessionCreationLocks.get(data.userId)) {
-        console.log('⚠️ Session creation already in progress for user:', data.userId);
+      if (sessionCreationLocks.get(userId)) {
+        console.log('⚠️ Session creation already in progress for user:', userId);
         return;
       }
 
@@ -562,23 +569,24 @@ export function addUserManagement(socket: any) {
       }
 
       // Set lock to prevent duplicate session creation
-      sessionCreationLocks.set(data.userId, true);
+      sessionCreationLocks.set(userId, true);
 
       // Get user info from active session
       const activeSession = activeUserSessions.get(socket.id);
       const userName = activeSession?.userName;
 
       // Fetch user's previous sessions for context
-      console.log('Fetching previous sessions for user:', data.userId);
+      console.log('Fetching previous sessions for user:', userId);
       console.log('Active session info:', activeSession);
 
       let previousSessions: any[] = [];
       try {
-        console.log('🔍 Searching for sessions with userId:', data.userId);
+        console.log('🔍 Searching for sessions with userId:', userId);
         console.log('🔍 Query details: table=therapeutic-wave-sessions, index=userId-startTime-index');
 
-        previousSessions = await sessionsRepository.getSessionsByUserId(data.userId, 5); // Get last 5 sessions
-        console.log(`📊 Found ${previousSessions.length} previous sessions for user ${data.userId}`);
+        await auditLog.record({ userId, action: 'context-read', resource: 'sessions:recent', details: { limit: 5 } });
+        previousSessions = await sessionsRepository.getSessionsByUserId(userId, 5); // Get last 5 sessions
+        console.log(`📊 Found ${previousSessions.length} previous sessions for user ${userId}`);
 
         if (previousSessions.length > 0) {
           console.log('📋 Sample session data:', {
@@ -601,12 +609,18 @@ export function addUserManagement(socket: any) {
       const sessionContext = analyzeSessionHistory(previousSessions, userName);
       console.log('Session context analysis:', sessionContext);
 
+      // Build the system prompt now so the session records which template version it used
+      const systemPrompt = buildSystemPrompt(sessionContext);
+
       // Create session in database
-      console.log('Creating session in database for user:', data.userId);
+      console.log('Creating session in database for user:', userId);
       const session = await sessionsRepository.createSession({
-        userId: data.userId,
-        emotionalState: data.initialEmotionalState,
+        userId,
+        promptTemplate: systemPrompt.name,
+        promptTemplateVersion: systemPrompt.version,
+        emotionalState: toInitialEmotionalState(sanitizeMoodCheckIn(data.checkIn)),
         wavePatterns: [],
+        crisisEvents: pendingCrisisEvents.get(socket.id),
         therapeuticMetrics: {
           sessionQuality: 0,
           engagementLevel: 0,
@@ -621,21 +635,24 @@ export function addUserManagement(socket: any) {
             volumeConsistency: 0
           }
         }
-      });
+      }, await getUserRetentionPolicy(userId));
       console.log('✅ Session created in database:', session.sessionId);
+      pendingCrisisEvents.delete(socket.id);
+      sessionMetricsCollector.startSession(socket.id);
 
       // Update active session
       const currentSession = activeUserSessions.get(socket.id);
       if (currentSession) {
         currentSession.sessionId = session.sessionId;
         currentSession.startTime = session.startTime;
+        currentSession.systemPrompt = systemPrompt.text;
       }
 
       console.log('✅ Therapy session started:', session.sessionId);
       socket.emit('sessionStarted', {
         sessionId: session.sessionId,
         startTime: session.startTime,
-        sessionContext: sessionContext, // Include context for the AI
+        sessionContext: toClientSessionContext(sessionContext), // What the welcome notifications need; the AI prompt stays server-side
         success: true
       });
 
@@ -647,53 +664,78 @@ export function addUserManagement(socket: any) {
       });
     } finally {
       // Always clear the lock
-      sessionCreationLocks.delete(data.userId);
+      sessionCreationLocks.delete(userId);
     }
   });
 
   // Handle therapy session completion
-  socket.on('completeTherapySession', async (data: {
+  onAudited('completeTherapySession', 'session-summary', async (data: {
     sessionId: string;
-    userId: string;
     transcript: string;
-    finalEmotionalState: any;
-    sessionMetrics: any;
+    checkIn?: unknown; // Post-session mood check-in; missing answers were skipped
     userConsent: boolean;
   }) => {
+    const finalCheckIn = sanitizeMoodCheckIn(data.checkIn);
+    let finalEmotionalState = withFinalCheckIn(undefined, finalCheckIn);
+
+    // Metrics are measured server-side from the stream and voice analysis of this socket
+    const therapeuticMetrics = sessionMetricsCollector.getMetrics(socket.id);
+    const endTime = new Date().toISOString();
+    const activeStartTime = activeUserSessions.get(socket.id)?.startTime;
+    let duration = activeStartTime ? Math.round((Date.parse(endTime) - Date.parse(activeStartTime)) / 1000) : undefined;
+    const userId = activeUserSessions.get(socket.id)?.userId;
+    let ownsSession = false; // Set once the session is confirmed to belong to the socket's user
+
     try {
       console.log('🔄 Completing therapy session:', data.sessionId);
-      console.log('📝 Processing transcript with AI summarization...');
+
+      // Combine the post-session answers with those given when the session started
+      const startedSession = await sessionsRepository.getSessionById(data.sessionId);
+      if (!startedSession || startedSession.userId !== userId) {
+        // Never recreate a session record, e.g. one erased while the session was running,
+        // and never complete another user's session
+        console.warn('⚠️ Session not found for this user, not completing:', data.sessionId);
+        socket.emit('sessionCompleted', { sessionId: data.sessionId, success: false, error: 'Session not found' });
+        return;
+      }
+      ownsSession = true;
+      finalEmotionalState = withFinalCheckIn(startedSession.emotionalState, finalCheckIn);
+      duration = Math.round((Date.parse(endTime) - Date.parse(startedSession.startTime)) / 1000);
+
+      console.log('📝 Summarizing transcript...');
 
       // Import the transcript processor
       const { transcriptProcessor } = await import('./services/transcript-processor');
 
-      // Process transcript with AI-powered summarization using Amazon Nova Micro
+      // Summarize the transcript with the configured summarizer backend
       const aiSummary = await transcriptProcessor.processSessionTranscript(
         data.sessionId,
         data.transcript,
         data.userConsent
       );
 
-      // Use AI summary if available, fallback to basic summary
-      const summary = aiSummary ? aiSummary.sessionSummary : generateSessionSummary(data.transcript, data.finalEmotionalState);
-      console.log('✅ Generated AI-powered session summary:', summary);
+      // Without consent the transcript is only summarized locally and never leaves the server
+      const localSummary = aiSummary ? null : await localSummarizer.summarize(data.transcript);
+      const summary = aiSummary ? aiSummary.sessionSummary : generateSessionSummary(localSummary!, finalEmotionalState);
+      console.log('✅ Generated session summary:', summary);
 
       // Update session in database with comprehensive data
       console.log('💾 Updating session in database:', data.sessionId);
       const updatedSession = await sessionsRepository.updateSession(data.sessionId, {
-        endTime: new Date().toISOString(),
-        duration: data.sessionMetrics.duration,
+        endTime,
+        duration,
         emotionalState: {
-          ...data.finalEmotionalState,
-          dominantEmotions: aiSummary ? aiSummary.emotionalInsights.dominantEmotions : extractEmotionsFromTranscript(data.transcript)
+          ...finalEmotionalState,
+          dominantEmotions: (aiSummary ?? localSummary!).emotionalInsights.dominantEmotions
         },
-        therapeuticMetrics: data.sessionMetrics,
+        therapeuticMetrics,
         conversationSummary: summary,
         // Store additional AI insights if available
         ...(aiSummary && {
           keyTopics: aiSummary.keyTopics,
           therapeuticProgress: aiSummary.therapeuticProgress,
-          continuityNotes: aiSummary.continuityNotes
+          continuityNotes: aiSummary.continuityNotes,
+          summarySegments: aiSummary.segments
         }),
         // Only store transcript if user consents (will be encrypted by repository)
         ...(data.userConsent && data.transcript ? {
@@ -701,6 +743,7 @@ export function addUserManagement(socket: any) {
         } : {})
       });
       console.log('✅ Session updated in database with AI insights:', data.sessionId);
+      await updateWeeklyProgress(startedSession.userId, startedSession.startTime);
 
       // Clear active session
       const completedSession = activeUserSessions.get(socket.id);
@@ -720,22 +763,27 @@ export function addUserManagement(socket: any) {
     } catch (error) {
       console.error('❌ Error completing therapy session:', error);
       
-      // Fallback to basic summary if AI processing fails
+      // Fall back to a local summary if processing the transcript fails
       try {
-        const basicSummary = generateSessionSummary(data.transcript, data.finalEmotionalState);
+        if (!ownsSession || !userId) {
+          throw error;
+        }
+        const localSummary = await localSummarizer.summarize(data.transcript);
+        const basicSummary = generateSessionSummary(localSummary, finalEmotionalState);
         await sessionsRepository.updateSession(data.sessionId, {
-          endTime: new Date().toISOString(),
-          duration: data.sessionMetrics.duration,
+          endTime,
+          duration,
           emotionalState: {
-            ...data.finalEmotionalState,
-            dominantEmotions: extractEmotionsFromTranscript(data.transcript)
+            ...finalEmotionalState,
+            dominantEmotions: localSummary.emotionalInsights.dominantEmotions
           },
-          therapeuticMetrics: data.sessionMetrics,
+          therapeuticMetrics,
           conversationSummary: basicSummary,
           ...(data.userConsent && data.transcript ? {
             encryptedTranscript: data.transcript
           } : {})
         });
+        await updateWeeklyProgress(userId, activeStartTime ?? endTime);
         
         socket.emit('sessionCompleted', {
           sessionId: data.sessionId,
@@ -753,13 +801,273 @@ export function addUserManagement(socket: any) {
     }
   });
 
+  // Settings of the socket's user: theme, accessibility, voice, goals and notifications
+  onAudited('getSettings', 'settings', async () => {
+    const userId = activeUserSessions.get(socket.id)?.userId;
+    if (!userId) {
+      socket.emit('settingsLoaded', { success: false, error: 'No user for this connection' });
+      return;
+    }
+
+    try {
+      const settings = await settingsRepository.getSettings(userId);
+      socket.emit('settingsLoaded', { success: true, settings });
+    } catch (error) {
+      console.error('Error loading user settings:', error);
+      socket.emit('settingsLoaded', {
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Save changed settings; invalid values are reported back and not saved
+  onAudited('updateSettings', 'settings', async (requested: unknown) => {
+    const userId = activeUserSessions.get(socket.id)?.userId;
+    if (!userId) {
+      socket.emit('settingsSaved', { success: false, error: 'No user for this connection' });
+      return;
+    }
+
+    const { accepted, errors } = validateSettingsUpdate(requested);
+    if (errors.length > 0) {
+      console.warn('⚠️ Rejected settings values:', errors);
+    }
+
+    try {
+      const { voice, ...rest } = accepted;
+      const update = voice
+        ? { ...rest, voice: resolveVoicePreferences((await settingsRepository.getSettings(userId))?.voice, voice) }
+        : rest;
+
+      const settings = Object.keys(update).length > 0
+        ? await settingsRepository.updateSettings(userId, update)
+        : await settingsRepository.getSettings(userId);
+
+      // A new retention choice applies to the sessions already stored, not only new ones
+      const retentionPolicy = resolveRetentionPolicy(settings?.retention);
+      if (accepted.retention) {
+        const sessionCount = await sessionsRepository.applyRetentionPolicy(userId, retentionPolicy);
+        const weekCount = await progressRepository.applyRetentionPolicy(userId, retentionPolicy);
+        console.log(`🗓️ Retention policy of user ${userId} applied to ${sessionCount} sessions and ${weekCount} weeks:`, retentionPolicy);
+      }
+
+      socket.emit('settingsSaved', { success: true, settings, retentionPolicy, rejected: errors });
+    } catch (error) {
+      console.error('Error saving user settings:', error);
+      socket.emit('settingsSaved', {
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Weekly progress history for the socket's user, most recent week first
+  onAudited('getWeeklyProgress', 'weekly-progress', async (data: { weeks?: number } = {}) => {
+    const userId = activeUserSessions.get(socket.id)?.userId;
+    if (!userId) {
+      socket.emit('weeklyProgress', { success: false, error: 'No user for this connection' });
+      return;
+    }
+
+    try {
+      const weeks = Math.min(Math.max(Math.floor(Number(data?.weeks) || 12), 1), 52);
+      const history = await progressAggregator.getWeeklyHistory(userId, weeks);
+      socket.emit('weeklyProgress', { success: true, weeks: history });
+    } catch (error) {
+      console.error('Error fetching weekly progress:', error);
+      socket.emit('weeklyProgress', {
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Export everything stored for the socket's user as JSON or a ZIP archive (base64)
+  onAudited('exportUserData', 'data-export', async (data: { format?: string; includeTranscripts?: boolean } = {}) => {
+    const userId = activeUserSessions.get(socket.id)?.userId;
+    if (!userId) {
+      socket.emit('userDataExport', { success: false, error: 'No user for this connection' });
+      return;
+    }
+
+    try {
+      const format = data?.format === 'zip' ? 'zip' : 'json';
+      const exported = await userDataService.exportUserData(userId, {
+        includeTranscripts: data?.includeTranscripts !== false
+      });
+      const fileName = `hope-data-export-${exported.exportedAt.slice(0, 10)}.${format}`;
+
+      socket.emit('userDataExport', format === 'zip'
+        ? { success: true, format, fileName, data: userDataService.toZipArchive(exported).toString('base64') }
+        : { success: true, format, fileName, data: exported });
+    } catch (error) {
+      console.error('Error exporting user data:', error);
+      socket.emit('userDataExport', {
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Replace an anonymous user's recovery phrase, e.g. when the old one was lost or shared
+  onAudited('resetRecoveryPhrase', 'recovery-phrase', async () => {
+    const userSession = activeUserSessions.get(socket.id);
+    if (!userSession || !auth?.isAnonymous) {
+      socket.emit('recoveryPhraseIssued', { success: false, error: 'Recovery phrases are only for anonymous users' });
+      return;
+    }
+
+    try {
+      const recoveryPhrase = await issueRecoveryPhrase(userSession.userId);
+      socket.emit('recoveryPhraseIssued', { success: true, recoveryPhrase });
+    } catch (error) {
+      console.error('Error issuing recovery phrase:', error);
+      socket.emit('recoveryPhraseIssued', {
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Erase everything stored for the socket's user; requires explicit confirmation
+  onAudited('eraseUserData', 'data-erasure', async (data: { confirm?: boolean } = {}) => {
+    const userSession = activeUserSessions.get(socket.id);
+    if (!userSession) {
+      socket.emit('userDataErased', { success: false, error: 'No user for this connection' });
+      return;
+    }
+    if (data?.confirm !== true) {
+      socket.emit('userDataErased', { success: false, error: 'Erasure must be confirmed' });
+      return;
+    }
+
+    try {
+      const receipt = await userDataService.eraseUserData(userSession.userId);
+
+      // Nothing further may be written for the erased user on this connection
+      activeUserSessions.delete(socket.id);
+      pendingCrisisEvents.delete(socket.id);
+      sessionMetricsCollector.endSession(socket.id);
+
+      socket.emit('userDataErased', { success: true, receipt });
+    } catch (error) {
+      console.error('Error erasing user data:', error);
+      socket.emit('userDataErased', {
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
+  // Who accessed the socket's user's data, most recent first, and whether the records are intact
+  socket.on('getAccessLog', async (data: { limit?: number } = {}) => {
+    const userId = activeUserSessions.get(socket.id)?.userId;
+    if (!userId) {
+      socket.emit('accessLog', { success: false, error: 'No user for this connection' });
+      return;
+    }
+
+    try {
+      const limit = Math.min(Math.max(Math.floor(Number(data?.limit) || 50), 1), 200);
+      const [records, verification] = await Promise.all([
+        auditLog.getAccessHistory(userId, limit),
+        auditLog.verifyChain(userId)
+      ]);
+      if (!verification.valid) {
+        console.error(`🚨 Audit chain of user ${userId} is broken at record ${verification.brokenAt}`);
+      }
+
+      socket.emit('accessLog', {
+        success: true,
+        entries: records.map(record => toClientAccessEntry(record, userId)),
+        chainValid: verification.valid
+      });
+    } catch (error) {
+      console.error('Error loading access log:', error);
+      socket.emit('accessLog', {
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  });
+
   // Handle disconnect - cleanup active session
   socket.on('disconnect', () => {
     console.log('User disconnected, cleaning up session:', socket.id);
     activeUserSessions.delete(socket.id);
+    pendingCrisisEvents.delete(socket.id);
   });
 }
 
+/**
+ * Flag a crisis event on the socket's therapy session record.
+ * Events raised before the session record is created are kept and saved with it.
+ */
+export async function recordCrisisEvent(socketId: string, event: CrisisEvent): Promise<void> {
+  const sessionId = activeUserSessions.get(socketId)?.sessionId;
+
+  if (!sessionId) {
+    const pending = pendingCrisisEvents.get(socketId) ?? [];
+    pending.push(event);
+    pendingCrisisEvents.set(socketId, pending);
+    console.log('🚨 Crisis event held until the therapy session is created:', socketId);
+    return;
+  }
+
+  try {
+    await sessionsRepository.addCrisisEvent(sessionId, event);
+    console.log('🚨 Crisis event recorded on session:', sessionId);
+  } catch (error) {
+    console.error('Failed to record crisis event on session:', sessionId, error);
+  }
+}
+
+/**
+ * Resolve the voice preferences for a socket's promptStart request.
+ * Valid requested fields override the user's saved preferences and are persisted,
+ * so returning users keep the voice they chose. Rejected fields are returned for reporting.
+ */
+export async function resolveSessionVoicePreferences(socketId: string, requested: unknown): Promise<{
+  preferences: VoicePreferences;
+  rejected: string[];
+}> {
+  const { accepted, errors } = validateVoicePreferences(requested);
+  const userSession = activeUserSessions.get(socketId);
+
+  if (!userSession) {
+    return { preferences: resolveVoicePreferences(undefined, accepted), rejected: errors };
+  }
+
+  try {
+    // Voice used to be saved on the user's preferences; the settings record takes over from it
+    const settings = await settingsRepository.getSettings(userSession.userId);
+    const saved = settings?.voice ?? (await auditLog.withAccess(
+      { actor: `user:${userSession.userId}`, purpose: 'voice-preferences' },
+      () => usersRepository.getUserById(userSession.userId)
+    ))?.preferences?.voice;
+    const preferences = resolveVoicePreferences(saved, accepted);
+
+    if (Object.keys(accepted).length > 0 && JSON.stringify(preferences) !== JSON.stringify(saved)) {
+      await settingsRepository.updateSettings(userSession.userId, { voice: preferences });
+      console.log('✅ Voice preferences saved for user:', userSession.userId);
+    }
+
+    return { preferences, rejected: errors };
+  } catch (error) {
+    console.error('Error loading voice preferences, using requested values only:', error);
+    return { preferences: resolveVoicePreferences(undefined, accepted), rejected: errors };
+  }
+}
+
+/**
+ * System prompt for a socket's session: the one built at startTherapySession, or the
+ * base prompt when no therapy session has been started (e.g. anonymous use)
+ */
+export function getSessionSystemPrompt(socketId: string): string {
+  return activeUserSessions.get(socketId)?.systemPrompt ?? buildSystemPrompt().text;
+}
+
 /**
  * Get active user sessions (for monitoring)
  */
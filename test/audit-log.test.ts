@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { AuditLog } from '../src/database/audit-log';
+import { FileStorage } from '../src/database/file-storage';
+import { StorageBackend, StorageQuery, StorageTable } from '../src/database/storage';
+
+process.env.AUDIT_HASH_KEY = 'test-audit-hash-key';
+
+const directory = mkdtempSync(path.join(tmpdir(), 'hope-audit-'));
+process.on('exit', () => rmSync(directory, { recursive: true, force: true }));
+
+const storage = new FileStorage(directory);
+
+// An index that has not caught up yet: queries see none of the records written since it was frozen
+function withStaleIndex(backend: StorageBackend): StorageBackend & { freeze(): Promise<void> } {
+  let frozen: Set<string> | null = null;
+  return Object.assign(Object.create(backend), {
+    async freeze() {
+      frozen = new Set((await backend.scan('audit')).map(item => item.auditId));
+    },
+    async query(table: StorageTable, query: StorageQuery) {
+      const items = await backend.query(table, { ...query, limit: undefined });
+      return items.filter(item => !frozen || frozen.has(item.auditId)).slice(0, query.limit);
+    }
+  });
+}
+
+test('records are chained in order', async () => {
+  const log = new AuditLog(storage);
+  await log.record({ userId: 'user-1', action: 'export', actor: 'user:user-1', purpose: 'download' });
+  await log.record({ userId: 'user-1', action: 'delete', actor: 'user:user-1', purpose: 'erase' });
+
+  const history = await log.getAccessHistory('user-1');
+  assert.deepEqual(history.map(record => record.sequence), [2, 1]);
+  assert.equal(history[0].previousHash, history[1].hash);
+  assert.deepEqual(await log.verifyChain('user-1'), { valid: true, checked: 2 });
+});
+
+test('concurrent records for one user all land on the chain', async () => {
+  const log = new AuditLog(storage);
+  await Promise.all(Array.from({ length: 10 }, (_, index) =>
+    log.record({ userId: 'user-2', action: 'decrypt', resource: `session:${index}` })
+  ));
+
+  assert.deepEqual(await log.verifyChain('user-2'), { valid: true, checked: 10 });
+});
+
+test('appends from another process chain onto the latest record though the index lags', async () => {
+  const stale = withStaleIndex(storage);
+  const first = new AuditLog(stale);
+  const second = new AuditLog(stale);
+
+  await first.record({ userId: 'user-3', action: 'export' });
+  await stale.freeze();
+  await first.record({ userId: 'user-3', action: 'export' });
+  await first.record({ userId: 'user-3', action: 'delete' });
+  const record = await second.record({ userId: 'user-3', action: 'decrypt' });
+
+  assert.equal(record.sequence, 4);
+  assert.deepEqual(await new AuditLog(storage).verifyChain('user-3'), { valid: true, checked: 4 });
+});
+
+test('an edited record breaks the chain from there on', async () => {
+  const log = new AuditLog(storage);
+  for (const action of ['export', 'decrypt', 'delete'] as const) {
+    await log.record({ userId: 'user-4', action });
+  }
+
+  const [, second] = await storage.query('audit', {
+    indexName: 'userId-auditId-index',
+    partitionKey: 'userId',
+    partitionValue: 'user-4',
+    sortKey: 'auditId'
+  });
+  await storage.put('audit', { ...second, purpose: 'nothing to see here' });
+
+  assert.deepEqual(await log.verifyChain('user-4'), { valid: false, checked: 1, brokenAt: 2 });
+});
+
+test('decrypts within withAccess are recorded once under its actor', async () => {
+  const log = new AuditLog(storage);
+  await log.withAccess({ actor: 'system:summarizer', purpose: 'summary' }, async () => {
+    log.noteDecrypt('user-5', 'session:a');
+    log.noteDecrypt('user-5', 'session:b');
+    log.noteDecrypt('user-5', 'session:a');
+  });
+
+  const history = await log.getAccessHistory('user-5');
+  assert.equal(history.length, 1);
+  assert.equal(history[0].actor, 'system:summarizer');
+  assert.equal(history[0].purpose, 'summary');
+  assert.deepEqual(history[0].details, { resources: ['session:a', 'session:b'] });
+});
+
+test('records the index has not caught up with are verified and listed, not reported missing', async () => {
+  const stale = withStaleIndex(storage);
+  const log = new AuditLog(stale);
+  await log.record({ userId: 'user-6', action: 'export' });
+  await stale.freeze();
+  await log.record({ userId: 'user-6', action: 'decrypt' });
+  await log.record({ userId: 'user-6', action: 'delete' });
+
+  assert.deepEqual(await log.verifyChain('user-6'), { valid: true, checked: 3 });
+  assert.deepEqual((await log.getAccessHistory('user-6', 2)).map(record => record.action), ['delete', 'decrypt']);
+});
+
+test('a record removed from the middle of the chain still breaks it', async () => {
+  const log = new AuditLog(storage);
+  for (const action of ['export', 'decrypt', 'delete'] as const) {
+    await log.record({ userId: 'user-7', action });
+  }
+
+  const [, second] = await log.getAccessHistory('user-7');
+  await storage.delete('audit', { auditId: second.auditId });
+
+  assert.deepEqual(await log.verifyChain('user-7'), { valid: false, checked: 1, brokenAt: 2 });
+});
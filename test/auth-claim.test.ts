@@ -0,0 +1,109 @@
+import './helpers/file-storage-env';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { AddressInfo } from 'net';
+import express from 'express';
+import { addAuthRoutes, DefaultUserPreferences, trustProxies } from '../src/auth-server-integration';
+import { usersRepository } from '../src/database';
+
+function listen(proxyHops: number) {
+  const app = express();
+  trustProxies(app, proxyHops);
+  addAuthRoutes(app);
+  const server = app.listen(0);
+  after(() => server.close());
+  return server;
+}
+
+const server = listen(0);
+// As deployed, behind one load balancer that appends the client's address to X-Forwarded-For
+const proxiedServer = listen(1);
+
+async function post(
+  path: string,
+  body: object,
+  { target = server, forwardedFor }: { target?: typeof server; forwardedFor?: string } = {}
+): Promise<{ status: number; data: any }> {
+  const { port } = target.address() as AddressInfo;
+  const response = await fetch(`http://127.0.0.1:${port}/api/auth/${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(forwardedFor ? { 'X-Forwarded-For': forwardedFor } : {}) },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+// A user as stored before sign-in existed: no credentials and never claimed
+async function createLegacyUser(userId: string, extra: object = {}) {
+  await usersRepository.createUserWithId(userId, { isAnonymous: true, preferences: DefaultUserPreferences, ...extra });
+}
+
+function openClaimsUntil(date: string | undefined) {
+  if (date) {
+    process.env.LEGACY_CLAIM_UNTIL = date;
+  } else {
+    delete process.env.LEGACY_CLAIM_UNTIL;
+  }
+}
+
+test('a legacy user is claimed once during the migration window', async () => {
+  openClaimsUntil('2999-01-01');
+  await createLegacyUser('legacy-1');
+
+  const first = await post('anonymous', { claimUserId: 'legacy-1' });
+  const second = await post('anonymous', { claimUserId: 'legacy-1' });
+
+  assert.equal(first.data.userId, 'legacy-1');
+  assert.notEqual(second.data.userId, 'legacy-1');
+});
+
+test('a user with credentials of its own cannot be claimed', async () => {
+  openClaimsUntil('2999-01-01');
+  await createLegacyUser('legacy-2', { recoveryHash: 'hash-of-a-phrase' });
+
+  const { data } = await post('register', { handle: 'taker', passphrase: 'long enough passphrase', claimUserId: 'legacy-2' });
+
+  assert.equal(data.success, true);
+  assert.notEqual(data.userId, 'legacy-2');
+});
+
+test('nothing can be claimed outside the migration window', async () => {
+  await createLegacyUser('legacy-3');
+
+  for (const deadline of [undefined, '2000-01-01']) {
+    openClaimsUntil(deadline);
+    const { data } = await post('anonymous', { claimUserId: 'legacy-3' });
+    assert.notEqual(data.userId, 'legacy-3');
+  }
+  assert.equal((await usersRepository.getUserById('legacy-3'))?.authClaimedAt, undefined);
+});
+
+test('claims of unknown user IDs are throttled per client', async () => {
+  openClaimsUntil('2999-01-01');
+  await createLegacyUser('legacy-4');
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    assert.equal((await post('anonymous', { claimUserId: `guess-${attempt}` })).status, 200);
+  }
+  const throttled = await post('anonymous', { claimUserId: 'legacy-4' });
+
+  assert.equal(throttled.status, 429);
+  assert.equal((await usersRepository.getUserById('legacy-4'))?.authClaimedAt, undefined);
+});
+
+test('behind a proxy, failed attempts are counted per client address', async () => {
+  openClaimsUntil('2999-01-01');
+  await createLegacyUser('legacy-5');
+  const viaProxy = (forwardedFor: string) => ({ target: proxiedServer, forwardedFor });
+
+  // The first client sends its own forged X-Forwarded-For, which the proxy appends to
+  for (let attempt = 0; attempt < 5; attempt++) {
+    await post('recover', { phrase: 'not a real phrase' }, viaProxy(`10.9.9.${attempt}, 203.0.113.1`));
+  }
+  assert.equal((await post('recover', { phrase: 'not a real phrase' }, viaProxy('203.0.113.1'))).status, 429);
+
+  // A second client behind the same proxy is not locked out of recovery or claims
+  assert.equal((await post('recover', { phrase: 'not a real phrase' }, viaProxy('198.51.100.2'))).status, 401);
+  const claimed = await post('anonymous', { claimUserId: 'legacy-5' }, viaProxy('198.51.100.2'));
+  assert.equal(claimed.data.userId, 'legacy-5');
+});
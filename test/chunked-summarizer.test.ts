@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChunkedSummarizer, splitTranscriptWindows } from '../src/services/chunked-summarizer';
+import type { TranscriptSummarizer, TranscriptSummary } from '../src/services/summarizer';
+import { TranscriptTurn } from '../src/services/transcript-turns';
+
+function turn(speaker: 'user' | 'assistant', length: number, offsetSeconds?: number): TranscriptTurn {
+  return { speaker, text: 'x'.repeat(length), offsetSeconds };
+}
+
+function summary(overrides: Partial<TranscriptSummary> = {}): TranscriptSummary {
+  return {
+    sessionSummary: '',
+    keyTopics: [],
+    emotionalInsights: { dominantEmotions: [], moodProgression: '', stressIndicators: [] },
+    therapeuticProgress: { breakthroughs: [], challenges: [], copingStrategies: [], recommendedFocus: [] },
+    continuityNotes: '',
+    ...overrides
+  };
+}
+
+// Summarizes each window with the next scripted summary, recording the text it was given
+function scriptedBackend(summaries: TranscriptSummary[]): TranscriptSummarizer & { windows: string[] } {
+  const backend = {
+    name: 'scripted',
+    windows: [] as string[],
+    async summarize(transcript: string) {
+      backend.windows.push(transcript);
+      const next = summaries[backend.windows.length - 1];
+      if (!next) throw new Error('no summary scripted');
+      return next;
+    }
+  };
+  return backend;
+}
+
+test('windows keep every turn in order and stay within the window size', () => {
+  const turns = Array.from({ length: 12 }, (_, index) => turn(index % 2 ? 'assistant' : 'user', 30 + index * 7));
+  const windows = splitTranscriptWindows(turns, 200);
+
+  assert.ok(windows.length > 1);
+  assert.deepEqual(windows.flatMap(window => window.turns), turns);
+  for (const window of windows) {
+    assert.equal(window.turns[0], turns[window.firstTurn]);
+    assert.ok(window.turns.reduce((size, next) => size + next.text.length + 20, 0) <= 200);
+  }
+});
+
+test('a user turn moves to the next window with the reply to it', () => {
+  const turns = [turn('user', 40), turn('assistant', 40), turn('user', 40), turn('assistant', 60)];
+  const windows = splitTranscriptWindows(turns, 200);
+
+  assert.deepEqual(windows.map(window => window.turns.length), [2, 2]);
+  assert.equal(windows[1].turns[0].speaker, 'user');
+});
+
+test('a turn longer than a window gets a window of its own', () => {
+  const turns = [turn('user', 20), turn('assistant', 500), turn('user', 20)];
+  const windows = splitTranscriptWindows(turns, 100);
+
+  assert.deepEqual(windows.map(window => window.firstTurn), [0, 1, 2]);
+});
+
+test('long transcripts are summarized per window and merged with segment times', async () => {
+  const backend = scriptedBackend([
+    summary({ sessionSummary: 'Talked about work.', keyTopics: ['work', 'sleep'], therapeuticProgress: { breakthroughs: ['Named the fear'], challenges: [], copingStrategies: ['breathing'], recommendedFocus: ['boundaries'] } }),
+    summary({ sessionSummary: 'Then about sleep.', keyTopics: ['Sleep', 'family'], therapeuticProgress: { breakthroughs: ['named the fear.'], challenges: [], copingStrategies: ['Breathing', 'walks'], recommendedFocus: ['rest'] } })
+  ]);
+  const summarizer = new ChunkedSummarizer(backend, { windowChars: 120 });
+  const transcript = [
+    '[00:05] User: ' + 'a'.repeat(40),
+    '[00:30] Assistant: ' + 'b'.repeat(40),
+    '[01:10] User: ' + 'c'.repeat(40),
+    '[02:00] Assistant: ' + 'd'.repeat(40)
+  ].join('\n');
+
+  const merged = await summarizer.summarize(transcript);
+
+  assert.equal(backend.windows.length, 2);
+  assert.equal(merged.sessionSummary, 'Talked about work. Then about sleep.');
+  assert.deepEqual(merged.keyTopics, ['sleep', 'work', 'family']); // Mentioned in both windows first
+  assert.deepEqual(merged.therapeuticProgress.breakthroughs, ['Named the fear']);
+  assert.deepEqual(merged.therapeuticProgress.copingStrategies, ['breathing', 'walks']);
+  assert.deepEqual(merged.therapeuticProgress.recommendedFocus, ['rest', 'boundaries']);
+  assert.deepEqual(merged.segments!.map(segment => [segment.firstTurn, segment.lastTurn, segment.startSeconds, segment.endSeconds]), [
+    [0, 1, 5, 30],
+    [2, 3, 70, 120]
+  ]);
+});
+
+test('windows the backend fails on are summarized by the fallback', async () => {
+  const backend = scriptedBackend([summary({ sessionSummary: 'First half.' })]);
+  const fallback = scriptedBackend([summary({ sessionSummary: 'Second half.' })]);
+  const summarizer = new ChunkedSummarizer(backend, { windowChars: 120, fallback });
+
+  const merged = await summarizer.summarize(`User: ${'a'.repeat(90)}\nAssistant: ${'b'.repeat(90)}`);
+
+  assert.equal(fallback.windows.length, 1);
+  assert.equal(merged.sessionSummary, 'First half. Second half.');
+});
@@ -0,0 +1,51 @@
+import './helpers/file-storage-env';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InvokeModelWithBidirectionalStreamCommand, InvokeModelWithBidirectionalStreamOutput } from '@aws-sdk/client-bedrock-runtime';
+import { BidirectionalStreamRuntime, NovaSonicBidirectionalStreamClient } from '../src/client';
+
+// Every stream sends one chunk, then fails after holdMs
+function failingRuntime(holdMs: number): BidirectionalStreamRuntime & { streams: number } {
+  const runtime = {
+    streams: 0,
+    async send(command: InvokeModelWithBidirectionalStreamCommand) {
+      runtime.streams++;
+      async function* body(): AsyncIterable<InvokeModelWithBidirectionalStreamOutput> {
+        yield { chunk: { bytes: new TextEncoder().encode(JSON.stringify({ event: { usageEvent: {} } })) } };
+        await new Promise(resolve => setTimeout(resolve, holdMs));
+        yield { modelStreamErrorException: { name: 'ModelStreamErrorException', message: 'stream broke' } } as any;
+      }
+      return { $metadata: {}, body: body() } as any;
+    }
+  };
+  return runtime;
+}
+
+async function runUntilGivenUp(runtime: BidirectionalStreamRuntime, healthyStreamMs: number, sessionId: string) {
+  const client = new NovaSonicBidirectionalStreamClient({
+    clientConfig: {},
+    bedrockRuntimeClient: runtime,
+    reconnectConfig: { maxAttempts: 2, baseDelayMs: 1, healthyStreamMs }
+  });
+  client.createStreamSession(sessionId);
+  await client.initiateSession(sessionId);
+  client.forceCloseSession(sessionId);
+}
+
+test('a stream that fails right after its first chunk does not reconnect forever', async () => {
+  const runtime = failingRuntime(1);
+  await runUntilGivenUp(runtime, 60000, 'session-1');
+
+  assert.equal(runtime.streams, 3); // The first stream and maxAttempts reconnects
+});
+
+test('a stream that stayed up long enough gets a fresh set of attempts', async () => {
+  // Four streams stay up past healthyStreamMs before failing, then they fail right away
+  let streams = 0;
+  const runtime: BidirectionalStreamRuntime = {
+    send: command => failingRuntime(++streams <= 4 ? 30 : 1).send(command)
+  };
+  await runUntilGivenUp(runtime, 10, 'session-2');
+
+  assert.equal(streams, 6); // Every healthy stream reconnects, then maxAttempts more
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CrisisDetector, getCrisisResources, regionFromAcceptLanguage } from '../src/services/crisis-detector';
+
+function assess(text: string) {
+  return new CrisisDetector().analyze('session-1', text);
+}
+
+test('escalates explicit suicidal statements', () => {
+  const assessment = assess("I'm suicidal");
+  assert.equal(assessment.severity, 'high');
+  assert.ok(assessment.categories.includes('suicidal-intent'));
+  assert.equal(assessment.escalate, true);
+});
+
+test('a negation in the same clause cancels the statement', () => {
+  for (const text of ['I would never hurt myself', "I'm not suicidal", "I don't want to kill myself"]) {
+    const assessment = assess(text);
+    assert.equal(assessment.score, 0, text);
+    assert.equal(assessment.escalate, false, text);
+  }
+});
+
+test('a negation in an earlier sentence or clause does not cancel the statement', () => {
+  for (const text of ["It's not fine. I'm suicidal", "No, I'm suicidal", "Not really; I want to die", "I'm not okay\nI want to kill myself"]) {
+    const assessment = assess(text);
+    assert.equal(assessment.severity, 'high', text);
+    assert.equal(assessment.escalate, true, text);
+  }
+});
+
+test('a negated mention does not hide a later one', () => {
+  const assessment = assess("I'd never hurt myself before, but now I keep hurting myself");
+  assert.ok(assessment.categories.includes('self-harm'));
+});
+
+test('risk carries over between messages of a session but escalation cools down', () => {
+  const detector = new CrisisDetector();
+  assert.equal(detector.analyze('session-1', "I'm suicidal").escalate, true);
+
+  const followUp = detector.analyze('session-1', 'I feel worthless');
+  assert.equal(followUp.severity, 'moderate');
+  assert.equal(detector.analyze('session-1', 'I want to die').escalate, false);
+  assert.equal(detector.analyze('session-2', 'I want to die').escalate, true);
+});
+
+test('resources follow the Accept-Language region', () => {
+  assert.equal(regionFromAcceptLanguage('en-GB,en;q=0.9'), 'GB');
+  assert.equal(getCrisisResources('GB').emergencyNumber, '999');
+  assert.equal(getCrisisResources('ZZ').region, 'INTL');
+});
@@ -0,0 +1,123 @@
+import { storageDir } from './helpers/file-storage-env';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { getStorageBackend, progressRepository, sessionsRepository, ProgressRepository, RetentionPolicy, SessionsRepository } from '../src/database';
+import { DynamoDBStorage } from '../src/database/dynamodb-storage';
+import { MockDynamoDBClient } from '../src/database/mock-dynamodb';
+import { computeRetentionExpiry, toEpochSeconds } from '../src/database/retention';
+import { RetentionSweeper } from '../src/services/data-retention';
+
+const DayMs = 24 * 60 * 60 * 1000;
+
+const policy = (choices: Partial<RetentionPolicy>): RetentionPolicy => ({
+  transcript: 'forever',
+  summary: 'forever',
+  wavePatterns: 'forever',
+  metrics: 'forever',
+  ...choices
+});
+
+const tableFile = (table: string) => readFileSync(path.join(storageDir, `${table}.jsonl`), 'utf8');
+
+function week(userId: string, weekStartDate: string) {
+  return {
+    userId,
+    weekStartDate,
+    sessionCount: 1,
+    totalDuration: 300,
+    averageMoodDelta: 2,
+    weekStreak: 1,
+    longestWeekStreak: 1,
+    recurringTopics: [],
+    topics: ['custody-hearing'],
+    sessionIds: ['session-1']
+  };
+}
+
+test('retention expiry covers only the classes of the record', () => {
+  const expiry = computeRetentionExpiry('2026-01-05T00:00:00.000Z', policy({ summary: '30d', metrics: '1y' }), ['summary', 'metrics']);
+  assert.deepEqual(Object.keys(expiry.retentionExpiry), ['summary', 'metrics']);
+  assert.equal(expiry.expiresAt, expiry.retentionExpiry.metrics);
+});
+
+test('the sweep strips expired transcripts from the session file', async () => {
+  const session = await sessionsRepository.createSession({
+    userId: 'user-1',
+    emotionalState: { dominantEmotions: [] },
+    wavePatterns: [],
+    encryptedTranscript: 'User: something private'
+  }, policy({ transcript: '30d' }));
+
+  const { encryptedTranscript } = (await getStorageBackend().get('sessions', { sessionId: session.sessionId }))!;
+  assert.ok(tableFile('sessions').includes(encryptedTranscript));
+
+  const result = await sessionsRepository.purgeExpiredData(Date.now() + 31 * DayMs);
+
+  assert.equal(result.strippedSessions, 1);
+  assert.ok(!tableFile('sessions').includes(encryptedTranscript));
+});
+
+test('weekly progress topics expire with the summary class', async () => {
+  await progressRepository.saveWeeklyProgress(week('user-2', '2026-01-05'), policy({ summary: '30d' }));
+
+  const hidden = await progressRepository.getWeeklyProgress('user-2', '2026-01-05');
+  assert.deepEqual(hidden?.topics, []);
+  assert.equal(hidden?.averageMoodDelta, 2);
+
+  const result = await progressRepository.purgeExpiredData();
+  assert.equal(result.strippedWeeks, 1);
+  assert.ok(!tableFile('progress').includes('custody-hearing'));
+});
+
+test('weekly progress is deleted once summary and metrics expire', async () => {
+  await progressRepository.saveWeeklyProgress(week('user-3', '2026-01-05'), policy({ summary: '30d', metrics: '30d' }));
+  assert.equal(await progressRepository.getWeeklyProgress('user-3', '2026-01-05'), null);
+
+  const result = await progressRepository.purgeExpiredData();
+  assert.equal(result.deletedWeeks, 1);
+  assert.equal(await getStorageBackend().get('progress', { progressId: 'user-3#2026-01-05' }), null);
+});
+
+test('weekly progress kept forever has no expiry', async () => {
+  const saved = await progressRepository.saveWeeklyProgress(week('user-4', '2026-01-05'), policy({}));
+  assert.equal(saved.expiresAt, undefined);
+  assert.deepEqual((await progressRepository.getWeeklyProgress('user-4', '2026-01-05'))?.topics, ['custody-hearing']);
+});
+
+test('storage with TTL is swept of expired classes in records that are otherwise kept', async () => {
+  const storage = new DynamoDBStorage(new MockDynamoDBClient());
+  assert.equal(storage.expiresItems, true);
+  const sessions = new SessionsRepository(storage);
+  const sweeper = new RetentionSweeper(sessions, new ProgressRepository(storage));
+
+  const session = await sessions.createSession({
+    userId: 'user-5',
+    emotionalState: { dominantEmotions: [] },
+    wavePatterns: [],
+    encryptedTranscript: 'User: something private',
+    conversationSummary: 'Talked about sleep'
+  }, policy({ transcript: '30d', summary: 'forever' }));
+  assert.equal(session.expiresAt, undefined); // TTL would never delete it
+
+  // As if the session was stored 31 days ago
+  const retentionExpiry = { transcript: toEpochSeconds(Date.now() - DayMs) };
+  await storage.update('sessions', { sessionId: session.sessionId }, { retentionExpiry: JSON.stringify(retentionExpiry) });
+
+  delete process.env.RETENTION_SWEEP;
+  sweeper.start();
+  try {
+    for (let attempt = 0; attempt < 100; attempt++) {
+      const stored = await storage.get('sessions', { sessionId: session.sessionId });
+      if (stored?.encryptedTranscript === undefined) break;
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  } finally {
+    sweeper.stop();
+  }
+
+  const stored = await storage.get('sessions', { sessionId: session.sessionId });
+  assert.equal(stored?.encryptedTranscript, undefined);
+  assert.notEqual(stored?.conversationSummary, undefined);
+});
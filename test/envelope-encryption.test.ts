@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { EnvelopeEncryption } from '../src/database/envelope-encryption';
+import { FileStorage } from '../src/database/file-storage';
+import { LocalMasterKeyProvider } from '../src/database/master-keys';
+
+const directory = mkdtempSync(path.join(tmpdir(), 'hope-envelope-'));
+process.on('exit', () => rmSync(directory, { recursive: true, force: true }));
+
+const storage = new FileStorage(directory);
+const masterKeys = new LocalMasterKeyProvider(path.join(directory, 'master-keys.json'));
+const encryption = new EnvelopeEncryption(storage, () => masterKeys);
+
+test('values round-trip under the user\'s data key', async () => {
+  const ciphertext = await encryption.encrypt('user-1', 'I feel anxious');
+
+  assert.ok(EnvelopeEncryption.isEnvelopeCiphertext(ciphertext));
+  assert.ok(!ciphertext.includes('anxious'));
+  assert.equal(await encryption.decrypt('user-1', ciphertext), 'I feel anxious');
+});
+
+test('data keys are never stored unwrapped', async () => {
+  await encryption.encrypt('user-2', 'something');
+  const keyring = await storage.get('keys', { userId: 'user-2' });
+
+  const dataKey = JSON.parse(keyring!.dataKeyV1);
+  assert.equal(dataKey.masterKeyId, await masterKeys.currentKeyId());
+  assert.equal(Buffer.from(dataKey.wrappedKey, 'base64').length, 12 + 16 + 32); // IV, tag and the wrapped key
+});
+
+test('a ciphertext does not decrypt for another user', async () => {
+  const ciphertext = await encryption.encrypt('user-3', 'private');
+  await encryption.encrypt('user-4', 'other');
+
+  await assert.rejects(encryption.decrypt('user-4', ciphertext));
+});
+
+test('older data still decrypts after a data key rotation', async () => {
+  const before = await encryption.encrypt('user-5', 'before');
+  const version = await encryption.rotateDataKey('user-5');
+  const after = await encryption.encrypt('user-5', 'after');
+
+  assert.equal(version, 2);
+  assert.match(after, /^env1:2:/);
+  assert.equal(await encryption.decrypt('user-5', before), 'before');
+  assert.equal(await encryption.decrypt('user-5', after), 'after');
+});
+
+test('re-wrapping under a new master key keeps data readable', async () => {
+  const ciphertext = await encryption.encrypt('user-6', 'kept');
+  const newKeyId = await masterKeys.addKeyVersion();
+
+  const result = await encryption.rewrapDataKeys();
+  assert.ok(result.rewrappedKeys > 0);
+
+  const keyring = await storage.get('keys', { userId: 'user-6' });
+  assert.equal(JSON.parse(keyring!.dataKeyV1).masterKeyId, newKeyId);
+
+  // A fresh instance has to unwrap the re-wrapped key
+  const fresh = new EnvelopeEncryption(storage, () => masterKeys);
+  assert.equal(await fresh.decrypt('user-6', ciphertext), 'kept');
+});
+
+test('deleting the data keys leaves the user\'s data unreadable', async () => {
+  const ciphertext = await encryption.encrypt('user-7', 'gone');
+
+  assert.equal(await encryption.deleteDataKeys('user-7'), true);
+  await assert.rejects(encryption.decrypt('user-7', ciphertext));
+});
@@ -0,0 +1,87 @@
+import { storageDir } from './helpers/file-storage-env';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { EnvelopeEncryption, getStorageBackend, progressRepository, sessionsRepository, usersRepository } from '../src/database';
+
+const isCiphertext = (value: unknown) => typeof value === 'string' && EnvelopeEncryption.isEnvelopeCiphertext(value);
+
+test('session summaries and topics are stored encrypted and read back', async () => {
+  const session = await sessionsRepository.createSession({
+    userId: 'user-1',
+    emotionalState: { dominantEmotions: ['anxious'] },
+    wavePatterns: [],
+    conversationSummary: 'Talked about the custody hearing',
+    keyTopics: ['custody hearing']
+  });
+
+  const stored = (await getStorageBackend().get('sessions', { sessionId: session.sessionId }))!;
+  assert.ok(isCiphertext(stored.conversationSummary));
+  assert.ok(isCiphertext(stored.keyTopics));
+  assert.ok(!isCiphertext(stored.emotionalState)); // Not encrypted by default
+
+  const read = await sessionsRepository.getSessionById(session.sessionId);
+  assert.equal(read?.conversationSummary, 'Talked about the custody hearing');
+  assert.deepEqual(read?.keyTopics, ['custody hearing']);
+});
+
+test('weekly progress topics are stored encrypted and read back', async () => {
+  await progressRepository.saveWeeklyProgress({
+    userId: 'user-2',
+    weekStartDate: '2026-10-12',
+    sessionCount: 2,
+    totalDuration: 600,
+    weekStreak: 1,
+    longestWeekStreak: 1,
+    recurringTopics: ['custody hearing'],
+    topics: ['custody hearing', 'sleep'],
+    sessionIds: ['session-1', 'session-2']
+  });
+
+  const stored = (await getStorageBackend().get('progress', { progressId: 'user-2#2026-10-12' }))!;
+  assert.ok(isCiphertext(stored.topics));
+  assert.ok(isCiphertext(stored.recurringTopics));
+  assert.ok(!readFileSync(path.join(storageDir, 'progress.jsonl'), 'utf8').includes('custody hearing'));
+
+  const [week] = await progressRepository.getProgressByUserId('user-2');
+  assert.deepEqual(week.topics, ['custody hearing', 'sleep']);
+  assert.deepEqual(week.recurringTopics, ['custody hearing']);
+});
+
+test('plaintext written before a field was encrypted is still read', async () => {
+  await getStorageBackend().put('progress', {
+    progressId: 'user-3#2026-10-12',
+    userId: 'user-3',
+    weekStartDate: '2026-10-12',
+    sessionCount: 1,
+    totalDuration: 300,
+    weekStreak: 1,
+    longestWeekStreak: 1,
+    recurringTopics: '[]',
+    topics: '["work"]',
+    sessionIds: '["session-1"]'
+  });
+
+  assert.deepEqual((await progressRepository.getWeeklyProgress('user-3', '2026-10-12'))?.topics, ['work']);
+});
+
+test('user names are encrypted under the user\'s own data key', async () => {
+  const user = await usersRepository.createUser({
+    isAnonymous: false,
+    userName: 'Alex',
+    preferences: {
+      theme: 'ocean-calm',
+      motionIntensity: 0.5,
+      colorIntensity: 0.5,
+      animationSpeed: 1,
+      reducedMotion: false,
+      highContrast: false,
+      audioSensitivity: 0.5
+    }
+  });
+
+  const stored = (await getStorageBackend().get('users', { userId: user.userId }))!;
+  assert.ok(isCiphertext(stored.userName));
+  assert.equal((await usersRepository.getUserById(user.userId))?.userName, 'Alex');
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { FileStorage } from '../src/database/file-storage';
+
+const directory = mkdtempSync(path.join(tmpdir(), 'hope-file-storage-'));
+process.on('exit', () => rmSync(directory, { recursive: true, force: true }));
+
+const sessionsFile = path.join(directory, 'sessions.jsonl');
+
+test('removed attributes do not stay in the file', async () => {
+  const storage = new FileStorage(directory);
+  await storage.put('sessions', { sessionId: 'session-1', userId: 'user-1', encryptedTranscript: 'secret-transcript' });
+  await storage.update('sessions', { sessionId: 'session-1' }, { duration: 60 });
+  assert.match(readFileSync(sessionsFile, 'utf8'), /secret-transcript/);
+
+  await storage.update('sessions', { sessionId: 'session-1' }, {}, ['encryptedTranscript']);
+
+  assert.doesNotMatch(readFileSync(sessionsFile, 'utf8'), /secret-transcript/);
+  assert.deepEqual(await storage.get('sessions', { sessionId: 'session-1' }), { sessionId: 'session-1', userId: 'user-1', duration: 60 });
+});
+
+test('deleted items do not stay in the file', async () => {
+  const storage = new FileStorage(directory);
+  await storage.put('sessions', { sessionId: 'session-2', userId: 'user-2', conversationSummary: 'deleted-summary' });
+  await storage.delete('sessions', { sessionId: 'session-2' });
+
+  assert.doesNotMatch(readFileSync(sessionsFile, 'utf8'), /deleted-summary|session-2/);
+  assert.equal(await storage.get('sessions', { sessionId: 'session-2' }), null);
+});
+
+test('a new instance replays the file', async () => {
+  const storage = new FileStorage(directory);
+  await storage.put('sessions', { sessionId: 'session-3', userId: 'user-1', startTime: '2026-01-02' });
+
+  const reopened = new FileStorage(directory);
+  const sessions = await reopened.query('sessions', { indexName: 'userId-index', partitionKey: 'userId', partitionValue: 'user-1', sortKey: 'startTime' });
+  assert.deepEqual(sessions.map(session => session.sessionId), ['session-1', 'session-3']);
+});
+
+test('conditional puts fail on existing keys', async () => {
+  const storage = new FileStorage(directory);
+  await assert.rejects(
+    storage.put('sessions', { sessionId: 'session-1', userId: 'user-1' }, { ifNotExists: true }),
+    { name: 'ConditionalCheckFailedException' }
+  );
+});
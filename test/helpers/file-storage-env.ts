@@ -0,0 +1,20 @@
+/**
+ * Points the database at file storage and a local master key in a fresh temporary
+ * directory. Import it before anything from src/database: the storage backend and master
+ * key provider are singletons created on first use.
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+export const storageDir = mkdtempSync(path.join(tmpdir(), 'hope-test-'));
+
+process.env.STORAGE_BACKEND = 'file';
+process.env.STORAGE_DIR = storageDir;
+process.env.MASTER_KEY_PROVIDER = 'local';
+process.env.MASTER_KEY_FILE = path.join(storageDir, 'master-keys.json');
+process.env.AUDIT_HASH_KEY = 'test-audit-hash-key';
+process.env.INDEX_HASH_KEY = 'test-index-hash-key';
+
+process.on('exit', () => rmSync(storageDir, { recursive: true, force: true }));
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InvokeModelWithBidirectionalStreamCommand, InvokeModelWithBidirectionalStreamInput } from '@aws-sdk/client-bedrock-runtime';
+import { MockBedrockRuntimeClient, MockFixture, validateMockFixture } from '../src/mock/mock-bedrock-runtime';
+
+const fixture: MockFixture = {
+  turns: [
+    {
+      trigger: 'promptStart',
+      events: [
+        { contentStart: { type: 'TEXT', role: 'ASSISTANT' } },
+        { textOutput: { content: 'Hello' } },
+        { contentEnd: { stopReason: 'END_TURN' } }
+      ]
+    },
+    {
+      trigger: 'audioInput',
+      audioChunks: 2,
+      events: [{ textOutput: { content: 'I heard you' } }]
+    },
+    {
+      trigger: 'textInput',
+      events: [{ textOutput: { content: 'I read you' } }]
+    }
+  ]
+};
+
+function encode(event: Record<string, any>): InvokeModelWithBidirectionalStreamInput {
+  return { chunk: { bytes: new TextEncoder().encode(JSON.stringify({ event })) } };
+}
+
+// Input the mock receives while a turn plays does not trigger the next one, so the input
+// stream pauses after each event to let the scripted turn finish
+async function* inputEvents(events: Record<string, any>[]): AsyncIterable<InvokeModelWithBidirectionalStreamInput> {
+  for (const event of events) {
+    yield encode(event);
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+async function runConversation(events: Record<string, any>[]): Promise<Record<string, any>[]> {
+  const runtime = new MockBedrockRuntimeClient(fixture, { eventDelayMs: 0 });
+  const response = await runtime.send(new InvokeModelWithBidirectionalStreamCommand({
+    modelId: 'amazon.nova-sonic-v1:0',
+    body: inputEvents(events)
+  }));
+
+  const output: Record<string, any>[] = [];
+  for await (const item of response.body!) {
+    if (item.chunk?.bytes) {
+      output.push(JSON.parse(new TextDecoder().decode(item.chunk.bytes)).event);
+    }
+  }
+  return output;
+}
+
+test('plays scripted turns as their triggers arrive', async () => {
+  const output = await runConversation([
+    { sessionStart: {} },
+    { promptStart: { promptName: 'prompt-1' } },
+    { audioInput: { promptName: 'prompt-1', content: '' } },
+    { audioInput: { promptName: 'prompt-1', content: '' } },
+    { contentStart: { promptName: 'prompt-1', contentName: 'text-1', type: 'TEXT', role: 'USER', interactive: true } },
+    { textInput: { promptName: 'prompt-1', contentName: 'text-1', content: 'Hi' } },
+    { contentEnd: { promptName: 'prompt-1', contentName: 'text-1' } },
+    { sessionEnd: {} }
+  ]);
+
+  const texts = output.filter(event => event.textOutput).map(event => event.textOutput.content);
+  assert.deepEqual(texts, ['Hello', 'I heard you', 'I read you']);
+});
+
+test('fills stream fields into scripted events', async () => {
+  const output = await runConversation([
+    { promptStart: { promptName: 'prompt-1' } },
+    { sessionEnd: {} }
+  ]);
+
+  const [contentStart, textOutput, contentEnd] = output;
+  assert.equal(textOutput.textOutput.promptName, 'prompt-1');
+  assert.equal(textOutput.textOutput.role, 'ASSISTANT');
+  assert.equal(textOutput.textOutput.contentId, contentStart.contentStart.contentId);
+  assert.equal(contentEnd.contentEnd.type, 'TEXT');
+});
+
+test('waits for the scripted number of audio chunks', async () => {
+  const output = await runConversation([
+    { promptStart: { promptName: 'prompt-1' } },
+    { audioInput: { promptName: 'prompt-1', content: '' } },
+    { sessionEnd: {} }
+  ]);
+
+  assert.ok(!output.some(event => event.textOutput?.content === 'I heard you'));
+});
+
+test('rejects malformed fixtures', () => {
+  assert.throws(() => validateMockFixture({ turns: [] }), /non-empty "turns"/);
+  assert.throws(() => validateMockFixture({ turns: [{ trigger: 'nope', events: [] }] }), /invalid trigger/);
+});
@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DeleteCommand, GetCommand, PutCommand, QueryCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import { MockDynamoDBClient } from '../src/database/mock-dynamodb';
+
+function session(sessionId: string, startTime: string, extra: object = {}) {
+  return { sessionId, userId: 'user-1', startTime, ...extra };
+}
+
+function sessionIds(items: Record<string, any>[]) {
+  return items.map(item => item.sessionId);
+}
+
+async function withSessions(client: MockDynamoDBClient, count: number) {
+  for (let index = 1; index <= count; index++) {
+    await client.send(new PutCommand({
+      TableName: 'sessions',
+      Item: session(`s${index}`, `2026-01-0${index}T00:00:00Z`, { duration: index * 10 })
+    }));
+  }
+}
+
+test('attribute_not_exists conditions fail as ConditionalCheckFailedException', async () => {
+  const client = new MockDynamoDBClient();
+  const put = () => client.send(new PutCommand({
+    TableName: 'sessions',
+    Item: session('s1', '2026-01-01T00:00:00Z'),
+    ConditionExpression: 'attribute_not_exists(sessionId)'
+  }));
+
+  await put();
+  await assert.rejects(put(), { name: 'ConditionalCheckFailedException' });
+});
+
+test('updates apply SET, REMOVE, ADD and if_not_exists from the item before the update', async () => {
+  const client = new MockDynamoDBClient();
+  await client.send(new PutCommand({ TableName: 'sessions', Item: session('s1', '2026-01-01T00:00:00Z', { mood: 3, note: 'x' }) }));
+
+  const { Attributes } = await client.send(new UpdateCommand({
+    TableName: 'sessions',
+    Key: { sessionId: 's1' },
+    UpdateExpression: 'SET #mood = #mood + :one, summary = if_not_exists(summary, :summary) REMOVE note ADD visits :one',
+    ExpressionAttributeNames: { '#mood': 'mood' },
+    ExpressionAttributeValues: { ':one': 1, ':summary': 'none yet' },
+    ReturnValues: 'ALL_NEW'
+  }));
+
+  assert.deepEqual(Attributes, { ...session('s1', '2026-01-01T00:00:00Z'), mood: 4, summary: 'none yet', visits: 1 });
+});
+
+test('key attributes cannot be updated', async () => {
+  const client = new MockDynamoDBClient();
+  await assert.rejects(client.send(new UpdateCommand({
+    TableName: 'sessions',
+    Key: { sessionId: 's1' },
+    UpdateExpression: 'SET sessionId = :id',
+    ExpressionAttributeValues: { ':id': 's2' }
+  })), { name: 'ValidationException' });
+});
+
+test('unused expression names and values are rejected, as DynamoDB does', async () => {
+  const client = new MockDynamoDBClient();
+  await assert.rejects(client.send(new GetCommand({
+    TableName: 'sessions',
+    Key: { sessionId: 's1' },
+    ExpressionAttributeNames: { '#unused': 'mood' }
+  })), { name: 'ValidationException' });
+});
+
+test('queries return index items in sort key order, a page at a time', async () => {
+  const client = new MockDynamoDBClient();
+  await withSessions(client, 5);
+
+  const query = (ExclusiveStartKey?: Record<string, any>) => client.send(new QueryCommand({
+    TableName: 'sessions',
+    IndexName: 'userId-startTime-direct-index',
+    KeyConditionExpression: 'userId = :userId AND startTime >= :from',
+    ExpressionAttributeValues: { ':userId': 'user-1', ':from': '2026-01-02' },
+    ScanIndexForward: false,
+    Limit: 3,
+    ExclusiveStartKey
+  }));
+
+  const first = await query();
+  const second = await query(first.LastEvaluatedKey);
+
+  assert.deepEqual(sessionIds(first.Items), ['s5', 's4', 's3']);
+  assert.deepEqual(sessionIds(second.Items), ['s2']);
+  assert.equal(second.LastEvaluatedKey, undefined);
+});
+
+test('Limit counts items before the filter', async () => {
+  const client = new MockDynamoDBClient();
+  await withSessions(client, 5);
+
+  const { Items, Count, ScannedCount } = await client.send(new QueryCommand({
+    TableName: 'sessions',
+    IndexName: 'userId-startTime-direct-index',
+    KeyConditionExpression: 'userId = :userId',
+    FilterExpression: '#duration BETWEEN :low AND :high',
+    ExpressionAttributeNames: { '#duration': 'duration' },
+    ExpressionAttributeValues: { ':userId': 'user-1', ':low': 20, ':high': 40 },
+    Limit: 2
+  }));
+
+  assert.deepEqual(sessionIds(Items), ['s2']);
+  assert.equal(Count, 1);
+  assert.equal(ScannedCount, 2);
+});
+
+test('consistent reads are refused on global secondary indexes', async () => {
+  const client = new MockDynamoDBClient();
+  await assert.rejects(client.send(new QueryCommand({
+    TableName: 'sessions',
+    IndexName: 'userId-startTime-direct-index',
+    KeyConditionExpression: 'userId = :userId',
+    ExpressionAttributeValues: { ':userId': 'user-1' },
+    ConsistentRead: true
+  })), { name: 'ValidationException' });
+});
+
+test('conditional deletes leave the item when the condition fails', async () => {
+  const client = new MockDynamoDBClient();
+  await client.send(new PutCommand({ TableName: 'sessions', Item: session('s1', '2026-01-01T00:00:00Z', { status: 'active' }) }));
+
+  await assert.rejects(client.send(new DeleteCommand({
+    TableName: 'sessions',
+    Key: { sessionId: 's1' },
+    ConditionExpression: '#status IN (:ended, :expired)',
+    ExpressionAttributeNames: { '#status': 'status' },
+    ExpressionAttributeValues: { ':ended': 'ended', ':expired': 'expired' }
+  })), { name: 'ConditionalCheckFailedException' });
+
+  const { Item } = await client.send(new GetCommand({ TableName: 'sessions', Key: { sessionId: 's1' } }));
+  assert.equal(Item?.status, 'active');
+});
@@ -0,0 +1,155 @@
+import './helpers/file-storage-env';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { progressRepository, sessionsRepository, Session, WeeklyProgress } from '../src/database';
+import { buildWeeklyProgress, getWeekStartDate, progressAggregator } from '../src/services/progress-aggregator';
+
+let sessionNumber = 0;
+
+// A completed session; pass endTime: undefined for one still in progress
+function session(startTime: string, extra: Partial<Session> = {}): Session {
+  return {
+    sessionId: `session-${++sessionNumber}`,
+    userId: 'user-1',
+    startTime,
+    endTime: startTime,
+    duration: 600,
+    emotionalState: { dominantEmotions: [] },
+    wavePatterns: [],
+    ...extra
+  };
+}
+
+function previous(weekStreak: number, extra: Partial<WeeklyProgress> = {}): WeeklyProgress {
+  return {
+    progressId: 'user-1#previous',
+    userId: 'user-1',
+    weekStartDate: '2026-10-05',
+    sessionCount: 1,
+    totalDuration: 600,
+    weekStreak,
+    longestWeekStreak: weekStreak,
+    recurringTopics: [],
+    topics: [],
+    sessionIds: [],
+    updatedAt: '2026-10-11T12:00:00.000Z',
+    ...extra
+  };
+}
+
+test('weeks start on Monday, UTC', () => {
+  assert.equal(getWeekStartDate('2026-10-12T00:00:00Z'), '2026-10-12');
+  assert.equal(getWeekStartDate('2026-10-18T23:59:59Z'), '2026-10-12');
+  assert.equal(getWeekStartDate('2026-10-19T00:00:00Z'), '2026-10-19');
+  assert.equal(getWeekStartDate('2026-10-19T01:30:00+02:00'), '2026-10-12'); // Still Sunday in UTC
+});
+
+test('a session on Sunday 23:59 UTC counts towards the week ending that day', () => {
+  const sunday = session('2026-10-18T23:59:00.000Z');
+  const monday = session('2026-10-19T00:00:00.000Z');
+
+  const ending = buildWeeklyProgress('user-1', '2026-10-12', [sunday, monday]);
+  const next = buildWeeklyProgress('user-1', '2026-10-19', [sunday, monday]);
+
+  assert.deepEqual(ending.sessionIds, [sunday.sessionId]);
+  assert.deepEqual(next.sessionIds, [monday.sessionId]);
+  assert.equal(next.weekStreak, 2);
+});
+
+test('only completed sessions of the week are counted, in start order', () => {
+  const later = session('2026-10-14T09:00:00.000Z', { duration: 300 });
+  const earlier = session('2026-10-13T09:00:00.000Z', { duration: 900 });
+  const running = session('2026-10-15T09:00:00.000Z', { endTime: undefined });
+
+  const progress = buildWeeklyProgress('user-1', '2026-10-12', [later, running, earlier]);
+
+  assert.equal(progress.sessionCount, 2);
+  assert.equal(progress.totalDuration, 1200);
+  assert.deepEqual(progress.sessionIds, [earlier.sessionId, later.sessionId]);
+});
+
+test('a week with a gap before it starts a new streak', () => {
+  const history = [
+    session('2026-09-29T09:00:00.000Z'),
+    session('2026-10-06T09:00:00.000Z'),
+    // Nothing in the week of 2026-10-12
+    session('2026-10-21T09:00:00.000Z')
+  ];
+
+  assert.equal(buildWeeklyProgress('user-1', '2026-10-05', history).weekStreak, 2);
+  assert.equal(buildWeeklyProgress('user-1', '2026-10-19', history).weekStreak, 1);
+  // A record for the empty week does not carry the streak over it
+  assert.equal(buildWeeklyProgress('user-1', '2026-10-19', history, previous(2, { sessionCount: 0 })).weekStreak, 1);
+  assert.equal(buildWeeklyProgress('user-1', '2026-10-12', history).weekStreak, 0);
+});
+
+test('the streak continues from the previous week rather than the session history', () => {
+  // Older weeks are past the history that was read, the previous week's record still knows them
+  const history = [session('2026-10-06T09:00:00.000Z'), session('2026-10-13T09:00:00.000Z')];
+
+  const continued = buildWeeklyProgress('user-1', '2026-10-12', history, previous(6, { longestWeekStreak: 9 }));
+  const counted = buildWeeklyProgress('user-1', '2026-10-12', history);
+
+  assert.equal(continued.weekStreak, 7);
+  assert.equal(continued.longestWeekStreak, 9);
+  assert.equal(counted.weekStreak, 2);
+  assert.equal(counted.longestWeekStreak, 2);
+});
+
+test('averages leave out sessions whose check-ins were skipped', () => {
+  const sessions = [
+    session('2026-10-13T09:00:00.000Z', { emotionalState: { initialMood: 4, finalMood: 7, stressLevel: 8, finalStressLevel: 5, dominantEmotions: [] } }),
+    session('2026-10-14T09:00:00.000Z', { emotionalState: { initialMood: 5, dominantEmotions: [] } }), // Skipped the closing check-in
+    session('2026-10-15T09:00:00.000Z', { emotionalState: { finalMood: 9, finalStressLevel: 2, dominantEmotions: [] } }), // Skipped the opening one
+    session('2026-10-16T09:00:00.000Z', { emotionalState: { initialMood: 6, finalMood: 7, dominantEmotions: [] } }),
+    session('2026-10-17T09:00:00.000Z', { emotionalState: { initialMood: 3, finalMood: 4, dominantEmotions: [] } })
+  ];
+
+  const progress = buildWeeklyProgress('user-1', '2026-10-12', sessions);
+
+  assert.equal(progress.averageMoodDelta, 1.67); // (3 + 1 + 1) / 3
+  assert.equal(progress.averageStressChange, -3);
+  assert.equal(progress.sessionCount, 5);
+});
+
+test('a week without any check-ins has no averages rather than zero', () => {
+  const progress = buildWeeklyProgress('user-1', '2026-10-12', [session('2026-10-13T09:00:00.000Z')]);
+
+  assert.equal(progress.averageMoodDelta, undefined);
+  assert.equal(progress.averageStressChange, undefined);
+});
+
+test('topics are ranked by the sessions they came up in, ties in first-seen order', () => {
+  const sessions = [
+    session('2026-10-13T09:00:00.000Z', { keyTopics: ['Work', 'sleep'] }),
+    session('2026-10-14T09:00:00.000Z', { keyTopics: ['work ', 'family', 'Family'] }), // Counted once per session
+    session('2026-10-15T09:00:00.000Z', { keyTopics: ['family', 'exercise', 'sleep', 'work', ''] })
+  ];
+
+  const progress = buildWeeklyProgress('user-1', '2026-10-12', sessions);
+
+  assert.deepEqual(progress.topics, ['work', 'sleep', 'family', 'exercise']);
+  assert.deepEqual(progress.recurringTopics, ['work', 'sleep', 'family']);
+});
+
+test('a retried completion rebuilds the same week', async () => {
+  const userId = 'user-retry';
+  const started = await sessionsRepository.createSession({ userId, emotionalState: { initialMood: 3, dominantEmotions: [] }, wavePatterns: [] });
+  await sessionsRepository.updateSession(started.sessionId, {
+    endTime: new Date().toISOString(),
+    duration: 420,
+    emotionalState: { initialMood: 3, finalMood: 6, dominantEmotions: [] },
+    keyTopics: ['work']
+  });
+
+  const first = await progressAggregator.updateWeeklyProgress(userId, started.startTime);
+  const retried = await progressAggregator.updateWeeklyProgress(userId, started.startTime);
+
+  const { updatedAt: _first, ...firstRecord } = first;
+  const { updatedAt: _retried, ...retriedRecord } = retried;
+  assert.deepEqual(retriedRecord, firstRecord);
+  assert.equal(retried.sessionCount, 1);
+  assert.equal(retried.weekStreak, 1);
+  const stored = await progressRepository.getProgressByUserId(userId);
+  assert.deepEqual(stored.map(week => [week.weekStartDate, week.sessionIds]), [[retried.weekStartDate, [started.sessionId]]]);
+});
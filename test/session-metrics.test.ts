@@ -0,0 +1,124 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionMetricsCollector, VoiceFrame } from '../src/services/session-metrics';
+
+let now = 0;
+mock.method(Date, 'now', () => now);
+afterEach(() => { now = 0; });
+
+const speech = (count: number, pitchHz: number = 200): VoiceFrame[] => Array(count).fill([0.1, pitchHz]);
+const silence = (count: number): VoiceFrame[] => Array(count).fill([0.001, 0]);
+const assistantAudible = (count: number): VoiceFrame[] => Array(count).fill([0.05, 180, 1]);
+
+function collecting(): SessionMetricsCollector {
+  const collector = new SessionMetricsCollector();
+  collector.startSession('s1');
+  return collector;
+}
+
+function userTurn(collector: SessionMetricsCollector, contentId: string, endedAt: number) {
+  collector.onContentStart('s1', { contentId, role: 'USER', type: 'AUDIO' });
+  now = endedAt;
+  collector.onContentEnd('s1', { contentId, type: 'AUDIO', stopReason: 'END_TURN' });
+}
+
+function assistantAudio(collector: SessionMetricsCollector, contentId: string, startedAt: number, stopReason: string = 'END_TURN') {
+  now = startedAt;
+  collector.onContentStart('s1', { contentId, role: 'ASSISTANT', type: 'AUDIO' });
+  collector.onContentEnd('s1', { contentId, type: 'AUDIO', stopReason });
+}
+
+test('response latency runs from the end of the user turn to the first assistant audio', () => {
+  const collector = collecting();
+
+  userTurn(collector, 'u1', 1000);
+  now = 1200;
+  collector.onContentStart('s1', { contentId: 't1', role: 'ASSISTANT', type: 'TEXT' }); // Text is not heard
+  assistantAudio(collector, 'a1', 1800);
+  assistantAudio(collector, 'a2', 9000); // Not an answer to a new user turn
+  now = 10000;
+  collector.onTypedInput('s1');
+  assistantAudio(collector, 'a3', 10400);
+
+  assert.equal(collector.getMetrics('s1').responseTime, 600); // Mean of 800 and 400
+});
+
+test('only assistant audio stopped with INTERRUPTED counts as an interruption', () => {
+  const collector = collecting();
+
+  assistantAudio(collector, 'a1', 0, 'INTERRUPTED');
+  assistantAudio(collector, 'a2', 0, 'END_TURN');
+  assistantAudio(collector, 'a3', 0, 'INTERRUPTED');
+  collector.onContentStart('s1', { contentId: 'u1', role: 'USER', type: 'AUDIO' });
+  collector.onContentEnd('s1', { contentId: 'u1', type: 'AUDIO', stopReason: 'INTERRUPTED' });
+  collector.onContentStart('s1', { contentId: 't1', role: 'ASSISTANT', type: 'TEXT' });
+  collector.onContentEnd('s1', { contentId: 't1', type: 'TEXT', stopReason: 'INTERRUPTED' });
+
+  assert.equal(collector.getMetrics('s1').interruptionCount, 2);
+});
+
+test('silences within speech count as pauses only between the minimum and maximum length', () => {
+  const collector = collecting();
+
+  const frames = [
+    ...speech(5), ...silence(4), // 400 ms: a pause
+    ...speech(5), ...silence(1), // 100 ms: too short
+    ...speech(5), ...silence(40), // 4 s: a gap between turns
+    ...speech(5)
+  ];
+  assert.equal(collector.onVoiceFrames('s1', { frameMs: 100, frames }), null);
+  collector.onUserTranscript('s1', 'one two three four five');
+
+  const metrics = collector.getMetrics('s1');
+  assert.equal(metrics.silenceDuration, 4.5);
+  assert.deepEqual(metrics.voiceStressIndicators, {
+    averagePitch: 200,
+    pitchVariation: 0,
+    speakingRate: 150, // 5 words in 2 s of speech
+    pauseFrequency: 30, // 1 pause in 2 s of speech
+    volumeConsistency: 1
+  });
+});
+
+test('while the assistant is audible the user is listening, not pausing or silent', () => {
+  const collector = collecting();
+
+  collector.onVoiceFrames('s1', { frameMs: 100, frames: [...speech(5), ...silence(2)] });
+  collector.onVoiceFrames('s1', { frameMs: 100, frames: [...assistantAudible(10), ...silence(2), ...speech(5)] });
+
+  const metrics = collector.getMetrics('s1');
+  assert.equal(metrics.silenceDuration, 0.4);
+  assert.equal(metrics.voiceStressIndicators.pauseFrequency, 0); // 400 ms of silence, but split by the assistant's turn
+});
+
+test('pitch outside the voice range is left out of pitch statistics', () => {
+  const collector = collecting();
+
+  collector.onVoiceFrames('s1', { frameMs: 100, frames: [...speech(2, 100), ...speech(2, 300), ...speech(2, 0), ...speech(2, 900)] });
+
+  const { voiceStressIndicators } = collector.getMetrics('s1');
+  assert.equal(voiceStressIndicators.averagePitch, 200);
+  assert.equal(voiceStressIndicators.pitchVariation, 115.5);
+});
+
+test('malformed batches are rejected and malformed frames skipped', () => {
+  const collector = collecting();
+
+  assert.match(collector.onVoiceFrames('s1', { frameMs: 0, frames: [] })!, /frameMs/);
+  assert.match(collector.onVoiceFrames('s1', { frameMs: 100, frames: speech(201) })!, /at most 200 frames/);
+  assert.equal(collector.onVoiceFrames('s1', { frameMs: 100, frames: [...speech(2), ['loud', 200], null] }), null);
+
+  assert.equal(collector.getMetrics('s1').voiceStressIndicators.volumeConsistency, 1);
+  assert.equal(collector.getMetrics('s1').silenceDuration, 0);
+});
+
+test('stream events arriving after the session ended do not start it over', () => {
+  const collector = collecting();
+  collector.endSession('s1');
+
+  collector.onContentStart('s1', { contentId: 'u1', role: 'USER', type: 'AUDIO' });
+  collector.onUserTranscript('s1', 'late words');
+  collector.onContentEnd('s1', { contentId: 'u1', type: 'AUDIO', stopReason: 'END_TURN' });
+
+  assert.equal((collector as any).sessions.has('s1'), false);
+});
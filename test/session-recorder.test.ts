@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { readRecording, SessionRecorder } from '../src/services/session-recorder';
+
+const directory = mkdtempSync(path.join(tmpdir(), 'hope-recordings-'));
+process.on('exit', () => rmSync(directory, { recursive: true, force: true }));
+
+// The file is written as its stream flushes, after stopSession returns
+async function waitForFile(filePath: string, lines: number) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    try {
+      const recording = readRecording(filePath);
+      if (recording.length >= lines) return recording;
+    } catch (error) {
+      // Not created yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Recording ${filePath} was not written`);
+}
+
+const sessionEvents: Array<['outbound' | 'inbound', any]> = [
+  ['outbound', { event: { textInput: { promptName: 'p', contentName: 'system', content: 'You are Hope. Last session: my mother died' } } }],
+  ['outbound', { event: { audioInput: { promptName: 'p', content: Buffer.from('voice').toString('base64') } } }],
+  ['inbound', { event: { textOutput: { role: 'USER', content: 'I cannot sleep' } } }],
+  ['inbound', { event: { toolUse: { toolName: 'getSessionHistory', content: '{"query":"sleep"}' } } }]
+];
+
+test('text, tool and audio content is redacted by default', async () => {
+  const recorder = new SessionRecorder({ directory });
+  const filePath = recorder.startSession('session-1');
+  sessionEvents.forEach(([direction, event]) => recorder.record('session-1', direction, event));
+  recorder.stopSession('session-1');
+
+  const recording = await waitForFile(filePath, sessionEvents.length + 2);
+  const written = JSON.stringify(recording);
+  for (const words of ['mother', 'sleep', 'You are Hope']) {
+    assert.ok(!written.includes(words), `recording contains "${words}"`);
+  }
+
+  const [start, system, audio, transcript] = recording;
+  assert.equal(start.event.recordingStart.textRedacted, true);
+  assert.equal(system.event.event.textInput.redactedChars, 42);
+  assert.equal(system.event.event.textInput.contentName, 'system');
+  assert.equal(audio.event.event.audioInput.redactedBytes, 5);
+  assert.equal(transcript.event.event.textOutput.role, 'USER');
+});
+
+test('text is kept when redaction is turned off', async () => {
+  const recorder = new SessionRecorder({ directory, redactText: false });
+  const filePath = recorder.startSession('session-2');
+  sessionEvents.forEach(([direction, event]) => recorder.record('session-2', direction, event));
+  recorder.stopSession('session-2');
+
+  const recording = await waitForFile(filePath, sessionEvents.length + 2);
+  assert.equal(recording[3].event.event.textOutput.content, 'I cannot sleep');
+  assert.equal(recording[2].event.event.audioInput.content, '');
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  JsonSchema,
+  ToolInputValidationError,
+  ToolNotFoundError,
+  ToolRegistry,
+  validateAgainstSchema
+} from '../src/tools/tool-registry';
+
+const context = { sessionId: 'session-1', toolUseId: 'tool-use-1' };
+
+const moodSchema: JsonSchema = {
+  type: 'object',
+  properties: {
+    mood: { type: 'string', enum: ['calm', 'anxious', 'low'] },
+    intensity: { type: 'integer', minimum: 1, maximum: 10 },
+    note: { type: 'string', maxLength: 20 },
+    tags: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['mood'],
+  additionalProperties: false
+};
+
+// Registers a mood tool whose handler records the inputs it was dispatched with
+function moodRegistry(): { registry: ToolRegistry; calls: unknown[] } {
+  const calls: unknown[] = [];
+  const registry = new ToolRegistry().register({
+    name: 'logMood',
+    description: 'Log how the user is feeling',
+    inputSchema: moodSchema,
+    handler: async input => {
+      calls.push(input);
+      return { logged: true };
+    }
+  });
+  return { registry, calls };
+}
+
+test('valid input passes with no errors', () => {
+  assert.deepEqual(validateAgainstSchema({ mood: 'calm', intensity: 4, tags: ['work'] }, moodSchema), []);
+});
+
+test('missing required fields are reported', () => {
+  assert.deepEqual(validateAgainstSchema({ intensity: 4 }, moodSchema), ['input.mood is required']);
+});
+
+test('values of the wrong type are reported with their path', () => {
+  assert.deepEqual(validateAgainstSchema('calm', moodSchema), ['input must be of type object']);
+  assert.deepEqual(validateAgainstSchema({ mood: 'calm', tags: ['work', 3] }, moodSchema), ['input.tags[1] must be of type string']);
+});
+
+test('enum and integer violations are reported', () => {
+  assert.deepEqual(validateAgainstSchema({ mood: 'elated' }, moodSchema), ['input.mood must be one of calm, anxious, low']);
+  assert.deepEqual(validateAgainstSchema({ mood: 'low', intensity: 2.5 }, moodSchema), ['input.intensity must be of type integer']);
+});
+
+test('numbers outside minimum and maximum are reported, the bounds themselves are allowed', () => {
+  assert.deepEqual(validateAgainstSchema({ mood: 'low', intensity: 0 }, moodSchema), ['input.intensity must be >= 1']);
+  assert.deepEqual(validateAgainstSchema({ mood: 'low', intensity: 11 }, moodSchema), ['input.intensity must be <= 10']);
+  assert.deepEqual(validateAgainstSchema({ mood: 'low', intensity: 1 }, moodSchema), []);
+  assert.deepEqual(validateAgainstSchema({ mood: 'low', intensity: 10 }, moodSchema), []);
+});
+
+test('string lengths and unknown properties are reported', () => {
+  assert.deepEqual(validateAgainstSchema({ mood: 'low', note: 'x'.repeat(21), extra: true }, moodSchema), [
+    'input.note must be at most 20 characters',
+    'input.extra is not allowed'
+  ]);
+});
+
+test('execute parses JSON content and dispatches by name regardless of case', async () => {
+  const { registry, calls } = moodRegistry();
+
+  const result = await registry.execute('LOGMOOD', { content: JSON.stringify({ mood: 'anxious', intensity: 7 }) }, context);
+
+  assert.deepEqual(result, { logged: true });
+  assert.deepEqual(calls, [{ mood: 'anxious', intensity: 7 }]);
+});
+
+test('execute rejects unknown tools', async () => {
+  const { registry } = moodRegistry();
+
+  await assert.rejects(registry.execute('deleteEverything', { content: '{}' }, context), ToolNotFoundError);
+});
+
+test('execute rejects content that is not valid JSON without calling the handler', async () => {
+  const { registry, calls } = moodRegistry();
+
+  await assert.rejects(registry.execute('logMood', { content: '{"mood": "calm"' }, context), (error: unknown) => {
+    assert.ok(error instanceof ToolInputValidationError);
+    assert.deepEqual(error.errors, ['input is not valid JSON']);
+    return true;
+  });
+  assert.deepEqual(calls, []);
+});
+
+test('execute rejects input that fails the schema without calling the handler', async () => {
+  const { registry, calls } = moodRegistry();
+
+  // Empty content parses as an empty object, which is still missing the required mood
+  await assert.rejects(registry.execute('logMood', { content: '' }, context), (error: unknown) => {
+    assert.ok(error instanceof ToolInputValidationError);
+    assert.deepEqual(error.errors, ['input.mood is required']);
+    return true;
+  });
+  await assert.rejects(registry.execute('logMood', { content: '{"mood": "calm", "intensity": 12}' }, context), {
+    name: 'ToolInputValidationError',
+    message: 'Invalid input for tool logMood: input.intensity must be <= 10'
+  });
+  assert.deepEqual(calls, []);
+});
@@ -0,0 +1,72 @@
+import './helpers/file-storage-env';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { auditLog, getStorageBackend, progressRepository, sessionsRepository, usersRepository } from '../src/database';
+import { userDataService } from '../src/services/user-data';
+
+async function createUserWithSessions() {
+  const user = await usersRepository.createUser({
+    isAnonymous: true,
+    preferences: {
+      theme: 'ocean-calm',
+      motionIntensity: 0.5,
+      colorIntensity: 0.5,
+      animationSpeed: 1,
+      reducedMotion: false,
+      highContrast: false,
+      audioSensitivity: 0.5
+    }
+  });
+
+  const sessionInput = {
+    userId: user.userId,
+    emotionalState: { initialMood: 4, dominantEmotions: ['anxious'] },
+    wavePatterns: [],
+    encryptedTranscript: 'User: I feel anxious'
+  };
+  const current = await sessionsRepository.createSession(sessionInput as any);
+  const expired = await sessionsRepository.createSession(sessionInput as any);
+
+  // Past its expiry, but not yet deleted by TTL
+  await getStorageBackend().update('sessions', { sessionId: expired.sessionId }, { expiresAt: 1 });
+
+  await progressRepository.saveWeeklyProgress({
+    userId: user.userId,
+    weekStartDate: '2026-10-12',
+    sessionCount: 2,
+    totalDuration: 600,
+    weekStreak: 1,
+    longestWeekStreak: 1,
+    recurringTopics: ['work'],
+    topics: ['work'],
+    sessionIds: [current.sessionId, expired.sessionId]
+  });
+
+  return { userId: user.userId, current: current.sessionId, expired: expired.sessionId };
+}
+
+test('export includes sessions past their expiry that are still stored', async () => {
+  const { userId, expired } = await createUserWithSessions();
+
+  const data = await userDataService.exportUserData(userId);
+  assert.equal(data.sessions.length, 2);
+  assert.ok(data.sessions.some(session => session.sessionId === expired));
+});
+
+test('erase deletes expired sessions too, without decrypting anything', async () => {
+  const { userId, current, expired } = await createUserWithSessions();
+  const historyBefore = await auditLog.getAccessHistory(userId);
+
+  const receipt = await userDataService.eraseUserData(userId);
+
+  assert.equal(receipt.deleted.sessions, 2);
+  assert.equal(receipt.deleted.weeklyProgress, 1);
+  assert.equal(receipt.deleted.profile, true);
+  assert.equal(await getStorageBackend().get('sessions', { sessionId: current }), null);
+  assert.equal(await getStorageBackend().get('sessions', { sessionId: expired }), null);
+  assert.equal(await getStorageBackend().get('users', { userId }), null);
+
+  // Newest first: the erase itself, and no decrypts
+  const history = await auditLog.getAccessHistory(userId);
+  assert.deepEqual(history.slice(0, history.length - historyBefore.length).map(record => record.action), ['delete']);
+});